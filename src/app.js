@@ -9,17 +9,50 @@
  * - Clean separation of concerns
  */
 
+const fs = require('fs');
+const path = require('path');
+
 const scheduler = require('./services/scheduler');
 const scraper = require('./services/scraper');
 const notifier = require('./services/notifier');
+const catalog = require('./services/catalog');
+const analytics = require('./services/analytics');
+const alertGate = require('./services/alertGate');
+const alertRules = require('./services/alertRules');
+const deliveryWorker = require('./services/deliveryWorker');
+const templates = require('./services/templates');
+const subscriptionLinks = require('./services/subscriptionLinks');
+const replay = require('./services/replay');
+const selectors = require('./services/selectors');
+const siteMonitor = require('./services/siteMonitor');
+const captures = require('./services/captures');
+const circuitBreaker = require('./services/circuitBreaker');
 const { store: appointmentStore } = require('./models/appointment');
+const { outbox } = require('./models/outbox');
+const { recipients } = require('./models/recipient');
+const { subscribers } = require('./models/subscriber');
 const logger = require('./utils/logger').child('app');
 const { config } = require('./utils/config');
+const { listAgencies, lookupZip } = require('./utils/geo');
+const { listCarriers } = require('./utils/carriers');
+const { parseTime, parseDays } = require('./utils/timeWindows');
+const { describeNetwork } = require('./utils/network');
+
+// Length of each digest period
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
 
 class App {
   constructor() {
     this.initialized = false;
     this.shuttingDown = false;
+    this.alertCount = 0; // Availability alerts raised since startup
+    
+    // What was available before a restart was already alerted about
+    alertGate.seed(appointmentStore.getCurrentState());
+    
     this.registerEventHandlers();
   }
   
@@ -31,18 +64,27 @@ class App {
     scheduler.on('error', (error) => {
       logger.error(`Scheduler error: ${error.message}`, { error });
     });
-
+    
+    // Tell the admins once when a site goes down and once when it is back
+    const sendOutage = (circuit) => {
+      notifier.sendSiteOutage(circuit).catch(error => {
+        logger.error(`Error sending site outage alert: ${error.message}`, { error });
+      });
+    };
+    circuitBreaker.on('opened', sendOutage);
+    circuitBreaker.on('recovered', sendOutage);
+    
     // Handle process termination signals
     process.on('SIGINT', () => this.shutdown('SIGINT'));
     process.on('SIGTERM', () => this.shutdown('SIGTERM'));
-
+    
     // Handle unhandled errors
     process.on('uncaughtException', (error) => {
       logger.fatal(`Uncaught exception: ${error.message}`, { error });
       // Give logger time to flush before exiting
       setTimeout(() => process.exit(1), 1000);
     });
-
+    
     process.on('unhandledRejection', (reason, promise) => {
       logger.fatal(`Unhandled promise rejection: ${reason}`, { reason });
     });
@@ -79,65 +121,198 @@ class App {
     
     logger.info('Starting REAL ID Appointment Tracker');
     
+    if (replay.isEnabled()) {
+      logger.warn(`Replay mode: checks read recorded pages from ${config.get('TRACKER_REPLAY_DIR')} instead of the NJMVC site`);
+    }
+    
     // Schedule regular checks
     const checkIntervalMinutes = config.get('TRACKER_CHECK_INTERVAL');
-    const cronExpression = `*/${checkIntervalMinutes} * * * *`;
     
-    scheduler.schedule('appointmentCheck', cronExpression, async () => {
-      await this.runCheck();
-    });
+    if (config.get('TRACKER_DYNAMIC_INTERVALS')) {
+      const { adaptive, timezone } = config.export();
+      
+      scheduler.scheduleAdaptive('appointmentCheck', {
+        ...adaptive,
+        baseInterval: checkIntervalMinutes,
+        timezone
+      }, async () => this._checkOutcome(await this.runCheck()));
+    } else {
+      const cronExpression = `*/${checkIntervalMinutes} * * * *`;
+      
+      scheduler.schedule('appointmentCheck', cronExpression, async () => {
+        await this.runCheck();
+      });
+    }
+    
+    // Deliver alerts held back during recipients' quiet hours once their window opens
+    scheduler.schedule('quietHoursSummary', '* * * * *', async () => {
+      await notifier.flushQueued(type => appointmentStore.getCurrentState(type));
+    }, { background: true });
+    
+    // Digests go out at TRACKER_DIGEST_TIME, weekly ones on TRACKER_DIGEST_DAY
+    const { digest, timezone } = config.export();
+    const digestTime = parseTime(digest.time);
+    const at = `${digestTime % 60} ${Math.floor(digestTime / 60)}`;
+    scheduler.schedule('dailyDigest', `${at} * * *`, async () => {
+      await this.sendDigests('daily');
+    }, { background: true, timezone });
+    scheduler.schedule('weeklyDigest', `${at} * * ${parseDays(digest.day)[0]}`, async () => {
+      await this.sendDigests('weekly');
+    }, { background: true, timezone });
+    
+    // Send queued notifications, including any left over from the last run
+    deliveryWorker.start();
     
     // Start the scheduler
     scheduler.start();
     
-    logger.info(`Tracker running. Checking every ${checkIntervalMinutes} minutes.`);
+    logger.info(config.get('TRACKER_DYNAMIC_INTERVALS')
+      ? `Tracker running. Checking every ${config.get('TRACKER_MIN_INTERVAL')}-${config.get('TRACKER_MAX_INTERVAL')} minutes (adaptive).`
+      : `Tracker running. Checking every ${checkIntervalMinutes} minutes.`);
+    
+    if (!scheduler.isActiveTime()) {
+      logger.info(`Outside active hours. First check at ${new Date(scheduler.getStatus().nextCheckTime).toLocaleString()}.`);
+      return;
+    }
+    
+    // Run an initial check through the scheduler, so an adaptive timer that
+    // fires while it is still running does not start a second one
+    scheduler.executeNow('appointmentCheck');
+  }
+  
+  /**
+   * Summarize a check for the adaptive scheduler
+   * @param {Object} result - Result of runCheck
+   * @returns {Object} - { availabilityAppeared, failed }
+   */
+  _checkOutcome(result) {
+    return {
+      availabilityAppeared: result.becameAvailable,
+      failed: result.regular < 0 && result.mobile < 0
+    };
+  }
+  
+  /**
+   * Check a site, record the result as observations and tell the admins if
+   * the page structure changed
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {Promise<Object>} - Scraper result
+   */
+  async _timedCheck(type) {
+    const started = Date.now();
+    const result = await scraper.checkAppointmentDetails(type);
     
-    // Run an initial check
-    this.runCheck().catch(error => {
-      logger.error(`Error during initial check: ${error.message}`, { error });
+    appointmentStore.recordCheck({
+      type,
+      count: result.count,
+      locations: result.locations,
+      duration: Date.now() - started,
+      error: result.error
     });
+    
+    // A failed alert must not stop the rest of the check
+    if (result.siteChange) {
+      await notifier.sendSiteChanged(result.siteChange).catch(error => {
+        logger.error(`Error sending site change alert: ${error.message}`, { error });
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Send the alerts a successful check calls for
+   *
+   * First availability goes through the alert gate and is recorded in the
+   * alert log; the change rules (increases, new locations, last slots) are
+   * evaluated against the update and sent on their own.
+   *
+   * @param {Object} update - Result of AppointmentStore.update()
+   * @param {Object} [details={}] - Service details ({ title, url })
+   * @returns {Promise<boolean>} - Whether an availability alert was delivered
+   */
+  async _alert(update, details = {}) {
+    const { type, count, locations } = update;
+    const label = details.title || `${type.charAt(0).toUpperCase()}${type.slice(1)} site`;
+    const rules = alertRules.getRules();
+    let delivered = false;
+    
+    const keys = alertGate.observe(type, count, locations);
+    const availableRules = rules.filter(rule => rule.kind === 'available');
+    
+    if (keys.length > 0 && availableRules.length > 0) {
+      logger.info(`ALERT: ${label} now has ${count} appointments available!`);
+      
+      this.alertCount++;
+      for (const rule of availableRules) {
+        const sent = await notifier.sendNotification(type, count, locations, details, {
+          rule,
+          ...alertGate.forAlert(type, keys, rule.name)
+        });
+        delivered = delivered || sent;
+      }
+      appointmentStore.recordAlert({ type, count, delivered });
+    }
+    
+    for (const { rule, matches } of alertRules.evaluate(update)) {
+      logger.info(`ALERT (${rule.name}): ${label} ${matches.map(match => `${match.name || 'total'} ${match.previousCount} -> ${match.count}`).join(', ')}`);
+      
+      await notifier.sendRuleAlert(type, rule, matches, details, {
+        count,
+        locations,
+        ...alertGate.forAlert(type, matches.map(match => match.id), rule.name)
+      });
+    }
+    
+    return delivered;
   }
   
   /**
    * Run a single check of both websites
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - Totals and per-location results for each site
    */
   async runCheck() {
     logger.info('Starting appointment check...');
     
     try {
+      const alertsBefore = this.alertCount;
+      
       // Check regular site
-      const regularCount = await scraper.checkAppointments('regular');
+      const regular = await this._timedCheck('regular');
       
-      if (regularCount >= 0) {
+      if (regular.count >= 0) {
         // Update appointment store
-        const regularUpdate = appointmentStore.update('regular', regularCount);
+        const update = appointmentStore.update('regular', regular.count, regular.locations);
         
-        // Send notification if newly available
-        if (regularUpdate.becameAvailable) {
-          logger.info(`ALERT: Regular site now has ${regularCount} appointments available!`);
-          await notifier.sendNotification('regular', regularCount);
-        }
+        // Send notifications the alert rules call for
+        await this._alert(update);
       }
       
       // Check mobile site
-      const mobileCount = await scraper.checkAppointments('mobile');
+      const mobile = await this._timedCheck('mobile');
       
-      if (mobileCount >= 0) {
+      if (mobile.count >= 0) {
         // Update appointment store
-        const mobileUpdate = appointmentStore.update('mobile', mobileCount);
+        const update = appointmentStore.update('mobile', mobile.count, mobile.locations);
         
-        // Send notification if newly available
-        if (mobileUpdate.becameAvailable) {
-          logger.info(`ALERT: Mobile site now has ${mobileCount} appointments available!`);
-          await notifier.sendNotification('mobile', mobileCount);
-        }
+        // Send notifications the alert rules call for
+        await this._alert(update);
       }
       
+      // Check subscribed services from the cards found on both sites
+      catalog.update([...regular.services, ...mobile.services]);
+      const services = await this.checkServices(catalog.match(catalog.getAll()));
+      
       logger.info('Check completed successfully');
       return {
-        regular: regularCount,
-        mobile: mobileCount
+        regular: regular.count,
+        mobile: mobile.count,
+        becameAvailable: this.alertCount > alertsBefore,
+        locations: {
+          regular: regular.locations,
+          mobile: mobile.locations
+        },
+        services
       };
     } catch (error) {
       logger.error(`Error during check: ${error.message}`, { error });
@@ -145,9 +320,46 @@ class App {
     }
   }
   
+  /**
+   * Record and alert on subscribed catalog services
+   * @param {Array<Object>} services - Subscribed services from the catalog
+   * @returns {Promise<Object>} - Counts keyed by service store type
+   */
+  async checkServices(services) {
+    const results = {};
+    
+    for (const service of services) {
+      if (service.count < 0) {
+        logger.warn(`Skipping ${service.title}: appointment count could not be parsed`);
+        appointmentStore.recordCheck({
+          type: catalog.typeFor(service),
+          count: -1,
+          error: 'Failed to parse appointment count'
+        });
+        continue;
+      }
+      
+      const type = catalog.typeFor(service);
+      const started = Date.now();
+      const locations = await scraper.checkServiceLocations(service);
+      appointmentStore.recordCheck({ type, count: service.count, locations, duration: Date.now() - started });
+      
+      const update = appointmentStore.update(type, service.count, locations, { label: service.title });
+      
+      await this._alert(update, {
+        title: service.title,
+        url: service.url
+      });
+      
+      results[type] = service.count;
+    }
+    
+    return results;
+  }
+  
   /**
    * Run a test check (no notifications, just verify functionality)
-   * @returns {Promise<Object>} - Test results
+   * @returns {Promise<Object>} - Test results, including the network settings the checks used
    */
   async runTest() {
     logger.info('Running system test...');
@@ -163,12 +375,15 @@ class App {
       const mobileCount = await scraper.checkAppointments('mobile');
       logger.info(`Mobile site check result: ${mobileCount} appointments`);
       
-      // Test notification system if email configured
-      let notificationResult = 'Not tested (email not configured)';
-      if (config.hasValidEmailSettings()) {
+      // Test notification system if email or channels configured
+      let notificationResult = 'Not tested (notifications not configured)';
+      let notificationTest = null;
+      if (notifier.isEnabled()) {
         logger.info('Testing notification system...');
-        const notificationSuccess = await notifier.sendTestNotification();
-        notificationResult = notificationSuccess ? 'Success' : 'Failed';
+        notificationTest = await notifier.sendTestNotification();
+        notificationResult = notificationTest.success
+          ? 'Success'
+          : `Failed${notificationTest.error ? ` (${notificationTest.error})` : ''}`;
         logger.info(`Notification test result: ${notificationResult}`);
       }
       
@@ -184,9 +399,12 @@ class App {
           status: mobileCount >= 0 ? 'Success' : 'Failed'
         },
         notification: {
-          checked: config.hasValidEmailSettings(),
-          status: notificationResult
+          checked: notifier.isEnabled(),
+          status: notificationResult,
+          transport: notificationTest ? notificationTest.transport : null,
+          verified: notificationTest ? notificationTest.verified : false
         },
+        network: this.getNetworkInfo(),
         timestamp: new Date().toISOString()
       };
       
@@ -198,6 +416,373 @@ class App {
     }
   }
   
+  /**
+   * Replay the recorded pages in TRACKER_REPLAY_DIR from the start, one full
+   * check per step, delivering the notifications each check queues
+   * @param {number} [checks] - Number of checks to run (defaults to the number of steps)
+   * @returns {Promise<Array<Object>>} - One result per check ({ step, regular, mobile, alerts, notifications, delivery })
+   */
+  async runReplay(checks) {
+    if (!replay.isEnabled()) {
+      throw new Error('Set TRACKER_REPLAY_DIR to a directory of recorded pages to replay');
+    }
+    
+    const status = replay.getStatus();
+    if (status.error) {
+      throw new Error(status.error);
+    }
+    replay.reset();
+    
+    const countNotifications = () => Object.values(outbox.counts()).reduce((total, count) => total + count, 0);
+    const results = [];
+    
+    for (let index = 0; index < (checks || status.steps); index++) {
+      const alertsBefore = this.alertCount;
+      const notificationsBefore = countNotifications();
+      
+      const result = await this.runCheck();
+      const delivery = await deliveryWorker.processDue();
+      
+      results.push({
+        step: replay.getStatus().step,
+        regular: result.regular,
+        mobile: result.mobile,
+        alerts: this.alertCount - alertsBefore,
+        notifications: countNotifications() - notificationsBefore,
+        delivery
+      });
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Get the selector definitions in use
+   * @returns {Object} - Status ({ file, bundled, version, loadedAt, error }) and definitions ({ strategies, catalog })
+   */
+  getSelectors() {
+    const definitions = selectors.get();
+    return {
+      ...selectors.getStatus(),
+      strategies: definitions.strategies,
+      catalog: definitions.catalog
+    };
+  }
+  
+  /**
+   * Parse a saved page with the current selector definitions
+   * @param {string} file - Saved HTML page, e.g. a capture from debug/
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.site] - Site the page came from (defaults to mobile for mobile-*.html, else regular)
+   * @param {string} [options.url] - URL the page came from, for resolving card links (defaults to the site URL)
+   * @returns {Object} - { file, site, url, selectors, structureChanged, types, cards }
+   */
+  testSelectors(file, options = {}) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${file} does not exist`);
+    }
+    
+    const site = options.site || (path.basename(file).startsWith('mobile') ? 'mobile' : 'regular');
+    if (site !== 'regular' && site !== 'mobile') {
+      throw new Error(`Invalid site: ${site} (expected regular or mobile)`);
+    }
+    
+    const url = options.url || config.get(`TRACKER_${site.toUpperCase()}_URL`);
+    return {
+      file,
+      site,
+      url,
+      ...scraper.explainPage(fs.readFileSync(file, 'utf8'), site, url)
+    };
+  }
+  
+  /**
+   * Describe the proxy, certificate and other network settings and how each server is reached
+   * @returns {Object} - Network settings (see utils/network describeNetwork()) with routes to both sites
+   *   and every configured channel
+   */
+  getNetworkInfo() {
+    const targets = [
+      { name: 'Regular site', url: config.get('TRACKER_REGULAR_URL') },
+      { name: 'Mobile site', url: config.get('TRACKER_MOBILE_URL') },
+      ...notifier.channels
+        .map(channel => ({ name: `${channel.name} channel`, url: channel.getOrigin() }))
+        .filter(target => target.url)
+    ];
+    
+    return describeNetwork(config.export().network, targets);
+  }
+  
+  /**
+   * List the debug captures of unreadable and changed pages
+   * @param {Object} [filter={}] - Filter ({ type, reason, limit })
+   * @returns {Object} - { captures, stats }, captures newest first
+   */
+  getCaptures(filter = {}) {
+    return {
+      captures: captures.list(filter),
+      stats: captures.getStats()
+    };
+  }
+  
+  /**
+   * Get one debug capture with what the current selectors read from it
+   * @param {string} id - Capture ID
+   * @returns {Object|null} - Capture with its report and parse result, or null if there is no such capture
+   */
+  getCapture(id) {
+    const found = captures.get(id);
+    if (!found) return null;
+    
+    const { capture, html, report } = found;
+    const site = capture.type === 'mobile' ? 'mobile' : 'regular';
+    const url = capture.url || config.get(`TRACKER_${site.toUpperCase()}_URL`);
+    
+    // Location list pages are read by the location strategies, not the card ones
+    const locations = capture.reasons.some(reason => reason.startsWith('locations'));
+    return {
+      ...capture,
+      report,
+      parse: locations
+        ? { kind: 'locations', ...scraper.explainLocations(html, url) }
+        : { kind: 'cards', site, ...scraper.explainPage(html, site, url) }
+    };
+  }
+  
+  /**
+   * Get the saved page of a debug capture
+   * @param {string} id - Capture ID
+   * @returns {string|null} - HTML content, or null if there is no such capture
+   */
+  getCaptureHtml(id) {
+    const found = captures.get(id);
+    return found ? found.html : null;
+  }
+  
+  /**
+   * Remove the debug captures past the retention limits now
+   * @returns {Object} - { removed, bytes } freed
+   */
+  pruneCaptures() {
+    return captures.prune();
+  }
+  
+  /**
+   * Get the service catalog and mark subscribed services. Checks keep the
+   * catalog current, so the sites are only scraped for it when nothing is
+   * known yet or a refresh is asked for.
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.refresh=false] - Scrape the sites even if the catalog is known
+   * @returns {Promise<Object>} - { services, updatedAt }, every service card with a subscribed flag
+   */
+  async getServiceCatalog(options = {}) {
+    if (options.refresh || catalog.getAll().length === 0) {
+      catalog.update(await scraper.getServiceCatalog());
+      catalog.warnUnmatched(catalog.getAll());
+    }
+    
+    const services = catalog.getAll();
+    const subscribed = new Set(catalog.match(services).map(service => service.id));
+    
+    return {
+      services: services.map(service => ({
+        ...service,
+        subscribed: subscribed.has(service.id)
+      })),
+      updatedAt: catalog.updatedAt ? catalog.updatedAt.toISOString() : null
+    };
+  }
+  
+  /**
+   * Query the observation time series
+   * @param {Object} [filter={}] - Filter ({ type, location, from, to, success, limit })
+   * @returns {Array<Object>} - Observations, oldest first
+   */
+  getObservations(filter = {}) {
+    return appointmentStore.getObservations(filter).map(item => item.toJSON());
+  }
+  
+  /**
+   * List the bundled NJMVC agencies for building subscriber filters
+   * @param {string} [zip] - Home ZIP code to measure distances from
+   * @returns {Array<Object>} - Agencies ({ name, city, zip, distance }), nearest first when a ZIP is given
+   */
+  getAgencies(zip) {
+    if (zip && !lookupZip(zip)) {
+      throw new Error(`ZIP code ${zip} is not a New Jersey ZIP code`);
+    }
+    return listAgencies(zip);
+  }
+  
+  /**
+   * List the bundled carrier SMS/MMS gateways for phone recipients
+   * @returns {Array<Object>} - Carriers ({ id, name, sms, mms }), sorted by name
+   */
+  getCarriers() {
+    return listCarriers();
+  }
+  
+  /**
+   * List notifications in the outbox with the latest delivery attempts
+   * @param {Object} [filter={}] - Filter ({ status, limit })
+   * @returns {Object} - { counts, notifications, attempts }
+   */
+  getNotifications(filter = {}) {
+    const limit = filter.limit || 50;
+    
+    return {
+      counts: outbox.counts(),
+      notifications: outbox.list({ status: filter.status, limit }).map(item => item.toJSON()),
+      attempts: outbox.getAttempts({ limit })
+    };
+  }
+  
+  /**
+   * Get one notification with its delivery attempts
+   * @param {string} id - Notification ID
+   * @returns {Object|null} - Notification with an attempts array, or null if unknown
+   */
+  getNotification(id) {
+    const item = outbox.get(id);
+    return item ? { ...item.toJSON(), attempts: outbox.getAttempts({ notificationId: id }) } : null;
+  }
+  
+  /**
+   * List the notification template files
+   * @returns {Array<Object>} - Templates ({ name, variant, file, custom })
+   */
+  listTemplates() {
+    return templates.list();
+  }
+  
+  /**
+   * Render notification templates against sample data
+   * @param {string} [name] - Only this rule name, rule kind, 'summary' or 'digest'
+   * @returns {Array<Object>} - Previews ({ name, kind, message })
+   */
+  previewTemplates(name) {
+    return notifier.previewTemplates(name);
+  }
+  
+  /**
+   * Queue the digest for a period to every recipient who opted into it
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {Date} [now=new Date()] - End of the period
+   * @returns {Promise<number>} - Number of digests queued
+   */
+  async sendDigests(period, now = new Date()) {
+    const subscribers = recipients.getAll().filter(recipient => recipient.digest === period);
+    if (subscribers.length === 0) return 0;
+    
+    const report = analytics.getDigest({ from: new Date(now.getTime() - DIGEST_PERIODS[period]), to: now });
+    let queued = 0;
+    for (const recipient of subscribers) {
+      if (await notifier.sendDigest(recipient, report, period)) {
+        queued++;
+      }
+    }
+    
+    logger.info(`Queued ${queued} ${period} digest(s)`);
+    return queued;
+  }
+  
+  /**
+   * List the configured recipients with the preferences they set from email links
+   * @returns {Array<Object>} - Recipients ({ id, address, format, digest, status, snoozedUntil, updatedAt, state })
+   */
+  getSubscribers() {
+    return recipients.getAll().map(recipient => {
+      const subscriber = subscribers.get(recipient.id);
+      return {
+        id: recipient.id,
+        address: recipient.address,
+        format: recipient.format,
+        digest: recipient.digest,
+        ...subscriber.toJSON(),
+        state: subscriber.describe()
+      };
+    });
+  }
+  
+  /**
+   * Change a recipient's preferences on their behalf
+   * @param {string} address - Recipient address or ID
+   * @param {string} action - unsubscribe, snooze, booked or resume
+   * @returns {Object} - Updated preferences
+   */
+  updateSubscriber(address, action) {
+    const recipient = recipients.getAll().find(item =>
+      item.id === address || item.address.toLowerCase() === String(address).toLowerCase()
+    );
+    if (!recipient) {
+      throw new Error(`No configured recipient ${address}`);
+    }
+    return subscribers.apply(recipient.id, action).toJSON();
+  }
+  
+  /**
+   * Look up the recipient and action behind a subscription link
+   * @param {string} token - Signed token from an email link
+   * @returns {Object|null} - { action, recipientId, recipient (address), subscriber }, or null if the link is invalid
+   */
+  getSubscriptionLink(token) {
+    const link = subscriptionLinks.verify(token);
+    if (!link) return null;
+    
+    const recipient = recipients.getAll().find(item => item.id === link.recipientId);
+    return {
+      action: link.action,
+      recipientId: link.recipientId,
+      recipient: recipient ? recipient.address : link.recipientId.replace(/^(sms|email):/, ''),
+      subscriber: subscribers.get(link.recipientId).toJSON()
+    };
+  }
+  
+  /**
+   * Apply the action behind a subscription link
+   * @param {string} token - Signed token from an email link
+   * @returns {Object|null} - { action, recipient, subscriber, resumeToken }, or null if the link is invalid
+   */
+  applySubscriptionLink(token) {
+    const link = this.getSubscriptionLink(token);
+    if (!link) return null;
+    
+    const subscriber = subscribers.apply(link.recipientId, link.action);
+    return {
+      ...link,
+      subscriber: subscriber.toJSON(),
+      // Lets the recipient undo a click right away
+      resumeToken: link.action !== 'resume' ? subscriptionLinks.sign(link.recipientId, 'resume') : null
+    };
+  }
+  
+  /**
+   * Compute availability analytics
+   * @param {Object} [filter={}] - Filter ({ type, location, from, to })
+   * @returns {Object} - Statistics report for each matching type
+   */
+  getStats(filter = {}) {
+    return analytics.getStats(filter);
+  }
+  
+  /**
+   * Describe the storage backend
+   * @returns {Object} - Storage information ({ backend, path, types, history, observations })
+   */
+  getStorageInfo() {
+    return appointmentStore.getStorageInfo();
+  }
+  
+  /**
+   * Import an existing appointments.json file into the configured storage
+   * @param {string} file - Path to appointments.json
+   * @param {Object} [options={}] - Import options ({ force })
+   * @returns {Object} - Import result
+   */
+  importStorage(file, options = {}) {
+    return appointmentStore.importJson(file, options);
+  }
+  
   /**
    * Get current system status
    * @returns {Object} - System status
@@ -212,13 +797,33 @@ class App {
       uptime: process.uptime(),
       lastCheck: schedulerStatus.lastCheckTime,
       nextCheck: schedulerStatus.nextCheckTime,
+      checkInterval: schedulerStatus.currentInterval,
+      intervalReason: schedulerStatus.intervalReason,
       checkCount: schedulerStatus.checkCount,
       missedChecks: schedulerStatus.missedChecks,
       currentAppointments: {
         regular: regularState ? regularState.count : 0,
         mobile: mobileState ? mobileState.count : 0
       },
+      currentLocations: {
+        regular: regularState ? regularState.locations : [],
+        mobile: mobileState ? mobileState.locations : []
+      },
+      services: appointmentStore.getTypes()
+        .filter(type => catalog.isServiceType(type) && appointmentStore.getCurrentState(type))
+        .map(type => {
+          const state = appointmentStore.getCurrentState(type);
+          return { type, title: state.location, count: state.count };
+        }),
+      activeHours: config.get('TRACKER_ACTIVE_HOURS') || null,
+      queuedAlerts: notifier.getQueued(),
+      notifications: outbox.counts(),
       scheduledJobs: schedulerStatus.scheduledJobs,
+      replay: replay.getStatus(),
+      selectors: selectors.getStatus(),
+      fingerprints: siteMonitor.getStatus(),
+      captures: captures.getStats(),
+      circuits: circuitBreaker.getStatus(),
       timestamp: new Date().toISOString()
     };
   }
@@ -229,6 +834,7 @@ class App {
   stop() {
     logger.info('Stopping the tracker...');
     scheduler.stop();
+    deliveryWorker.stop();
     logger.info('Tracker stopped');
   }
   
@@ -246,8 +852,12 @@ class App {
       // Stop the scheduler
       scheduler.stop();
       
+      // Unsent notifications stay in the outbox for the next start
+      deliveryWorker.stop();
+      
       // Save any pending data
       appointmentStore.save();
+      appointmentStore.close();
       
       logger.info('Shutdown complete');
     } catch (error) {
@@ -8,11 +8,40 @@
 const App = require('./app');
 const logger = require('./utils/logger');
 const { config } = require('./utils/config');
+const { STATUSES } = require('./models/outbox');
+const { ACTIONS } = require('./models/subscriber');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const command = args[0] || 'start';
 
+/**
+ * Parse "--name value" options and positional arguments after the command
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Object} - Positional arguments and options
+ */
+function parseOptions(argv) {
+  const positional = [];
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        options[name] = next;
+        i++;
+      } else {
+        options[name] = true;
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  
+  return { positional, options };
+}
+
 // Get package version
 const packageJson = require('../package.json');
 const version = packageJson.version || '1.0.0';
@@ -31,6 +60,28 @@ Commands:
   stop      Stop the tracker
   status    Show the current status
   test      Run a single test check without starting the tracker
+  services  List every NJMVC service card and its subscription status
+  agencies [zip]
+            List NJMVC agencies for subscriber filters, nearest first when a ZIP code is given
+  carriers  List the carriers whose SMS gateways phone recipients can use
+  observations [type] [--location name|total] [--from date] [--to date] [--limit n] [--json]
+            Show recorded check results
+  stats [type] [--location name] [--from date] [--to date] [--json]
+            Show availability windows and when slots are usually released
+  notifications [status | id] [--limit n] [--json]
+            Show the notification outbox and delivery attempts (status: pending, sent, failed, expired)
+  templates [list | preview [name] [--html] [--json]]
+            List notification templates, or render them against sample data
+  subscribers [unsubscribe | snooze | booked | resume <address>] [--json]
+            Show who unsubscribed, snoozed or booked from email links, or change it for them
+  storage [info | import <file> [--force]]
+            Show the storage backend, or import an appointments.json file into SQLite
+  selectors [test <html-file> [--site regular|mobile] [--url url]] [--json]
+            Show the card selector definitions, or which strategy reads each card of a saved page
+  captures [list | prune | <id>] [--type type] [--reason reason] [--limit n] [--json]
+            List saved debug pages, show one with what the current selectors read from it, or apply the retention limits
+  replay [dir] [--checks n] [--json]
+            Run checks against recorded pages (dir or TRACKER_REPLAY_DIR), one per step, and send their notifications
   version   Show version information
   help      Show this help message
 `);
@@ -54,20 +105,49 @@ REAL ID Appointment Tracker Status
 Status: ${status.status.toUpperCase()}
 Uptime: ${Math.floor(status.uptime / 60)} minutes
 Last Check: ${status.lastCheck ? new Date(status.lastCheck).toLocaleString() : 'None'}
-Next Check: ${status.nextCheck ? new Date(status.nextCheck).toLocaleString() : 'None'}
+Next Check: ${status.nextCheck ? new Date(status.nextCheck).toLocaleString() : 'None'}${status.checkInterval ? ` (every ${status.checkInterval} minutes: ${status.intervalReason})` : ''}
 Check Count: ${status.checkCount}
-Missed Checks: ${status.missedChecks}
+Missed Checks: ${status.missedChecks}${status.activeHours ? `
+Active Hours: ${status.activeHours} (${config.get('TRACKER_TIMEZONE')})` : ''}${status.queuedAlerts.length > 0 ? `
+Queued Alerts: ${status.queuedAlerts.map(item => `${item.recipient} (${item.types.join(', ')})`).join('; ')}` : ''}${status.notifications.pending + status.notifications.failed > 0 ? `
+Outbox: ${status.notifications.pending} pending, ${status.notifications.failed} failed` : ''}${status.replay ? `
+Replay: ${status.replay.error || `step ${status.replay.step} of ${status.replay.steps} from ${status.replay.dir}`}` : ''}${!status.selectors.bundled || status.selectors.error ? `
+Selectors: ${status.selectors.version} from ${status.selectors.file}${status.selectors.error ? ` (latest edit rejected: ${status.selectors.error})` : ''}` : ''}${Object.values(status.fingerprints).some(item => item.changed) ? `
+Site Changed: ${Object.keys(status.fingerprints).filter(type => status.fingerprints[type].changed).join(', ')} page no longer matches the known-good version (see captures --reason structure-change)` : ''}${Object.values(status.circuits).filter(circuit => circuit.state !== 'closed').map(circuit => `
+Site Down: ${circuit.type} ${circuit.url} since ${new Date(circuit.openedAt).toLocaleString()} (${circuit.state}, next try ${new Date(circuit.nextProbeAt).toLocaleString()}): ${circuit.lastError}`).join('')}
 
 Current Appointments:
 - Regular DMV: ${status.currentAppointments.regular}
 - Mobile Units: ${status.currentAppointments.mobile}
 
 ${status.status === 'running' ? 
-  `The tracker is running and will check every ${config.get('TRACKER_CHECK_INTERVAL')} minutes.` : 
+  (config.get('TRACKER_DYNAMIC_INTERVALS')
+    ? `The tracker is running and adapts its check interval between ${config.get('TRACKER_MIN_INTERVAL')} and ${config.get('TRACKER_MAX_INTERVAL')} minutes.`
+    : `The tracker is running and will check every ${config.get('TRACKER_CHECK_INTERVAL')} minutes.`) : 
   'The tracker is currently stopped.'}
 `);
 }
 
+/**
+ * Format the network settings used by the test check
+ * @param {Object} network - Result of App.getNetworkInfo()
+ * @returns {string} - One setting per line
+ */
+function formatNetwork(network) {
+  const lines = [
+    `- Proxy: ${network.proxy ? `${network.proxy} (${network.proxyType})` : 'none'}${network.noProxy.length > 0 ? `, not for ${network.noProxy.join(', ')}` : ''}`,
+    `- Extra CA certificates: ${network.caFiles.length > 0
+      ? network.caFiles.map(bundle => `${bundle.file} (${bundle.certificates})`).join(', ')
+      : 'none (built-in roots only)'}`,
+    `- Source IP: ${network.sourceIp || 'default'}`,
+    `- Extra headers: ${network.headers.length > 0 ? network.headers.join(', ') : 'none'}`
+  ];
+  network.routes.forEach(route => {
+    lines.push(`- ${route.name}: ${route.via === 'proxy' ? 'through the proxy' : 'direct'} (${route.url})`);
+  });
+  return lines.join('\n');
+}
+
 /**
  * Display test results
  * @param {Object} results - Test results
@@ -82,12 +162,417 @@ ${results.regularSite.count >= 0 ? `- Appointments Available: ${results.regularS
 Mobile Site Check: ${results.mobileSite.status}
 ${results.mobileSite.count >= 0 ? `- Appointments Available: ${results.mobileSite.count}` : '- Failed to check appointments'}
 
-Notification Test: ${results.notification.checked ? results.notification.status : 'Not tested (email not configured)'}
+Notification Test: ${results.notification.checked ? results.notification.status : 'Not tested (notifications not configured)'}
+${results.notification.transport ? `- SMTP Transport: ${results.notification.transport} (${results.notification.verified ? 'verified' : 'not verified'})` : '- SMTP Transport: none'}
+
+Network:
+${formatNetwork(results.network)}
 
 Test completed at ${new Date(results.timestamp).toLocaleString()}
 `);
 }
 
+/**
+ * Display the checks of a replay run
+ * @param {Array<Object>} results - One result per check ({ step, regular, mobile, alerts, notifications, delivery })
+ */
+function displayReplay(results) {
+  const count = value => (value >= 0 ? String(value) : 'failed');
+  
+  console.log(`
+Replay (${results.length} checks)
+------`);
+  results.forEach((result, index) => {
+    const { sent, retried, failed, expired } = result.delivery;
+    console.log(`Check ${String(index + 1).padStart(3)} (step ${result.step}): regular ${count(result.regular).padEnd(6)} mobile ${count(result.mobile).padEnd(6)} ` +
+      `${result.alerts} alert(s), ${result.notifications} notification(s) queued, ${sent} sent${retried + failed + expired > 0 ? `, ${retried} retrying, ${failed + expired} failed` : ''}`);
+  });
+  console.log('\nRun "notifications" to see what was sent.');
+}
+
+/**
+ * Display the selector definitions in use
+ * @param {Object} definitions - Result of App.getSelectors()
+ */
+function displaySelectors(definitions) {
+  console.log(`
+Selector Definitions
+--------------------
+File:     ${definitions.file}${definitions.bundled ? ' (bundled)' : ''}
+Version:  ${definitions.version}${definitions.error ? `
+Rejected: ${definitions.error}` : ''}`);
+  
+  Object.entries(definitions.strategies).forEach(([type, strategies]) => {
+    console.log(`\n${type}:`);
+    strategies.forEach((strategy, index) => {
+      console.log(`  ${index + 1}. ${strategy.name}`);
+      console.log(`     title ${strategy.titleSelector}${strategy.titleText ? ` = "${strategy.titleText}"` : ''}`);
+      console.log(`     count ${strategy.countSelector}`);
+    });
+  });
+  
+  const { catalog } = definitions;
+  console.log(`\ncatalog:\n  cards ${catalog.cardSelector}, title ${catalog.titleSelector}, count ${catalog.countSelector}, category ${catalog.containerSelector}[${catalog.categoryAttribute}]`);
+  console.log('\nRun "selectors test <html-file>" to try them on a saved page.');
+}
+
+/**
+ * Display how the selector definitions read a saved page
+ * @param {Object} result - Result of App.testSelectors()
+ */
+function displaySelectorTest(result) {
+  const count = value => (value >= 0 ? String(value) : '-');
+  
+  console.log(`
+Selector Test: ${result.file}
+-------------
+Site:        ${result.site} (${result.url})
+Selectors:   ${result.selectors.version} from ${result.selectors.file}
+Structure:   ${result.structureChanged ? 'possible structure change (see log)' : 'as expected'}
+
+REAL ID cards:`);
+  result.types.forEach(item => {
+    console.log(item.strategy
+      ? `  ${item.type.padEnd(8)} ${item.strategy.padEnd(22)} ${count(item.count).padStart(6)}  ${item.countText ? `"${item.countText}"` : ''}`
+      : `  ${item.type.padEnd(8)} no strategy matched`);
+  });
+  
+  console.log(`\nService cards (${result.cards.length}):`);
+  if (result.cards.length === 0) {
+    console.log('  none found with the catalog selectors');
+  }
+  result.cards.forEach(card => {
+    console.log(`  ${card.id.padStart(4)}  ${card.title.padEnd(40)} ${count(card.count).padStart(6)}  ${card.category}`);
+  });
+}
+
+/**
+ * Display the service catalog
+ * @param {Array<Object>} services - Services with subscription flags
+ */
+function displayServices(services) {
+  console.log(`
+NJMVC Service Catalog
+---------------------`);
+  
+  ['regular', 'mobile'].forEach(site => {
+    const siteServices = services.filter(service => service.site === site);
+    if (siteServices.length === 0) return;
+    
+    console.log(`\n${site === 'regular' ? 'Regular DMV' : 'Mobile Units'}:`);
+    siteServices.forEach(service => {
+      const count = service.count >= 0 ? service.count : '?';
+      console.log(`${service.subscribed ? '*' : ' '} [${service.id}] ${service.title} - ${count} available`);
+    });
+  });
+  
+  console.log(`
+* = subscribed. Subscribe by name or ID with TRACKER_SERVICES, e.g.
+    TRACKER_SERVICES="RENEWAL: LICENSE OR NON-DRIVER ID,11"
+`);
+}
+
+/**
+ * Display the bundled carrier directory
+ * @param {Array<Object>} carriers - Carriers ({ id, name, sms, mms })
+ */
+function displayCarriers(carriers) {
+  console.log(`
+Carrier SMS Gateways
+--------------------`);
+  carriers.forEach(carrier => {
+    const mms = carrier.mms !== carrier.sms ? `, MMS ${carrier.mms}` : '';
+    console.log(`${carrier.id.padEnd(14)} ${carrier.name.padEnd(20)} SMS ${carrier.sms}${mms}`);
+  });
+  
+  console.log(`
+Add a phone recipient as <number>:<carrier> in TRACKER_SMS_RECIPIENT, e.g.
+    TRACKER_SMS_RECIPIENT=555-123-4567:verizon
+`);
+}
+
+/**
+ * Display the bundled agency list
+ * @param {Array<Object>} agencies - Agencies ({ name, city, zip, distance })
+ * @param {string} [zip] - ZIP code the distances are measured from
+ */
+function displayAgencies(agencies, zip) {
+  console.log(`
+NJMVC Agencies${zip ? ` by distance from ${zip}` : ''}
+--------------`);
+  agencies.forEach(agency => {
+    const distance = agency.distance !== null ? `${String(agency.distance).padStart(6)} mi  ` : '';
+    console.log(`${distance}${agency.name} (${agency.city} ${agency.zip})`);
+  });
+  
+  console.log(`
+Filter a recipient by agency or distance in TRACKER_RECIPIENTS, e.g.
+    {"address":"you@example.com","locations":["Edison","Rahway"],"zip":"08817","maxDistance":15}
+`);
+}
+
+/**
+ * Display observations as a table
+ * @param {Array<Object>} observations - Observations, oldest first
+ */
+function displayObservations(observations) {
+  if (observations.length === 0) {
+    console.log('No observations recorded for this filter.');
+    return;
+  }
+  
+  console.log(`
+Observations (${observations.length})
+------------------`);
+  observations.forEach(item => {
+    const where = item.location ? `${item.type} / ${item.location}` : item.type;
+    const result = item.success ? `${item.count} available` : `FAILED: ${item.error}`;
+    const duration = item.duration !== null ? ` (${item.duration}ms)` : '';
+    console.log(`${new Date(item.timestamp).toLocaleString()}  ${where}: ${result}${duration}`);
+  });
+}
+
+/**
+ * Display the notification outbox
+ * @param {Object} result - Outbox listing ({ counts, notifications })
+ */
+function displayNotifications(result) {
+  const { counts, notifications } = result;
+  console.log(`
+Notification Outbox
+-------------------
+Pending: ${counts.pending}  Sent: ${counts.sent}  Failed: ${counts.failed}  Expired: ${counts.expired}
+`);
+  
+  if (notifications.length === 0) {
+    console.log('No notifications for this filter.');
+    return;
+  }
+  
+  notifications.forEach(item => {
+    const to = item.recipient || item.channel;
+    const error = item.lastError ? ` - ${item.lastError}` : '';
+    console.log(`${item.id}  ${new Date(item.createdAt).toLocaleString()}  ${item.status.toUpperCase()}  ${item.event || 'notification'} -> ${to} (${item.attempts} attempt(s))${error}`);
+  });
+}
+
+/**
+ * Display one notification with its delivery attempts
+ * @param {Object} notification - Notification with an attempts array
+ */
+function displayNotification(notification) {
+  console.log(`
+Notification ${notification.id}
+${'-'.repeat(notification.id.length + 13)}
+Created:   ${new Date(notification.createdAt).toLocaleString()}
+Event:     ${notification.event || 'notification'}${notification.type ? ` (${notification.type}${notification.rule ? `, rule ${notification.rule}` : ''})` : ''}
+To:        ${notification.recipient || notification.channel} [${notification.channel}]
+Status:    ${notification.status}${notification.nextAttemptAt && notification.status === 'pending' ? ` (next attempt ${new Date(notification.nextAttemptAt).toLocaleString()})` : ''}${notification.sentAt ? `
+Sent:      ${new Date(notification.sentAt).toLocaleString()}` : ''}${notification.lastError ? `
+Error:     ${notification.lastError}` : ''}
+`);
+  
+  if (notification.attempts.length === 0) {
+    console.log('No delivery attempts yet.');
+    return;
+  }
+  
+  console.log('Attempts:');
+  notification.attempts.forEach(attempt => {
+    const code = attempt.statusCode ? ` ${attempt.statusCode}` : '';
+    const error = attempt.error ? ` - ${attempt.error}` : '';
+    console.log(`  ${new Date(attempt.timestamp).toLocaleString()}  ${attempt.status.toUpperCase()}${code} in ${attempt.latency}ms${error}`);
+  });
+}
+
+/**
+ * Format a size in bytes
+ * @param {number} bytes - Size
+ * @returns {string} - e.g. "12.3 KB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Display the debug captures
+ * @param {Object} result - Capture listing ({ captures, stats })
+ */
+function displayCaptures(result) {
+  const { captures, stats } = result;
+  console.log(`
+Debug Captures
+--------------
+Stored: ${stats.count} (${formatBytes(stats.bytes)}, limit ${stats.maxBytes > 0 ? formatBytes(stats.maxBytes) : 'none'})
+Kept:   ${stats.retentionDays > 0 ? `${stats.retentionDays} days after last seen` : 'forever'}
+Identical pages not saved again: ${stats.duplicates}
+`);
+  
+  if (captures.length === 0) {
+    console.log('No captures for this filter.');
+    return;
+  }
+  
+  captures.forEach(item => {
+    const status = item.status ? ` HTTP ${item.status}` : '';
+    const seen = item.seen > 1 ? `, seen ${item.seen} times` : '';
+    console.log(`${item.id}  ${item.reasons.join(', ')}${status}  strategy: ${item.strategy || 'none'} (${formatBytes(item.size)}${seen})`);
+  });
+}
+
+/**
+ * Display one debug capture with what the current selectors read from it
+ * @param {Object} capture - Capture with report and parse result
+ */
+function displayCapture(capture) {
+  console.log(`
+Capture ${capture.id}
+${'-'.repeat(capture.id.length + 8)}
+File:      debug/${capture.file}
+Type:      ${capture.type || 'unknown'}
+Reasons:   ${capture.reasons.join(', ')}${capture.status ? `
+Status:    HTTP ${capture.status}` : ''}${capture.url ? `
+URL:       ${capture.url}` : ''}
+Strategy:  ${capture.strategy || 'none'} (when captured)
+Captured:  ${new Date(capture.capturedAt).toLocaleString()}
+Last seen: ${new Date(capture.lastSeenAt).toLocaleString()} (${capture.seen} time(s))
+`);
+  
+  const { parse } = capture;
+  if (parse.kind === 'locations') {
+    console.log(`Location strategy now: ${parse.strategy || 'none matched'}`);
+    parse.locations.forEach(item => console.log(`  ${item.name}: ${item.count}`));
+  } else {
+    console.log(`Read now as the ${parse.site} site${parse.structureChanged ? ' (structure check failed)' : ''}:`);
+    parse.types.forEach(item => {
+      console.log(`  ${item.type}: ${item.strategy ? `${item.count} via ${item.strategy}` : 'not found'}`);
+    });
+  }
+  
+  if (capture.report) {
+    console.log(`\n${capture.report}`);
+  }
+}
+
+/**
+ * Display recipients and their subscription state
+ * @param {Array<Object>} list - Recipients ({ address, format, digest, state, updatedAt })
+ */
+function displaySubscribers(list) {
+  console.log(`
+Subscribers
+-----------`);
+  
+  if (list.length === 0) {
+    console.log('No recipients configured.');
+    return;
+  }
+  
+  list.forEach(item => {
+    const digest = item.digest ? `, ${item.digest} digest` : '';
+    const changed = item.updatedAt ? ` (changed ${new Date(item.updatedAt).toLocaleString()})` : '';
+    console.log(`${item.address} [${item.format}${digest}]: ${item.state}${changed}`);
+  });
+}
+
+/**
+ * Display the notification template files
+ * @param {Array<Object>} list - Templates ({ name, variant, file, custom })
+ */
+function displayTemplates(list) {
+  console.log(`
+Notification Templates
+----------------------`);
+  list.forEach(item => {
+    console.log(`${item.custom ? 'custom ' : 'bundled'}  ${`${item.name}.${item.variant}`.padEnd(26)} ${item.file}`);
+  });
+  console.log('\nFiles in templates/ override the bundled ones. Run "templates preview" to render them.');
+}
+
+/**
+ * Display rendered template previews
+ * @param {Array<Object>} previews - Previews ({ name, kind, message })
+ * @param {boolean} showHtml - Include the HTML email body
+ */
+function displayTemplatePreviews(previews, showHtml) {
+  const indent = text => text.split('\n').map(line => `  ${line}`).join('\n');
+  
+  previews.forEach(({ name, kind, message }) => {
+    const title = name === kind ? name : `${name} (${kind})`;
+    console.log(`
+${title}
+${'='.repeat(title.length)}
+Subject: ${message.email.subject}
+
+SMS (${message.sms.text.length} chars):
+${indent(message.sms.text)}
+
+Email text:
+${indent(message.email.text)}${message.chat ? `
+
+Chat: ${message.chat.title}
+${indent(message.chat.text)}` : ''}${showHtml ? `
+
+Email HTML:
+${indent(message.email.html)}` : ''}`);
+  });
+}
+
+/**
+ * Format a duration in milliseconds for display
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} - Human-readable duration
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return 'n/a';
+  
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Display availability statistics
+ * @param {Object} stats - Statistics report
+ */
+function displayStats(stats) {
+  stats.series.forEach(series => {
+    const { summary, distribution, alertToClose } = series;
+    const title = series.location === 'total' ? series.type : `${series.type} / ${series.location}`;
+    
+    console.log(`
+${title}
+${'-'.repeat(title.length)}
+Windows:           ${summary.windows} (${summary.open} still open)
+Median length:     ${formatDuration(summary.medianDuration)}
+Average length:    ${formatDuration(summary.averageDuration)}
+Longest:           ${formatDuration(summary.longestDuration)}`);
+    
+    if (alertToClose) {
+      console.log(`Alerts sent:       ${alertToClose.alerts}
+Gone after alert:  median ${formatDuration(alertToClose.medianTimeToClose)}, fastest ${formatDuration(alertToClose.fastestTimeToClose)}, slowest ${formatDuration(alertToClose.slowestTimeToClose)}`);
+    }
+    
+    if (summary.windows === 0) return;
+    
+    const peak = Math.max(...distribution.byHour);
+    console.log('\nSlot drops by hour:');
+    distribution.byHour.forEach((count, hour) => {
+      if (count === 0) return;
+      const bar = '#'.repeat(Math.max(1, Math.round((count / peak) * 30)));
+      console.log(`  ${String(hour).padStart(2, '0')}:00  ${bar} ${count}`);
+    });
+    
+    console.log('\nSlot drops by day:');
+    Object.entries(distribution.byDayOfWeek).forEach(([day, count]) => {
+      console.log(`  ${day.padEnd(10)} ${count}`);
+    });
+  });
+}
+
 /**
  * Main function
  */
@@ -103,13 +588,13 @@ async function main() {
         app.init();
         app.start();
         break;
-        
+      
       case 'stop':
         // Just display message (actual stopping is done via process management)
         console.log('To stop the tracker, press Ctrl+C or use the stop script.');
         process.exit(0);
         break;
-        
+      
       case 'status':
         // Initialize app to load configuration
         app.init();
@@ -119,7 +604,7 @@ async function main() {
         displayStatus(status);
         process.exit(0);
         break;
-        
+      
       case 'test':
         // Initialize app
         app.init();
@@ -130,17 +615,261 @@ async function main() {
         displayTestResults(results);
         process.exit(0);
         break;
+      
+      case 'services':
+        app.init();
+        
+        console.log('Loading service catalog...');
+        const { services } = await app.getServiceCatalog({ refresh: true });
+        displayServices(services);
+        process.exit(0);
+        break;
+      
+      case 'agencies': {
+        const zip = args[1];
+        displayAgencies(app.getAgencies(zip), zip);
+        process.exit(0);
+        break;
+      }
+      
+      case 'carriers':
+        displayCarriers(app.getCarriers());
+        process.exit(0);
+        break;
+      
+      case 'selectors': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const action = positional[0] || 'show';
+        
+        if (action === 'test') {
+          if (!positional[1]) {
+            throw new Error('Usage: selectors test <html-file> [--site regular|mobile] [--url url]');
+          }
+          
+          const result = app.testSelectors(positional[1], { site: options.site, url: options.url });
+          if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else {
+            displaySelectorTest(result);
+          }
+        } else if (action === 'show') {
+          const definitions = app.getSelectors();
+          if (options.json) {
+            console.log(JSON.stringify(definitions, null, 2));
+          } else {
+            displaySelectors(definitions);
+          }
+        } else {
+          throw new Error(`Unknown selectors action: ${action}`);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'captures': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const action = positional[0] || 'list';
+        let result;
+        
+        if (action === 'list') {
+          result = app.getCaptures({
+            type: options.type,
+            reason: options.reason,
+            limit: options.limit ? parseInt(options.limit, 10) : 50
+          });
+        } else if (action === 'prune') {
+          result = app.pruneCaptures();
+        } else {
+          result = app.getCapture(action);
+          if (!result) {
+            throw new Error(`Capture ${action} not found`);
+          }
+        }
+        
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else if (action === 'list') {
+          displayCaptures(result);
+        } else if (action === 'prune') {
+          console.log(`Removed ${result.removed} capture(s), ${formatBytes(result.bytes)}.`);
+        } else {
+          displayCapture(result);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'replay': {
+        const { positional, options } = parseOptions(args.slice(1));
+        if (positional[0]) {
+          process.env.TRACKER_REPLAY_DIR = positional[0];
+          config.loadConfig();
+        }
+        
+        app.init();
+        const results = await app.runReplay(options.checks ? parseInt(options.checks, 10) : undefined);
+        
+        if (options.json) {
+          console.log(JSON.stringify(results, null, 2));
+        } else {
+          displayReplay(results);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'observations': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const observations = app.getObservations({
+          type: positional[0],
+          location: options.location,
+          from: options.from,
+          to: options.to,
+          limit: options.limit ? parseInt(options.limit, 10) : 50
+        });
+        
+        if (options.json) {
+          console.log(JSON.stringify(observations, null, 2));
+        } else {
+          displayObservations(observations);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'stats': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const stats = app.getStats({
+          type: positional[0],
+          location: options.location,
+          from: options.from,
+          to: options.to
+        });
+        
+        if (options.json) {
+          console.log(JSON.stringify(stats, null, 2));
+        } else {
+          displayStats(stats);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'notifications': {
+        const { positional, options } = parseOptions(args.slice(1));
+        
+        if (positional[0] && !STATUSES.includes(positional[0])) {
+          const notification = app.getNotification(positional[0]);
+          if (!notification) {
+            throw new Error(`Notification ${positional[0]} not found`);
+          }
+          if (options.json) {
+            console.log(JSON.stringify(notification, null, 2));
+          } else {
+            displayNotification(notification);
+          }
+        } else {
+          const result = app.getNotifications({
+            status: positional[0],
+            limit: options.limit ? parseInt(options.limit, 10) : 50
+          });
+          if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else {
+            displayNotifications(result);
+          }
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'templates': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const action = positional[0] || 'list';
         
+        if (action === 'preview') {
+          const previews = app.previewTemplates(positional[1]);
+          if (options.json) {
+            console.log(JSON.stringify(previews, null, 2));
+          } else {
+            displayTemplatePreviews(previews, options.html === true);
+          }
+        } else if (action === 'list') {
+          const list = app.listTemplates();
+          if (options.json) {
+            console.log(JSON.stringify(list, null, 2));
+          } else {
+            displayTemplates(list);
+          }
+        } else {
+          throw new Error(`Unknown templates action: ${action}`);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'subscribers': {
+        const { positional, options } = parseOptions(args.slice(1));
+        
+        if (positional[0]) {
+          if (!ACTIONS.includes(positional[0]) || !positional[1]) {
+            throw new Error(`Usage: subscribers [${ACTIONS.join(' | ')} <address>]`);
+          }
+          app.updateSubscriber(positional[1], positional[0]);
+        }
+        
+        const list = app.getSubscribers();
+        if (options.json) {
+          console.log(JSON.stringify(list, null, 2));
+        } else {
+          displaySubscribers(list);
+        }
+        process.exit(0);
+        break;
+      }
+      
+      case 'storage': {
+        const { positional, options } = parseOptions(args.slice(1));
+        const action = positional[0] || 'info';
+        
+        if (action === 'import') {
+          if (!positional[1]) {
+            throw new Error('Usage: storage import <file> [--force]');
+          }
+          
+          const result = app.importStorage(positional[1], { force: options.force === true });
+          console.log(result.skipped
+            ? `${positional[1]} was already imported. Use --force to import it again.`
+            : `Imported ${result.types} current state(s), ${result.history} history entries, ${result.observations} observation(s) and ${result.notifications} notification(s).`);
+        } else if (action === 'info') {
+          const info = app.getStorageInfo();
+          console.log(`
+Storage
+-------
+Backend:       ${info.backend}
+Location:      ${info.path}
+Types:         ${info.types}
+History:       ${info.history}
+Observations:  ${info.observations}${info.schemaVersion !== undefined ? `
+Schema:        v${info.schemaVersion}` : ''}
+`);
+        } else {
+          throw new Error(`Unknown storage action: ${action}`);
+        }
+        process.exit(0);
+        break;
+      }
+      
       case 'version':
         showVersion();
         process.exit(0);
         break;
-        
+      
       case 'help':
         showUsage();
         process.exit(0);
         break;
-        
+      
       default:
         console.error(`Unknown command: ${command}`);
         showUsage();
@@ -6,20 +6,38 @@
  * - Historical tracking of availability
  * - Data persistence
  * - State change detection
+ * - Per-location availability
+ * - Any NJMVC service type, not just REAL ID
+ * - Complete observation time series with retention policy
+ * - Pluggable storage backends (JSON file or SQLite)
  */
 
-const fs = require('fs');
 const path = require('path');
 
 const logger = require('../utils/logger').child('appointment');
+const { config } = require('../utils/config');
+const { createStorage } = require('./storage');
+
+// Pruning rewrites what it keeps, so checks apply retention at most this often
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Check whether a type can be stored
+ * @param {string} type - Appointment type ('regular', 'mobile' or 'service-<wizardId>')
+ * @returns {boolean} - True if the type is valid
+ */
+function isValidType(type) {
+  return type === 'regular' || type === 'mobile' || /^service-\d+$/.test(type);
+}
 
 class AppointmentData {
-  constructor({ id, type, count, timestamp, location }) {
+  constructor({ id, type, count, timestamp, location, locations }) {
     this.id = id || `${type}-${Date.now()}`;
-    this.type = type; // 'regular' or 'mobile'
+    this.type = type; // 'regular', 'mobile' or 'service-<wizardId>'
     this.count = count || 0;
     this.timestamp = timestamp || new Date();
     this.location = location || (type === 'regular' ? 'Regular DMV' : 'Mobile Unit');
+    this.locations = Array.isArray(locations) ? locations : []; // Per-agency availability
   }
   
   /**
@@ -32,7 +50,8 @@ class AppointmentData {
       type: this.type,
       count: this.count,
       timestamp: this.timestamp.toISOString(),
-      location: this.location
+      location: this.location,
+      locations: this.locations
     };
   }
   
@@ -47,7 +66,50 @@ class AppointmentData {
       type: data.type,
       count: data.count,
       timestamp: new Date(data.timestamp),
-      location: data.location
+      location: data.location,
+      locations: data.locations
+    });
+  }
+}
+
+class Observation {
+  constructor({ timestamp, type, location, locationId, count, duration, success, error }) {
+    this.timestamp = timestamp || new Date();
+    this.type = type;
+    this.location = location || null; // Agency name, or null for the type total
+    this.locationId = locationId || null;
+    this.count = count;
+    this.duration = duration !== undefined ? duration : null; // Check duration in milliseconds
+    this.success = success !== false;
+    this.error = error || null;
+  }
+  
+  /**
+   * Convert to JSON-serializable object
+   * @returns {Object} - Plain object representation
+   */
+  toJSON() {
+    return {
+      timestamp: this.timestamp.toISOString(),
+      type: this.type,
+      location: this.location,
+      locationId: this.locationId,
+      count: this.count,
+      duration: this.duration,
+      success: this.success,
+      error: this.error
+    };
+  }
+  
+  /**
+   * Create from JSON data
+   * @param {Object} data - JSON data
+   * @returns {Observation} - Observation object
+   */
+  static fromJSON(data) {
+    return new Observation({
+      ...data,
+      timestamp: new Date(data.timestamp)
     });
   }
 }
@@ -55,8 +117,16 @@ class AppointmentData {
 class AppointmentStore {
   constructor(options = {}) {
     this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
-    this.dataFile = options.dataFile || path.join(this.dataDir, 'appointments.json');
+    this.storage = options.storage || createStorage({
+      backend: config.get('TRACKER_STORAGE'),
+      path: options.dataFile || config.get('TRACKER_STORAGE_PATH'),
+      dataDir: this.dataDir
+    });
     this.maxHistory = options.maxHistory || 100; // Maximum history entries per type
+    this.retentionDays = options.retentionDays || config.get('TRACKER_OBSERVATION_RETENTION_DAYS');
+    this.maxObservations = options.maxObservations || config.get('TRACKER_OBSERVATION_MAX');
+    this.retainedAt = 0;
+    this.listed = new Map(); // Locations with slots at the last readable list, by type
     
     // Current appointment state
     this.current = {
@@ -70,12 +140,8 @@ class AppointmentStore {
       mobile: []
     };
     
-    // Create data directory if it doesn't exist
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
-    
-    // Try to load existing data
+    // Open storage and load existing data
+    this.storage.open();
     this.load();
   }
   
@@ -84,86 +150,129 @@ class AppointmentStore {
    */
   load() {
     try {
-      if (fs.existsSync(this.dataFile)) {
-        const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
-        
-        // Load current state
-        if (data.current) {
-          if (data.current.regular) {
-            this.current.regular = AppointmentData.fromJSON(data.current.regular);
-          }
-          if (data.current.mobile) {
-            this.current.mobile = AppointmentData.fromJSON(data.current.mobile);
-          }
+      const data = this.storage.load();
+      
+      // Load current state
+      Object.entries(data.current).forEach(([type, item]) => {
+        if (item && isValidType(type)) {
+          this.current[type] = AppointmentData.fromJSON(item);
         }
-        
-        // Load history
-        if (data.history) {
-          if (Array.isArray(data.history.regular)) {
-            this.history.regular = data.history.regular.map(item => 
-              AppointmentData.fromJSON(item)
-            );
-          }
-          if (Array.isArray(data.history.mobile)) {
-            this.history.mobile = data.history.mobile.map(item => 
-              AppointmentData.fromJSON(item)
-            );
-          }
+      });
+      
+      // Load history
+      Object.entries(data.history).forEach(([type, items]) => {
+        if (Array.isArray(items) && isValidType(type)) {
+          this.history[type] = items.map(item => AppointmentData.fromJSON(item));
         }
-        
-        logger.info('Appointment data loaded from storage');
-      } else {
-        logger.info('No existing appointment data found');
-      }
+      });
     } catch (error) {
       logger.error(`Error loading appointment data: ${error.message}`, { error });
     }
   }
   
   /**
-   * Save data to storage
+   * Save current state and history to storage
    */
   save() {
     try {
       const data = {
-        current: {
-          regular: this.current.regular ? this.current.regular.toJSON() : null,
-          mobile: this.current.mobile ? this.current.mobile.toJSON() : null
-        },
-        history: {
-          regular: this.history.regular.map(item => item.toJSON()),
-          mobile: this.history.mobile.map(item => item.toJSON())
-        }
+        current: {},
+        history: {}
       };
       
-      fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
-      logger.debug('Appointment data saved to storage');
+      Object.entries(this.current).forEach(([type, item]) => {
+        data.current[type] = item ? item.toJSON() : null;
+      });
+      Object.entries(this.history).forEach(([type, items]) => {
+        data.history[type] = items.map(item => item.toJSON());
+      });
+      
+      this.storage.saveState(data);
     } catch (error) {
       logger.error(`Error saving appointment data: ${error.message}`, { error });
     }
   }
   
+  /**
+   * Close the storage backend
+   */
+  close() {
+    this.storage.close();
+  }
+  
+  /**
+   * Describe the storage backend and what it holds
+   * @returns {Object} - { backend, path, types, history, observations, alerts }
+   */
+  getStorageInfo() {
+    return {
+      backend: this.storage.name,
+      path: this.storage.path,
+      ...this.storage.stats()
+    };
+  }
+  
+  /**
+   * Import an existing appointments.json file into the storage backend
+   * @param {string} file - Path to appointments.json
+   * @param {Object} [options={}] - Import options ({ force })
+   * @returns {Object} - Import result ({ imported, skipped, types, history, observations, notifications })
+   */
+  importJson(file, options = {}) {
+    if (typeof this.storage.importJson !== 'function') {
+      throw new Error(`The ${this.storage.name} storage backend cannot import files. Set TRACKER_STORAGE=sqlite first`);
+    }
+    
+    const result = this.storage.importJson(file, options);
+    
+    // Pick up imported state
+    this.load();
+    return result;
+  }
+  
+  /**
+   * Build a comparable signature of per-location counts
+   * @param {Array<Object>} locations - Per-location availability
+   * @returns {string} - Signature string
+   */
+  _locationSignature(locations) {
+    return (locations || [])
+      .map(location => `${location.id}:${location.count}`)
+      .sort()
+      .join('|');
+  }
+  
   /**
    * Update appointment data
-   * @param {string} type - Appointment type ('regular' or 'mobile')
+   * @param {string} type - Appointment type ('regular', 'mobile' or 'service-<wizardId>')
    * @param {number} count - Appointment count
+   * @param {Array<Object>} [locations=[]] - Per-location availability from the scraper
+   * @param {Object} [options={}] - Additional options
+   * @param {string} [options.label] - Display name for the type (e.g. the service title)
    * @returns {Object} - Information about the update
    */
-  update(type, count) {
-    if (type !== 'regular' && type !== 'mobile') {
+  update(type, count, locations = [], options = {}) {
+    if (!isValidType(type)) {
       throw new Error(`Invalid appointment type: ${type}`);
     }
     
+    if (!this.history[type]) {
+      this.history[type] = [];
+    }
+    
     // Create new appointment data
     const newData = new AppointmentData({
       type,
       count,
-      timestamp: new Date()
+      timestamp: new Date(),
+      location: options.label,
+      locations
     });
     
     // Check if state has changed
-    const previousData = this.current[type];
-    const hasChanged = !previousData || previousData.count !== count;
+    const previousData = this.current[type] || null;
+    const hasChanged = !previousData || previousData.count !== count ||
+      this._locationSignature(previousData.locations) !== this._locationSignature(locations);
     
     // Only process updates if state has changed or previous data is null
     if (hasChanged) {
@@ -190,63 +299,227 @@ class AppointmentStore {
       type,
       count,
       previousCount: previousData?.count || 0,
+      locations: newData.locations,
+      previousLocations: previousData ? previousData.locations : [],
       hasChanged,
       becameAvailable: count > 0 && (!previousData || previousData.count === 0),
       timestamp: newData.timestamp
     };
   }
   
+  /**
+   * Record the result of a check as observations: one for the type total and
+   * one per location. Locations that had slots at the last check and are
+   * gone now get a 0, so their availability windows close.
+   * @param {Object} check - Check result
+   * @param {string} check.type - Appointment type
+   * @param {number} check.count - Total count (-1 if the check failed)
+   * @param {Array<Object>} [check.locations=[]] - Per-location availability
+   * @param {number} [check.duration] - Check duration in milliseconds
+   * @param {string} [check.error] - Error message for failed checks
+   * @returns {Array<Observation>} - Recorded observations
+   */
+  recordCheck({ type, count, locations = [], duration, error }) {
+    if (!isValidType(type)) {
+      throw new Error(`Invalid appointment type: ${type}`);
+    }
+    
+    const timestamp = new Date();
+    const success = count >= 0;
+    const closed = success ? this._closedLocations(type, count, locations) : [];
+    const recorded = [
+      new Observation({
+        timestamp,
+        type,
+        count: success ? count : null,
+        duration,
+        success,
+        error: success ? null : (error || 'Check failed')
+      }),
+      ...locations.map(location => new Observation({
+        timestamp,
+        type,
+        location: location.name,
+        locationId: location.id,
+        count: location.count,
+        duration,
+        success: true
+      })),
+      ...closed.map(location => new Observation({
+        timestamp,
+        type,
+        location: location.name,
+        locationId: location.id,
+        count: 0,
+        duration,
+        success: true
+      }))
+    ];
+    
+    try {
+      this.storage.appendObservations(recorded.map(item => item.toJSON()));
+      if (timestamp.getTime() - this.retainedAt >= RETENTION_INTERVAL) {
+        this.applyRetention();
+      }
+    } catch (error) {
+      logger.error(`Error saving observations: ${error.message}`, { error });
+    }
+    
+    return recorded;
+  }
+  
+  /**
+   * Find the locations with slots at the last readable list that a check no longer lists
+   *
+   * The scraper only reads the location list while the total is above 0, so
+   * a total of 0 closes every location. An empty list with slots left means
+   * the list could not be read, which closes nothing.
+   *
+   * @param {string} type - Appointment type
+   * @param {number} count - Total count of the check
+   * @param {Array<Object>} locations - Locations the check listed
+   * @returns {Array<Object>} - Previously listed locations ({ id, name, count })
+   */
+  _closedLocations(type, count, locations) {
+    if (count > 0 && locations.length === 0) return [];
+    
+    if (!this.listed.has(type)) {
+      this.listed.set(type, this.current[type] ? this.current[type].locations : []);
+    }
+    const previous = this.listed.get(type);
+    this.listed.set(type, locations.filter(location => location.count > 0));
+    
+    const ids = new Set(locations.map(location => String(location.id)));
+    return previous.filter(location => location.count > 0 && !ids.has(String(location.id)));
+  }
+  
+  /**
+   * Record that an availability alert was sent
+   * @param {Object} alert - Alert details
+   * @param {string} alert.type - Appointment type
+   * @param {number} alert.count - Appointment count that triggered the alert
+   * @param {boolean} alert.delivered - Whether any recipient or channel received it
+   * @returns {Object} - Recorded alert ({ timestamp, type, count, delivered })
+   */
+  recordAlert({ type, count, delivered }) {
+    const alert = {
+      timestamp: new Date().toISOString(),
+      type,
+      count,
+      delivered: Boolean(delivered)
+    };
+    
+    try {
+      this.storage.appendAlert(alert);
+    } catch (error) {
+      logger.error(`Error saving alert: ${error.message}`, { error });
+    }
+    
+    return alert;
+  }
+  
+  /**
+   * Query recorded alerts
+   * @param {Object} [filter={}] - Query filter ({ type, from, to })
+   * @returns {Array<Object>} - Alerts, oldest first
+   */
+  getAlerts(filter = {}) {
+    return this.storage.queryAlerts(filter);
+  }
+  
+  /**
+   * Drop observations and alerts older than the retention period, and observations beyond the maximum count;
+   * checks run this at most once an hour
+   * @returns {number} - Number of observations removed
+   */
+  applyRetention() {
+    this.retainedAt = Date.now();
+    const removed = this.storage.pruneObservations({
+      before: this.retentionDays > 0 ? new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000) : null,
+      max: this.maxObservations
+    });
+    
+    if (removed > 0) {
+      logger.debug(`Retention removed ${removed} observation(s)`);
+    }
+    return removed;
+  }
+  
+  /**
+   * Query recorded observations
+   * @param {Object} [filter={}] - Query filter
+   * @param {string} [filter.type] - Appointment type
+   * @param {string} [filter.location] - Location name or ID; use 'total' for type totals only
+   * @param {Date|string} [filter.from] - Earliest timestamp (inclusive)
+   * @param {Date|string} [filter.to] - Latest timestamp (inclusive)
+   * @param {boolean} [filter.success] - Only successful (true) or failed (false) checks
+   * @param {number} [filter.limit] - Return only the most recent N observations
+   * @returns {Array<Observation>} - Matching observations, oldest first
+   */
+  getObservations(filter = {}) {
+    return this.storage.queryObservations(filter).map(item => Observation.fromJSON(item));
+  }
+  
   /**
    * Get current appointment state
-   * @param {string} [type] - Optional type filter ('regular' or 'mobile')
+   * @param {string} [type] - Optional type filter ('regular', 'mobile' or 'service-<wizardId>')
    * @returns {Object} - Current appointment state
    */
   getCurrentState(type) {
     if (type) {
-      return this.current[type];
+      return this.current[type] || null;
     }
     return this.current;
   }
   
+  /**
+   * Get the types that have been tracked
+   * @returns {Array<string>} - Appointment types
+   */
+  getTypes() {
+    return Array.from(new Set([...Object.keys(this.current), ...Object.keys(this.history)]));
+  }
+  
   /**
    * Get appointment history
-   * @param {string} [type] - Optional type filter ('regular' or 'mobile')
+   * @param {string} [type] - Optional type filter ('regular', 'mobile' or 'service-<wizardId>')
    * @param {number} [limit] - Maximum number of entries to return
    * @returns {Array} - Appointment history
    */
   getHistory(type, limit) {
     if (type) {
-      return limit ? this.history[type].slice(0, limit) : this.history[type];
+      const history = this.history[type] || [];
+      return limit ? history.slice(0, limit) : history;
     }
     
     // Return combined history, sorted by timestamp (newest first)
-    const combined = [
-      ...this.history.regular,
-      ...this.history.mobile
-    ].sort((a, b) => b.timestamp - a.timestamp);
+    const combined = Object.values(this.history)
+      .reduce((all, items) => all.concat(items), [])
+      .sort((a, b) => b.timestamp - a.timestamp);
     
     return limit ? combined.slice(0, limit) : combined;
   }
   
   /**
    * Get latest appointment data
-   * @param {string} type - Appointment type ('regular' or 'mobile')
+   * @param {string} type - Appointment type ('regular', 'mobile' or 'service-<wizardId>')
    * @returns {AppointmentData|null} - Latest appointment data or null
    */
   getLatest(type) {
-    return this.current[type];
+    return this.current[type] || null;
   }
   
   /**
    * Clear history for a specific type or all
-   * @param {string} [type] - Optional type to clear ('regular' or 'mobile')
+   * @param {string} [type] - Optional type to clear ('regular', 'mobile' or 'service-<wizardId>')
    */
   clearHistory(type) {
     if (type) {
       this.history[type] = [];
     } else {
-      this.history.regular = [];
-      this.history.mobile = [];
+      Object.keys(this.history).forEach(key => {
+        this.history[key] = [];
+      });
     }
     this.save();
     logger.info(`Appointment history cleared${type ? ` for ${type}` : ''}`);
@@ -256,5 +529,7 @@ class AppointmentStore {
 module.exports = {
   AppointmentData,
   AppointmentStore,
+  Observation,
+  isValidType,
   store: new AppointmentStore() // Singleton instance
 };
@@ -0,0 +1,283 @@
+/**
+ * Notification outbox for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - One durable entry per message and target (email recipient or channel)
+ * - Stored through the configured storage backend, so it survives restarts
+ * - Delivery state: pending until sent, failed after the last attempt, or
+ *   expired when an alert is too old to be useful
+ * - Audit log of every delivery attempt (recipient, channel, status, error, latency)
+ * - Emits 'enqueued' so the delivery worker can start right away
+ * - Alerts held back for recipients in quiet hours until their summary
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const logger = require('../utils/logger').child('outbox');
+const { store: appointmentStore } = require('./appointment');
+
+// Outbox entry states
+const STATUSES = ['pending', 'sent', 'failed', 'expired'];
+
+class OutboxItem {
+  constructor({ id, createdAt, target, channel, recipient, event, type, rule, payload, status, attempts, nextAttemptAt, lastError, sentAt }) {
+    this.id = id || `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    this.createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.target = target; // Recipient ID or channel:<name>, as used for cooldowns
+    this.channel = channel; // 'email' or the channel name
+    this.recipient = recipient || null; // Email address, or null for channels
+    this.event = event || null;
+    this.type = type || null; // Appointment type the message is about
+    this.rule = rule || null; // Alert rule that produced it
+    this.payload = payload; // Mail options for email, channel message otherwise
+    this.status = status || 'pending';
+    this.attempts = attempts || 0;
+    // New entries are due right away; finished ones have no next attempt
+    this.nextAttemptAt = nextAttemptAt !== undefined ? (nextAttemptAt && new Date(nextAttemptAt)) : this.createdAt;
+    this.lastError = lastError || null;
+    this.sentAt = sentAt ? new Date(sentAt) : null;
+  }
+  
+  /**
+   * Convert to JSON-serializable object
+   * @returns {Object} - Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      createdAt: this.createdAt.toISOString(),
+      target: this.target,
+      channel: this.channel,
+      recipient: this.recipient,
+      event: this.event,
+      type: this.type,
+      rule: this.rule,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      nextAttemptAt: this.nextAttemptAt ? this.nextAttemptAt.toISOString() : null,
+      lastError: this.lastError,
+      sentAt: this.sentAt ? this.sentAt.toISOString() : null
+    };
+  }
+  
+  /**
+   * Create from JSON data
+   * @param {Object} data - JSON data
+   * @returns {OutboxItem} - Outbox entry
+   */
+  static fromJSON(data) {
+    return new OutboxItem(data);
+  }
+}
+
+class Outbox extends EventEmitter {
+  /**
+   * @param {AppointmentStore} [store] - Store whose storage backend holds the outbox
+   */
+  constructor(store = appointmentStore) {
+    super();
+    this.store = store;
+  }
+  
+  /**
+   * Storage backend of the appointment store
+   * @returns {StorageBackend} - Backend
+   */
+  get storage() {
+    return this.store.storage;
+  }
+  
+  /**
+   * Add a message for one target
+   * @param {Object} entry - Outbox entry ({ target, channel, recipient, event, type, rule, payload })
+   * @returns {OutboxItem} - Stored entry
+   */
+  enqueue(entry) {
+    const item = new OutboxItem(entry);
+    this.storage.appendNotification(item.toJSON());
+    logger.debug(`Queued ${item.event || 'notification'} ${item.id} for ${item.target}`);
+    this.emit('enqueued', item);
+    return item;
+  }
+  
+  /**
+   * Get pending entries whose next attempt is due
+   * @param {Date} [now=new Date()] - Reference time
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {Array<OutboxItem>} - Due entries, longest waiting first
+   */
+  getDue(now = new Date(), limit) {
+    return this.storage.queryNotifications({ status: 'pending', dueBefore: now, limit }).map(OutboxItem.fromJSON);
+  }
+  
+  /**
+   * Get one entry
+   * @param {string} id - Entry ID
+   * @returns {OutboxItem|null} - Entry or null
+   */
+  get(id) {
+    const [item] = this.storage.queryNotifications({ id });
+    return item ? OutboxItem.fromJSON(item) : null;
+  }
+  
+  /**
+   * List entries
+   * @param {Object} [filter={}] - Filter ({ status, limit })
+   * @returns {Array<OutboxItem>} - Entries, newest first
+   */
+  list(filter = {}) {
+    if (filter.status && !STATUSES.includes(filter.status)) {
+      throw new Error(`Unknown notification status "${filter.status}" (expected ${STATUSES.join(', ')})`);
+    }
+    return this.storage.queryNotifications(filter).map(OutboxItem.fromJSON);
+  }
+  
+  /**
+   * Count entries by status
+   * @returns {Object} - { pending, sent, failed, expired }
+   */
+  counts() {
+    const counts = {};
+    STATUSES.forEach(status => {
+      counts[status] = this.storage.queryNotifications({ status }).length;
+    });
+    return counts;
+  }
+  
+  /**
+   * Update an entry and persist the change
+   * @param {OutboxItem} item - Entry to update
+   * @param {Object} changes - Fields to change ({ status, attempts, nextAttemptAt, lastError, sentAt })
+   */
+  _update(item, changes) {
+    Object.assign(item, changes);
+    const stored = item.toJSON();
+    const persisted = {};
+    Object.keys(changes).forEach(key => {
+      persisted[key] = stored[key];
+    });
+    this.storage.updateNotification(item.id, persisted);
+  }
+  
+  /**
+   * Mark an entry as delivered
+   * @param {OutboxItem} item - Entry
+   * @param {Date} [now=new Date()] - Delivery time
+   */
+  markSent(item, now = new Date()) {
+    this._update(item, { status: 'sent', sentAt: now, nextAttemptAt: null, lastError: null });
+  }
+  
+  /**
+   * Schedule another attempt for an entry
+   * @param {OutboxItem} item - Entry
+   * @param {string} error - Error of the failed attempt
+   * @param {Date} nextAttemptAt - When to try again
+   */
+  markRetry(item, error, nextAttemptAt) {
+    this._update(item, { lastError: error, nextAttemptAt });
+  }
+  
+  /**
+   * Give up on an entry
+   * @param {OutboxItem} item - Entry
+   * @param {string} error - Reason
+   * @param {string} [status='failed'] - 'failed' or 'expired'
+   */
+  markFailed(item, error, status = 'failed') {
+    this._update(item, { status, lastError: error, nextAttemptAt: null });
+  }
+  
+  /**
+   * Record a delivery attempt and count it against the entry
+   * @param {OutboxItem} item - Entry
+   * @param {Object} result - Attempt result ({ success, error, statusCode, latency })
+   * @param {Date} [now=new Date()] - Attempt time
+   * @returns {Object} - Recorded attempt
+   */
+  recordAttempt(item, result, now = new Date()) {
+    const attempt = {
+      notificationId: item.id,
+      timestamp: now.toISOString(),
+      recipient: item.recipient,
+      channel: item.channel,
+      status: result.success ? 'sent' : 'failed',
+      error: result.error || null,
+      latency: result.latency !== undefined ? result.latency : null,
+      statusCode: result.statusCode || null
+    };
+    
+    this.storage.appendDeliveryAttempt(attempt);
+    this._update(item, { attempts: item.attempts + 1 });
+    return attempt;
+  }
+  
+  /**
+   * Get the delivery attempts of an entry, or the latest attempts overall
+   * @param {Object} [filter={}] - Filter ({ notificationId, limit })
+   * @returns {Array<Object>} - Attempts, newest first
+   */
+  getAttempts(filter = {}) {
+    return this.storage.queryDeliveryAttempts(filter);
+  }
+  
+  /**
+   * Hold an alert for a recipient in quiet hours; a newer alert of the same type replaces the older one
+   * @param {string} recipientId - Recipient ID
+   * @param {Object} alert - Alert ({ type, count, locations, details })
+   * @param {Date} [now=new Date()] - When the alert was raised
+   */
+  hold(recipientId, alert, now = new Date()) {
+    this.storage.saveHeldAlert({
+      recipientId,
+      type: alert.type,
+      count: alert.count,
+      locations: alert.locations || [],
+      details: alert.details || {},
+      raisedAt: now.toISOString()
+    });
+  }
+  
+  /**
+   * Get the alerts held for recipients in quiet hours
+   * @returns {Map<string, Array<Object>>} - Held alerts ({ type, count, locations, details, raisedAt }) by recipient ID
+   */
+  getHeld() {
+    const held = new Map();
+    this.storage.queryHeldAlerts().forEach(({ recipientId, ...alert }) => {
+      if (!held.has(recipientId)) held.set(recipientId, []);
+      held.get(recipientId).push(alert);
+    });
+    return held;
+  }
+  
+  /**
+   * Forget the alerts held for a recipient, once summarized or dropped
+   * @param {string} recipientId - Recipient ID
+   */
+  release(recipientId) {
+    this.storage.deleteHeldAlerts(recipientId);
+  }
+  
+  /**
+   * Remove finished entries older than a cutoff
+   * @param {Date} before - Cutoff
+   * @returns {number} - Number of entries removed
+   */
+  prune(before) {
+    const removed = this.storage.pruneNotifications(before);
+    if (removed > 0) {
+      logger.info(`Removed ${removed} finished notification(s) from the outbox`);
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  OutboxItem,
+  Outbox,
+  STATUSES,
+  outbox: new Outbox() // Singleton instance
+};
@@ -0,0 +1,329 @@
+/**
+ * Recipient model for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Any number of email and phone (SMS gateway) recipients
+ * - Phone recipients entered as a number plus a carrier, with the gateway
+ *   address taken from the bundled carrier directory
+ * - Per-recipient message format (short SMS text or rich HTML email)
+ * - Recipients assembled from configuration on every read
+ * - Per-recipient quiet hours in a named time zone
+ * - Per-recipient choice of alert rules
+ * - Subscriber filters by agency, distance from a home ZIP code and service
+ * - Opt-in daily or weekly digest
+ */
+
+const logger = require('../utils/logger').child('recipient');
+const { config } = require('../utils/config');
+const { parseWindows, isWithinWindows, nextWindowEnd } = require('../utils/timeWindows');
+const { normalize, distanceMiles, lookupZip, locateLocation } = require('../utils/geo');
+const carriers = require('../utils/carriers');
+
+// Message formats a recipient can receive
+const FORMATS = ['sms', 'email'];
+
+// Digest periods a recipient can opt into
+const DIGESTS = ['daily', 'weekly'];
+
+// Email-to-SMS gateway domains, used to pick a format when none is given
+const SMS_GATEWAY_DOMAINS = [...new Set(carriers.listCarriers().flatMap(carrier => [carrier.sms, carrier.mms]))];
+
+class Recipient {
+  constructor({ id, name, address, phone, carrier, format, quietHours, timezone, rules, locations, zip, maxDistance, services, digest }) {
+    const known = carriers.findCarrier(carrier);
+    this.phone = carriers.normalizePhone(phone); // Ten-digit number, or null
+    this.carrier = known ? known.id : null; // Carrier ID from the directory, or null
+    this.address = String(address || (this.phone && this.carrier ? carriers.gatewayAddress(this.phone, this.carrier) : '')).trim();
+    this.format = format || Recipient.detectFormat(this.address);
+    this.id = id || `${this.format}:${this.address.toLowerCase()}`;
+    this.name = name || this.address;
+    this.quietHours = quietHours !== undefined ? quietHours : null; // Windows, or null for TRACKER_QUIET_HOURS
+    this.timezone = timezone || null; // IANA time zone, or null for TRACKER_TIMEZONE
+    this.rules = Array.isArray(rules) ? rules : null; // Alert rule names, or null for every rule
+    this.locations = Array.isArray(locations) ? locations : null; // Agency names or location IDs, or null for all
+    this.zip = zip ? String(zip) : null; // Home ZIP code for maxDistance
+    this.maxDistance = maxDistance !== undefined && maxDistance !== null ? Number(maxDistance) : null; // Miles from zip
+    this.services = Array.isArray(services) ? services : null; // Appointment types or service titles, or null for all
+    this.digest = DIGESTS.includes(digest) ? digest : null; // 'daily', 'weekly', or null for no digest
+  }
+  
+  /**
+   * Guess the format for an address based on its domain
+   * @param {string} address - Email or SMS gateway address
+   * @returns {string} - 'sms' for known SMS gateways, otherwise 'email'
+   */
+  static detectFormat(address) {
+    const domain = String(address || '').split('@').pop().toLowerCase();
+    return SMS_GATEWAY_DOMAINS.includes(domain) ? 'sms' : 'email';
+  }
+  
+  /**
+   * Whether this recipient should get short SMS-style messages
+   * @returns {boolean} - True for SMS recipients
+   */
+  isSms() {
+    return this.format === 'sms';
+  }
+  
+  /**
+   * Get the longest SMS text this recipient can receive
+   *
+   * Recipients with a carrier get the limit of its MMS gateway, since
+   * long texts go there; raw addresses get the limit of their gateway.
+   *
+   * @returns {number} - Maximum text length
+   */
+  getSmsLimit() {
+    const address = this.carrier && this.phone ? carriers.gatewayAddress(this.phone, this.carrier, 'mms') : this.address;
+    return carriers.getLimit(address);
+  }
+  
+  /**
+   * Get the gateway address for an SMS text
+   * @param {string} text - SMS text
+   * @returns {string} - The MMS gateway for recipients with a carrier whose text is too long for SMS, otherwise the address
+   */
+  getSmsAddress(text) {
+    if (this.carrier && this.phone && text.length > carriers.SMS_LIMIT) {
+      return carriers.gatewayAddress(this.phone, this.carrier, 'mms');
+    }
+    return this.address;
+  }
+  
+  /**
+   * Get the quiet-hours windows that apply to this recipient
+   * @returns {Array<Object>} - Parsed windows (empty if the recipient has no quiet hours)
+   */
+  getQuietWindows() {
+    const spec = this.quietHours !== null ? this.quietHours : config.get('TRACKER_QUIET_HOURS');
+    
+    try {
+      return parseWindows(spec);
+    } catch (error) {
+      logger.warn(`Ignoring quiet hours for ${this.address}: ${error.message}`);
+      return [];
+    }
+  }
+  
+  /**
+   * Get the time zone this recipient's quiet hours are written in
+   * @returns {string} - IANA time zone
+   */
+  getTimeZone() {
+    return this.timezone || config.get('TRACKER_TIMEZONE');
+  }
+  
+  /**
+   * Whether the recipient is in quiet hours
+   * @param {Date} [date=new Date()] - Time to check
+   * @returns {boolean} - True if alerts should be held back
+   */
+  isQuiet(date = new Date()) {
+    return isWithinWindows(date, this.getQuietWindows(), this.getTimeZone());
+  }
+  
+  /**
+   * Find when the recipient's current quiet hours end
+   * @param {Date} [date=new Date()] - Reference time
+   * @returns {Date|null} - First time the recipient can be notified again, or null if not quiet
+   */
+  getQuietUntil(date = new Date()) {
+    return nextWindowEnd(date, this.getQuietWindows(), this.getTimeZone());
+  }
+  
+  /**
+   * Whether the recipient wants alerts for an appointment type
+   * @param {string} type - Site type (regular, mobile) or catalog service type (service-<wizardId>)
+   * @param {Object} [details={}] - Service details ({ title }) for catalog services
+   * @returns {boolean} - True if the type passes the recipient's service filter
+   */
+  wantsService(type, details = {}) {
+    if (!this.services) return true;
+    
+    const names = [type, details.title].filter(Boolean).map(normalize);
+    return this.services.some(service => names.includes(normalize(service)));
+  }
+  
+  /**
+   * Whether the recipient filters by location at all
+   * @returns {boolean} - True if an agency list or a distance limit is set
+   */
+  hasLocationFilter() {
+    return this.locations !== null || this._getHome() !== null;
+  }
+  
+  /**
+   * Get the home coordinates used for the distance limit
+   * @returns {Object|null} - { lat, lon }, or null without a usable zip and maxDistance
+   */
+  _getHome() {
+    if (!this.zip || this.maxDistance === null) return null;
+    return lookupZip(this.zip);
+  }
+  
+  /**
+   * Whether a location passes the recipient's location filters
+   *
+   * A location matches if it is in the agency list or within maxDistance of
+   * the home ZIP. Locations the bundled tables cannot place pass the
+   * distance check, so a new agency is not silently filtered out.
+   *
+   * @param {Object} location - Location ({ id, name, address })
+   * @returns {boolean} - True if the recipient should hear about this location
+   */
+  matchesLocation(location) {
+    if (!this.hasLocationFilter()) return true;
+    
+    if (this.locations) {
+      const name = ` ${normalize(location.name)} `;
+      const listed = this.locations.some(entry =>
+        String(entry) === String(location.id) || name.includes(` ${normalize(entry)} `)
+      );
+      if (listed) return true;
+    }
+    
+    const home = this._getHome();
+    if (!home) return false;
+    
+    const position = locateLocation(location);
+    return !position || distanceMiles(home, position) <= this.maxDistance;
+  }
+  
+  /**
+   * Keep only the locations that pass the recipient's location filters
+   * @param {Array<Object>} locations - Per-location availability
+   * @returns {Array<Object>} - Matching locations
+   */
+  filterLocations(locations) {
+    return (locations || []).filter(location => this.matchesLocation(location));
+  }
+  
+  /**
+   * Convert to JSON-serializable object
+   * @returns {Object} - Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      address: this.address,
+      phone: this.phone,
+      carrier: this.carrier,
+      format: this.format,
+      quietHours: this.quietHours,
+      timezone: this.timezone,
+      rules: this.rules,
+      locations: this.locations,
+      zip: this.zip,
+      maxDistance: this.maxDistance,
+      services: this.services,
+      digest: this.digest
+    };
+  }
+  
+  /**
+   * Create from JSON data
+   * @param {Object} data - JSON data
+   * @returns {Recipient} - Recipient object
+   */
+  static fromJSON(data) {
+    return new Recipient(data);
+  }
+}
+
+class RecipientStore {
+  /**
+   * Parse a comma-separated address list
+   * @param {string} value - Addresses, optionally prefixed with "sms:" or "email:", or "<phone>:<carrier>" entries
+   * @param {string} [format] - Format to use for entries without a prefix
+   * @returns {Array<Recipient>} - Parsed recipients
+   */
+  _parseList(value, format) {
+    return String(value || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const phone = carriers.parsePhoneEntry(entry);
+        if (phone) {
+          return new Recipient({ ...phone, format: 'sms' });
+        }
+        
+        const prefixed = entry.match(/^(sms|email):(.+)$/i);
+        return prefixed
+          ? new Recipient({ address: prefixed[2], format: prefixed[1].toLowerCase() })
+          : new Recipient({ address: entry, format });
+      });
+  }
+  
+  /**
+   * Get all configured recipients
+   *
+   * Recipients come from TRACKER_RECIPIENTS (JSON array of { name, address or phone and carrier, format,
+   * quietHours, timezone, rules, locations, zip, maxDistance, services, digest }),
+   * TRACKER_EMAIL_RECIPIENT and TRACKER_SMS_RECIPIENT. Duplicates are dropped.
+   *
+   * @returns {Array<Recipient>} - Recipients
+   */
+  getAll() {
+    const configured = config.get('TRACKER_RECIPIENTS') || [];
+    const recipients = [
+      ...configured.map(item => Recipient.fromJSON(item)),
+      ...this._parseList(config.get('TRACKER_EMAIL_RECIPIENT')),
+      ...this._parseList(config.get('TRACKER_SMS_RECIPIENT'), 'sms')
+    ];
+    
+    const unique = new Map();
+    recipients.forEach(recipient => {
+      if (!recipient.address) return;
+      
+      if (!FORMATS.includes(recipient.format)) {
+        logger.warn(`Ignoring recipient ${recipient.address}: unknown format "${recipient.format}"`);
+        return;
+      }
+      
+      if (!unique.has(recipient.id)) {
+        unique.set(recipient.id, recipient);
+      }
+    });
+    
+    return Array.from(unique.values());
+  }
+  
+  /**
+   * Get the recipients of tracker alerts, such as NJMVC site changes
+   *
+   * Admins come from TRACKER_ADMIN_RECIPIENTS, in the same format as
+   * TRACKER_EMAIL_RECIPIENT, and get no appointment alerts for it.
+   *
+   * @returns {Array<Recipient>} - Admin recipients
+   */
+  getAdmins() {
+    const unique = new Map();
+    this._parseList(config.get('TRACKER_ADMIN_RECIPIENTS')).forEach(recipient => {
+      if (recipient.address && !unique.has(recipient.id)) {
+        unique.set(recipient.id, recipient);
+      }
+    });
+    
+    return Array.from(unique.values());
+  }
+  
+  /**
+   * Get recipients of one format
+   * @param {string} format - 'sms' or 'email'
+   * @returns {Array<Recipient>} - Matching recipients
+   */
+  getByFormat(format) {
+    return this.getAll().filter(recipient => recipient.format === format);
+  }
+}
+
+module.exports = {
+  Recipient,
+  RecipientStore,
+  FORMATS,
+  DIGESTS,
+  SMS_GATEWAY_DOMAINS,
+  recipients: new RecipientStore() // Singleton instance
+};
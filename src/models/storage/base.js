@@ -0,0 +1,234 @@
+/**
+ * Base storage backend for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - One interface for every persistence backend
+ * - Current state and history saved as a single unit
+ * - Observations and alerts appended, pruned and queried without rewriting everything
+ * - Shared observation filter so backends answer queries the same way
+ * - Notification outbox and delivery attempt log
+ * - Subscriber preferences set from email links (unsubscribe, snooze, booked)
+ * - Alerts held back for recipients in quiet hours
+ */
+
+class StorageBackend {
+  /**
+   * @param {Object} [options={}] - Backend options
+   * @param {string} [options.path] - File the backend persists to
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.path = options.path;
+  }
+  
+  /**
+   * Backend name used in logs and status output
+   * @returns {string} - Backend name
+   */
+  get name() {
+    return 'base';
+  }
+  
+  /**
+   * Prepare the backend for use (create files, run migrations)
+   */
+  open() {}
+  
+  /**
+   * Release any resources held by the backend
+   */
+  close() {}
+  
+  /**
+   * Load current state and history
+   * @returns {Object} - { current: { type: Object }, history: { type: Array<Object> } } as plain JSON
+   */
+  load() {
+    throw new Error(`${this.name} storage does not implement load`);
+  }
+  
+  /**
+   * Persist current state and history, replacing what was stored
+   * @param {Object} state - { current: { type: Object|null }, history: { type: Array<Object> } } as plain JSON
+   */
+  saveState(state) {
+    throw new Error(`${this.name} storage does not implement saveState`);
+  }
+  
+  /**
+   * Append observations
+   * @param {Array<Object>} observations - Observations as plain JSON
+   */
+  appendObservations(observations) {
+    throw new Error(`${this.name} storage does not implement appendObservations`);
+  }
+  
+  /**
+   * Record a sent availability alert
+   * @param {Object} alert - Alert as plain JSON ({ timestamp, type, count, delivered })
+   */
+  appendAlert(alert) {
+    throw new Error(`${this.name} storage does not implement appendAlert`);
+  }
+  
+  /**
+   * Query recorded alerts
+   * @param {Object} [filter={}] - Query filter ({ type, from, to })
+   * @returns {Array<Object>} - Matching alerts as plain JSON, oldest first
+   */
+  queryAlerts(filter) {
+    throw new Error(`${this.name} storage does not implement queryAlerts`);
+  }
+  
+  /**
+   * Remove old observations and alerts
+   * @param {Object} policy - Retention policy
+   * @param {Date} [policy.before] - Remove observations and alerts older than this
+   * @param {number} [policy.max] - Keep at most this many of the newest observations
+   * @returns {number} - Number of observations removed
+   */
+  pruneObservations(policy) {
+    throw new Error(`${this.name} storage does not implement pruneObservations`);
+  }
+  
+  /**
+   * Query observations
+   * @param {Object} [filter={}] - Query filter (see StorageBackend.matchesFilter)
+   * @returns {Array<Object>} - Matching observations as plain JSON, oldest first
+   */
+  queryObservations(filter) {
+    throw new Error(`${this.name} storage does not implement queryObservations`);
+  }
+  
+  /**
+   * Add a notification to the outbox
+   * @param {Object} notification - Notification as plain JSON (see OutboxItem)
+   */
+  appendNotification(notification) {
+    throw new Error(`${this.name} storage does not implement appendNotification`);
+  }
+  
+  /**
+   * Update a notification in the outbox
+   * @param {string} id - Notification ID
+   * @param {Object} changes - Fields to change ({ status, attempts, nextAttemptAt, lastError, sentAt })
+   */
+  updateNotification(id, changes) {
+    throw new Error(`${this.name} storage does not implement updateNotification`);
+  }
+  
+  /**
+   * Query the outbox
+   * @param {Object} [filter={}] - Query filter
+   * @param {string} [filter.id] - Notification ID
+   * @param {string} [filter.status] - pending, sent, failed or expired
+   * @param {Date} [filter.dueBefore] - Only notifications whose next attempt is at or before this time
+   * @param {number} [filter.limit] - Maximum number of notifications
+   * @returns {Array<Object>} - Matching notifications as plain JSON, newest first (oldest due first with dueBefore)
+   */
+  queryNotifications(filter) {
+    throw new Error(`${this.name} storage does not implement queryNotifications`);
+  }
+  
+  /**
+   * Record a delivery attempt
+   * @param {Object} attempt - Attempt as plain JSON ({ notificationId, timestamp, recipient, channel, status, error, latency, statusCode })
+   */
+  appendDeliveryAttempt(attempt) {
+    throw new Error(`${this.name} storage does not implement appendDeliveryAttempt`);
+  }
+  
+  /**
+   * Query delivery attempts
+   * @param {Object} [filter={}] - Query filter ({ notificationId, limit })
+   * @returns {Array<Object>} - Matching attempts as plain JSON, newest first
+   */
+  queryDeliveryAttempts(filter) {
+    throw new Error(`${this.name} storage does not implement queryDeliveryAttempts`);
+  }
+  
+  /**
+   * Remove finished notifications and their attempts
+   * @param {Date} before - Remove sent, failed and expired notifications created before this
+   * @returns {number} - Number of notifications removed
+   */
+  pruneNotifications(before) {
+    throw new Error(`${this.name} storage does not implement pruneNotifications`);
+  }
+  
+  /**
+   * Query subscriber preferences
+   * @param {Object} [filter={}] - Query filter ({ recipientId })
+   * @returns {Array<Object>} - Matching preferences as plain JSON (see Subscriber)
+   */
+  querySubscribers(filter) {
+    throw new Error(`${this.name} storage does not implement querySubscribers`);
+  }
+  
+  /**
+   * Insert or replace a subscriber's preferences
+   * @param {Object} subscriber - Preferences as plain JSON ({ recipientId, status, snoozedUntil, updatedAt })
+   */
+  saveSubscriber(subscriber) {
+    throw new Error(`${this.name} storage does not implement saveSubscriber`);
+  }
+  
+  /**
+   * Query alerts held back for recipients in quiet hours
+   * @param {Object} [filter={}] - Query filter ({ recipientId })
+   * @returns {Array<Object>} - Held alerts as plain JSON ({ recipientId, type, count, locations, details, raisedAt }), oldest first
+   */
+  queryHeldAlerts(filter) {
+    throw new Error(`${this.name} storage does not implement queryHeldAlerts`);
+  }
+  
+  /**
+   * Hold an alert, replacing the one held for the same recipient and type
+   * @param {Object} alert - Held alert as plain JSON ({ recipientId, type, count, locations, details, raisedAt })
+   */
+  saveHeldAlert(alert) {
+    throw new Error(`${this.name} storage does not implement saveHeldAlert`);
+  }
+  
+  /**
+   * Remove every alert held for a recipient
+   * @param {string} recipientId - Recipient ID
+   */
+  deleteHeldAlerts(recipientId) {
+    throw new Error(`${this.name} storage does not implement deleteHeldAlerts`);
+  }
+  
+  /**
+   * Count what is stored
+   * @returns {Object} - { types, history, observations, alerts, notifications }
+   */
+  stats() {
+    throw new Error(`${this.name} storage does not implement stats`);
+  }
+  
+  /**
+   * Check whether a stored observation matches a query filter
+   * @param {Object} item - Observation as plain JSON
+   * @param {Object} [filter={}] - Query filter
+   * @param {string} [filter.type] - Appointment type
+   * @param {string} [filter.location] - Location name or ID; use 'total' for type totals only
+   * @param {Date|string} [filter.from] - Earliest timestamp (inclusive)
+   * @param {Date|string} [filter.to] - Latest timestamp (inclusive)
+   * @param {boolean} [filter.success] - Only successful (true) or failed (false) checks
+   * @returns {boolean} - True if the observation matches
+   */
+  static matchesFilter(item, filter = {}) {
+    const timestamp = new Date(item.timestamp).getTime();
+    
+    if (filter.type && item.type !== filter.type) return false;
+    if (filter.location === 'total' && item.location !== null) return false;
+    if (filter.location && filter.location !== 'total' &&
+        item.location !== filter.location && item.locationId !== filter.location) return false;
+    if (filter.success !== undefined && item.success !== filter.success) return false;
+    if (filter.from && timestamp < new Date(filter.from).getTime()) return false;
+    if (filter.to && timestamp > new Date(filter.to).getTime()) return false;
+    return true;
+  }
+}
+
+module.exports = StorageBackend;
@@ -0,0 +1,44 @@
+/**
+ * Storage backend registry for the REAL ID Appointment Tracker
+ *
+ * Maps TRACKER_STORAGE values to their backends.
+ */
+
+const path = require('path');
+
+const StorageBackend = require('./base');
+const JsonStorage = require('./json');
+const SqliteStorage = require('./sqlite');
+
+const STORAGE_BACKENDS = {
+  json: { Backend: JsonStorage, file: 'appointments.json' },
+  sqlite: { Backend: SqliteStorage, file: 'tracker.db' }
+};
+
+/**
+ * Create an unopened storage backend
+ * @param {Object} options - Storage options
+ * @param {string} [options.backend='json'] - Backend name ('json' or 'sqlite')
+ * @param {string} [options.path] - File to persist to (defaults to a file in dataDir)
+ * @param {string} options.dataDir - Data directory
+ * @returns {StorageBackend} - Storage backend
+ */
+function createStorage({ backend = 'json', path: file, dataDir }) {
+  const entry = STORAGE_BACKENDS[backend];
+  if (!entry) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  
+  return new entry.Backend({
+    path: file || path.join(dataDir, entry.file),
+    importFrom: path.join(dataDir, STORAGE_BACKENDS.json.file) // Picked up by SQLite on first run
+  });
+}
+
+module.exports = {
+  StorageBackend,
+  JsonStorage,
+  SqliteStorage,
+  STORAGE_BACKENDS,
+  createStorage
+};
@@ -0,0 +1,461 @@
+/**
+ * JSON file storage backend for the REAL ID Appointment Tracker
+ *
+ * Keeps state, history, alerts, the outbox and preferences in one JSON
+ * document (data/appointments.json by default). Writes go to a temporary
+ * file that is flushed and renamed over the original, so a crash mid-write
+ * leaves the previous file intact.
+ *
+ * Observations and delivery attempts grow with every check, so they are
+ * appended to JSONL logs next to the document (appointments.observations.jsonl
+ * and appointments.attempts.jsonl) and only rewritten when pruned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../../utils/logger').child('storage');
+const StorageBackend = require('./base');
+
+// Append-only logs kept next to the document: data key -> file suffix
+const LOGS = {
+  observations: 'observations',
+  deliveryAttempts: 'attempts'
+};
+
+class JsonStorage extends StorageBackend {
+  constructor(options = {}) {
+    super(options);
+    this.data = {
+      current: {},
+      history: {},
+      observations: [],
+      alerts: [],
+      notifications: [],
+      deliveryAttempts: [],
+      subscribers: [],
+      heldAlerts: []
+    };
+  }
+  
+  /**
+   * Backend name used in logs and status output
+   * @returns {string} - Backend name
+   */
+  get name() {
+    return 'json';
+  }
+  
+  /**
+   * Read the data file into memory
+   */
+  open() {
+    const dir = path.dirname(this.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    
+    Object.keys(LOGS).forEach(key => {
+      this.data[key] = JsonStorage.readLog(JsonStorage.logPath(this.path, key));
+    });
+    
+    if (!fs.existsSync(this.path)) {
+      logger.info('No existing appointment data found');
+      return;
+    }
+    
+    try {
+      const document = JsonStorage.readDocument(this.path);
+      
+      // Files from before the logs keep these inline; move them out once
+      const inline = Object.keys(LOGS).filter(key => document[key].length > 0);
+      inline.forEach(key => {
+        this.data[key] = [...document[key], ...this.data[key]];
+        this._rewriteLog(key);
+      });
+      
+      Object.keys(LOGS).forEach(key => { document[key] = this.data[key]; });
+      this.data = document;
+      if (inline.length > 0) {
+        this._write();
+        logger.info(`Moved ${inline.join(' and ')} out of ${this.path} into append-only logs`);
+      }
+      logger.info('Appointment data loaded from storage');
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it
+      const aside = `${this.path}.corrupt-${Date.now()}`;
+      fs.renameSync(this.path, aside);
+      logger.error(`Error loading appointment data: ${error.message}. Moved unreadable file to ${aside}`, { error });
+    }
+  }
+  
+  /**
+   * Load current state and history
+   * @returns {Object} - { current, history } as plain JSON
+   */
+  load() {
+    return {
+      current: this.data.current,
+      history: this.data.history
+    };
+  }
+  
+  /**
+   * Persist current state and history
+   * @param {Object} state - { current, history } as plain JSON
+   */
+  saveState(state) {
+    this.data.current = state.current;
+    this.data.history = state.history;
+    this._write();
+  }
+  
+  /**
+   * Append observations
+   * @param {Array<Object>} observations - Observations as plain JSON
+   */
+  appendObservations(observations) {
+    this.data.observations.push(...observations);
+    this._appendLog('observations', observations);
+  }
+  
+  /**
+   * Record a sent availability alert
+   * @param {Object} alert - Alert as plain JSON
+   */
+  appendAlert(alert) {
+    this.data.alerts.push(alert);
+    this._write();
+  }
+  
+  /**
+   * Query recorded alerts
+   * @param {Object} [filter={}] - Query filter ({ type, from, to })
+   * @returns {Array<Object>} - Matching alerts, oldest first
+   */
+  queryAlerts(filter = {}) {
+    return this.data.alerts.filter(item => StorageBackend.matchesFilter(item, {
+      type: filter.type,
+      from: filter.from,
+      to: filter.to
+    }));
+  }
+  
+  /**
+   * Remove old observations and alerts
+   * @param {Object} policy - { before, max }
+   * @returns {number} - Number of observations removed
+   */
+  pruneObservations({ before, max }) {
+    const count = this.data.observations.length;
+    const alertCount = this.data.alerts.length;
+    let kept = this.data.observations;
+    
+    if (before) {
+      const cutoff = before.getTime();
+      kept = kept.filter(item => new Date(item.timestamp).getTime() >= cutoff);
+      this.data.alerts = this.data.alerts.filter(item => new Date(item.timestamp).getTime() >= cutoff);
+    }
+    
+    if (max > 0 && kept.length > max) {
+      kept = kept.slice(kept.length - max);
+    }
+    
+    const removed = count - kept.length;
+    if (removed > 0) {
+      this.data.observations = kept;
+      this._rewriteLog('observations');
+    }
+    if (this.data.alerts.length !== alertCount) {
+      this._write();
+    }
+    return removed;
+  }
+  
+  /**
+   * Query observations
+   * @param {Object} [filter={}] - Query filter
+   * @returns {Array<Object>} - Matching observations, oldest first
+   */
+  queryObservations(filter = {}) {
+    const matches = this.data.observations.filter(item => StorageBackend.matchesFilter(item, filter));
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+  
+  /**
+   * Add a notification to the outbox
+   * @param {Object} notification - Notification as plain JSON
+   */
+  appendNotification(notification) {
+    this.data.notifications.push(notification);
+    this._write();
+  }
+  
+  /**
+   * Update a notification in the outbox
+   * @param {string} id - Notification ID
+   * @param {Object} changes - Fields to change
+   */
+  updateNotification(id, changes) {
+    const notification = this.data.notifications.find(item => item.id === id);
+    if (notification) {
+      Object.assign(notification, changes);
+      this._write();
+    }
+  }
+  
+  /**
+   * Query the outbox
+   * @param {Object} [filter={}] - Query filter ({ id, status, dueBefore, limit })
+   * @returns {Array<Object>} - Matching notifications
+   */
+  queryNotifications(filter = {}) {
+    let matches = this.data.notifications.filter(item =>
+      (!filter.id || item.id === filter.id) &&
+      (!filter.status || item.status === filter.status) &&
+      (!filter.dueBefore || new Date(item.nextAttemptAt) <= filter.dueBefore)
+    );
+    
+    matches = filter.dueBefore
+      ? matches.sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      : matches.reverse();
+    
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+  
+  /**
+   * Record a delivery attempt
+   * @param {Object} attempt - Attempt as plain JSON
+   */
+  appendDeliveryAttempt(attempt) {
+    this.data.deliveryAttempts.push(attempt);
+    this._appendLog('deliveryAttempts', [attempt]);
+  }
+  
+  /**
+   * Query delivery attempts
+   * @param {Object} [filter={}] - Query filter ({ notificationId, limit })
+   * @returns {Array<Object>} - Matching attempts, newest first
+   */
+  queryDeliveryAttempts(filter = {}) {
+    const matches = this.data.deliveryAttempts
+      .filter(item => !filter.notificationId || item.notificationId === filter.notificationId)
+      .reverse();
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+  
+  /**
+   * Remove finished notifications and their attempts
+   * @param {Date} before - Cutoff for the notification creation time
+   * @returns {number} - Number of notifications removed
+   */
+  pruneNotifications(before) {
+    const cutoff = before.getTime();
+    const removed = new Set(this.data.notifications
+      .filter(item => item.status !== 'pending' && new Date(item.createdAt).getTime() < cutoff)
+      .map(item => item.id));
+    
+    if (removed.size > 0) {
+      const attempts = this.data.deliveryAttempts.length;
+      this.data.notifications = this.data.notifications.filter(item => !removed.has(item.id));
+      this.data.deliveryAttempts = this.data.deliveryAttempts.filter(item => !removed.has(item.notificationId));
+      this._write();
+      if (this.data.deliveryAttempts.length !== attempts) {
+        this._rewriteLog('deliveryAttempts');
+      }
+    }
+    return removed.size;
+  }
+  
+  /**
+   * Query subscriber preferences
+   * @param {Object} [filter={}] - Query filter ({ recipientId })
+   * @returns {Array<Object>} - Matching preferences
+   */
+  querySubscribers(filter = {}) {
+    return this.data.subscribers.filter(item => !filter.recipientId || item.recipientId === filter.recipientId);
+  }
+  
+  /**
+   * Insert or replace a subscriber's preferences
+   * @param {Object} subscriber - Preferences as plain JSON
+   */
+  saveSubscriber(subscriber) {
+    this.data.subscribers = this.data.subscribers.filter(item => item.recipientId !== subscriber.recipientId);
+    this.data.subscribers.push(subscriber);
+    this._write();
+  }
+  
+  /**
+   * Query alerts held back for recipients in quiet hours
+   * @param {Object} [filter={}] - Query filter ({ recipientId })
+   * @returns {Array<Object>} - Matching held alerts, oldest first
+   */
+  queryHeldAlerts(filter = {}) {
+    return this.data.heldAlerts.filter(item => !filter.recipientId || item.recipientId === filter.recipientId);
+  }
+  
+  /**
+   * Hold an alert, replacing the one held for the same recipient and type
+   * @param {Object} alert - Held alert as plain JSON
+   */
+  saveHeldAlert(alert) {
+    this.data.heldAlerts = this.data.heldAlerts.filter(item =>
+      item.recipientId !== alert.recipientId || item.type !== alert.type);
+    this.data.heldAlerts.push(alert);
+    this._write();
+  }
+  
+  /**
+   * Remove every alert held for a recipient
+   * @param {string} recipientId - Recipient ID
+   */
+  deleteHeldAlerts(recipientId) {
+    const count = this.data.heldAlerts.length;
+    this.data.heldAlerts = this.data.heldAlerts.filter(item => item.recipientId !== recipientId);
+    if (this.data.heldAlerts.length !== count) {
+      this._write();
+    }
+  }
+  
+  /**
+   * Count what is stored
+   * @returns {Object} - { types, history, observations, alerts, notifications }
+   */
+  stats() {
+    return {
+      types: Object.values(this.data.current).filter(Boolean).length,
+      history: Object.values(this.data.history).reduce((total, items) => total + items.length, 0),
+      observations: this.data.observations.length,
+      alerts: this.data.alerts.length,
+      notifications: this.data.notifications.length
+    };
+  }
+  
+  /**
+   * Write the document, without the logged data, atomically
+   */
+  _write() {
+    const document = { ...this.data };
+    Object.keys(LOGS).forEach(key => { delete document[key]; });
+    
+    if (JsonStorage.writeAtomic(this.path, JSON.stringify(document, null, 2))) {
+      logger.debug('Appointment data saved to storage');
+    }
+  }
+  
+  /**
+   * Append entries to a log
+   * @param {string} key - Data key ('observations' or 'deliveryAttempts')
+   * @param {Array<Object>} entries - Entries as plain JSON
+   */
+  _appendLog(key, entries) {
+    if (entries.length === 0) return;
+    
+    try {
+      fs.appendFileSync(JsonStorage.logPath(this.path, key), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    } catch (error) {
+      logger.error(`Error saving ${key}: ${error.message}`, { error });
+    }
+  }
+  
+  /**
+   * Replace a log with what is kept in memory, atomically
+   * @param {string} key - Data key ('observations' or 'deliveryAttempts')
+   */
+  _rewriteLog(key) {
+    JsonStorage.writeAtomic(JsonStorage.logPath(this.path, key), this.data[key].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+  
+  /**
+   * Write a file atomically: temp file, fsync, rename
+   * @param {string} file - File to replace
+   * @param {string} content - New content
+   * @returns {boolean} - True if the file was written
+   */
+  static writeAtomic(file, content) {
+    const temp = `${file}.${process.pid}.tmp`;
+    
+    try {
+      const fd = fs.openSync(temp, 'w');
+      try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      
+      fs.renameSync(temp, file);
+      return true;
+    } catch (error) {
+      logger.error(`Error saving ${path.basename(file)}: ${error.message}`, { error });
+      fs.rmSync(temp, { force: true });
+      return false;
+    }
+  }
+  
+  /**
+   * Path of a log next to the document
+   * @param {string} file - Path to the JSON document
+   * @param {string} key - Data key ('observations' or 'deliveryAttempts')
+   * @returns {string} - Path to the JSONL log (e.g. appointments.observations.jsonl)
+   */
+  static logPath(file, key) {
+    const base = file.endsWith('.json') ? file.slice(0, -'.json'.length) : file;
+    return `${base}.${LOGS[key]}.jsonl`;
+  }
+  
+  /**
+   * Read a JSONL log, skipping a line cut short by a crash
+   * @param {string} file - Path to the log
+   * @returns {Array<Object>} - Entries, oldest first
+   */
+  static readLog(file) {
+    if (!fs.existsSync(file)) return [];
+    
+    const entries = [];
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping unreadable line ${index + 1} of ${file}: ${error.message}`);
+      }
+    });
+    return entries;
+  }
+  
+  /**
+   * Read an appointments.json file with its logs
+   * @param {string} file - Path to the JSON file
+   * @returns {Object} - { current, history, observations, alerts, notifications, deliveryAttempts, subscribers, heldAlerts }
+   */
+  static readFile(file) {
+    const data = JsonStorage.readDocument(file);
+    Object.keys(LOGS).forEach(key => {
+      data[key] = [...data[key], ...JsonStorage.readLog(JsonStorage.logPath(file, key))];
+    });
+    return data;
+  }
+  
+  /**
+   * Read and normalize an appointments.json document
+   * @param {string} file - Path to the JSON file
+   * @returns {Object} - { current, history, observations, alerts, notifications, deliveryAttempts, subscribers, heldAlerts }
+   */
+  static readDocument(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      current: data.current || {},
+      history: data.history || {},
+      observations: Array.isArray(data.observations) ? data.observations : [],
+      alerts: Array.isArray(data.alerts) ? data.alerts : [],
+      notifications: Array.isArray(data.notifications) ? data.notifications : [],
+      deliveryAttempts: Array.isArray(data.deliveryAttempts) ? data.deliveryAttempts : [],
+      subscribers: Array.isArray(data.subscribers) ? data.subscribers : [],
+      heldAlerts: Array.isArray(data.heldAlerts) ? data.heldAlerts : []
+    };
+  }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,758 @@
+/**
+ * SQLite storage backend for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Embedded database file (data/tracker.db by default) via better-sqlite3
+ * - Versioned schema migrations tracked with PRAGMA user_version
+ * - Write-ahead logging so a crash never leaves a half-written file
+ * - Indexed observation queries instead of scanning the full history in memory
+ * - One-shot importer for existing appointments.json files
+ * - Durable notification outbox with a delivery attempt log
+ * - Subscriber preferences set from email links
+ * - Alerts held back for recipients in quiet hours
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const logger = require('../../utils/logger').child('storage');
+const StorageBackend = require('./base');
+const JsonStorage = require('./json');
+
+// Schema migrations, applied in order. Never edit a released migration; add a new one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up: `
+      CREATE TABLE current_state (
+        type TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      
+      CREATE TABLE history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX history_type ON history (type, position);
+      
+      CREATE TABLE observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        location TEXT,
+        location_id TEXT,
+        count INTEGER,
+        duration INTEGER,
+        success INTEGER NOT NULL,
+        error TEXT
+      );
+      CREATE INDEX observations_timestamp ON observations (timestamp);
+      CREATE INDEX observations_type ON observations (type, timestamp);
+      
+      CREATE TABLE imports (
+        source TEXT PRIMARY KEY,
+        imported_at TEXT NOT NULL,
+        observations INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    description: 'Record sent alerts',
+    up: `
+      CREATE TABLE alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        delivered INTEGER NOT NULL
+      );
+      CREATE INDEX alerts_type ON alerts (type, timestamp);
+    `
+  },
+  {
+    version: 3,
+    description: 'Notification outbox and delivery attempts',
+    up: `
+      CREATE TABLE notifications (
+        id TEXT PRIMARY KEY,
+        created_at INTEGER NOT NULL,
+        target TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        recipient TEXT,
+        event TEXT,
+        type TEXT,
+        rule TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_error TEXT,
+        sent_at INTEGER
+      );
+      CREATE INDEX notifications_due ON notifications (status, next_attempt_at);
+      CREATE INDEX notifications_created ON notifications (created_at);
+      
+      CREATE TABLE delivery_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        recipient TEXT,
+        channel TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        latency INTEGER,
+        status_code INTEGER
+      );
+      CREATE INDEX delivery_attempts_notification ON delivery_attempts (notification_id, timestamp);
+    `
+  },
+  {
+    version: 4,
+    description: 'Subscriber preferences',
+    up: `
+      CREATE TABLE subscribers (
+        recipient_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        snoozed_until INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 5,
+    description: 'Alerts held for quiet hours',
+    up: `
+      CREATE TABLE held_alerts (
+        recipient_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        data TEXT NOT NULL,
+        raised_at INTEGER NOT NULL,
+        PRIMARY KEY (recipient_id, type)
+      );
+    `
+  }
+];
+
+// Outbox fields that updateNotification may change, with their columns
+const NOTIFICATION_COLUMNS = {
+  status: 'status',
+  attempts: 'attempts',
+  nextAttemptAt: 'next_attempt_at',
+  lastError: 'last_error',
+  sentAt: 'sent_at'
+};
+
+/**
+ * Convert a stored time to milliseconds for an INTEGER column
+ * @param {Date|string|null} value - Time
+ * @returns {number|null} - Milliseconds since the epoch, or null
+ */
+function toMillis(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+/**
+ * Convert an INTEGER column back to an ISO time
+ * @param {number|null} value - Milliseconds since the epoch
+ * @returns {string|null} - ISO time, or null
+ */
+function toIso(value) {
+  return value !== null && value !== undefined ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Load the native SQLite driver
+ * @returns {Function} - better-sqlite3 Database constructor
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the better-sqlite3 package. Install it with "npm install better-sqlite3" or set TRACKER_STORAGE=json');
+  }
+}
+
+class SqliteStorage extends StorageBackend {
+  /**
+   * @param {Object} [options={}] - Backend options
+   * @param {string} options.path - Database file
+   * @param {string} [options.importFrom] - appointments.json to import when the database is first created
+   */
+  constructor(options = {}) {
+    super(options);
+    this.importFrom = options.importFrom;
+    this.db = null;
+  }
+  
+  /**
+   * Backend name used in logs and status output
+   * @returns {string} - Backend name
+   */
+  get name() {
+    return 'sqlite';
+  }
+  
+  /**
+   * Open the database and bring the schema up to date
+   */
+  open() {
+    const Database = loadDriver();
+    
+    const dir = path.dirname(this.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    
+    const created = this.getSchemaVersion() === 0;
+    this.migrate();
+    
+    if (created && this.importFrom && fs.existsSync(this.importFrom)) {
+      logger.info(`New database: importing existing data from ${this.importFrom}`);
+      this.importJson(this.importFrom);
+    }
+    
+    logger.info(`Appointment data loaded from ${this.path}`);
+  }
+  
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+  
+  /**
+   * Get the schema version of the open database
+   * @returns {number} - Applied migration version (0 for an empty database)
+   */
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+  
+  /**
+   * Apply pending migrations, each in its own transaction
+   * @returns {number} - Number of migrations applied
+   */
+  migrate() {
+    const current = this.getSchemaVersion();
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+    
+    pending.forEach(migration => {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+      logger.info(`Applied storage migration ${migration.version}: ${migration.description}`);
+    });
+    
+    return pending.length;
+  }
+  
+  /**
+   * Load current state and history
+   * @returns {Object} - { current, history } as plain JSON
+   */
+  load() {
+    const current = {};
+    const history = {};
+    
+    this.db.prepare('SELECT type, data FROM current_state').all().forEach(row => {
+      current[row.type] = JSON.parse(row.data);
+    });
+    
+    this.db.prepare('SELECT type, data FROM history ORDER BY type, position').all().forEach(row => {
+      if (!history[row.type]) {
+        history[row.type] = [];
+      }
+      history[row.type].push(JSON.parse(row.data));
+    });
+    
+    return { current, history };
+  }
+  
+  /**
+   * Persist current state and history in one transaction
+   * @param {Object} state - { current, history } as plain JSON
+   */
+  saveState(state) {
+    const insertCurrent = this.db.prepare('INSERT INTO current_state (type, data) VALUES (?, ?)');
+    const insertHistory = this.db.prepare('INSERT INTO history (type, position, data) VALUES (?, ?, ?)');
+    
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM current_state; DELETE FROM history;');
+      
+      Object.entries(state.current).forEach(([type, item]) => {
+        if (item) {
+          insertCurrent.run(type, JSON.stringify(item));
+        }
+      });
+      
+      Object.entries(state.history).forEach(([type, items]) => {
+        items.forEach((item, position) => insertHistory.run(type, position, JSON.stringify(item)));
+      });
+    })();
+  }
+  
+  /**
+   * Append observations in one transaction
+   * @param {Array<Object>} observations - Observations as plain JSON
+   */
+  appendObservations(observations) {
+    const insert = this.db.prepare(`
+      INSERT INTO observations (timestamp, type, location, location_id, count, duration, success, error)
+      VALUES (@timestamp, @type, @location, @locationId, @count, @duration, @success, @error)
+    `);
+    
+    this.db.transaction(items => {
+      items.forEach(item => insert.run({
+        timestamp: new Date(item.timestamp).getTime(),
+        type: item.type,
+        location: item.location,
+        locationId: item.locationId,
+        count: item.count,
+        duration: item.duration,
+        success: item.success ? 1 : 0,
+        error: item.error
+      }));
+    })(observations);
+  }
+  
+  /**
+   * Record a sent availability alert
+   * @param {Object} alert - Alert as plain JSON
+   */
+  appendAlert(alert) {
+    this.db.prepare(`
+      INSERT INTO alerts (timestamp, type, count, delivered) VALUES (?, ?, ?, ?)
+    `).run(new Date(alert.timestamp).getTime(), alert.type, alert.count, alert.delivered ? 1 : 0);
+  }
+  
+  /**
+   * Query recorded alerts
+   * @param {Object} [filter={}] - Query filter ({ type, from, to })
+   * @returns {Array<Object>} - Matching alerts, oldest first
+   */
+  queryAlerts(filter = {}) {
+    const conditions = [];
+    const params = {};
+    
+    if (filter.type) {
+      conditions.push('type = @type');
+      params.type = filter.type;
+    }
+    if (filter.from) {
+      conditions.push('timestamp >= @from');
+      params.from = new Date(filter.from).getTime();
+    }
+    if (filter.to) {
+      conditions.push('timestamp <= @to');
+      params.to = new Date(filter.to).getTime();
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    return this.db.prepare(`SELECT * FROM alerts ${where} ORDER BY timestamp, id`).all(params).map(row => ({
+      timestamp: new Date(row.timestamp).toISOString(),
+      type: row.type,
+      count: row.count,
+      delivered: row.delivered === 1
+    }));
+  }
+  
+  /**
+   * Remove old observations and alerts
+   * @param {Object} policy - { before, max }
+   * @returns {number} - Number of observations removed
+   */
+  pruneObservations({ before, max }) {
+    let removed = 0;
+    
+    if (before) {
+      removed += this.db.prepare('DELETE FROM observations WHERE timestamp < ?').run(before.getTime()).changes;
+      this.db.prepare('DELETE FROM alerts WHERE timestamp < ?').run(before.getTime());
+    }
+    
+    if (max > 0) {
+      removed += this.db.prepare(`
+        DELETE FROM observations WHERE id NOT IN (
+          SELECT id FROM observations ORDER BY timestamp DESC, id DESC LIMIT ?
+        )
+      `).run(max).changes;
+    }
+    
+    return removed;
+  }
+  
+  /**
+   * Query observations
+   * @param {Object} [filter={}] - Query filter (see StorageBackend.matchesFilter)
+   * @returns {Array<Object>} - Matching observations, oldest first
+   */
+  queryObservations(filter = {}) {
+    const conditions = [];
+    const params = {};
+    
+    if (filter.type) {
+      conditions.push('type = @type');
+      params.type = filter.type;
+    }
+    if (filter.location === 'total') {
+      conditions.push('location IS NULL');
+    } else if (filter.location) {
+      conditions.push('(location = @location OR location_id = @location)');
+      params.location = filter.location;
+    }
+    if (filter.success !== undefined) {
+      conditions.push('success = @success');
+      params.success = filter.success ? 1 : 0;
+    }
+    if (filter.from) {
+      conditions.push('timestamp >= @from');
+      params.from = new Date(filter.from).getTime();
+    }
+    if (filter.to) {
+      conditions.push('timestamp <= @to');
+      params.to = new Date(filter.to).getTime();
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filter.limit ? `LIMIT ${parseInt(filter.limit, 10)}` : '';
+    
+    // Take the newest rows when limited, then return them oldest first
+    const rows = this.db.prepare(
+      `SELECT * FROM observations ${where} ORDER BY timestamp DESC, id DESC ${limit}`
+    ).all(params);
+    
+    return rows.reverse().map(row => ({
+      timestamp: new Date(row.timestamp).toISOString(),
+      type: row.type,
+      location: row.location,
+      locationId: row.location_id,
+      count: row.count,
+      duration: row.duration,
+      success: row.success === 1,
+      error: row.error
+    }));
+  }
+  
+  /**
+   * Add a notification to the outbox
+   * @param {Object} notification - Notification as plain JSON
+   */
+  appendNotification(notification) {
+    this.db.prepare(`
+      INSERT INTO notifications (id, created_at, target, channel, recipient, event, type, rule, payload,
+        status, attempts, next_attempt_at, last_error, sent_at)
+      VALUES (@id, @createdAt, @target, @channel, @recipient, @event, @type, @rule, @payload,
+        @status, @attempts, @nextAttemptAt, @lastError, @sentAt)
+    `).run({
+      ...notification,
+      createdAt: toMillis(notification.createdAt),
+      nextAttemptAt: toMillis(notification.nextAttemptAt),
+      sentAt: toMillis(notification.sentAt),
+      payload: JSON.stringify(notification.payload)
+    });
+  }
+  
+  /**
+   * Update a notification in the outbox
+   * @param {string} id - Notification ID
+   * @param {Object} changes - Fields to change ({ status, attempts, nextAttemptAt, lastError, sentAt })
+   */
+  updateNotification(id, changes) {
+    const fields = Object.keys(changes).filter(key => NOTIFICATION_COLUMNS[key]);
+    if (fields.length === 0) return;
+    
+    const params = { id };
+    fields.forEach(key => {
+      params[key] = key === 'nextAttemptAt' || key === 'sentAt' ? toMillis(changes[key]) : changes[key];
+    });
+    
+    const assignments = fields.map(key => `${NOTIFICATION_COLUMNS[key]} = @${key}`).join(', ');
+    this.db.prepare(`UPDATE notifications SET ${assignments} WHERE id = @id`).run(params);
+  }
+  
+  /**
+   * Query the outbox
+   * @param {Object} [filter={}] - Query filter ({ id, status, dueBefore, limit })
+   * @returns {Array<Object>} - Matching notifications
+   */
+  queryNotifications(filter = {}) {
+    const conditions = [];
+    const params = {};
+    
+    if (filter.id) {
+      conditions.push('id = @id');
+      params.id = filter.id;
+    }
+    if (filter.status) {
+      conditions.push('status = @status');
+      params.status = filter.status;
+    }
+    if (filter.dueBefore) {
+      conditions.push('next_attempt_at <= @dueBefore');
+      params.dueBefore = filter.dueBefore.getTime();
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = filter.dueBefore ? 'next_attempt_at, created_at' : 'created_at DESC, rowid DESC';
+    const limit = filter.limit ? `LIMIT ${parseInt(filter.limit, 10)}` : '';
+    
+    return this.db.prepare(`SELECT * FROM notifications ${where} ORDER BY ${order} ${limit}`).all(params).map(row => ({
+      id: row.id,
+      createdAt: toIso(row.created_at),
+      target: row.target,
+      channel: row.channel,
+      recipient: row.recipient,
+      event: row.event,
+      type: row.type,
+      rule: row.rule,
+      payload: JSON.parse(row.payload),
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: toIso(row.next_attempt_at),
+      lastError: row.last_error,
+      sentAt: toIso(row.sent_at)
+    }));
+  }
+  
+  /**
+   * Record a delivery attempt
+   * @param {Object} attempt - Attempt as plain JSON
+   */
+  appendDeliveryAttempt(attempt) {
+    this.db.prepare(`
+      INSERT INTO delivery_attempts (notification_id, timestamp, recipient, channel, status, error, latency, status_code)
+      VALUES (@notificationId, @timestamp, @recipient, @channel, @status, @error, @latency, @statusCode)
+    `).run({ ...attempt, timestamp: toMillis(attempt.timestamp) });
+  }
+  
+  /**
+   * Query delivery attempts
+   * @param {Object} [filter={}] - Query filter ({ notificationId, limit })
+   * @returns {Array<Object>} - Matching attempts, newest first
+   */
+  queryDeliveryAttempts(filter = {}) {
+    const where = filter.notificationId ? 'WHERE notification_id = @notificationId' : '';
+    const limit = filter.limit ? `LIMIT ${parseInt(filter.limit, 10)}` : '';
+    
+    return this.db.prepare(
+      `SELECT * FROM delivery_attempts ${where} ORDER BY timestamp DESC, id DESC ${limit}`
+    ).all({ notificationId: filter.notificationId }).map(row => ({
+      notificationId: row.notification_id,
+      timestamp: toIso(row.timestamp),
+      recipient: row.recipient,
+      channel: row.channel,
+      status: row.status,
+      error: row.error,
+      latency: row.latency,
+      statusCode: row.status_code
+    }));
+  }
+  
+  /**
+   * Remove finished notifications and their attempts
+   * @param {Date} before - Cutoff for the notification creation time
+   * @returns {number} - Number of notifications removed
+   */
+  pruneNotifications(before) {
+    let removed = 0;
+    
+    this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM delivery_attempts WHERE notification_id IN (
+          SELECT id FROM notifications WHERE status != 'pending' AND created_at < ?
+        )
+      `).run(before.getTime());
+      removed = this.db.prepare(
+        "DELETE FROM notifications WHERE status != 'pending' AND created_at < ?"
+      ).run(before.getTime()).changes;
+    })();
+    
+    return removed;
+  }
+  
+  /**
+   * Query subscriber preferences
+   * @param {Object} [filter={}] - Query filter ({ recipientId })
+   * @returns {Array<Object>} - Matching preferences
+   */
+  querySubscribers(filter = {}) {
+    const where = filter.recipientId ? 'WHERE recipient_id = @recipientId' : '';
+    
+    return this.db.prepare(`SELECT * FROM subscribers ${where} ORDER BY updated_at`).all({
+      recipientId: filter.recipientId
+    }).map(row => ({
+      recipientId: row.recipient_id,
+      status: row.status,
+      snoozedUntil: toIso(row.snoozed_until),
+      updatedAt: toIso(row.updated_at)
+    }));
+  }
+  
+  /**
+   * Insert or replace a subscriber's preferences
+   * @param {Object} subscriber - Preferences as plain JSON
+   */
+  saveSubscriber(subscriber) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO subscribers (recipient_id, status, snoozed_until, updated_at)
+      VALUES (@recipientId, @status, @snoozedUntil, @updatedAt)
+    `).run({
+      recipientId: subscriber.recipientId,
+      status: subscriber.status,
+      snoozedUntil: toMillis(subscriber.snoozedUntil),
+      updatedAt: toMillis(subscriber.updatedAt)
+    });
+  }
+  
+  /**
+   * Query alerts held back for recipients in quiet hours
+   * @param {Object} [filter={}] - Query filter ({ recipientId })
+   * @returns {Array<Object>} - Matching held alerts, oldest first
+   */
+  queryHeldAlerts(filter = {}) {
+    const where = filter.recipientId ? 'WHERE recipient_id = @recipientId' : '';
+    
+    return this.db.prepare(`SELECT * FROM held_alerts ${where} ORDER BY raised_at, rowid`).all({
+      recipientId: filter.recipientId
+    }).map(row => ({
+      recipientId: row.recipient_id,
+      type: row.type,
+      ...JSON.parse(row.data),
+      raisedAt: toIso(row.raised_at)
+    }));
+  }
+  
+  /**
+   * Hold an alert, replacing the one held for the same recipient and type
+   * @param {Object} alert - Held alert as plain JSON
+   */
+  saveHeldAlert(alert) {
+    const { recipientId, type, raisedAt, ...data } = alert;
+    
+    this.db.prepare(`
+      INSERT OR REPLACE INTO held_alerts (recipient_id, type, data, raised_at) VALUES (?, ?, ?, ?)
+    `).run(recipientId, type, JSON.stringify(data), toMillis(raisedAt));
+  }
+  
+  /**
+   * Remove every alert held for a recipient
+   * @param {string} recipientId - Recipient ID
+   */
+  deleteHeldAlerts(recipientId) {
+    this.db.prepare('DELETE FROM held_alerts WHERE recipient_id = ?').run(recipientId);
+  }
+  
+  /**
+   * Count what is stored
+   * @returns {Object} - { types, history, observations, alerts, notifications, schemaVersion }
+   */
+  stats() {
+    const count = table => this.db.prepare(`SELECT COUNT(*) AS total FROM ${table}`).get().total;
+    
+    return {
+      types: count('current_state'),
+      history: count('history'),
+      observations: count('observations'),
+      alerts: count('alerts'),
+      notifications: count('notifications'),
+      schemaVersion: this.getSchemaVersion()
+    };
+  }
+  
+  /**
+   * Import an existing appointments.json file
+   *
+   * Current state and history replace what is stored unless the database
+   * already has a newer value for that type. Observations and alerts are
+   * appended unless the database already has one with the same time, type
+   * and location, so importing a file again does not count anything twice.
+   * Outbox notifications the database does not have are added with their
+   * delivery attempts, so pending ones are still sent. Subscriber
+   * preferences and held alerts are added for recipients the database has
+   * none for. A file is only imported once unless force is set.
+   *
+   * @param {string} file - Path to appointments.json
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.force=false] - Import even if this file was imported before
+   * @returns {Object} - { imported, skipped, types, history, observations, notifications }
+   */
+  importJson(file, options = {}) {
+    const source = path.resolve(file);
+    const previous = this.db.prepare('SELECT imported_at FROM imports WHERE source = ?').get(source);
+    
+    if (previous && !options.force) {
+      logger.info(`Skipping import of ${source}: already imported at ${previous.imported_at}`);
+      return { imported: false, skipped: true, types: 0, history: 0, observations: 0, notifications: 0 };
+    }
+    
+    const data = JsonStorage.readFile(source);
+    const state = this.load();
+    let types = 0;
+    let history = 0;
+    
+    Object.entries(data.current).forEach(([type, item]) => {
+      const existing = state.current[type];
+      if (item && (!existing || new Date(existing.timestamp) < new Date(item.timestamp))) {
+        state.current[type] = item;
+        types++;
+      }
+    });
+    
+    Object.entries(data.history).forEach(([type, items]) => {
+      if (Array.isArray(items) && items.length > 0 && !(state.history[type] || []).length) {
+        state.history[type] = items;
+        history += items.length;
+      }
+    });
+    
+    const hasObservation = this.db.prepare(`
+      SELECT 1 FROM observations WHERE timestamp = ? AND type = ? AND location_id IS ?
+    `);
+    const hasAlert = this.db.prepare('SELECT 1 FROM alerts WHERE timestamp = ? AND type = ?');
+    const observations = data.observations.filter(item =>
+      !hasObservation.get(toMillis(item.timestamp), item.type, item.locationId ?? null));
+    const alerts = data.alerts.filter(alert => !hasAlert.get(toMillis(alert.timestamp), alert.type));
+    const notifications = data.notifications.filter(item => this.queryNotifications({ id: item.id }).length === 0);
+    const imported = new Set(notifications.map(item => item.id));
+    const holding = new Set(this.queryHeldAlerts().map(alert => alert.recipientId));
+    
+    this.db.transaction(() => {
+      this.saveState(state);
+      this.appendObservations(observations);
+      alerts.forEach(alert => this.appendAlert(alert));
+      notifications.forEach(notification => this.appendNotification(notification));
+      data.deliveryAttempts
+        .filter(attempt => imported.has(attempt.notificationId))
+        .forEach(attempt => this.appendDeliveryAttempt(attempt));
+      data.subscribers
+        .filter(subscriber => this.querySubscribers({ recipientId: subscriber.recipientId }).length === 0)
+        .forEach(subscriber => this.saveSubscriber(subscriber));
+      data.heldAlerts
+        .filter(alert => !holding.has(alert.recipientId))
+        .forEach(alert => this.saveHeldAlert(alert));
+      this.db.prepare(`
+        INSERT OR REPLACE INTO imports (source, imported_at, observations) VALUES (?, ?, ?)
+      `).run(source, new Date().toISOString(), observations.length);
+    })();
+    
+    logger.info(`Imported ${source}: ${types} current state(s), ${history} history entries, ${observations.length} observation(s), ${notifications.length} notification(s)`);
+    return { imported: true, skipped: false, types, history, observations: observations.length, notifications: notifications.length };
+  }
+}
+
+SqliteStorage.MIGRATIONS = MIGRATIONS;
+
+module.exports = SqliteStorage;
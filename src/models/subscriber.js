@@ -0,0 +1,162 @@
+/**
+ * Subscriber preferences for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Changes recipients make themselves from links in their emails:
+ *   unsubscribe, snooze for a day, or stop because they booked
+ * - Stored through the configured storage backend, keyed by recipient ID,
+ *   so they survive restarts and configuration changes
+ * - Recipients without stored preferences are active
+ */
+
+const logger = require('../utils/logger').child('subscriber');
+const { store: appointmentStore } = require('./appointment');
+
+// Actions a recipient can take from an email link
+const ACTIONS = ['unsubscribe', 'snooze', 'booked', 'resume'];
+
+// Subscriber states
+const STATUSES = ['active', 'unsubscribed', 'booked'];
+
+// How long a snooze lasts
+const SNOOZE_HOURS = 24;
+
+class Subscriber {
+  constructor({ recipientId, status, snoozedUntil, updatedAt }) {
+    this.recipientId = recipientId;
+    this.status = STATUSES.includes(status) ? status : 'active';
+    this.snoozedUntil = snoozedUntil ? new Date(snoozedUntil) : null;
+    this.updatedAt = updatedAt ? new Date(updatedAt) : null;
+  }
+  
+  /**
+   * Whether the recipient is snoozed
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {boolean} - True until the snooze runs out
+   */
+  isSnoozed(now = new Date()) {
+    return Boolean(this.snoozedUntil && this.snoozedUntil > now);
+  }
+  
+  /**
+   * Whether the recipient should get nothing right now
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {boolean} - True if unsubscribed, booked or snoozed
+   */
+  isPaused(now = new Date()) {
+    return this.status !== 'active' || this.isSnoozed(now);
+  }
+  
+  /**
+   * Describe the state for logs and status output
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {string} - e.g. "unsubscribed" or "snoozed until 10/21/2025, 7:00:00 AM"
+   */
+  describe(now = new Date()) {
+    if (this.status !== 'active') return this.status;
+    return this.isSnoozed(now) ? `snoozed until ${this.snoozedUntil.toLocaleString()}` : 'active';
+  }
+  
+  /**
+   * Convert to JSON-serializable object
+   * @returns {Object} - Plain object representation
+   */
+  toJSON() {
+    return {
+      recipientId: this.recipientId,
+      status: this.status,
+      snoozedUntil: this.snoozedUntil ? this.snoozedUntil.toISOString() : null,
+      updatedAt: this.updatedAt ? this.updatedAt.toISOString() : null
+    };
+  }
+  
+  /**
+   * Create from JSON data
+   * @param {Object} data - JSON data
+   * @returns {Subscriber} - Subscriber preferences
+   */
+  static fromJSON(data) {
+    return new Subscriber(data);
+  }
+}
+
+class SubscriberStore {
+  /**
+   * @param {AppointmentStore} [store] - Store whose storage backend holds the preferences
+   */
+  constructor(store = appointmentStore) {
+    this.store = store;
+  }
+  
+  /**
+   * Storage backend of the appointment store
+   * @returns {StorageBackend} - Backend
+   */
+  get storage() {
+    return this.store.storage;
+  }
+  
+  /**
+   * Get a recipient's preferences
+   * @param {string} recipientId - Recipient ID
+   * @returns {Subscriber} - Stored preferences, or active ones if none are stored
+   */
+  get(recipientId) {
+    const [stored] = this.storage.querySubscribers({ recipientId });
+    return stored ? Subscriber.fromJSON(stored) : new Subscriber({ recipientId });
+  }
+  
+  /**
+   * List every stored preference
+   * @returns {Array<Subscriber>} - Preferences, least recently changed first
+   */
+  list() {
+    return this.storage.querySubscribers().map(Subscriber.fromJSON);
+  }
+  
+  /**
+   * Whether a recipient should get nothing right now
+   * @param {string} recipientId - Recipient ID
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {boolean} - True if unsubscribed, booked or snoozed
+   */
+  isPaused(recipientId, now = new Date()) {
+    return this.get(recipientId).isPaused(now);
+  }
+  
+  /**
+   * Apply an action from an email link
+   * @param {string} recipientId - Recipient ID
+   * @param {string} action - unsubscribe, snooze, booked or resume
+   * @param {Date} [now=new Date()] - Time of the action
+   * @returns {Subscriber} - Updated preferences
+   */
+  apply(recipientId, action, now = new Date()) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown subscriber action "${action}" (expected ${ACTIONS.join(', ')})`);
+    }
+    
+    const subscriber = this.get(recipientId);
+    
+    if (action === 'snooze') {
+      subscriber.snoozedUntil = new Date(now.getTime() + SNOOZE_HOURS * 60 * 60 * 1000);
+    } else {
+      subscriber.status = { unsubscribe: 'unsubscribed', booked: 'booked', resume: 'active' }[action];
+      subscriber.snoozedUntil = null;
+    }
+    subscriber.updatedAt = now;
+    
+    this.storage.saveSubscriber(subscriber.toJSON());
+    logger.info(`Recipient ${recipientId} is now ${subscriber.describe(now)}`);
+    return subscriber;
+  }
+}
+
+module.exports = {
+  Subscriber,
+  SubscriberStore,
+  ACTIONS,
+  STATUSES,
+  SNOOZE_HOURS,
+  subscribers: new SubscriberStore() // Singleton instance
+};
@@ -0,0 +1,205 @@
+/**
+ * Alert gate for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Minimum appointment count before a location can alert
+ * - Flap suppression: after alerting, a location must stay at zero for a
+ *   while before it can alert again
+ * - Per-recipient, per-location cooldown between alerts
+ *
+ * Sits between App and Notifier: every successful check is fed through
+ * observe(), and only the locations it returns are worth alerting about.
+ *
+ * Gate state is kept in memory. On startup it is seeded from the stored
+ * current state, so what was already available before a restart does not
+ * alert again.
+ */
+
+const logger = require('../utils/logger').child('alerts');
+const { config } = require('../utils/config');
+
+// Key used when a check has no per-location breakdown
+const TOTAL_KEY = 'total';
+
+class AlertGate {
+  constructor() {
+    this.locations = new Map(); // Flap state by "type|location" ({ armed, zeroSince, alertedAsTotal })
+    this.cooldowns = new Map(); // Last alert time by "target|type|location"
+  }
+  
+  /**
+   * Get the locations of a check as { key, count } pairs
+   *
+   * The total is always tracked, so a check whose location list came back
+   * empty is gated by the same state as the checks around it.
+   *
+   * @param {number} count - Total appointment count
+   * @param {Array<Object>} locations - Per-location availability
+   * @returns {Array<Object>} - The total first, then every location, with their counts
+   */
+  _entries(count, locations) {
+    return [
+      { key: TOTAL_KEY, count },
+      ...(locations || []).map(location => ({ key: String(location.id || location.name), count: location.count }))
+    ];
+  }
+  
+  /**
+   * Seed the flap state from the stored current state
+   *
+   * Types and locations that were at or above TRACKER_ALERT_MIN_COUNT at the
+   * last check were alerted about (or held back) before the restart, so they
+   * start disarmed and alert again only after staying at zero.
+   *
+   * @param {Object} current - Current state by type (AppointmentData or plain JSON, or null)
+   */
+  seed(current) {
+    const minCount = config.get('TRACKER_ALERT_MIN_COUNT');
+    
+    Object.entries(current || {}).forEach(([type, item]) => {
+      if (!item) return;
+      const locations = item.locations || [];
+      
+      this._entries(item.count, locations)
+        .filter(entry => entry.count > 0 && entry.count >= minCount)
+        .forEach(({ key }) => {
+          this.locations.set(`${type}|${key}`, { armed: false, zeroSince: null, alertedAsTotal: locations.length === 0 });
+          logger.debug(`${type} ${key} starts disarmed: ${item.count} appointments at the last check`);
+        });
+    });
+  }
+  
+  /**
+   * Feed a successful check through the gate
+   *
+   * Updates flap state for every location and returns the ones that should
+   * alert now: armed and at or above TRACKER_ALERT_MIN_COUNT. Returned
+   * locations are disarmed until they have stayed at zero for
+   * TRACKER_FLAP_REARM minutes.
+   *
+   * @param {string} type - Appointment type
+   * @param {number} count - Total appointment count
+   * @param {Array<Object>} [locations=[]] - Per-location availability
+   * @param {Date} [now=new Date()] - Check time
+   * @returns {Array<string>} - Location keys (location IDs, or 'total') to alert about
+   */
+  observe(type, count, locations = [], now = new Date()) {
+    const minCount = config.get('TRACKER_ALERT_MIN_COUNT');
+    const rearmAfter = config.get('TRACKER_FLAP_REARM') * 60 * 1000;
+    const alertable = [];
+    const entries = this._entries(count, locations);
+    const byLocation = entries.length > 1;
+    
+    // The location list is not fetched at zero, but every location is at zero too
+    if (count <= 0) {
+      this.locations.forEach((state, stateKey) => {
+        const key = stateKey.slice(type.length + 1);
+        if (stateKey.startsWith(`${type}|`) && !entries.some(entry => entry.key === key)) {
+          entries.push({ key, count: 0 });
+        }
+      });
+    }
+    
+    // After an alert about the total alone, every location was part of it
+    const total = this.locations.get(`${type}|${TOTAL_KEY}`);
+    const coveredByTotal = Boolean(total && !total.armed && total.alertedAsTotal);
+    
+    entries.forEach(({ key, count: locationCount }) => {
+      const stateKey = `${type}|${key}`;
+      if (!this.locations.has(stateKey)) {
+        this.locations.set(stateKey, { armed: true, zeroSince: null, alertedAsTotal: false });
+      }
+      const state = this.locations.get(stateKey);
+      
+      if (locationCount > 0) {
+        state.zeroSince = null;
+      } else {
+        state.zeroSince = state.zeroSince || now;
+        if (!state.armed && now - state.zeroSince >= rearmAfter) {
+          state.armed = true;
+          logger.debug(`${type} ${key} re-armed after ${config.get('TRACKER_FLAP_REARM')} minutes at zero`);
+        }
+      }
+      
+      // With a location list the locations alert, and the total follows them
+      if (locationCount <= 0 || (key === TOTAL_KEY && byLocation)) return;
+      
+      if (locationCount < minCount) {
+        logger.debug(`${type} ${key}: ${locationCount} below alert threshold of ${minCount}`);
+      } else if (!state.armed) {
+        logger.debug(`Suppressing ${type} ${key} alert: it has not stayed at zero for ${config.get('TRACKER_FLAP_REARM')} minutes since the last one`);
+      } else if (coveredByTotal && key !== TOTAL_KEY) {
+        state.armed = false;
+        logger.debug(`Suppressing ${type} ${key} alert: already covered by the alert about the ${type} total`);
+      } else {
+        state.armed = false;
+        state.alertedAsTotal = key === TOTAL_KEY;
+        alertable.push(key);
+      }
+    });
+    
+    if (byLocation && alertable.length > 0) {
+      const totalState = this.locations.get(`${type}|${TOTAL_KEY}`);
+      totalState.armed = false;
+      totalState.alertedAsTotal = false;
+    }
+    
+    return alertable;
+  }
+  
+  /**
+   * Check whether a target is still cooling down for every given location
+   * @param {string} target - Recipient or channel ID
+   * @param {string} type - Appointment type
+   * @param {Array<string>} keys - Location keys
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {boolean} - True if the target was alerted about all of them within the cooldown
+   */
+  isCoolingDown(target, type, keys, now = new Date()) {
+    const cooldown = config.get('TRACKER_ALERT_COOLDOWN') * 60 * 1000;
+    
+    return keys.every(key => {
+      const last = this.cooldowns.get(`${target}|${type}|${key}`);
+      return last !== undefined && now - last < cooldown;
+    });
+  }
+  
+  /**
+   * Record that a target was alerted about locations
+   * @param {string} target - Recipient or channel ID
+   * @param {string} type - Appointment type
+   * @param {Array<string>} keys - Location keys
+   * @param {Date} [now=new Date()] - Alert time
+   */
+  recordSent(target, type, keys, now = new Date()) {
+    keys.forEach(key => this.cooldowns.set(`${target}|${type}|${key}`, now));
+  }
+  
+  /**
+   * Build the delivery hooks Notifier uses to apply cooldowns for an alert
+   *
+   * Change rules keep their own cooldowns, so an increase alert does not
+   * hold back the next first-availability alert or vice versa.
+   *
+   * @param {string} type - Appointment type
+   * @param {Array<string>} keys - Location keys being alerted
+   * @param {string} [rule='available'] - Alert rule name
+   * @returns {Object} - { canNotify(target), onNotified(target) }
+   */
+  forAlert(type, keys, rule = 'available') {
+    const scope = rule === 'available' ? type : `${type}/${rule}`;
+    
+    return {
+      canNotify: target => {
+        if (this.isCoolingDown(target, scope, keys)) {
+          logger.info(`Skipping ${target}: alerted about ${scope} ${keys.join(', ')} within the last ${config.get('TRACKER_ALERT_COOLDOWN')} minutes`);
+          return false;
+        }
+        return true;
+      },
+      onNotified: target => this.recordSent(target, scope, keys)
+    };
+  }
+}
+
+module.exports = new AlertGate(); // Singleton instance
@@ -0,0 +1,165 @@
+/**
+ * Alert rules for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - First availability (the original 0 -> N alert)
+ * - Absolute and percentage increases, e.g. a fresh release at a location
+ * - New locations appearing in the list
+ * - "Last slots remaining" warnings
+ * - Per-rule subject and line templates, inline or as template files
+ *
+ * Rules come from TRACKER_ALERT_RULES and are evaluated against the result
+ * of AppointmentStore.update(). Recipients and channels pick the rules they
+ * want with a "rules" list of rule names.
+ */
+
+const logger = require('../utils/logger').child('alerts');
+const { config } = require('../utils/config');
+
+// Rule kinds with their default thresholds. Subjects and per-location lines
+// come from src/templates/<kind>.subject.txt and <kind>.line.txt.
+const RULE_KINDS = {
+  available: {},
+  increase: { threshold: 10 },
+  percent: { threshold: 100 },
+  newLocation: {},
+  lastSlots: { threshold: 3 }
+};
+
+// Used when TRACKER_ALERT_RULES is empty
+const DEFAULT_RULES = [{ name: 'available', kind: 'available' }];
+
+class AlertRules {
+  constructor() {
+    this.warned = new Set(); // Invalid rules already reported, so each is logged once
+  }
+  
+  /**
+   * Get the configured rules with defaults filled in
+   * @returns {Array<Object>} - Rules ({ name, kind, threshold, subject, template }); subject and template only when configured
+   */
+  getRules() {
+    const configured = config.get('TRACKER_ALERT_RULES') || [];
+    const definitions = configured.length > 0 ? configured : DEFAULT_RULES;
+    
+    return definitions
+      .filter(definition => {
+        if (!RULE_KINDS[definition.kind]) {
+          const name = definition.name || definition.kind;
+          if (this.warned.has(name)) return false;
+          this.warned.add(name);
+          logger.warn(`Ignoring alert rule "${name}": unknown kind "${definition.kind}"`);
+          return false;
+        }
+        return true;
+      })
+      .map(definition => ({
+        ...RULE_KINDS[definition.kind],
+        ...definition,
+        name: definition.name || definition.kind
+      }));
+  }
+  
+  /**
+   * Get a configured rule by name
+   * @param {string} name - Rule name
+   * @returns {Object|null} - Rule or null
+   */
+  get(name) {
+    return this.getRules().find(rule => rule.name === name) || null;
+  }
+  
+  /**
+   * Pair current and previous counts per location
+   * @param {Object} update - Result of AppointmentStore.update()
+   * @returns {Array<Object>} - { id, name, address, count, previousCount, isNew } (id matches the alert gate's location keys)
+   */
+  _compare(update) {
+    if (!update.locations || update.locations.length === 0) {
+      return [{ id: 'total', name: null, count: update.count, previousCount: update.previousCount, isNew: false }];
+    }
+    
+    const keyOf = location => String(location.id || location.name);
+    const previous = new Map((update.previousLocations || []).map(location => [keyOf(location), location]));
+    
+    return update.locations.map(location => {
+      const before = previous.get(keyOf(location));
+      return {
+        id: keyOf(location),
+        name: location.name,
+        address: location.address,
+        count: location.count,
+        previousCount: before ? before.count : 0,
+        // Only a location missing from an earlier, non-empty list counts as new
+        isNew: !before && previous.size > 0
+      };
+    });
+  }
+  
+  /**
+   * Check whether one location matches a rule
+   * @param {Object} rule - Alert rule
+   * @param {Object} entry - Location comparison from _compare()
+   * @returns {boolean} - True if the rule fires for this location
+   */
+  _matches(rule, entry) {
+    const change = entry.count - entry.previousCount;
+    
+    switch (rule.kind) {
+      case 'increase':
+        return entry.previousCount > 0 && change >= rule.threshold;
+      case 'percent':
+        return entry.previousCount > 0 && (change / entry.previousCount) * 100 >= rule.threshold;
+      case 'newLocation':
+        return entry.isNew && entry.count > 0;
+      case 'lastSlots':
+        return entry.count > 0 && entry.count <= rule.threshold && entry.previousCount > rule.threshold;
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Evaluate the change rules against an update
+   *
+   * First availability ('available' rules) is decided by the alert gate, so
+   * it is not returned here.
+   *
+   * @param {Object} update - Result of AppointmentStore.update()
+   * @returns {Array<Object>} - Fired rules ({ rule, matches }) with matching locations
+   */
+  evaluate(update) {
+    if (!update.hasChanged) return [];
+    
+    const entries = this._compare(update);
+    
+    return this.getRules()
+      .filter(rule => rule.kind !== 'available')
+      .map(rule => ({
+        rule,
+        matches: entries
+          .filter(entry => this._matches(rule, entry))
+          .map(entry => ({
+            ...entry,
+            change: entry.count - entry.previousCount,
+            percent: entry.previousCount > 0
+              ? Math.round(((entry.count - entry.previousCount) / entry.previousCount) * 100)
+              : null
+          }))
+      }))
+      .filter(result => result.matches.length > 0);
+  }
+  
+  /**
+   * Check whether a recipient or channel wants alerts from a rule
+   * @param {Array<string>|null|undefined} wanted - The target's "rules" setting (unset means every rule)
+   * @param {string} name - Rule name
+   * @returns {boolean} - True if the target should get this rule's alerts
+   */
+  wants(wanted, name) {
+    return !Array.isArray(wanted) || wanted.includes(name);
+  }
+}
+
+module.exports = new AlertRules(); // Singleton instance
+module.exports.RULE_KINDS = RULE_KINDS;
@@ -0,0 +1,330 @@
+/**
+ * Availability analytics for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Availability windows: when slots opened and when they were gone again
+ * - Window length statistics (median, average, longest)
+ * - Hour-of-day and day-of-week distribution of slot drops
+ * - How long slots stayed open after an alert went out
+ * - Daily and weekly digests: openings, peaks, longest window, uptime and
+ *   failed checks over a period
+ *
+ * Everything is derived from the observation time series and alert log in
+ * the appointment store, per type or per location.
+ */
+
+const { store: appointmentStore } = require('../models/appointment');
+const { config } = require('../utils/config');
+const { getZonedTime } = require('../utils/timeWindows');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class Analytics {
+  /**
+   * @param {AppointmentStore} [store] - Store to read observations and alerts from
+   */
+  constructor(store = appointmentStore) {
+    this.store = store;
+  }
+  
+  /**
+   * Build availability windows from observations of one series
+   *
+   * A window opens at the first observation with slots after one without
+   * and closes at the next observation without slots. Failed checks neither
+   * open nor close a window.
+   *
+   * @param {Array<Object>} observations - Observations of a single type/location, oldest first
+   * @returns {Array<Object>} - Windows ({ openedAt, closedAt, duration, peakCount })
+   */
+  buildWindows(observations) {
+    const windows = [];
+    let current = null;
+    
+    observations.forEach(item => {
+      if (!item.success) return;
+      
+      if (item.count > 0) {
+        if (!current) {
+          current = { openedAt: item.timestamp, closedAt: null, duration: null, peakCount: item.count };
+          windows.push(current);
+        } else {
+          current.peakCount = Math.max(current.peakCount, item.count);
+        }
+      } else if (current) {
+        current.closedAt = item.timestamp;
+        current.duration = item.timestamp - current.openedAt;
+        current = null;
+      }
+    });
+    
+    return windows;
+  }
+  
+  /**
+   * Get availability windows for a type, or one of its locations
+   * @param {Object} filter - Series filter
+   * @param {string} filter.type - Appointment type
+   * @param {string} [filter.location='total'] - Location name or ID, or 'total' for the type total
+   * @param {Date|string} [filter.from] - Earliest observation
+   * @param {Date|string} [filter.to] - Latest observation
+   * @returns {Array<Object>} - Windows, oldest first
+   */
+  getWindows({ type, location = 'total', from, to }) {
+    const observations = this.store.getObservations({ type, location, from, to });
+    return this.buildWindows(observations);
+  }
+  
+  /**
+   * Summarize window lengths
+   * @param {Array<Object>} windows - Availability windows
+   * @returns {Object} - { windows, closed, open, medianDuration, averageDuration, longestDuration } (durations in ms)
+   */
+  summarizeWindows(windows) {
+    const durations = windows.filter(window => window.closedAt).map(window => window.duration);
+    
+    return {
+      windows: windows.length,
+      closed: durations.length,
+      open: windows.length - durations.length,
+      medianDuration: median(durations),
+      averageDuration: durations.length > 0
+        ? Math.round(durations.reduce((total, value) => total + value, 0) / durations.length)
+        : null,
+      longestDuration: durations.length > 0 ? Math.max(...durations) : null
+    };
+  }
+  
+  /**
+   * Count when windows opened by hour of day and day of week in TRACKER_TIMEZONE
+   * @param {Array<Object>} windows - Availability windows
+   * @returns {Object} - { byHour: Array<number> (24), byDayOfWeek: Object (day name -> count) }
+   */
+  getDropDistribution(windows) {
+    const byHour = new Array(24).fill(0);
+    const byDay = new Array(7).fill(0);
+    const timeZone = config.get('TRACKER_TIMEZONE');
+    
+    windows.forEach(window => {
+      const { day, hour } = getZonedTime(window.openedAt, timeZone);
+      byHour[hour]++;
+      byDay[day]++;
+    });
+    
+    const byDayOfWeek = {};
+    DAY_NAMES.forEach((day, index) => {
+      byDayOfWeek[day] = byDay[index];
+    });
+    
+    return { byHour, byDayOfWeek };
+  }
+  
+  /**
+   * Measure how long slots stayed available after each alert
+   * @param {string} type - Appointment type
+   * @param {Array<Object>} windows - Type-total availability windows
+   * @param {Object} [range={}] - Alert time range ({ from, to })
+   * @returns {Object} - { alerts, measured, stillOpen, medianTimeToClose, fastestTimeToClose, slowestTimeToClose } (ms)
+   */
+  getAlertToClose(type, windows, range = {}) {
+    const alerts = this.store.getAlerts({ type, from: range.from, to: range.to });
+    const times = [];
+    let stillOpen = 0;
+    
+    alerts.forEach(alert => {
+      const sentAt = new Date(alert.timestamp);
+      
+      // The window the alert was about: the latest one that opened at or before it
+      const window = windows.filter(item => item.openedAt <= sentAt).pop();
+      if (!window) return;
+      
+      if (!window.closedAt) {
+        stillOpen++;
+      } else if (window.closedAt >= sentAt) {
+        times.push(window.closedAt - sentAt);
+      }
+    });
+    
+    return {
+      alerts: alerts.length,
+      measured: times.length,
+      stillOpen,
+      medianTimeToClose: median(times),
+      fastestTimeToClose: times.length > 0 ? Math.min(...times) : null,
+      slowestTimeToClose: times.length > 0 ? Math.max(...times) : null
+    };
+  }
+  
+  /**
+   * Build the full statistics report for one series
+   * @param {Object} filter - Series filter ({ type, location, from, to })
+   * @returns {Object} - { type, location, summary, distribution, alertToClose, windows }
+   */
+  getSeriesStats({ type, location = 'total', from, to }) {
+    const windows = this.getWindows({ type, location, from, to });
+    
+    return {
+      type,
+      location,
+      summary: this.summarizeWindows(windows),
+      distribution: this.getDropDistribution(windows),
+      // Alerts are sent per type, so they are only measured against type totals
+      alertToClose: location === 'total' ? this.getAlertToClose(type, windows, { from, to }) : null,
+      windows
+    };
+  }
+  
+  /**
+   * Estimate how much of a period the tracker was checking
+   *
+   * Time between two checks counts as covered when the gap is at most twice
+   * the longest configured check interval; longer gaps mean the tracker was
+   * not running.
+   *
+   * @param {Array<Object>} checks - Type-total observations in the period
+   * @param {Date} from - Start of the period
+   * @param {Date} to - End of the period
+   * @returns {number} - Percentage of the period covered, with one decimal
+   */
+  getUptime(checks, from, to) {
+    const period = to - from;
+    if (period <= 0 || checks.length === 0) return 0;
+    
+    const interval = config.get('TRACKER_DYNAMIC_INTERVALS')
+      ? config.get('TRACKER_MAX_INTERVAL')
+      : config.get('TRACKER_CHECK_INTERVAL');
+    const tolerance = 2 * interval * 60 * 1000;
+    
+    const times = checks.map(item => item.timestamp.getTime()).sort((a, b) => a - b);
+    let covered = 0;
+    [from.getTime(), ...times, to.getTime()].reduce((previous, time) => {
+      if (time - previous <= tolerance) {
+        covered += time - previous;
+      }
+      return time;
+    });
+    
+    return Math.round(Math.min(covered / period, 1) * 1000) / 10;
+  }
+  
+  /**
+   * Summarize one type for a digest
+   * @param {string} type - Appointment type
+   * @param {Array<Object>} observations - Observations of the type in the period, oldest first
+   * @param {Date} to - End of the period; windows still open are measured up to here
+   * @returns {Object} - { type, title, openings, peakCount, peakAt, longestWindow, locations }
+   */
+  _getDigestType(type, observations, to) {
+    const totals = observations.filter(item => item.location === null);
+    const windows = this.buildWindows(totals);
+    
+    const peak = totals
+      .filter(item => item.success && item.count > 0)
+      .reduce((best, item) => (!best || item.count > best.count ? item : best), null);
+    
+    const longest = windows
+      .map(window => ({
+        openedAt: window.openedAt.toISOString(),
+        closedAt: window.closedAt ? window.closedAt.toISOString() : null,
+        duration: window.closedAt ? window.duration : to - window.openedAt,
+        peakCount: window.peakCount
+      }))
+      .reduce((best, window) => (!best || window.duration > best.duration ? window : best), null);
+    
+    const byLocation = new Map();
+    observations.filter(item => item.location !== null).forEach(item => {
+      const key = item.locationId || item.location;
+      if (!byLocation.has(key)) {
+        byLocation.set(key, []);
+      }
+      byLocation.get(key).push(item);
+    });
+    
+    const locations = Array.from(byLocation.values())
+      .map(items => ({
+        id: items[0].locationId,
+        name: items[items.length - 1].location,
+        openings: this.buildWindows(items).length,
+        peakCount: Math.max(...items.filter(item => item.success).map(item => item.count), 0)
+      }))
+      .filter(location => location.peakCount > 0)
+      .sort((a, b) => b.openings - a.openings || b.peakCount - a.peakCount);
+    
+    // Catalog services are named after their card title
+    const state = this.store.getCurrentState(type);
+    
+    return {
+      type,
+      title: /^service-/.test(type) && state ? state.location : null,
+      openings: windows.length,
+      peakCount: peak ? peak.count : 0,
+      peakAt: peak ? peak.timestamp.toISOString() : null,
+      longestWindow: longest,
+      locations
+    };
+  }
+  
+  /**
+   * Build a digest of one period
+   * @param {Object} range - Period
+   * @param {Date} range.from - Start of the period
+   * @param {Date} range.to - End of the period
+   * @returns {Object} - { from, to, checks: { total, failed }, uptime, types }
+   */
+  getDigest({ from, to }) {
+    const observations = this.store.getObservations({ from, to });
+    const checks = observations.filter(item => item.location === null);
+    const types = Array.from(new Set(checks.map(item => item.type)));
+    
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      checks: {
+        total: checks.length,
+        failed: checks.filter(item => !item.success).length
+      },
+      uptime: this.getUptime(checks, from, to),
+      types: types.map(type => this._getDigestType(type, observations.filter(item => item.type === type), to))
+    };
+  }
+  
+  /**
+   * Build statistics for one or every tracked type
+   * @param {Object} [filter={}] - Report filter
+   * @param {string} [filter.type] - Appointment type (defaults to every tracked type)
+   * @param {string} [filter.location] - Location name or ID (defaults to type totals)
+   * @param {Date|string} [filter.from] - Start of the period
+   * @param {Date|string} [filter.to] - End of the period
+   * @returns {Object} - { generatedAt, from, to, series }
+   */
+  getStats(filter = {}) {
+    const types = filter.type ? [filter.type] : this.store.getTypes();
+    
+    return {
+      generatedAt: new Date().toISOString(),
+      from: filter.from || null,
+      to: filter.to || null,
+      series: types.map(type => this.getSeriesStats({
+        type,
+        location: filter.location || 'total',
+        from: filter.from,
+        to: filter.to
+      }))
+    };
+  }
+}
+
+module.exports = new Analytics(); // Singleton instance
@@ -0,0 +1,348 @@
+/**
+ * Debug capture manager for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Pages the scraper could not read, or whose structure changed, are saved
+ *   to debug/ as <type>-<reason>-<timestamp>.html, with an optional report
+ *   (such as a structure diff) next to them as .diff.txt
+ * - debug/index.json records each capture's reason, type, HTTP status,
+ *   matching strategy, URL, size and content hash; reasons lists every
+ *   reason the same page was saved for
+ * - A page identical to an existing capture is not saved again; the
+ *   existing capture's seen count and last-seen time are updated instead
+ * - Captures older than TRACKER_DEBUG_RETENTION_DAYS are removed, then the
+ *   oldest ones until debug/ fits in TRACKER_DEBUG_MAX_SIZE
+ * - Captures saved before the index existed are indexed on first use
+ *
+ * The index is read from disk on every use, so files removed by hand (or a
+ * deleted debug/ directory) are noticed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger').child('captures');
+const { config } = require('../utils/config');
+
+// Index file in the capture directory
+const INDEX_FILE = 'index.json';
+
+// Suffix of the report saved next to a capture
+const REPORT_SUFFIX = '.diff.txt';
+
+// Capture file names: <type>-<reason>-<timestamp>.html
+const FILE_PATTERN = /^(regular|mobile|service-\d+)-(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-[0-9a-f]+)?\.html$/;
+
+class Captures {
+  constructor() {
+    this.dir = path.join(process.cwd(), 'debug');
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+  
+  /**
+   * Get the content hash of a page
+   * @param {string} html - HTML content
+   * @returns {string} - SHA-256 hash (hex)
+   */
+  _hash(html) {
+    return crypto.createHash('sha256').update(html).digest('hex');
+  }
+  
+  /**
+   * Get the size of a capture file
+   * @param {string} file - File name in the capture directory
+   * @returns {number} - Size in bytes (0 if the file is missing)
+   */
+  _size(file) {
+    try {
+      return fs.statSync(path.join(this.dir, file)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+  
+  /**
+   * Read the index, dropping captures whose page is gone and adding pages that are not indexed
+   * @returns {Array<Object>} - Captures, oldest first
+   */
+  _read() {
+    if (!fs.existsSync(this.dir)) return [];
+    
+    let entries = [];
+    const indexFile = path.join(this.dir, INDEX_FILE);
+    if (fs.existsSync(indexFile)) {
+      try {
+        entries = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+      } catch (error) {
+        logger.error(`Cannot read ${indexFile}, rebuilding it: ${error.message}`, { error });
+      }
+    }
+    
+    const files = new Set(fs.readdirSync(this.dir));
+    const indexed = entries.filter(entry => files.has(entry.file));
+    const known = new Set(indexed.map(entry => entry.file));
+    const added = [...files].filter(file => file.endsWith('.html') && !known.has(file)).sort();
+    
+    added.forEach(file => this._indexFile(indexed, file));
+    
+    if (indexed.length !== entries.length || added.length > 0) {
+      this._write(indexed);
+    }
+    return indexed;
+  }
+  
+  /**
+   * Index a capture saved without the index, such as one from an earlier version
+   *
+   * A page identical to an indexed one is merged into it and its file removed.
+   *
+   * @param {Array<Object>} entries - Index to add to
+   * @param {string} file - Page file name
+   */
+  _indexFile(entries, file) {
+    const filepath = path.join(this.dir, file);
+    const html = fs.readFileSync(filepath, 'utf8');
+    const hash = this._hash(html);
+    const { mtime } = fs.statSync(filepath);
+    const match = file.match(FILE_PATTERN);
+    
+    const existing = entries.find(entry => entry.hash === hash);
+    if (existing) {
+      existing.seen++;
+      this._removeFiles({ file, reportFile: null });
+      logger.info(`Removed ${file}: identical to ${existing.file}`);
+      return;
+    }
+    
+    const reportFile = file.replace(/\.html$/, REPORT_SUFFIX);
+    const entry = {
+      id: file.replace(/\.html$/, ''),
+      file,
+      reportFile: fs.existsSync(path.join(this.dir, reportFile)) ? reportFile : null,
+      hash,
+      type: match ? match[1] : null,
+      reason: match ? match[2] : 'unknown',
+      reasons: [match ? match[2] : 'unknown'],
+      status: null,
+      strategy: null,
+      url: null,
+      size: 0,
+      capturedAt: mtime.toISOString(),
+      lastSeenAt: mtime.toISOString(),
+      seen: 1
+    };
+    entry.size = this._entrySize(entry);
+    entries.push(entry);
+  }
+  
+  /**
+   * Get the disk space a capture takes
+   * @param {Object} entry - Capture
+   * @returns {number} - Size of the page and its report in bytes
+   */
+  _entrySize(entry) {
+    return this._size(entry.file) + (entry.reportFile ? this._size(entry.reportFile) : 0);
+  }
+  
+  /**
+   * Write the index: temp file, then rename
+   * @param {Array<Object>} entries - Captures
+   */
+  _write(entries) {
+    const indexFile = path.join(this.dir, INDEX_FILE);
+    const temp = `${indexFile}.${process.pid}.tmp`;
+    
+    try {
+      fs.writeFileSync(temp, JSON.stringify(entries, null, 2));
+      fs.renameSync(temp, indexFile);
+    } catch (error) {
+      logger.error(`Error saving capture index: ${error.message}`, { error });
+      fs.rmSync(temp, { force: true });
+    }
+  }
+  
+  /**
+   * Delete a capture's files
+   * @param {Object} entry - Capture ({ file, reportFile })
+   */
+  _removeFiles(entry) {
+    [entry.file, entry.reportFile].filter(Boolean).forEach(file => {
+      fs.rmSync(path.join(this.dir, file), { force: true });
+    });
+  }
+  
+  /**
+   * Save a page, or count it against an identical capture
+   * @param {string} html - HTML content
+   * @param {Object} details - What the page is
+   * @param {string} details.type - Site or service type
+   * @param {string} details.reason - Why it was saved (parse-failed, structure-change, error-503, ...)
+   * @param {number} [details.status] - HTTP status of the response
+   * @param {string} [details.strategy] - Selector strategy that read the page, if any
+   * @param {string} [details.url] - URL the page was fetched from
+   * @param {string} [details.report] - Text saved next to the page, such as a structure diff
+   * @param {Date} [now=new Date()] - Time of the capture
+   * @returns {Object} - Capture from the index, with duplicate: true if an identical page was already saved
+   */
+  save(html, details, now = new Date()) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    
+    const entries = this._read();
+    const hash = this._hash(html);
+    const existing = entries.find(entry => entry.hash === hash);
+    let entry = existing;
+    
+    if (existing) {
+      existing.seen++;
+      existing.lastSeenAt = now.toISOString();
+      if (!existing.reasons.includes(details.reason)) {
+        existing.reasons.push(details.reason);
+      }
+      logger.debug(`Page is identical to capture ${existing.id}, not saved again`, { type: details.type, reason: details.reason });
+    } else {
+      const timestamp = now.toISOString().replace(/[:.]/g, '-');
+      let id = `${details.type}-${details.reason}-${timestamp}`;
+      if (fs.existsSync(path.join(this.dir, `${id}.html`))) {
+        id = `${id}-${hash.slice(0, 8)}`;
+      }
+      
+      entry = {
+        id,
+        file: `${id}.html`,
+        reportFile: null,
+        hash,
+        type: details.type,
+        reason: details.reason,
+        reasons: [details.reason],
+        status: details.status || null,
+        strategy: details.strategy || null,
+        url: details.url || null,
+        size: 0,
+        capturedAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        seen: 1
+      };
+      fs.writeFileSync(path.join(this.dir, entry.file), html);
+      entries.push(entry);
+    }
+    
+    // The newest report wins, so a repeated page carries its latest diff
+    if (details.report) {
+      entry.reportFile = `${entry.id}${REPORT_SUFFIX}`;
+      fs.writeFileSync(path.join(this.dir, entry.reportFile), details.report);
+    }
+    entry.size = this._entrySize(entry);
+    
+    this._prune(entries, now);
+    this._write(entries);
+    return { ...entry, duplicate: Boolean(existing) };
+  }
+  
+  /**
+   * Remove captures past the age and size limits
+   * @param {Array<Object>} entries - Captures, changed in place
+   * @param {Date} now - Reference time
+   * @returns {Object} - { removed, bytes } freed
+   */
+  _prune(entries, now) {
+    const retentionDays = config.get('TRACKER_DEBUG_RETENTION_DAYS');
+    const maxBytes = config.get('TRACKER_DEBUG_MAX_SIZE') * 1024 * 1024;
+    const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    const removed = [];
+    
+    // Least recently seen first
+    const byAge = [...entries].sort((a, b) => a.lastSeenAt.localeCompare(b.lastSeenAt));
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    
+    byAge.forEach((entry, index) => {
+      const expired = retentionDays > 0 && new Date(entry.lastSeenAt).getTime() < cutoff;
+      // The newest capture is kept even if it alone is over the limit
+      const oversize = maxBytes > 0 && total > maxBytes && index < byAge.length - 1;
+      if (expired || oversize) {
+        removed.push(entry);
+        total -= entry.size;
+      }
+    });
+    
+    removed.forEach(entry => {
+      this._removeFiles(entry);
+      entries.splice(entries.indexOf(entry), 1);
+    });
+    
+    const bytes = removed.reduce((sum, entry) => sum + entry.size, 0);
+    if (removed.length > 0) {
+      logger.info(`Removed ${removed.length} debug capture(s) (${Math.round(bytes / 1024)} KB) past the retention limits`);
+    }
+    return { removed: removed.length, bytes };
+  }
+  
+  /**
+   * Apply the retention limits now
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Object} - { removed, bytes } freed
+   */
+  prune(now = new Date()) {
+    const entries = this._read();
+    const result = this._prune(entries, now);
+    if (result.removed > 0) {
+      this._write(entries);
+    }
+    return result;
+  }
+  
+  /**
+   * List captures, newest first
+   * @param {Object} [filter={}] - Filter
+   * @param {string} [filter.type] - Only this type
+   * @param {string} [filter.reason] - Only this reason
+   * @param {number} [filter.limit] - Maximum number of captures
+   * @returns {Array<Object>} - Captures
+   */
+  list(filter = {}) {
+    const captures = this._read()
+      .filter(entry => !filter.type || entry.type === filter.type)
+      .filter(entry => !filter.reason || entry.reasons.includes(filter.reason))
+      .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+    
+    return filter.limit ? captures.slice(0, filter.limit) : captures;
+  }
+  
+  /**
+   * Get one capture with its page and report
+   * @param {string} id - Capture ID (the file name without .html)
+   * @returns {Object|null} - { capture, html, report }, or null if there is no such capture
+   */
+  get(id) {
+    const entry = this._read().find(item => item.id === id);
+    if (!entry) return null;
+    
+    return {
+      capture: entry,
+      html: fs.readFileSync(path.join(this.dir, entry.file), 'utf8'),
+      report: entry.reportFile ? fs.readFileSync(path.join(this.dir, entry.reportFile), 'utf8') : null
+    };
+  }
+  
+  /**
+   * Describe the captures and limits for status output
+   * @returns {Object} - { count, bytes, duplicates, maxBytes, retentionDays }
+   */
+  getStats() {
+    const entries = this._read();
+    
+    return {
+      count: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      duplicates: entries.reduce((sum, entry) => sum + entry.seen - 1, 0),
+      maxBytes: config.get('TRACKER_DEBUG_MAX_SIZE') * 1024 * 1024,
+      retentionDays: config.get('TRACKER_DEBUG_RETENTION_DAYS')
+    };
+  }
+}
+
+module.exports = new Captures(); // Singleton instance
+module.exports.INDEX_FILE = INDEX_FILE;
+module.exports.REPORT_SUFFIX = REPORT_SUFFIX;
@@ -0,0 +1,114 @@
+/**
+ * Service catalog for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Keeps the latest list of every NJMVC service card
+ * - Resolves subscriptions by service name or wizard ID
+ * - Maps catalog services to appointment store types
+ */
+
+const logger = require('../utils/logger').child('catalog');
+const { config } = require('../utils/config');
+
+// Prefix used for appointment store types of catalog services
+const SERVICE_TYPE_PREFIX = 'service-';
+
+class ServiceCatalog {
+  constructor() {
+    this.services = new Map(); // Latest known services by wizard ID
+    this.updatedAt = null;
+  }
+  
+  /**
+   * Get the store type used to track a service
+   * @param {Object|string} service - Catalog service or wizard ID
+   * @returns {string} - Appointment store type (e.g. service-11)
+   */
+  typeFor(service) {
+    const id = typeof service === 'object' ? service.id : service;
+    return `${SERVICE_TYPE_PREFIX}${id}`;
+  }
+  
+  /**
+   * Check whether a store type belongs to a catalog service
+   * @param {string} type - Appointment store type
+   * @returns {boolean} - True for catalog service types
+   */
+  isServiceType(type) {
+    return typeof type === 'string' && /^service-\d+$/.test(type);
+  }
+  
+  /**
+   * Get the configured subscriptions
+   * @returns {Array<string>} - Service names or wizard IDs
+   */
+  getSubscriptions() {
+    const value = config.get('TRACKER_SERVICES') || '';
+    return value
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+  }
+  
+  /**
+   * Merge freshly scraped services into the catalog
+   * @param {Array<Object>} services - Services from the scraper
+   */
+  update(services) {
+    services.forEach(service => this.services.set(service.id, service));
+    this.updatedAt = new Date();
+  }
+  
+  /**
+   * Get all known services
+   * @returns {Array<Object>} - Services sorted by site and wizard ID
+   */
+  getAll() {
+    return Array.from(this.services.values())
+      .sort((a, b) => a.site.localeCompare(b.site) || Number(a.id) - Number(b.id));
+  }
+  
+  /**
+   * Get a known service by wizard ID
+   * @param {string} id - Wizard ID
+   * @returns {Object|null} - Service or null
+   */
+  get(id) {
+    return this.services.get(String(id)) || null;
+  }
+  
+  /**
+   * Resolve subscriptions against a list of services
+   * @param {Array<Object>} services - Services to match
+   * @param {Array<string>} [subscriptions] - Names or wizard IDs (defaults to configured subscriptions)
+   * @returns {Array<Object>} - Subscribed services
+   */
+  match(services, subscriptions = this.getSubscriptions()) {
+    const matched = new Map();
+    
+    subscriptions.forEach(subscription => {
+      const wanted = subscription.toLowerCase();
+      const hits = services.filter(service =>
+        service.id === subscription || service.title.toLowerCase() === wanted
+      );
+      
+      hits.forEach(service => matched.set(service.id, service));
+    });
+    
+    return Array.from(matched.values());
+  }
+  
+  /**
+   * Log subscriptions that did not match any known service
+   * @param {Array<Object>} services - Services to match
+   */
+  warnUnmatched(services) {
+    this.getSubscriptions().forEach(subscription => {
+      if (this.match(services, [subscription]).length === 0) {
+        logger.warn(`Service subscription "${subscription}" did not match any service card`);
+      }
+    });
+  }
+}
+
+module.exports = new ServiceCatalog();
@@ -0,0 +1,163 @@
+/**
+ * Base notification channel for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Shared HTTP client with per-channel timeout and the network settings
+ *   (proxy, extra CAs, source IP, extra headers; see utils/network)
+ * - Retry with exponential backoff for transient failures
+ * - Uniform delivery results for every adapter
+ */
+
+const logger = require('../../utils/logger').child('channel');
+const { config } = require('../../utils/config');
+const { createHttpClient } = require('../../utils/network');
+
+class Channel {
+  /**
+   * @param {Object} options - Channel configuration from TRACKER_CHANNELS
+   * @param {Object} [helpers={}] - Shared helpers
+   * @param {Function} [helpers.calculateBackoff] - Backoff delay for a retry attempt (0-based)
+   */
+  constructor(options = {}, helpers = {}) {
+    this.type = options.type;
+    this.name = options.name || options.type;
+    this.options = options;
+    this.rules = Array.isArray(options.rules) ? options.rules : null; // Alert rule names, or null for every rule
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : config.get('TRACKER_MAX_RETRIES');
+    this.calculateBackoff = helpers.calculateBackoff || (() => 0);
+    
+    this.http = createHttpClient({
+      timeout: options.timeout || config.get('TRACKER_REQUEST_TIMEOUT'),
+      validateStatus: status => status >= 200 && status < 300
+    }, config.export().network);
+  }
+  
+  /**
+   * Configuration fields this channel requires
+   * @returns {Array<string>} - Option names
+   */
+  get requiredOptions() {
+    return [];
+  }
+  
+  /**
+   * Check the channel configuration
+   * @returns {Array<string>} - Problems found (empty if valid)
+   */
+  validate() {
+    return this.requiredOptions
+      .filter(key => !this.options[key])
+      .map(key => `${this.name}: missing "${key}"`);
+  }
+  
+  /**
+   * Build the HTTP request for a message
+   * @param {Object} message - Channel message ({ event, title, text, url, data })
+   * @returns {Object} - Request ({ url, data, headers })
+   */
+  buildRequest(message) {
+    throw new Error(`${this.type} channel does not implement buildRequest`);
+  }
+  
+  /**
+   * Get the server this channel posts to, for showing how it is reached
+   * @returns {string|null} - Origin of the request URL, or null if the channel is not configured
+   */
+  getOrigin() {
+    try {
+      return new URL(this.buildRequest({ event: 'test', title: '', text: '', data: {} }).url).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Decide whether a failed request is worth retrying
+   * @param {Error} error - Request error
+   * @returns {boolean} - True for network errors, rate limits and server errors
+   */
+  _isRetryable(error) {
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+  
+  /**
+   * Make a single delivery attempt
+   * @param {Object} message - Channel message ({ event, title, text, url, data })
+   * @returns {Promise<Object>} - Result ({ success, statusCode, error, retryable })
+   */
+  async attempt(message) {
+    try {
+      const request = this.buildRequest(message);
+      const response = await this.http.post(request.url, request.data, { headers: request.headers });
+      return { success: true, statusCode: response.status, error: null, retryable: false };
+    } catch (error) {
+      return {
+        success: false,
+        statusCode: error.response ? error.response.status : null,
+        error: error.message,
+        retryable: this._isRetryable(error)
+      };
+    }
+  }
+  
+  /**
+   * Deliver a message with retry
+   * @param {Object} message - Channel message ({ event, title, text, url, data })
+   * @returns {Promise<Object>} - Delivery result ({ channel, type, success, attempts, statusCode, error, latency, deliveredAt })
+   */
+  async send(message) {
+    const result = {
+      channel: this.name,
+      type: this.type,
+      success: false,
+      attempts: 0,
+      statusCode: null,
+      error: null,
+      latency: null,
+      deliveredAt: null
+    };
+    const started = Date.now();
+    
+    while (result.attempts <= this.maxRetries) {
+      if (result.attempts > 0) {
+        const delay = this.calculateBackoff(result.attempts - 1);
+        logger.info(`Retry ${result.attempts}/${this.maxRetries} for ${this.name} channel after ${Math.round(delay / 1000)} seconds`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      
+      result.attempts++;
+      
+      const outcome = await this.attempt(message);
+      result.statusCode = outcome.statusCode;
+      result.error = outcome.error;
+      
+      if (outcome.success) {
+        result.success = true;
+        result.deliveredAt = new Date().toISOString();
+        break;
+      }
+      
+      logger.error(`Error sending to ${this.name} channel (attempt ${result.attempts}): ${outcome.error}`, {
+        statusCode: result.statusCode
+      });
+      
+      if (!outcome.retryable) {
+        break;
+      }
+    }
+    
+    result.latency = Date.now() - started;
+    
+    if (result.success) {
+      logger.info(`Delivered to ${this.name} channel in ${result.latency}ms`);
+    } else {
+      logger.error(`Giving up on ${this.name} channel after ${result.attempts} attempt(s)`);
+    }
+    
+    return result;
+  }
+}
+
+module.exports = Channel;
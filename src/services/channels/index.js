@@ -0,0 +1,57 @@
+/**
+ * Notification channel registry for the REAL ID Appointment Tracker
+ *
+ * Maps channel types from TRACKER_CHANNELS to their adapters.
+ */
+
+const logger = require('../../utils/logger').child('channel');
+const Channel = require('./base');
+const WebhookChannel = require('./webhook');
+const { SlackChannel, DiscordChannel } = require('./slack');
+const TelegramChannel = require('./telegram');
+const NtfyChannel = require('./ntfy');
+const PushoverChannel = require('./pushover');
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  discord: DiscordChannel,
+  telegram: TelegramChannel,
+  ntfy: NtfyChannel,
+  pushover: PushoverChannel
+};
+
+/**
+ * Create channels from configuration, skipping invalid entries
+ * @param {Array<Object>} definitions - Channel configurations ({ type, name, ...options })
+ * @param {Object} [helpers={}] - Shared helpers passed to each channel
+ * @returns {Array<Channel>} - Valid channels
+ */
+function createChannels(definitions, helpers = {}) {
+  const channels = [];
+  
+  (definitions || []).forEach((definition, index) => {
+    const ChannelType = CHANNEL_TYPES[definition.type];
+    if (!ChannelType) {
+      logger.warn(`Ignoring channel #${index + 1}: unknown type "${definition.type}"`);
+      return;
+    }
+    
+    const channel = new ChannelType(definition, helpers);
+    const problems = channel.validate();
+    if (problems.length > 0) {
+      problems.forEach(problem => logger.warn(`Ignoring channel: ${problem}`));
+      return;
+    }
+    
+    channels.push(channel);
+  });
+  
+  return channels;
+}
+
+module.exports = {
+  Channel,
+  CHANNEL_TYPES,
+  createChannels
+};
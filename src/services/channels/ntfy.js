@@ -0,0 +1,38 @@
+/**
+ * ntfy push notification channel
+ *
+ * Options:
+ * - topic: Topic to publish to
+ * - server: ntfy server URL (default https://ntfy.sh)
+ * - token: Optional access token for protected topics
+ * - priority: Optional message priority (1-5)
+ */
+
+const Channel = require('./base');
+
+class NtfyChannel extends Channel {
+  get requiredOptions() {
+    return ['topic'];
+  }
+  
+  buildRequest(message) {
+    const server = (this.options.server || 'https://ntfy.sh').replace(/\/$/, '');
+    const headers = {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Title': message.title,
+      'Tags': 'calendar'
+    };
+    
+    if (message.url) headers['Click'] = message.url;
+    if (this.options.priority) headers['Priority'] = String(this.options.priority);
+    if (this.options.token) headers['Authorization'] = `Bearer ${this.options.token}`;
+    
+    return {
+      url: `${server}/${encodeURIComponent(this.options.topic)}`,
+      headers,
+      data: message.text
+    };
+  }
+}
+
+module.exports = NtfyChannel;
@@ -0,0 +1,44 @@
+/**
+ * Pushover channel
+ *
+ * Options:
+ * - token: Pushover application token
+ * - user: User or group key
+ * - apiUrl: API base URL (default https://api.pushover.net)
+ * - priority: Optional message priority (-2 to 2)
+ */
+
+const Channel = require('./base');
+
+class PushoverChannel extends Channel {
+  get requiredOptions() {
+    return ['token', 'user'];
+  }
+  
+  buildRequest(message) {
+    const apiUrl = (this.options.apiUrl || 'https://api.pushover.net').replace(/\/$/, '');
+    const data = new URLSearchParams({
+      token: this.options.token,
+      user: this.options.user,
+      title: message.title,
+      message: message.text
+    });
+    
+    if (message.url) {
+      data.set('url', message.url);
+      data.set('url_title', 'Book now');
+    }
+    if (this.options.priority !== undefined) {
+      data.set('priority', String(this.options.priority));
+    }
+    
+    // Form fields, as the Pushover API documents them
+    return {
+      url: `${apiUrl}/1/messages.json`,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      data: data.toString()
+    };
+  }
+}
+
+module.exports = PushoverChannel;
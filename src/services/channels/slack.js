@@ -0,0 +1,52 @@
+/**
+ * Slack and Discord incoming webhook channels
+ *
+ * Options:
+ * - webhookUrl: Incoming webhook URL from Slack or Discord
+ * - username: Optional display name override
+ */
+
+const Channel = require('./base');
+
+class SlackChannel extends Channel {
+  get requiredOptions() {
+    return ['webhookUrl'];
+  }
+  
+  buildRequest(message) {
+    const link = message.url ? `\n<${message.url}|Book now>` : '';
+    
+    return {
+      url: this.options.webhookUrl,
+      headers: { 'Content-Type': 'application/json' },
+      data: {
+        text: `*${message.title}*\n${message.text}${link}`,
+        ...(this.options.username ? { username: this.options.username } : {})
+      }
+    };
+  }
+}
+
+class DiscordChannel extends Channel {
+  get requiredOptions() {
+    return ['webhookUrl'];
+  }
+  
+  buildRequest(message) {
+    const link = message.url ? `\n${message.url}` : '';
+    
+    return {
+      url: this.options.webhookUrl,
+      headers: { 'Content-Type': 'application/json' },
+      data: {
+        content: `**${message.title}**\n${message.text}${link}`,
+        ...(this.options.username ? { username: this.options.username } : {})
+      }
+    };
+  }
+}
+
+module.exports = {
+  SlackChannel,
+  DiscordChannel
+};
@@ -0,0 +1,33 @@
+/**
+ * Telegram Bot API channel
+ *
+ * Options:
+ * - botToken: Bot token from @BotFather
+ * - chatId: Chat, group or channel ID to post to
+ * - apiUrl: Bot API base URL (default https://api.telegram.org)
+ */
+
+const Channel = require('./base');
+
+class TelegramChannel extends Channel {
+  get requiredOptions() {
+    return ['botToken', 'chatId'];
+  }
+  
+  buildRequest(message) {
+    const apiUrl = (this.options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+    const link = message.url ? `\n${message.url}` : '';
+    
+    return {
+      url: `${apiUrl}/bot${this.options.botToken}/sendMessage`,
+      headers: { 'Content-Type': 'application/json' },
+      data: {
+        chat_id: this.options.chatId,
+        text: `${message.title}\n${message.text}${link}`,
+        disable_web_page_preview: true
+      }
+    };
+  }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,37 @@
+/**
+ * Generic HTTP webhook channel
+ *
+ * POSTs the full notification as JSON to any URL.
+ *
+ * Options:
+ * - url: Endpoint to POST to
+ * - headers: Extra request headers (e.g. an Authorization header)
+ */
+
+const Channel = require('./base');
+
+class WebhookChannel extends Channel {
+  get requiredOptions() {
+    return ['url'];
+  }
+  
+  buildRequest(message) {
+    return {
+      url: this.options.url,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.options.headers || {})
+      },
+      data: {
+        event: message.event,
+        title: message.title,
+        text: message.text,
+        url: message.url,
+        data: message.data || {},
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,188 @@
+/**
+ * Circuit breaker for the NJMVC site
+ *
+ * Features:
+ * - One circuit per target URL, so an outage of the mobile site or a
+ *   location list does not stop checks of the others
+ * - A circuit opens after TRACKER_CIRCUIT_THRESHOLD fetches in a row failed
+ *   (each after its retries); while it is open, fetches of that URL fail at
+ *   once instead of going through the retries and their backoff
+ * - After TRACKER_CIRCUIT_COOLDOWN minutes the circuit is half-open: one
+ *   probe fetch goes through without retries, and closes the circuit if it
+ *   succeeds or opens it for another cooldown if it fails
+ * - Emits 'opened' when a circuit opens and 'recovered' when it closes again,
+ *   once each per outage, for the admin alerts
+ *
+ * Circuits are kept in memory; after a restart every URL starts closed.
+ */
+
+const EventEmitter = require('events');
+
+const logger = require('../utils/logger').child('circuitBreaker');
+const { config } = require('../utils/config');
+
+// Circuit states
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker extends EventEmitter {
+  constructor() {
+    super();
+    this.circuits = new Map(); // By URL
+  }
+  
+  /**
+   * Check whether circuits are enabled
+   * @returns {boolean} - False when TRACKER_CIRCUIT_THRESHOLD is 0
+   */
+  isEnabled() {
+    return config.get('TRACKER_CIRCUIT_THRESHOLD') > 0;
+  }
+  
+  /**
+   * Get the circuit of a URL, creating a closed one if there is none
+   * @param {string} url - Target URL
+   * @param {string} type - Site or service type the URL is fetched for
+   * @returns {Object} - Circuit
+   */
+  _get(url, type) {
+    if (!this.circuits.has(url)) {
+      this.circuits.set(url, {
+        url,
+        type,
+        state: STATES.CLOSED,
+        failures: 0,
+        lastError: null,
+        lastFailureAt: null,
+        openedAt: null,
+        nextProbeAt: null
+      });
+    }
+    return this.circuits.get(url);
+  }
+  
+  /**
+   * Describe a circuit for events and status output
+   * @param {Object} circuit - Circuit
+   * @returns {Object} - Copy of the circuit
+   */
+  _describe(circuit) {
+    return { ...circuit };
+  }
+  
+  /**
+   * Decide whether a fetch may go out
+   * @param {string} url - Target URL
+   * @param {string} type - Site or service type the URL is fetched for
+   * @param {Date} [now=new Date()] - Time of the fetch
+   * @returns {Object} - { allowed, probe, circuit }: probe is true for the single
+   *   fetch of a half-open circuit, which should not be retried
+   */
+  allow(url, type, now = new Date()) {
+    if (!this.isEnabled()) {
+      return { allowed: true, probe: false, circuit: null };
+    }
+    
+    const circuit = this._get(url, type);
+    
+    if (circuit.state === STATES.OPEN && now.getTime() >= new Date(circuit.nextProbeAt).getTime()) {
+      circuit.state = STATES.HALF_OPEN;
+      logger.info(`Circuit for ${type} site half-open: probing ${url}`);
+      return { allowed: true, probe: true, circuit: this._describe(circuit) };
+    }
+    
+    // Open, or half-open with the probe still out
+    const allowed = circuit.state === STATES.CLOSED;
+    return { allowed, probe: false, circuit: this._describe(circuit) };
+  }
+  
+  /**
+   * Record a successful fetch, closing the circuit if it was open
+   * @param {string} url - Target URL
+   * @param {string} type - Site or service type the URL is fetched for
+   * @param {Date} [now=new Date()] - Time of the fetch
+   */
+  recordSuccess(url, type, now = new Date()) {
+    if (!this.isEnabled()) return;
+    
+    const circuit = this._get(url, type);
+    const wasOpen = circuit.state !== STATES.CLOSED;
+    const outage = this._describe(circuit);
+    
+    circuit.state = STATES.CLOSED;
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.nextProbeAt = null;
+    
+    if (wasOpen) {
+      const recovered = {
+        ...outage,
+        state: STATES.CLOSED,
+        recoveredAt: now.toISOString(),
+        downtime: now.getTime() - new Date(outage.openedAt).getTime()
+      };
+      logger.info(`Circuit for ${type} site closed: ${url} is reachable again`);
+      this.emit('recovered', recovered);
+    }
+  }
+  
+  /**
+   * Record a fetch that failed after its retries, opening the circuit at the threshold
+   * @param {string} url - Target URL
+   * @param {string} type - Site or service type the URL is fetched for
+   * @param {Error} error - Why the fetch failed
+   * @param {Date} [now=new Date()] - Time of the fetch
+   */
+  recordFailure(url, type, error, now = new Date()) {
+    if (!this.isEnabled()) return;
+    
+    const circuit = this._get(url, type);
+    const cooldown = config.get('TRACKER_CIRCUIT_COOLDOWN') * 60 * 1000;
+    
+    circuit.failures++;
+    circuit.lastError = error.message;
+    circuit.lastFailureAt = now.toISOString();
+    
+    if (circuit.state === STATES.HALF_OPEN) {
+      circuit.state = STATES.OPEN;
+      circuit.nextProbeAt = new Date(now.getTime() + cooldown).toISOString();
+      logger.warn(`Probe of ${type} site failed, circuit stays open until ${circuit.nextProbeAt}: ${error.message}`);
+      return;
+    }
+    
+    if (circuit.state === STATES.CLOSED && circuit.failures >= config.get('TRACKER_CIRCUIT_THRESHOLD')) {
+      circuit.state = STATES.OPEN;
+      circuit.openedAt = now.toISOString();
+      circuit.nextProbeAt = new Date(now.getTime() + cooldown).toISOString();
+      logger.error(`Circuit for ${type} site opened after ${circuit.failures} failed checks in a row; next try ${circuit.nextProbeAt}`, { url });
+      this.emit('opened', this._describe(circuit));
+    }
+  }
+  
+  /**
+   * Describe every circuit for status output
+   * @returns {Object} - Circuits by URL ({ url, type, state, failures, lastError, lastFailureAt, openedAt, nextProbeAt })
+   */
+  getStatus() {
+    const status = {};
+    
+    this.circuits.forEach((circuit, url) => {
+      status[url] = this._describe(circuit);
+    });
+    
+    return status;
+  }
+  
+  /**
+   * Close every circuit without alerts, e.g. after the site URLs change
+   */
+  reset() {
+    this.circuits.clear();
+  }
+}
+
+module.exports = new CircuitBreaker(); // Singleton instance
+module.exports.STATES = STATES;
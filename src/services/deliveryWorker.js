@@ -0,0 +1,185 @@
+/**
+ * Delivery worker for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Sends pending outbox entries in the background, oldest due first
+ * - Wakes up as soon as something is queued, and polls for scheduled retries
+ * - Records every attempt in the delivery log with its latency
+ * - Exponential backoff between attempts; gives up after
+ *   TRACKER_OUTBOX_MAX_ATTEMPTS or on permanent errors
+ * - Expires alerts older than TRACKER_OUTBOX_MAX_AGE minutes instead of
+ *   sending news that is no longer true
+ * - Removes finished entries after TRACKER_OUTBOX_RETENTION_DAYS
+ */
+
+const logger = require('../utils/logger').child('delivery');
+const { config } = require('../utils/config');
+const { outbox } = require('../models/outbox');
+const notifier = require('./notifier');
+
+// How often finished entries are pruned
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+class DeliveryWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.processing = null; // Promise of the current run
+    this.lastPrune = 0;
+    this.onEnqueued = () => this.wake();
+  }
+  
+  /**
+   * Start sending queued notifications
+   */
+  start() {
+    if (this.running) return;
+    
+    this.running = true;
+    outbox.on('enqueued', this.onEnqueued);
+    
+    const pending = outbox.counts().pending;
+    logger.info(`Delivery worker started${pending > 0 ? ` with ${pending} pending notification(s)` : ''}`);
+    this.wake();
+  }
+  
+  /**
+   * Stop the worker, waiting for the current run to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.running) return;
+    
+    this.running = false;
+    outbox.off('enqueued', this.onEnqueued);
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    if (this.processing) {
+      await this.processing;
+    }
+    logger.info('Delivery worker stopped');
+  }
+  
+  /**
+   * Process due entries now instead of waiting for the next poll
+   */
+  wake() {
+    if (!this.running) return;
+    
+    clearTimeout(this.timer);
+    // Defer so entries queued in the same tick go out in one run
+    this.timer = setTimeout(() => this._tick(), 0);
+  }
+  
+  /**
+   * Run once and schedule the next poll
+   */
+  async _tick() {
+    this.timer = null;
+    
+    try {
+      await this.processDue();
+      this._pruneIfDue();
+    } catch (error) {
+      logger.error(`Error processing the outbox: ${error.message}`, { error });
+    }
+    
+    if (this.running && !this.timer) {
+      this.timer = setTimeout(() => this._tick(), config.get('TRACKER_OUTBOX_POLL_INTERVAL') * 1000);
+    }
+  }
+  
+  /**
+   * Send every entry that is due
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Promise<Object>} - { sent, retried, failed, expired }
+   */
+  async processDue(now = new Date()) {
+    // A run already in progress covers everything due
+    if (this.processing) {
+      return this.processing;
+    }
+    
+    this.processing = this._processDue(now);
+    try {
+      return await this.processing;
+    } finally {
+      this.processing = null;
+    }
+  }
+  
+  /**
+   * Send every entry that is due
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - { sent, retried, failed, expired }
+   */
+  async _processDue(now) {
+    const summary = { sent: 0, retried: 0, failed: 0, expired: 0 };
+    
+    for (const item of outbox.getDue(now)) {
+      summary[await this.deliver(item)]++;
+    }
+    
+    if (summary.sent + summary.retried + summary.failed + summary.expired > 0) {
+      logger.debug(`Outbox run: ${summary.sent} sent, ${summary.retried} retrying, ${summary.failed} failed, ${summary.expired} expired`);
+    }
+    return summary;
+  }
+  
+  /**
+   * Make one delivery attempt for an entry and update its state
+   * @param {OutboxItem} item - Outbox entry
+   * @returns {Promise<string>} - 'sent', 'retried', 'failed' or 'expired'
+   */
+  async deliver(item) {
+    const now = new Date();
+    const maxAge = config.get('TRACKER_OUTBOX_MAX_AGE') * 60 * 1000;
+    
+    if (now - item.createdAt > maxAge) {
+      logger.warn(`Notification ${item.id} for ${item.target} expired after ${item.attempts} attempt(s)`);
+      outbox.markFailed(item, item.lastError || 'Expired before it could be delivered', 'expired');
+      return 'expired';
+    }
+    
+    const started = Date.now();
+    let result;
+    try {
+      result = await notifier.deliverQueued(item);
+    } catch (error) {
+      result = { success: false, statusCode: null, error: error.message, retryable: true };
+    }
+    
+    outbox.recordAttempt(item, { ...result, latency: Date.now() - started });
+    
+    if (result.success) {
+      outbox.markSent(item);
+      logger.info(`Delivered notification ${item.id} to ${item.recipient || item.channel}`);
+      return 'sent';
+    }
+    
+    if (!result.retryable || item.attempts >= config.get('TRACKER_OUTBOX_MAX_ATTEMPTS')) {
+      outbox.markFailed(item, result.error);
+      logger.error(`Giving up on notification ${item.id} for ${item.target} after ${item.attempts} attempt(s): ${result.error}`);
+      return 'failed';
+    }
+    
+    const delay = notifier._calculateBackoff(item.attempts - 1);
+    outbox.markRetry(item, result.error, new Date(Date.now() + delay));
+    logger.warn(`Notification ${item.id} for ${item.target} failed (attempt ${item.attempts}): ${result.error}. Retrying in ${Math.round(delay / 1000)}s`);
+    return 'retried';
+  }
+  
+  /**
+   * Remove finished entries past the retention period, at most once an hour
+   */
+  _pruneIfDue() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL) return;
+    
+    this.lastPrune = Date.now();
+    const retentionDays = config.get('TRACKER_OUTBOX_RETENTION_DAYS');
+    outbox.prune(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+  }
+}
+
+module.exports = new DeliveryWorker(); // Singleton instance
@@ -2,33 +2,117 @@
  * Enhanced notification service for the REAL ID Appointment Tracker
  * 
  * Features:
- * - Rich email notifications with HTML templates
+ * - Messages rendered from templates per event, rule and channel (SMS, email, chat)
  * - Multiple notification channels (email with SMS gateway support)
+ * - Configurable recipients, each receiving short SMS text or a rich email
+ * - Pluggable channels (webhook, Slack, Discord, Telegram, ntfy, Pushover)
+ * - Generic SMTP transport with Gmail and Mailgun presets
+ * - Per-recipient quiet hours with queued summaries
+ * - Opt-in daily and weekly digests per recipient
+ * - Site change alerts for admin recipients, apart from appointment alerts
+ * - Signed unsubscribe, snooze and "I booked" links in every email
+ * - Optional per-target filtering so callers can apply alert cooldowns
+ * - Alert rules with their own templates, chosen per recipient and channel
+ * - Subscriber filters by agency, distance and service, with per-recipient messages
  * - Detailed appointment information in notifications
+ * - Durable outbox: alerts are queued per target and sent by the delivery worker
  * - Advanced retry mechanism with exponential backoff
  * - Robust error handling
  */
 
 const nodemailer = require('nodemailer');
-const fs = require('fs');
-const path = require('path');
 
 const logger = require('../utils/logger').child('notifier');
 const { config } = require('../utils/config');
+const { Recipient, recipients } = require('../models/recipient');
+const { subscribers } = require('../models/subscriber');
+const { createChannels } = require('./channels');
+const alertRules = require('./alertRules');
+const templates = require('./templates');
+const subscriptionLinks = require('./subscriptionLinks');
+const { outbox } = require('../models/outbox');
+const { raw, escapeHtml, formatDate } = require('../utils/templateEngine');
+const { MAX_DIFF_LINES, diffSections } = require('../utils/fingerprint');
+const { RULE_KINDS } = alertRules;
+
+// SMTP presets; explicit TRACKER_SMTP_* settings override these
+const SMTP_PRESETS = {
+  gmail: { host: 'smtp.gmail.com', port: 465, secure: true },
+  mailgun: { host: 'smtp.mailgun.org', port: 587, secure: false },
+  custom: { port: 587, secure: false }
+};
 
 class Notifier {
   constructor() {
     this.transporter = null;
+    this.transportDescription = null;
     this.setupTransporter();
     
-    // Create template directory if it doesn't exist
-    this.templateDir = path.join(process.cwd(), 'templates');
-    if (!fs.existsSync(this.templateDir)) {
-      fs.mkdirSync(this.templateDir, { recursive: true });
+    this.channels = [];
+    this.setupChannels();
+  }
+  
+  /**
+   * Build nodemailer transport options from the SMTP configuration
+   * @returns {Object} - Transport options
+   */
+  _buildTransportOptions() {
+    const preset = SMTP_PRESETS[config.get('TRACKER_SMTP_PRESET').toLowerCase()];
+    const host = config.get('TRACKER_SMTP_HOST');
+    const port = config.get('TRACKER_SMTP_PORT');
+    const secure = config.get('TRACKER_SMTP_SECURE');
+    const starttls = config.get('TRACKER_SMTP_STARTTLS').toLowerCase();
+    
+    const options = {
+      host: host || preset.host,
+      port: port || preset.port,
+      secure: secure !== undefined ? secure : preset.secure,
+      requireTLS: starttls === 'required',
+      ignoreTLS: starttls === 'disabled',
+      tls: {
+        rejectUnauthorized: config.get('TRACKER_SMTP_TLS_REJECT_UNAUTHORIZED')
+      }
+    };
+    
+    if (!config.get('TRACKER_SMTP_NO_AUTH')) {
+      options.auth = {
+        user: config.get('TRACKER_SMTP_USER') || this._extractAddress(config.get('TRACKER_EMAIL_SENDER')),
+        pass: config.get('TRACKER_EMAIL_PASSWORD')
+      };
+      
+      if (config.get('TRACKER_SMTP_AUTH_METHOD')) {
+        options.authMethod = config.get('TRACKER_SMTP_AUTH_METHOD').toUpperCase();
+      }
     }
     
-    // Create default email template if it doesn't exist
-    this.createDefaultTemplate();
+    return options;
+  }
+  
+  /**
+   * Extract the bare address from a "Name <email@example.com>" sender
+   * @param {string} sender - Sender in either format
+   * @returns {string} - Email address
+   */
+  _extractAddress(sender) {
+    const matches = (sender || '').match(/<([^>]+)>/);
+    return matches ? matches[1] : sender;
+  }
+  
+  /**
+   * Describe transport options for logs and test reports (no credentials)
+   * @param {Object} options - Transport options
+   * @returns {string} - Description such as "smtp://smtp.gmail.com:465 (gmail preset, TLS, auth as me@gmail.com)"
+   */
+  _describeTransport(options) {
+    const security = options.secure
+      ? 'TLS'
+      : options.ignoreTLS ? 'no TLS' : options.requireTLS ? 'STARTTLS required' : 'STARTTLS if offered';
+    const auth = options.auth
+      ? `auth${options.authMethod ? ` ${options.authMethod}` : ''} as ${options.auth.user}`
+      : 'no auth';
+    const preset = config.get('TRACKER_SMTP_PRESET').toLowerCase();
+    
+    return `smtp://${options.host}:${options.port} (${preset} preset, ${security}, ${auth})`;
   }
   
   /**
@@ -37,154 +121,134 @@ class Notifier {
   setupTransporter() {
     // Only set up transporter if email settings are configured
     if (config.hasValidEmailSettings()) {
-      this.transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: config.get('TRACKER_EMAIL_SENDER'),
-          pass: config.get('TRACKER_EMAIL_PASSWORD')
-        },
-        tls: {
-          rejectUnauthorized: true // Enforce secure connections
-        }
-      });
+      const options = this._buildTransportOptions();
+      this.transporter = nodemailer.createTransport(options);
+      this.transportDescription = this._describeTransport(options);
       
-      logger.debug('Email transporter configured');
+      logger.debug(`Email transporter configured: ${this.transportDescription}`);
     } else {
       logger.warn('Email settings incomplete. Notifications disabled.');
       this.transporter = null;
+      this.transportDescription = null;
     }
   }
   
   /**
-   * Create default HTML email template
-   */
-  createDefaultTemplate() {
-    const templatePath = path.join(this.templateDir, 'email-template.html');
-    
-    // Only create if it doesn't exist
-    if (!fs.existsSync(templatePath)) {
-      const template = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>REAL ID Appointment Available</title>
-  <style>
-    body {
-      font-family: Arial, sans-serif;
-      line-height: 1.6;
-      color: #333;
-      margin: 0;
-      padding: 0;
-    }
-    .container {
-      max-width: 600px;
-      margin: 0 auto;
-      padding: 20px;
-    }
-    .header {
-      background-color: #1a73e8;
-      color: white;
-      padding: 20px;
-      text-align: center;
-    }
-    .content {
-      padding: 20px;
-      background-color: #f9f9f9;
-    }
-    .appointment-info {
-      background-color: white;
-      border-left: 4px solid #1a73e8;
-      padding: 15px;
-      margin: 20px 0;
-    }
-    .appointment-count {
-      font-size: 24px;
-      font-weight: bold;
-      color: #1a73e8;
-    }
-    .cta-button {
-      display: inline-block;
-      background-color: #1a73e8;
-      color: white;
-      text-decoration: none;
-      padding: 12px 24px;
-      border-radius: 4px;
-      margin-top: 20px;
-      font-weight: bold;
-    }
-    .footer {
-      text-align: center;
-      font-size: 12px;
-      color: #777;
-      margin-top: 20px;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>REAL ID Appointment Available!</h1>
-    </div>
-    <div class="content">
-      <p>Good news! REAL ID appointments are now available at the following location:</p>
-      
-      <div class="appointment-info">
-        <p><strong>Location Type:</strong> {{locationType}}</p>
-        <p><strong>Available Appointments:</strong> <span class="appointment-count">{{count}}</span></p>
-        <p><strong>Detected At:</strong> {{timestamp}}</p>
-      </div>
-      
-      <p>Don't wait! These appointments may be claimed quickly.</p>
-      
-      <a href="{{bookingUrl}}" class="cta-button">Book Your Appointment Now</a>
-      
-      <p style="margin-top: 30px; font-size: 14px;">
-        <em>This is an automated notification from your REAL ID Appointment Tracker.</em>
-      </p>
-    </div>
-    <div class="footer">
-      <p>If you no longer wish to receive these notifications, update your tracker configuration.</p>
-    </div>
-  </div>
-</body>
-</html>`;
-      
-      fs.writeFileSync(templatePath, template);
-      logger.debug('Created default email template');
+   * Set up the additional notification channels
+   */
+  setupChannels() {
+    this.channels = createChannels(config.get('TRACKER_CHANNELS'), {
+      calculateBackoff: attempt => this._calculateBackoff(attempt)
+    });
+    
+    if (this.channels.length > 0) {
+      logger.debug(`Notification channels configured: ${this.channels.map(channel => channel.name).join(', ')}`);
     }
   }
   
   /**
-   * Get HTML content from template with variables replaced
-   * @param {string} type - Site type (regular, mobile)
-   * @param {number} count - Appointment count
-   * @returns {string} - Rendered HTML template
+   * Check whether any way of sending notifications is configured
+   * @returns {boolean} - True if email or at least one channel is available
    */
-  getEmailHtml(type, count) {
-    try {
-      const templatePath = path.join(this.templateDir, 'email-template.html');
-      let template = fs.existsSync(templatePath) 
-        ? fs.readFileSync(templatePath, 'utf8')
-        : '<p>REAL ID Appointment Available!</p><p>{{count}} appointments at {{locationType}}</p><p><a href="{{bookingUrl}}">Book Now</a></p>';
-      
-      const locationType = type === 'regular' ? 'Regular DMV' : 'Mobile Unit';
-      const bookingUrl = config.get(`TRACKER_${type.toUpperCase()}_NOTIFICATION_URL`);
-      const timestamp = new Date().toLocaleString();
-      
-      // Replace template variables
-      template = template
-        .replace(/{{locationType}}/g, locationType)
-        .replace(/{{count}}/g, count)
-        .replace(/{{bookingUrl}}/g, bookingUrl)
-        .replace(/{{timestamp}}/g, timestamp);
-        
-      return template;
-    } catch (error) {
-      logger.error(`Error generating email HTML: ${error.message}`, { error });
-      // Fallback to plain text
-      return `<p>REAL ID Appointment Available! ${count} appointments at ${type === 'regular' ? 'Regular DMV' : 'Mobile Unit'}. Book now: ${config.get(`TRACKER_${type.toUpperCase()}_NOTIFICATION_URL`)}</p>`;
+  isEnabled() {
+    return Boolean(this.transporter) || this.channels.length > 0;
+  }
+  
+  /**
+   * Get the locations that currently have appointments, most slots first
+   * @param {Array<Object>} locations - Per-location availability
+   * @returns {Array<Object>} - Available locations
+   */
+  _availableLocations(locations) {
+    return (locations || [])
+      .filter(location => location.count > 0)
+      .sort((a, b) => b.count - a.count);
+  }
+  
+  /**
+   * Render the per-location availability as an HTML list
+   *
+   * Only used as {{locationList}} by email-template.html files from before
+   * per-variant templates. The list is inserted as raw HTML, so every
+   * scraped field is escaped here.
+   *
+   * @param {Array<Object>} locations - Per-location availability
+   * @returns {string} - HTML list, or an empty string when there are no locations
+   */
+  _getLocationListHtml(locations) {
+    const available = this._availableLocations(locations);
+    if (available.length === 0) {
+      return '';
     }
+    
+    const items = available.map(location => {
+      const next = location.nextAvailableText ? ` &ndash; next: ${escapeHtml(location.nextAvailableText)}` : '';
+      const address = location.address ? `<br><small>${escapeHtml(location.address)}</small>` : '';
+      return `<li><a href="${escapeHtml(location.url)}">${escapeHtml(location.name)}</a>: ${escapeHtml(location.count)}${next}${address}</li>`;
+    });
+    
+    return `<p><strong>Locations:</strong></p><ul>${items.join('')}</ul>`;
+  }
+  
+  /**
+   * Describe an appointment type for notifications
+   * @param {string} type - Site type (regular, mobile) or catalog service type (service-<wizardId>)
+   * @param {Object} [details={}] - Service details for catalog services
+   * @param {string} [details.title] - Service title
+   * @param {string} [details.url] - Service booking URL
+   * @returns {Object} - Service name, site name and booking URL
+   */
+  _getTypeInfo(type, details = {}) {
+    if (type === 'regular' || type === 'mobile') {
+      return {
+        serviceName: 'REAL ID',
+        siteName: type === 'regular' ? 'Regular DMV' : 'Mobile Unit',
+        bookingUrl: config.get(`TRACKER_${type.toUpperCase()}_NOTIFICATION_URL`)
+      };
+    }
+    
+    return {
+      serviceName: details.title || type,
+      siteName: details.title || type,
+      bookingUrl: details.url
+    };
+  }
+  
+  /**
+   * Get the template values shared by every message about a type
+   * @param {string} type - Site type (regular, mobile) or catalog service type
+   * @param {Object} [details={}] - Service details for catalog services
+   * @returns {Object} - Template values ({ type, serviceName, siteName, locationType, bookingUrl, isService, timestamp })
+   */
+  _baseContext(type, details = {}) {
+    const info = this._getTypeInfo(type, details);
+    
+    return {
+      ...info,
+      type,
+      locationType: info.siteName,
+      isService: Boolean(details.title),
+      timestamp: formatDate(new Date(), 'datetime', config.get('TRACKER_TIMEZONE'))
+    };
+  }
+  
+  /**
+   * Get the template values for one email recipient
+   * @param {Recipient} [recipient] - Recipient, or none for channel messages and previews
+   * @returns {Object} - Template values ({ links: { unsubscribe, snooze, booked } or null })
+   */
+  _recipientContext(recipient) {
+    return { links: recipient ? subscriptionLinks.linksFor(recipient) : null };
+  }
+  
+  /**
+   * Keep SMS text within what a recipient's gateway takes
+   * @param {string} text - Rendered SMS text
+   * @param {Recipient} [recipient] - Recipient, or none for channel messages and previews
+   * @returns {string} - Text within the recipient's SMS or MMS limit (the SMS limit without a recipient)
+   */
+  _fitSms(text, recipient) {
+    return recipient ? templates.fitSms(text, recipient.getSmsLimit()) : templates.fitSms(text);
   }
   
   /**
@@ -200,25 +264,50 @@ class Notifier {
   }
   
   /**
-   * Send notification with retry
-   * @param {string} type - Site type (regular, mobile)
-   * @param {number} count - Appointment count
-   * @returns {Promise<boolean>} - Whether notification was sent successfully
+   * Build mail options for a recipient from SMS and email variants of a message
+   * @param {Recipient} recipient - Message recipient
+   * @param {Object} message - Message variants
+   * @param {Object} message.sms - Short variant ({ subject, text })
+   * @param {Object} message.email - Rich variant ({ subject, text, html })
+   * @returns {Object} - Nodemailer mail options
    */
-  async sendNotification(type, count) {
-    if (!this.transporter) {
-      logger.warn('Cannot send notification: Email transporter not configured');
-      return false;
+  _buildMailOptions(recipient, message) {
+    if (recipient.isSms()) {
+      // No HTML for SMS to ensure compatibility
+      return {
+        from: config.get('TRACKER_EMAIL_SENDER'),
+        to: recipient.getSmsAddress(message.sms.text),
+        subject: message.sms.subject,
+        text: message.sms.text
+      };
     }
     
-    const siteName = type === 'regular' ? 'Regular DMV' : 'Mobile Unit';
-    const notificationUrl = config.get(`TRACKER_${type.toUpperCase()}_NOTIFICATION_URL`);
+    const mailOptions = {
+      from: config.get('TRACKER_EMAIL_SENDER'),
+      to: recipient.address,
+      subject: message.email.subject,
+      text: message.email.text,
+      html: message.email.html
+    };
     
-    if (!notificationUrl) {
-      logger.warn(`Cannot send notification: Missing notification URL for ${type} site`);
-      return false;
+    // Lets mail clients offer one-click unsubscribe (RFC 8058)
+    if (subscriptionLinks.isEnabled()) {
+      mailOptions.headers = {
+        'List-Unsubscribe': `<${subscriptionLinks.url(recipient.id, 'unsubscribe')}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      };
     }
     
+    return mailOptions;
+  }
+  
+  /**
+   * Send one message with retry
+   * @param {Object} mailOptions - Nodemailer mail options
+   * @param {Recipient} recipient - Message recipient
+   * @returns {Promise<boolean>} - Whether the message was sent successfully
+   */
+  async _sendWithRetry(mailOptions, recipient) {
     const maxRetries = config.get('TRACKER_MAX_RETRIES');
     let retries = 0;
     
@@ -226,50 +315,19 @@ class Notifier {
       try {
         if (retries > 0) {
           const delay = this._calculateBackoff(retries - 1);
-          logger.info(`Retry ${retries}/${maxRetries} for sending notification after ${Math.round(delay / 1000)} seconds`);
+          logger.info(`Retry ${retries}/${maxRetries} for sending to ${recipient.address} after ${Math.round(delay / 1000)} seconds`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
-        // Send to Verizon SMS gateway with ultra-short message
-        const phoneNumber = '7329957580@vtext.com';
-        const shortText = `${count} REAL ID appt: ${notificationUrl}`;
-        
-        const smsOptions = {
-          from: config.get('TRACKER_EMAIL_SENDER'),
-          to: phoneNumber,
-          subject: 'REAL ID Appt',
-          text: shortText
-          // No HTML for SMS to ensure compatibility
-        };
-        
-        logger.info(`Sending SMS-friendly message to ${phoneNumber}`);
-        await this.transporter.sendMail(smsOptions);
-        
-        // Also send to email with full content if configured
-        const emailAddress = 'adamb.capuana@gmail.com';
-        if (emailAddress) {
-          const text = `${notificationUrl} - ${count} REAL ID appointment(s) available at ${siteName}!`;
-          const html = this.getEmailHtml(type, count);
-          
-          const emailOptions = {
-            from: config.get('TRACKER_EMAIL_SENDER'),
-            to: emailAddress,
-            subject: config.get('TRACKER_EMAIL_SUBJECT'),
-            text: text,
-            html: html
-          };
-          
-          logger.info(`Sending detailed email to ${emailAddress}`);
-          await this.transporter.sendMail(emailOptions);
-        }
-        logger.info(`Notification sent for ${type} site (${count} appointments)`);
+        logger.info(`Sending ${recipient.isSms() ? 'SMS-friendly message' : 'detailed email'} to ${recipient.address}`);
+        await this.transporter.sendMail(mailOptions);
         return true;
       } catch (error) {
         retries++;
-        logger.error(`Error sending notification (attempt ${retries}): ${error.message}`, { error });
+        logger.error(`Error sending to ${recipient.address} (attempt ${retries}): ${error.message}`, { error });
         
         if (retries > maxRetries) {
-          logger.error(`Maximum retries (${maxRetries}) exceeded for sending notification`);
+          logger.error(`Maximum retries (${maxRetries}) exceeded for ${recipient.address}`);
           return false;
         }
       }
@@ -279,36 +337,878 @@ class Notifier {
   }
   
   /**
-   * Test the notification system
-   * @returns {Promise<boolean>} - Whether test notification was sent successfully
+   * Send a message to recipients
+   * @param {Object} message - Message variants ({ sms, email })
+   * @param {Array<Recipient>} [targets] - Recipients to send to (defaults to every configured recipient)
+   * @param {Function} [onSent] - Called with each recipient that was sent the message
+   * @returns {Promise<boolean>} - Whether every recipient was sent the message
    */
-  async sendTestNotification() {
-    if (!this.transporter) {
-      logger.warn('Cannot send test notification: Email transporter not configured');
+  async _sendToRecipients(message, targets = recipients.getAll(), onSent = () => {}) {
+    if (targets.length === 0) {
+      logger.warn('Cannot send notification: No recipients configured');
       return false;
     }
     
-    try {
-      // 1. Send test SMS to phone
-      const phoneNumber = '7329957580@vtext.com';
-      const shortText = `Test: REAL ID tracker working!`;
+    let delivered = 0;
+    for (const recipient of targets) {
+      const sent = await this._sendWithRetry(this._buildMailOptions(recipient, message), recipient);
+      if (sent) {
+        delivered++;
+        onSent(recipient);
+      }
+    }
+    
+    if (delivered < targets.length) {
+      logger.warn(`Notification delivered to ${delivered} of ${targets.length} recipients`);
+    }
+    
+    return delivered === targets.length;
+  }
+  
+  /**
+   * Send a message through channels
+   * @param {Object} message - Channel message ({ event, title, text, url, data })
+   * @param {Array<Channel>} [channels] - Channels to use (defaults to every configured channel)
+   * @returns {Promise<Array<Object>>} - Delivery result per channel
+   */
+  async _sendToChannels(message, channels = this.channels) {
+    const results = [];
+    
+    for (const channel of channels) {
+      results.push(await channel.send(message));
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Send a message by email and through every channel right away, bypassing the outbox
+   * @param {Object} message - Message variants ({ sms, email, chat })
+   * @param {Array<Recipient>} [targets] - Email recipients (defaults to every configured recipient)
+   * @param {Object} [options={}] - Delivery options
+   * @param {Array<Channel>} [options.channels] - Channels to use (defaults to every configured channel)
+   * @param {Function} [options.onNotified] - Called with the target ID of each successful delivery
+   * @returns {Promise<boolean>} - Whether every recipient and channel got the message
+   */
+  async _deliver(message, targets, options = {}) {
+    const onNotified = options.onNotified || (() => {});
+    let emailSuccess = true;
+    
+    // An explicitly empty target list means nobody is due an email (quiet hours, cooldowns)
+    if (this.transporter && !(targets && targets.length === 0)) {
+      emailSuccess = await this._sendToRecipients(message, targets, recipient => onNotified(recipient.id));
+    }
+    
+    const deliveries = await this._sendToChannels(message.chat, options.channels);
+    deliveries.filter(delivery => delivery.success).forEach(delivery => onNotified(this._channelTarget(delivery.channel)));
+    
+    return emailSuccess && deliveries.every(delivery => delivery.success);
+  }
+  
+  /**
+   * Add a message to the outbox for email recipients and channels
+   *
+   * The delivery worker sends it; onNotified is called as soon as a target
+   * is queued, so cooldowns start when the alert is raised.
+   *
+   * @param {Object} message - Message variants ({ sms, email, chat })
+   * @param {Array<Recipient>} targets - Email recipients
+   * @param {Object} [options={}] - Queue options
+   * @param {Array<Channel>} [options.channels=[]] - Channels to use
+   * @param {Function} [options.onNotified] - Called with the target ID of each queued entry
+   * @param {Object} [options.meta={}] - Recorded with each entry ({ type, rule, event })
+   * @returns {number} - Number of entries queued
+   */
+  _addToOutbox(message, targets, options = {}) {
+    const onNotified = options.onNotified || (() => {});
+    const meta = options.meta || {};
+    const event = meta.event || (message.chat ? message.chat.event : null);
+    let queued = 0;
+    
+    if (this.transporter) {
+      targets.forEach(recipient => {
+        outbox.enqueue({
+          target: recipient.id,
+          channel: 'email',
+          recipient: recipient.address,
+          event,
+          type: meta.type,
+          rule: meta.rule,
+          payload: this._buildMailOptions(recipient, message)
+        });
+        onNotified(recipient.id);
+        queued++;
+      });
+    }
+    
+    (options.channels || []).forEach(channel => {
+      const target = this._channelTarget(channel.name);
+      outbox.enqueue({ target, channel: channel.name, event, type: meta.type, rule: meta.rule, payload: message.chat });
+      onNotified(target);
+      queued++;
+    });
+    
+    return queued;
+  }
+  
+  /**
+   * Make one delivery attempt for an outbox entry
+   * @param {OutboxItem} item - Outbox entry
+   * @returns {Promise<Object>} - Result ({ success, statusCode, error, retryable })
+   */
+  async deliverQueued(item) {
+    if (item.channel === 'email') {
+      if (!this.transporter) {
+        return { success: false, statusCode: null, error: 'No email transport configured', retryable: false };
+      }
       
-      const smsOptions = {
-        from: config.get('TRACKER_EMAIL_SENDER'),
-        to: phoneNumber,
-        subject: 'Test',
-        text: shortText
+      try {
+        logger.info(`Sending ${item.event || 'notification'} to ${item.recipient}`);
+        await this.transporter.sendMail(item.payload);
+        return { success: true, statusCode: null, error: null, retryable: false };
+      } catch (error) {
+        // SMTP 5xx replies are permanent; connection errors and 4xx replies are worth retrying
+        const statusCode = error.responseCode || null;
+        return { success: false, statusCode, error: error.message, retryable: !(statusCode >= 500) };
+      }
+    }
+    
+    const channel = this.channels.find(candidate => candidate.name === item.channel);
+    if (!channel) {
+      return { success: false, statusCode: null, error: `Channel ${item.channel} is no longer configured`, retryable: false };
+    }
+    
+    return channel.attempt(item.payload);
+  }
+  
+  /**
+   * Get the target ID used for a channel in cooldowns and filters
+   * @param {string} name - Channel name
+   * @returns {string} - Target ID (channel:<name>)
+   */
+  _channelTarget(name) {
+    return `channel:${name}`;
+  }
+  
+  /**
+   * Hold an alert for a recipient in quiet hours; a newer alert of the same type replaces the older one
+   * @param {Recipient} recipient - Recipient in quiet hours
+   * @param {Object} alert - Alert ({ type, count, locations, details })
+   */
+  _queueAlert(recipient, alert) {
+    // Held in the storage backend, so a restart overnight does not lose them
+    outbox.hold(recipient.id, alert);
+    
+    const until = recipient.getQuietUntil();
+    logger.info(`Holding ${alert.type} alert for ${recipient.address} (quiet hours${until ? ` until ${until.toLocaleString()}` : ''})`);
+  }
+  
+  /**
+   * Get the alerts held back for recipients in quiet hours
+   * @returns {Array<Object>} - Queued alerts per recipient ({ recipient, types, quietUntil })
+   */
+  getQueued() {
+    const configured = new Map(recipients.getAll().map(recipient => [recipient.id, recipient]));
+    
+    return Array.from(outbox.getHeld().entries()).map(([id, alerts]) => {
+      const recipient = configured.get(id);
+      return {
+        recipient: recipient ? recipient.address : id,
+        types: alerts.map(alert => alert.type),
+        quietUntil: recipient ? recipient.getQuietUntil() : null
       };
+    });
+  }
+  
+  /**
+   * Count the alerts held back for recipients in quiet hours
+   * @returns {number} - Number of queued alerts
+   */
+  getQueuedCount() {
+    return Array.from(outbox.getHeld().values()).reduce((total, alerts) => total + alerts.length, 0);
+  }
+  
+  /**
+   * Build a summary message of everything still available
+   * @param {Array<Object>} items - Available types ({ type, count, locations, details })
+   * @param {Recipient} [recipient] - Recipient whose links to include
+   * @returns {Object} - Message variants ({ sms, email })
+   */
+  _buildSummaryMessage(items, recipient) {
+    const entries = items.map(item => {
+      const base = this._baseContext(item.type, item.details);
+      return {
+        ...base,
+        count: item.count,
+        locations: this._availableLocations(item.locations).map(location => ({
+          ...location,
+          line: templates.render(['available'], 'line', { ...base, ...location })
+        }))
+      };
+    });
+    const context = {
+      ...this._recipientContext(recipient),
+      items: entries,
+      bookingUrl: entries[0].bookingUrl,
+      timestamp: entries[0].timestamp
+    };
+    
+    return {
+      sms: {
+        subject: 'Appts open',
+        text: this._fitSms(templates.render(['summary'], 'sms', context), recipient)
+      },
+      email: {
+        subject: templates.render(['summary'], 'subject', context),
+        text: templates.render(['summary'], 'text', context),
+        html: templates.render(['summary'], 'html', context)
+      }
+    };
+  }
+  
+  /**
+   * Send queued alerts to recipients whose quiet hours have ended
+   *
+   * Alerts whose type has gone back to zero are dropped. Each recipient gets
+   * one summary with the current counts.
+   *
+   * @param {Function} getAvailability - Returns the current state ({ count, locations }) for a type, or null
+   * @returns {Promise<number>} - Number of summaries queued
+   */
+  async flushQueued(getAvailability) {
+    const held = outbox.getHeld();
+    if (held.size === 0 || !this.transporter) return 0;
+    
+    const configured = new Map(recipients.getAll().map(recipient => [recipient.id, recipient]));
+    let sent = 0;
+    
+    for (const [id, alerts] of held.entries()) {
+      const recipient = configured.get(id);
+      if (!recipient) {
+        // Removed from configuration while its alerts were queued
+        outbox.release(id);
+        continue;
+      }
       
-      logger.info(`Sending test SMS to ${phoneNumber}`);
-      await this.transporter.sendMail(smsOptions);
+      if (recipient.isQuiet()) continue;
       
-      // 2. Send detailed test email
-      const emailAddress = 'adamb.capuana@gmail.com';
-      if (emailAddress) {
-        const text = `This is a test notification from your REAL ID Appointment Tracker. If you're receiving this, your notification system is working correctly.`;
+      if (subscribers.isPaused(id)) {
+        logger.info(`Dropping queued alerts for ${recipient.address}: ${subscribers.get(id).describe()}`);
+        outbox.release(id);
+        continue;
+      }
+      
+      const items = [];
+      alerts.forEach(alert => {
+        const current = getAvailability(alert.type);
+        const available = this._availableLocations(current && current.locations);
+        const visible = recipient.filterLocations(available);
         
-        const html = `
+        if (current && current.count > 0 && (available.length === 0 || visible.length > 0)) {
+          const count = visible.length === available.length
+            ? current.count
+            : visible.reduce((sum, location) => sum + location.count, 0);
+          items.push({ ...alert, count, locations: visible });
+        } else {
+          logger.info(`Dropping queued ${alert.type} alert for ${recipient.address}: no longer available at a location they follow`);
+        }
+      });
+      
+      if (items.length === 0) {
+        outbox.release(id);
+        continue;
+      }
+      
+      const message = this._buildSummaryMessage(items, recipient);
+      this._addToOutbox(message, [recipient], { meta: { event: 'appointments.summary' } });
+      logger.info(`Queued quiet-hours summary for ${recipient.address} (${items.length} type(s))`);
+      outbox.release(id);
+      sent++;
+    }
+    
+    return sent;
+  }
+  
+  /**
+   * Work out which recipients and channels get an alert right now
+   *
+   * Targets that did not opt into the rule or that canNotify rejects are
+   * dropped, as are recipients whose subscriber filters rule the alert out.
+   * Recipients in quiet hours have the alert queued for their summary
+   * instead.
+   *
+   * @param {Object} alert - Alert to queue for quiet recipients ({ type, count, locations, details })
+   * @param {string} ruleName - Alert rule the alert comes from
+   * @param {Object} [options={}] - Filters
+   * @param {Function} [options.canNotify] - Given a recipient ID or channel:<name>, returns false to skip that target
+   * @param {Array<Object>} [options.relevant] - Locations the alert is about (defaults to the available ones)
+   * @returns {Object} - { targets (recipients), channels }
+   */
+  _resolveTargets(alert, ruleName, options = {}) {
+    const canNotify = options.canNotify || (() => true);
+    const relevant = options.relevant || this._availableLocations(alert.locations);
+    const now = new Date();
+    const targets = [];
+    
+    recipients.getAll()
+      .filter(recipient => alertRules.wants(recipient.rules, ruleName) && canNotify(recipient.id))
+      .filter(recipient => this._isSubscribed(recipient, alert.type, alert.details, relevant))
+      .forEach(recipient => {
+        // Recipients in quiet hours get a summary once their window ends
+        if (this.transporter && recipient.isQuiet(now)) {
+          this._queueAlert(recipient, alert);
+        } else {
+          targets.push(recipient);
+        }
+      });
+    
+    const channels = this.channels.filter(channel =>
+      alertRules.wants(channel.rules, ruleName) && canNotify(this._channelTarget(channel.name))
+    );
+    
+    return { targets, channels };
+  }
+  
+  /**
+   * Check a recipient's subscriber filters against an alert
+   *
+   * Recipients who unsubscribed, booked or snoozed from an email link get
+   * nothing. Without per-location data (locations not fetched) only the
+   * service filter can be applied.
+   *
+   * @param {Recipient} recipient - Recipient
+   * @param {string} type - Appointment type
+   * @param {Object} [details={}] - Service details ({ title })
+   * @param {Array<Object>} relevant - Locations the alert is about
+   * @returns {boolean} - True if the recipient should get the alert
+   */
+  _isSubscribed(recipient, type, details, relevant) {
+    const subscriber = subscribers.get(recipient.id);
+    if (subscriber.isPaused()) {
+      logger.debug(`Skipping ${recipient.address}: ${subscriber.describe()}`);
+      return false;
+    }
+    
+    if (!recipient.wantsService(type, details)) {
+      logger.debug(`Skipping ${recipient.address}: not subscribed to ${type}`);
+      return false;
+    }
+    
+    const located = relevant.filter(location => location.name);
+    if (located.length > 0 && recipient.filterLocations(located).length === 0) {
+      logger.debug(`Skipping ${recipient.address}: no ${type} location matches their filters`);
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Queue a message tailored to each recipient's location filters
+   *
+   * Each recipient gets the locations that match their filters and their
+   * own subscription links. Channels have no subscriber filters and get the
+   * message for every location.
+   *
+   * @param {Function} buildMessage - Builds the message ({ sms, email, chat }) for a list of locations and a recipient
+   * @param {Array<Object>} locations - Every location the alert is about
+   * @param {Array<Recipient>} targets - Email recipients
+   * @param {Object} [options={}] - Queue options ({ channels, onNotified, meta })
+   * @returns {number} - Number of entries queued
+   */
+  _addFilteredToOutbox(buildMessage, locations, targets, options = {}) {
+    let queued = 0;
+    
+    if (options.channels && options.channels.length > 0) {
+      queued += this._addToOutbox(buildMessage(locations), [], options);
+    }
+    
+    targets.forEach(recipient => {
+      const message = buildMessage(recipient.filterLocations(locations), recipient);
+      queued += this._addToOutbox(message, [recipient], { ...options, channels: [] });
+    });
+    
+    return queued;
+  }
+  
+  /**
+   * Build the first-availability message
+   * @param {string} type - Appointment type
+   * @param {number} count - Appointment count to report
+   * @param {Array<Object>} locations - Locations to list
+   * @param {Object} details - Service details ({ title, url })
+   * @param {Object} rule - 'available' alert rule whose templates to use
+   * @param {Recipient} [recipient] - Recipient whose links to include
+   * @returns {Object} - Message variants ({ sms, email, chat })
+   */
+  _buildAvailableMessage(type, count, locations, details, rule, recipient) {
+    const names = [rule.name, 'available'];
+    const base = this._baseContext(type, details);
+    const available = this._availableLocations(locations).map(location => ({
+      ...location,
+      line: templates.render(names, 'line', { ...base, ...location }, rule.template)
+    }));
+    const context = {
+      ...base,
+      ...this._recipientContext(recipient),
+      count,
+      rule,
+      locations: available,
+      locationCount: available.length,
+      topLocation: available[0] || null,
+      emailSubject: config.get('TRACKER_EMAIL_SUBJECT'),
+      locationList: raw(this._getLocationListHtml(locations))
+    };
+    
+    return {
+      // Ultra-short message for SMS gateways
+      sms: {
+        subject: `${base.serviceName} Appt`,
+        text: this._fitSms(templates.render(names, 'sms', context), recipient)
+      },
+      email: {
+        subject: templates.render(names, 'subject', context, rule.subject),
+        text: templates.render(names, 'text', context),
+        html: templates.render(names, 'html', context)
+      },
+      chat: {
+        event: 'appointments.available',
+        title: `${base.serviceName} Appointment Available`,
+        text: templates.render(names, 'chat', context),
+        url: base.bookingUrl,
+        data: { type, count, locations: this._availableLocations(locations) }
+      }
+    };
+  }
+  
+  /**
+   * Send notification to all recipients
+   *
+   * Recipients with location filters only hear about, and get counts for,
+   * the locations that match them.
+   *
+   * @param {string} type - Site type (regular, mobile) or catalog service type (service-<wizardId>)
+   * @param {number} count - Appointment count
+   * @param {Array<Object>} [locations=[]] - Per-location availability
+   * @param {Object} [details={}] - Service details ({ title, url }) for catalog services
+   * @param {Object} [options={}] - Delivery options
+   * @param {Object} [options.rule] - 'available' alert rule whose template to use (defaults to the built-in one)
+   * @param {Function} [options.canNotify] - Given a recipient ID or channel:<name>, returns false to skip that target
+   * @param {Function} [options.onNotified] - Called with the recipient ID or channel:<name> of each queued target
+   * @returns {Promise<boolean>} - Whether the notification was queued for at least one target
+   */
+  async sendNotification(type, count, locations = [], details = {}, options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('Cannot send notification: No email transporter or channels configured');
+      return false;
+    }
+    
+    const { siteName, bookingUrl } = this._getTypeInfo(type, details);
+    
+    if (!bookingUrl) {
+      logger.warn(`Cannot send notification: Missing notification URL for ${type} site`);
+      return false;
+    }
+    
+    const rule = options.rule || { name: 'available', kind: 'available', ...RULE_KINDS.available };
+    const available = this._availableLocations(locations);
+    
+    const { targets, channels } = this._resolveTargets({ type, count, locations, details }, rule.name, {
+      canNotify: options.canNotify
+    });
+    
+    if (targets.length === 0 && channels.length === 0) {
+      logger.info(`No recipient or channel is due a ${type} notification right now`);
+      return false;
+    }
+    
+    const buildMessage = (visible, recipient) => {
+      // Filtered recipients see the total of their own locations
+      const total = visible.length === available.length
+        ? count
+        : visible.reduce((sum, location) => sum + location.count, 0);
+      return this._buildAvailableMessage(type, total, visible, details, rule, recipient);
+    };
+    
+    const queued = this._addFilteredToOutbox(buildMessage, available, targets, {
+      channels,
+      onNotified: options.onNotified,
+      meta: { type, rule: rule.name }
+    });
+    logger.info(`Notification queued for ${siteName} (${count} appointments, ${queued} target(s))`);
+    return queued > 0;
+  }
+  
+  /**
+   * Build the message for a change rule
+   * @param {string} type - Appointment type
+   * @param {Object} rule - Alert rule that fired
+   * @param {Array<Object>} matches - Matching locations to report
+   * @param {Object} details - Service details ({ title, url })
+   * @param {number} [count] - Current total for the type
+   * @param {Recipient} [recipient] - Recipient whose links to include
+   * @returns {Object} - Message variants ({ sms, email, chat })
+   */
+  _buildRuleMessage(type, rule, matches, details, count, recipient) {
+    const names = [rule.name, rule.kind, 'rule'];
+    const base = this._baseContext(type, details);
+    const lines = matches.map(match => {
+      const values = { ...base, ...match, location: match.name || base.siteName };
+      return { ...values, line: templates.render(names, 'line', values, rule.template) };
+    });
+    const context = { ...base, ...this._recipientContext(recipient), count, rule, matches: lines };
+    const subject = templates.render(names, 'subject', context, rule.subject);
+    context.subject = subject;
+    
+    return {
+      sms: {
+        subject: `${base.serviceName} Appt`,
+        text: this._fitSms(templates.render(names, 'sms', context), recipient)
+      },
+      email: {
+        subject,
+        text: templates.render(names, 'text', context),
+        html: templates.render(names, 'html', context)
+      },
+      chat: {
+        event: `appointments.${rule.kind}`,
+        title: subject,
+        text: templates.render(names, 'chat', context),
+        url: base.bookingUrl,
+        data: { type, rule: rule.name, matches }
+      }
+    };
+  }
+  
+  /**
+   * Send an alert for a change rule (increase, percent, newLocation, lastSlots)
+   * @param {string} type - Site type (regular, mobile) or catalog service type (service-<wizardId>)
+   * @param {Object} rule - Alert rule that fired
+   * @param {Array<Object>} matches - Matching locations from AlertRules.evaluate()
+   * @param {Object} [details={}] - Service details ({ title, url }) for catalog services
+   * @param {Object} [options={}] - Delivery options
+   * @param {Function} [options.canNotify] - Given a recipient ID or channel:<name>, returns false to skip that target
+   * @param {Function} [options.onNotified] - Called with the recipient ID or channel:<name> of each queued target
+   * @param {number} [options.count] - Current total for the type, used for quiet-hours summaries
+   * @param {Array<Object>} [options.locations] - Current per-location availability, used for quiet-hours summaries
+   * @returns {Promise<boolean>} - Whether the alert was queued for at least one target
+   */
+  async sendRuleAlert(type, rule, matches, details = {}, options = {}) {
+    if (!this.isEnabled()) {
+      logger.warn('Cannot send notification: No email transporter or channels configured');
+      return false;
+    }
+    
+    const { siteName } = this._getTypeInfo(type, details);
+    
+    const { targets, channels } = this._resolveTargets(
+      { type, count: options.count, locations: options.locations || [], details },
+      rule.name,
+      { canNotify: options.canNotify, relevant: matches }
+    );
+    
+    if (targets.length === 0 && channels.length === 0) {
+      logger.info(`No recipient or channel is due a ${type} ${rule.name} alert right now`);
+      return false;
+    }
+    
+    const queued = this._addFilteredToOutbox(
+      (visible, recipient) => this._buildRuleMessage(type, rule, visible, details, options.count, recipient),
+      matches,
+      targets,
+      { channels, onNotified: options.onNotified, meta: { type, rule: rule.name } }
+    );
+    logger.info(`${rule.name} alert queued for ${siteName} (${matches.length} location(s), ${queued} target(s))`);
+    return queued > 0;
+  }
+  
+  /**
+   * Build a digest message
+   *
+   * Recipients only see the services they subscribed to and, in the
+   * per-location breakdown, the locations that pass their filters.
+   *
+   * @param {Object} report - Digest from Analytics.getDigest()
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {Recipient} [recipient] - Recipient whose filters and links apply
+   * @returns {Object} - Message variants ({ sms, email })
+   */
+  _buildDigestMessage(report, period, recipient) {
+    const types = report.types
+      .map(entry => ({ entry, details: entry.title ? { title: entry.title } : {} }))
+      .filter(({ entry, details }) => !recipient || recipient.wantsService(entry.type, details))
+      .map(({ entry, details }) => ({
+        ...entry,
+        ...this._baseContext(entry.type, details),
+        locations: recipient ? recipient.filterLocations(entry.locations) : entry.locations
+      }));
+    const context = {
+      ...this._recipientContext(recipient),
+      period,
+      periodLabel: period === 'weekly' ? 'Weekly' : 'Daily',
+      from: report.from,
+      to: report.to,
+      types,
+      openings: types.reduce((total, entry) => total + entry.openings, 0),
+      uptime: report.uptime,
+      checks: report.checks,
+      timestamp: formatDate(new Date(), 'datetime', config.get('TRACKER_TIMEZONE'))
+    };
+    
+    return {
+      sms: {
+        subject: `${context.periodLabel} digest`,
+        text: this._fitSms(templates.render(['digest'], 'sms', context), recipient)
+      },
+      email: {
+        subject: templates.render(['digest'], 'subject', context),
+        text: templates.render(['digest'], 'text', context),
+        html: templates.render(['digest'], 'html', context)
+      }
+    };
+  }
+  
+  /**
+   * Queue a digest for a recipient
+   * @param {Recipient} recipient - Recipient who opted into the digest
+   * @param {Object} report - Digest from Analytics.getDigest()
+   * @param {string} period - 'daily' or 'weekly'
+   * @returns {Promise<boolean>} - Whether the digest was queued
+   */
+  async sendDigest(recipient, report, period) {
+    if (!this.transporter) {
+      logger.warn('Cannot send digest: No email transporter configured');
+      return false;
+    }
+    
+    const subscriber = subscribers.get(recipient.id);
+    if (subscriber.isPaused()) {
+      logger.info(`Skipping ${period} digest for ${recipient.address}: ${subscriber.describe()}`);
+      return false;
+    }
+    
+    const message = this._buildDigestMessage(report, period, recipient);
+    const queued = this._addToOutbox(message, [recipient], { meta: { event: 'appointments.digest' } });
+    logger.info(`${period} digest queued for ${recipient.address}`);
+    return queued > 0;
+  }
+  
+  /**
+   * Build the site change alert
+   * @param {Object} change - Change from SiteMonitor.compare(), with its capture path
+   * @param {Recipient} [recipient] - Admin recipient whose SMS limit applies
+   * @returns {Object} - Message variants ({ sms, email })
+   */
+  _buildSiteChangedMessage(change, recipient) {
+    const context = {
+      ...this._getTypeInfo(change.type),
+      type: change.type,
+      url: change.url,
+      detectedAt: change.detectedAt,
+      readable: change.readable,
+      summary: change.summary,
+      before: change.before,
+      after: change.after,
+      titleChange: change.diff.title,
+      sections: diffSections(change.diff).map(section => ({
+        ...section,
+        items: section.items.slice(0, MAX_DIFF_LINES),
+        total: section.items.length,
+        more: Math.max(section.items.length - MAX_DIFF_LINES, 0)
+      })),
+      capture: change.capture || null,
+      timestamp: formatDate(new Date(), 'datetime', config.get('TRACKER_TIMEZONE'))
+    };
+    
+    return {
+      sms: {
+        subject: 'Site changed',
+        text: this._fitSms(templates.render(['siteChanged'], 'sms', context), recipient)
+      },
+      email: {
+        subject: templates.render(['siteChanged'], 'subject', context),
+        text: templates.render(['siteChanged'], 'text', context),
+        html: templates.render(['siteChanged'], 'html', context)
+      }
+    };
+  }
+  
+  /**
+   * Queue a site change alert for the admin recipients
+   *
+   * Admins are not subscribers: their alerts skip subscriber preferences,
+   * quiet hours and the alert gate.
+   *
+   * @param {Object} change - Change from SiteMonitor.compare(), with its capture path
+   * @returns {Promise<boolean>} - Whether the alert was queued for at least one admin
+   */
+  async sendSiteChanged(change) {
+    const admins = recipients.getAdmins();
+    
+    if (admins.length === 0) {
+      logger.warn(`Site change on ${change.type} site not sent: No admin recipients configured (TRACKER_ADMIN_RECIPIENTS)`);
+      return false;
+    }
+    
+    if (!this.transporter) {
+      logger.warn('Cannot send site change alert: No email transporter configured');
+      return false;
+    }
+    
+    let queued = 0;
+    admins.forEach(admin => {
+      const message = this._buildSiteChangedMessage(change, admin);
+      queued += this._addToOutbox(message, [admin], { meta: { event: 'site.changed', type: change.type } });
+    });
+    
+    logger.info(`Site change alert for ${change.type} site queued for ${queued} admin(s)`);
+    return queued > 0;
+  }
+  
+  /**
+   * Build the admin alert for a site that went down or came back
+   * @param {Object} outage - Circuit from the 'opened' or 'recovered' event of services/circuitBreaker
+   * @param {Recipient} recipient - Admin recipient
+   * @returns {Object} - Message ({ sms, email })
+   */
+  _buildSiteOutageMessage(outage, recipient) {
+    const context = {
+      ...this._getTypeInfo(outage.type),
+      type: outage.type,
+      url: outage.url,
+      down: outage.state !== 'closed',
+      failures: outage.failures,
+      lastError: outage.lastError,
+      openedAt: outage.openedAt,
+      nextProbeAt: outage.nextProbeAt,
+      recoveredAt: outage.recoveredAt || null,
+      downtime: outage.downtime === undefined ? null : outage.downtime,
+      cooldown: config.get('TRACKER_CIRCUIT_COOLDOWN'),
+      timestamp: formatDate(new Date(), 'datetime', config.get('TRACKER_TIMEZONE'))
+    };
+    
+    return {
+      sms: {
+        subject: context.down ? 'Site down' : 'Site back up',
+        text: this._fitSms(templates.render(['siteOutage'], 'sms', context), recipient)
+      },
+      email: {
+        subject: templates.render(['siteOutage'], 'subject', context),
+        text: templates.render(['siteOutage'], 'text', context),
+        html: templates.render(['siteOutage'], 'html', context)
+      }
+    };
+  }
+  
+  /**
+   * Queue a site outage or recovery alert for the admin recipients
+   * @param {Object} outage - Circuit from the 'opened' or 'recovered' event of services/circuitBreaker
+   * @returns {Promise<boolean>} - Whether the alert was queued for at least one admin
+   */
+  async sendSiteOutage(outage) {
+    const down = outage.state !== 'closed';
+    const admins = recipients.getAdmins();
+    
+    if (admins.length === 0) {
+      logger.warn(`Site ${down ? 'outage' : 'recovery'} of ${outage.type} site not sent: No admin recipients configured (TRACKER_ADMIN_RECIPIENTS)`);
+      return false;
+    }
+    
+    if (!this.transporter) {
+      logger.warn('Cannot send site outage alert: No email transporter configured');
+      return false;
+    }
+    
+    let queued = 0;
+    admins.forEach(admin => {
+      const message = this._buildSiteOutageMessage(outage, admin);
+      queued += this._addToOutbox(message, [admin], {
+        meta: { event: down ? 'site.down' : 'site.recovered', type: outage.type }
+      });
+    });
+    
+    logger.info(`Site ${down ? 'outage' : 'recovery'} alert for ${outage.type} site queued for ${queued} admin(s)`);
+    return queued > 0;
+  }
+  
+  /**
+   * Render the messages for every alert rule, the quiet-hours summary, the digest and the site
+   * change and outage alerts against sample data
+   *
+   * Covers the configured rules plus every built-in rule kind, so templates
+   * can be checked before a rule is enabled.
+   *
+   * @param {string} [name] - Only this rule name, rule kind, 'summary', 'digest', 'siteChanged' or 'siteOutage'
+   * @returns {Array<Object>} - Previews ({ name, kind, message })
+   */
+  previewTemplates(name) {
+    const sample = templates.getSample();
+    const recipient = new Recipient({ address: 'preview@example.com', format: 'email' });
+    const configured = alertRules.getRules();
+    const builtIn = Object.keys(RULE_KINDS)
+      .filter(kind => !configured.some(rule => rule.name === kind))
+      .map(kind => ({ name: kind, kind, ...RULE_KINDS[kind] }));
+    
+    const previews = [...configured, ...builtIn].map(rule => ({
+      name: rule.name,
+      kind: rule.kind,
+      message: rule.kind === 'available'
+        ? this._buildAvailableMessage(sample.type, sample.count, sample.locations, {}, rule, recipient)
+        : this._buildRuleMessage(sample.type, rule, sample.matches[rule.kind], {}, sample.count, recipient)
+    }));
+    previews.push({ name: 'summary', kind: 'summary', message: this._buildSummaryMessage(sample.summary, recipient) });
+    previews.push({ name: 'digest', kind: 'digest', message: this._buildDigestMessage(sample.digest, 'daily', recipient) });
+    previews.push({ name: 'siteChanged', kind: 'siteChanged', message: this._buildSiteChangedMessage(sample.siteChange, recipient) });
+    previews.push({ name: 'siteOutage', kind: 'siteOutage', message: this._buildSiteOutageMessage(sample.siteOutage, recipient) });
+    
+    if (!name) return previews;
+    
+    const selected = previews.filter(preview => preview.name === name || preview.kind === name);
+    if (selected.length === 0) {
+      throw new Error(`Unknown template "${name}" (expected one of: ${previews.map(preview => preview.name).join(', ')})`);
+    }
+    return selected;
+  }
+  
+  /**
+   * Test the notification system
+   * @returns {Promise<Object>} - Result ({ success, transport, verified, error })
+   */
+  async sendTestNotification() {
+    const result = {
+      success: false,
+      transport: this.transportDescription,
+      verified: false,
+      error: null
+    };
+    
+    if (!this.isEnabled()) {
+      logger.warn('Cannot send test notification: No email transporter or channels configured');
+      result.error = 'No email transporter or channels configured';
+      return result;
+    }
+    
+    if (this.transporter) {
+      try {
+        await this.transporter.verify();
+        result.verified = true;
+        logger.info(`SMTP transport verified: ${this.transportDescription}`);
+      } catch (error) {
+        result.error = `SMTP verification failed: ${error.message}`;
+        logger.error(`SMTP verification failed for ${this.transportDescription}: ${error.message}`, { error });
+        return result;
+      }
+    }
+    
+    const message = {
+      sms: {
+        subject: 'Test',
+        text: 'Test: REAL ID tracker working!'
+      },
+      email: {
+        subject: 'REAL ID Tracker - Test Notification',
+        text: `This is a test notification from your REAL ID Appointment Tracker. If you're receiving this, your notification system is working correctly.`,
+        html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
             <h2 style="color: #1a73e8;">REAL ID Tracker Test Notification</h2>
             <p>This is a test notification from your REAL ID Appointment Tracker.</p>
@@ -319,26 +1219,30 @@ class Notifier {
               Sent at: ${new Date().toLocaleString()}
             </p>
           </div>
-        `;
-        
-        const emailOptions = {
-          from: config.get('TRACKER_EMAIL_SENDER'),
-          to: emailAddress,
-          subject: 'REAL ID Tracker - Test Notification',
-          text: text,
-          html: html
-        };
-        
-        logger.info(`Sending detailed test email to ${emailAddress}`);
-        await this.transporter.sendMail(emailOptions);
+        `
+      },
+      chat: {
+        event: 'test',
+        title: 'REAL ID Tracker Test Notification',
+        text: 'If you\'re receiving this, your notification system is working correctly.',
+        url: null,
+        data: {}
+      }
+    };
+    
+    try {
+      result.success = await this._deliver(message);
+      if (result.success) {
+        logger.info('Test notifications sent successfully');
+      } else {
+        result.error = 'One or more deliveries failed';
       }
-      
-      logger.info('Test notifications sent successfully');
-      return true;
     } catch (error) {
       logger.error(`Error sending test notification: ${error.message}`, { error });
-      return false;
+      result.error = error.message;
     }
+    
+    return result;
   }
 }
 
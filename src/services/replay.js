@@ -0,0 +1,230 @@
+/**
+ * Recorded-page replay for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Serves scraper requests from a directory of recorded HTML instead of
+ *   the live NJMVC site (TRACKER_REPLAY_DIR)
+ * - Replays a sequence of steps, one per check, so availability can go
+ *   0 -> N -> 0 through the normal check, store and notification path
+ * - Steps come from a replay.json manifest, or from file names such as the
+ *   debug/ captures (regular-*.html, mobile-*.html) in name order
+ * - Manifest entries can simulate HTTP errors and timeouts
+ *
+ * Manifest format (paths are relative to the directory):
+ *   {
+ *     "loop": false,
+ *     "steps": [
+ *       { "regular": "none.html", "mobile": "none.html" },
+ *       { "regular": "five.html", "regular:locations": "locations.html" },
+ *       { "regular": { "status": 503 }, "mobile": { "error": "ETIMEDOUT" } },
+ *       { "regular": "none.html" }
+ *     ]
+ *   }
+ *
+ * Keys are a site type for its card page, "<type>:locations" for the
+ * location list it links to, or an exact URL or URL path. A step only
+ * needs the keys that change; the others keep their last response.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger').child('replay');
+const { config } = require('../utils/config');
+
+// Manifest file name inside the replay directory
+const MANIFEST_FILE = 'replay.json';
+
+// Site types whose card pages mark the start of a check
+const SITE_TYPES = ['regular', 'mobile'];
+
+class Replay {
+  constructor() {
+    this.dir = null; // Directory the steps were loaded from
+    this.steps = [];
+    this.loop = false;
+    this.checks = {}; // Card page fetches per site type
+    this.step = 0;
+    this.served = 0;
+  }
+  
+  /**
+   * Whether requests are served from recorded pages
+   * @returns {boolean} - True if TRACKER_REPLAY_DIR is set
+   */
+  isEnabled() {
+    return Boolean(config.get('TRACKER_REPLAY_DIR'));
+  }
+  
+  /**
+   * Load the steps from the replay directory, once per directory
+   * @returns {Array<Object>} - Steps (key -> entry)
+   */
+  _load() {
+    const dir = path.resolve(config.get('TRACKER_REPLAY_DIR'));
+    if (this.dir === dir) return this.steps;
+    
+    const manifestFile = path.join(dir, MANIFEST_FILE);
+    if (fs.existsSync(manifestFile)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+      if (!Array.isArray(manifest.steps) || manifest.steps.length === 0) {
+        throw new Error(`${manifestFile} needs a non-empty "steps" array`);
+      }
+      this.steps = manifest.steps;
+      this.loop = Boolean(manifest.loop);
+    } else {
+      this.steps = this._stepsFromFiles(dir);
+      this.loop = false;
+    }
+    
+    this.dir = dir;
+    this.reset();
+    logger.info(`Replaying ${this.steps.length} step(s) from ${dir}`);
+    return this.steps;
+  }
+  
+  /**
+   * Build steps from recorded file names: the nth regular-*.html and
+   * mobile-*.html files (in name order) make up step n
+   * @param {string} dir - Replay directory
+   * @returns {Array<Object>} - Steps
+   */
+  _stepsFromFiles(dir) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.html')).sort();
+    const sequences = SITE_TYPES.map(type => [type, files.filter(file => file === `${type}.html` || file.startsWith(`${type}-`))]);
+    const length = Math.max(...sequences.map(([, list]) => list.length));
+    
+    if (length === 0) {
+      throw new Error(`${dir} has no ${MANIFEST_FILE} and no regular-*.html or mobile-*.html files`);
+    }
+    
+    return Array.from({ length }, (unused, index) => {
+      const step = {};
+      sequences.forEach(([type, list]) => {
+        if (list[index]) step[type] = list[index];
+      });
+      return step;
+    });
+  }
+  
+  /**
+   * Start the sequence over
+   */
+  reset() {
+    this.checks = {};
+    this.step = 0;
+    this.served = 0;
+  }
+  
+  /**
+   * Get the manifest key for a request
+   * @param {string} url - Requested URL
+   * @param {string} type - Type the scraper is checking
+   * @returns {string} - Site type for a card page, otherwise "<type>:locations"
+   */
+  _keyFor(url, type) {
+    const isCardPage = SITE_TYPES.some(site => config.get(`TRACKER_${site.toUpperCase()}_URL`) === url);
+    return isCardPage ? type : `${type}:locations`;
+  }
+  
+  /**
+   * Find the entry for a request in the current step or the latest earlier step that has one
+   * @param {string} url - Requested URL
+   * @param {string} key - Manifest key
+   * @returns {Object|null} - { entry, step } or null if no step covers the request
+   */
+  _find(url, key) {
+    let pathname = null;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      // Not an absolute URL; only the key and the URL itself can match
+    }
+    
+    for (let index = this.step; index >= 0; index--) {
+      const entries = this.steps[index];
+      const name = [url, pathname, key].find(candidate => candidate && entries[candidate] !== undefined);
+      if (name) {
+        return { entry: entries[name], step: index };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Serve a request from the recorded pages
+   *
+   * The first attempt at a card page moves the sequence on: the nth check
+   * of any site type replays step n. Retries stay on the same step.
+   *
+   * @param {string} url - Requested URL
+   * @param {string} type - Type the scraper is checking
+   * @param {number} [attempt=0] - Attempt number (0 for the first try)
+   * @returns {Promise<Object>} - Response ({ status, data, file })
+   * @throws {Error} Errors shaped like axios errors for recorded HTTP errors and timeouts
+   */
+  async fetch(url, type, attempt = 0) {
+    const steps = this._load();
+    const key = this._keyFor(url, type);
+    
+    if (attempt === 0 && SITE_TYPES.includes(key)) {
+      this.checks[key] = (this.checks[key] || 0) + 1;
+      const index = Math.max(...Object.values(this.checks)) - 1;
+      this.step = this.loop ? index % steps.length : Math.min(index, steps.length - 1);
+    }
+    
+    const found = this._find(url, key);
+    if (!found) {
+      const error = new Error(`No recorded response for ${key} (${url}) up to step ${this.step + 1}`);
+      error.response = { status: 404, statusText: 'Not Recorded', data: '' };
+      throw error;
+    }
+    
+    const entry = typeof found.entry === 'string' ? { file: found.entry } : found.entry;
+    const status = entry.status || 200;
+    const data = entry.file ? fs.readFileSync(path.resolve(this.dir, entry.file), 'utf8') : '';
+    this.served++;
+    logger.debug(`Step ${this.step + 1}/${steps.length}: ${key} -> ${entry.file || entry.error || status}`, { url });
+    
+    if (entry.error) {
+      const error = new Error(`Replayed ${entry.error}`);
+      error.code = entry.error;
+      error.request = {};
+      throw error;
+    }
+    
+    if (status < 200 || status >= 300) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, statusText: 'Replayed', data };
+      throw error;
+    }
+    
+    return { status, data, file: entry.file };
+  }
+  
+  /**
+   * Get the replay position for status output
+   * @returns {Object|null} - { dir, step, steps, loop, served }, or null when replay is off
+   */
+  getStatus() {
+    if (!this.isEnabled()) return null;
+    
+    let steps;
+    try {
+      steps = this._load();
+    } catch (error) {
+      return { dir: config.get('TRACKER_REPLAY_DIR'), error: error.message };
+    }
+    
+    return {
+      dir: this.dir,
+      step: Object.keys(this.checks).length > 0 ? this.step + 1 : 0,
+      steps: steps.length,
+      loop: this.loop,
+      served: this.served
+    };
+  }
+}
+
+module.exports = new Replay(); // Singleton instance
+module.exports.MANIFEST_FILE = MANIFEST_FILE;
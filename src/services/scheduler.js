@@ -7,6 +7,8 @@
  * - Intelligent check execution
  * - Status tracking
  * - Event-based architecture
+ * - Adaptive check frequency (hot windows, bursts, night and failure backoff)
+ * - Active hours outside which checks are skipped
  */
 
 const cron = require('node-cron');
@@ -14,6 +16,10 @@ const EventEmitter = require('events');
 
 const logger = require('../utils/logger').child('scheduler');
 const { config } = require('../utils/config');
+const { parseWindows, isWithinWindows, nextWindowStart } = require('../utils/timeWindows');
+
+// Consecutive failed runs before adaptive jobs start backing off
+const FAILURE_BACKOFF_THRESHOLD = 2;
 
 class Scheduler extends EventEmitter {
   constructor() {
@@ -24,21 +30,51 @@ class Scheduler extends EventEmitter {
       lastCheckTime: null,
       nextCheckTime: null,
       checkCount: 0,
-      missedChecks: 0
+      missedChecks: 0,
+      currentInterval: null, // Minutes until the next adaptive run
+      intervalReason: null
     };
   }
   
+  /**
+   * Get the configured active hours
+   * @returns {Array<Object>} - Parsed windows (empty means checks always run)
+   */
+  _getActiveWindows() {
+    return parseWindows(config.get('TRACKER_ACTIVE_HOURS'));
+  }
+  
+  /**
+   * Whether checks may run at a given time
+   * @param {Date} [date=new Date()] - Time to check
+   * @returns {boolean} - True if no active hours are set or the time is inside them
+   */
+  isActiveTime(date = new Date()) {
+    const windows = this._getActiveWindows();
+    return windows.length === 0 || isWithinWindows(date, windows, config.get('TRACKER_TIMEZONE'));
+  }
+  
   /**
    * Calculate the next check time
    * @param {string} cronExpression - Cron expression for the schedule
-   * @returns {Date} - Next check time
+   * @returns {Date} - Next check time inside active hours
    */
   _calculateNextCheckTime(cronExpression) {
     // Use cron-parser to get the next run time
     const parser = require('cron-parser');
     try {
-      const interval = parser.parseExpression(cronExpression);
-      return interval.next().toDate();
+      const windows = this._getActiveWindows();
+      const timeZone = config.get('TRACKER_TIMEZONE');
+      let next = parser.parseExpression(cronExpression).next().toDate();
+      
+      // Jump to the first run in the next active window instead of stepping through
+      // every run outside it (bounded for a schedule whose runs all miss the windows)
+      for (let i = 0; i < 100 && windows.length > 0 && !isWithinWindows(next, windows, timeZone); i++) {
+        const windowStart = nextWindowStart(next, windows, timeZone);
+        if (!windowStart) break;
+        next = parser.parseExpression(cronExpression, { currentDate: new Date(windowStart.getTime() - 1) }).next().toDate();
+      }
+      return next;
     } catch (error) {
       logger.error(`Error calculating next check time: ${error.message}`, { error });
       // Fallback: add check interval to current time
@@ -52,9 +88,12 @@ class Scheduler extends EventEmitter {
    * @param {string} name - Task name
    * @param {string} cronExpression - Cron expression
    * @param {Function} task - Task function to execute
+   * @param {Object} [options={}] - Task options
+   * @param {boolean} [options.background=false] - Housekeeping task: not counted as a check and not limited to active hours
+   * @param {string} [options.timezone] - IANA time zone the cron expression is read in (defaults to the system zone)
    * @returns {boolean} - Whether scheduling was successful
    */
-  schedule(name, cronExpression, task) {
+  schedule(name, cronExpression, task, options = {}) {
     try {
       // Validate cron expression
       if (!cron.validate(cronExpression)) {
@@ -66,6 +105,22 @@ class Scheduler extends EventEmitter {
       
       // Create new job
       const job = cron.schedule(cronExpression, async () => {
+        if (options.background) {
+          try {
+            await task();
+          } catch (error) {
+            logger.error(`Error executing scheduled task ${name}: ${error.message}`, { error });
+            this.emit('error', { task: name, error });
+          }
+          return;
+        }
+        
+        if (!this.isActiveTime()) {
+          logger.debug(`Skipping scheduled task "${name}": outside active hours`);
+          this.status.nextCheckTime = this._calculateNextCheckTime(cronExpression);
+          return;
+        }
+        
         try {
           logger.debug(`Executing scheduled task: ${name}`);
           this.status.lastCheckTime = new Date();
@@ -78,16 +133,19 @@ class Scheduler extends EventEmitter {
           // Update next check time
           this.status.nextCheckTime = this._calculateNextCheckTime(cronExpression);
         }
-      });
+      }, options.timezone ? { timezone: options.timezone } : undefined);
       
       this.jobs.set(name, {
         job,
         cronExpression,
-        task
+        task,
+        background: Boolean(options.background)
       });
       
       this.status.isRunning = true;
-      this.status.nextCheckTime = this._calculateNextCheckTime(cronExpression);
+      if (!options.background) {
+        this.status.nextCheckTime = this._calculateNextCheckTime(cronExpression);
+      }
       
       logger.info(`Scheduled task "${name}" with cron expression "${cronExpression}"`);
       this.emit('scheduled', { name, cronExpression });
@@ -100,6 +158,209 @@ class Scheduler extends EventEmitter {
     }
   }
   
+  /**
+   * Schedule a task whose interval adapts to time of day, availability and failures
+   *
+   * The task may return { availabilityAppeared, failed } to steer the schedule;
+   * a thrown error counts as a failure.
+   *
+   * @param {string} name - Task name
+   * @param {Object} options - Adaptive schedule options (intervals in minutes)
+   * @param {number} options.baseInterval - Interval outside any window
+   * @param {number} options.minInterval - Lower bound for every interval
+   * @param {number} options.maxInterval - Upper bound for every interval
+   * @param {string} [options.hotWindows] - Windows to check faster (e.g. "Mon-Fri 07:00-10:00")
+   * @param {number} [options.hotInterval] - Interval inside hot windows
+   * @param {number} [options.burstInterval] - Interval right after availability appears
+   * @param {number} [options.burstDuration] - How long the burst lasts
+   * @param {string} [options.nightWindows] - Windows to back off in (e.g. "22:00-06:00")
+   * @param {number} [options.nightInterval] - Interval inside night windows
+   * @param {string} options.timezone - IANA time zone the windows are written in
+   * @param {Function} task - Task function to execute
+   * @returns {boolean} - Whether scheduling was successful
+   */
+  scheduleAdaptive(name, options, task) {
+    try {
+      // Cancel existing job if it exists
+      this.cancel(name);
+      
+      const job = {
+        adaptive: true,
+        options: {
+          ...options,
+          hotWindows: parseWindows(options.hotWindows),
+          nightWindows: parseWindows(options.nightWindows)
+        },
+        task,
+        timer: null,
+        active: false,
+        running: false,
+        burstUntil: null,
+        consecutiveFailures: 0
+      };
+      
+      job.job = {
+        start: () => {
+          if (job.active) return;
+          job.active = true;
+          this._scheduleNextRun(name, job);
+        },
+        stop: () => {
+          job.active = false;
+          clearTimeout(job.timer);
+          job.timer = null;
+        }
+      };
+      
+      this.jobs.set(name, job);
+      job.job.start();
+      
+      this.status.isRunning = true;
+      
+      logger.info(`Scheduled adaptive task "${name}" (${options.minInterval}-${options.maxInterval} minutes)`);
+      this.emit('scheduled', { name, adaptive: true });
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error scheduling task ${name}: ${error.message}`, { error });
+      this.emit('error', { task: name, error });
+      return false;
+    }
+  }
+  
+  /**
+   * Work out the interval an adaptive job should use next
+   * @param {Object} job - Adaptive job
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Object} - { minutes, reason }
+   */
+  getAdaptiveInterval(job, now = new Date()) {
+    const { options } = job;
+    let minutes = options.baseInterval;
+    let reason = 'base interval';
+    
+    if (job.burstUntil && now < job.burstUntil) {
+      minutes = options.burstInterval;
+      reason = 'availability burst';
+    } else if (isWithinWindows(now, options.hotWindows, options.timezone)) {
+      minutes = options.hotInterval;
+      reason = 'hot window';
+    } else if (isWithinWindows(now, options.nightWindows, options.timezone)) {
+      minutes = options.nightInterval;
+      reason = 'night';
+    }
+    
+    if (job.consecutiveFailures >= FAILURE_BACKOFF_THRESHOLD) {
+      minutes *= Math.pow(2, job.consecutiveFailures - FAILURE_BACKOFF_THRESHOLD + 1);
+      reason += `, backing off after ${job.consecutiveFailures} failures`;
+    }
+    
+    return {
+      minutes: Math.min(options.maxInterval, Math.max(options.minInterval, minutes)),
+      reason
+    };
+  }
+  
+  /**
+   * Update an adaptive job from the outcome of a run
+   * @param {Object} job - Adaptive job
+   * @param {Object} outcome - Run outcome ({ availabilityAppeared, failed })
+   */
+  _applyOutcome(job, outcome) {
+    job.consecutiveFailures = outcome.failed ? job.consecutiveFailures + 1 : 0;
+    
+    if (outcome.availabilityAppeared && job.options.burstDuration > 0) {
+      job.burstUntil = new Date(Date.now() + job.options.burstDuration * 60 * 1000);
+      logger.info(`Availability appeared: checking every ${job.options.burstInterval} minutes for ${job.options.burstDuration} minutes`);
+    }
+  }
+  
+  /**
+   * Arm the timer for the next run of an adaptive job
+   * @param {string} name - Task name
+   * @param {Object} job - Adaptive job
+   */
+  _scheduleNextRun(name, job) {
+    clearTimeout(job.timer);
+    
+    const { minutes, reason: intervalReason } = this.getAdaptiveInterval(job);
+    let reason = intervalReason;
+    let runAt = new Date(Date.now() + minutes * 60 * 1000);
+    
+    // Hold the run until active hours start
+    if (!this.isActiveTime(runAt)) {
+      runAt = nextWindowStart(runAt, this._getActiveWindows(), config.get('TRACKER_TIMEZONE')) || runAt;
+      reason = 'waiting for active hours';
+    }
+    
+    this.status.currentInterval = minutes;
+    this.status.intervalReason = reason;
+    this.status.nextCheckTime = runAt;
+    
+    job.timer = setTimeout(() => this._runAdaptive(name, job), runAt.getTime() - Date.now());
+    logger.debug(`Next run of "${name}" at ${runAt.toISOString()} (${reason})`);
+  }
+  
+  /**
+   * Run an adaptive job and schedule its next run
+   * @param {string} name - Task name
+   * @param {Object} job - Adaptive job
+   * @returns {Promise<boolean>} - Whether the task ran without throwing (false if a run was already in progress)
+   */
+  async _runAdaptive(name, job) {
+    // The run in progress arms the next one when it finishes
+    if (job.running) {
+      logger.debug(`Skipping run of "${name}": the previous run is still in progress`);
+      return false;
+    }
+    
+    job.running = true;
+    clearTimeout(job.timer);
+    job.timer = null;
+    let outcome = {};
+    let succeeded = true;
+    
+    try {
+      logger.debug(`Executing scheduled task: ${name}`);
+      this.status.lastCheckTime = new Date();
+      this.status.checkCount++;
+      outcome = (await job.task()) || {};
+    } catch (error) {
+      logger.error(`Error executing scheduled task ${name}: ${error.message}`, { error });
+      this.emit('error', { task: name, error });
+      outcome = { failed: true };
+      succeeded = false;
+    } finally {
+      job.running = false;
+      this._applyOutcome(job, outcome);
+      
+      // The job may have been stopped or replaced while it ran
+      if (job.active && this.jobs.get(name) === job) {
+        this._scheduleNextRun(name, job);
+      }
+    }
+    
+    return succeeded;
+  }
+  
+  /**
+   * Feed the outcome of a run made outside the schedule into an adaptive job
+   * @param {string} name - Task name
+   * @param {Object} outcome - Run outcome ({ availabilityAppeared, failed })
+   */
+  reportOutcome(name, outcome) {
+    const job = this.jobs.get(name);
+    if (!job || !job.adaptive) return;
+    
+    this._applyOutcome(job, outcome);
+    
+    // Re-arm so a burst or backoff takes effect now rather than after the current wait;
+    // a run in progress re-arms when it finishes
+    if (job.active && !job.running) {
+      this._scheduleNextRun(name, job);
+    }
+  }
+  
   /**
    * Cancel a scheduled task
    * @param {string} name - Task name
@@ -121,12 +382,23 @@ class Scheduler extends EventEmitter {
   }
   
   /**
-   * Execute a task immediately, outside of its schedule
+   * Execute a task immediately, outside of its schedule. Adaptive jobs run
+   * as if their timer fired: the outcome steers the next interval, and a
+   * run already in progress is not started again.
    * @param {string} name - Task name
    * @returns {Promise<boolean>} - Whether execution was successful
    */
   async executeNow(name) {
     const job = this.jobs.get(name);
+    if (job && job.adaptive) {
+      logger.info(`Executing task "${name}" immediately`);
+      const succeeded = await this._runAdaptive(name, job);
+      if (succeeded) {
+        this.emit('executed', { name });
+      }
+      return succeeded;
+    }
+    
     if (job && typeof job.task === 'function') {
       try {
         logger.info(`Executing task "${name}" immediately`);
@@ -155,7 +427,8 @@ class Scheduler extends EventEmitter {
     const result = {};
     for (const [name, job] of this.jobs.entries()) {
       result[name] = {
-        cronExpression: job.cronExpression,
+        cronExpression: job.cronExpression || null,
+        adaptive: Boolean(job.adaptive),
         nextRun: this.status.nextCheckTime
       };
     }
@@ -199,6 +472,9 @@ class Scheduler extends EventEmitter {
     let missedTotal = 0;
     
     for (const [name, job] of this.jobs.entries()) {
+      // Adaptive jobs have no fixed schedule to compare against; housekeeping isn't a check
+      if (job.adaptive || job.background) continue;
+      
       try {
         const parser = require('cron-parser');
         const interval = parser.parseExpression(job.cronExpression);
@@ -7,61 +7,53 @@
  * - Detection and handling of website structure changes
  * - Detailed error classification and reporting
  * - Support for connection pooling and proper header management
+ * - Per-location availability drilldown from the service cards
+ * - Service catalog extraction covering every card on the page
+ * - Replay of recorded pages instead of the live site (see services/replay)
+ * - Indexed, deduplicated debug captures with retention limits (see services/captures)
+ * - Card and catalog selectors from a hot-reloaded definition file (see services/selectors)
+ * - Structural fingerprints of the card pages, diffed against the last known-good page (see services/siteMonitor)
+ * - Per-URL circuit breaker that stops retrying a site that is down (see services/circuitBreaker)
+ * - Proxy, extra CA bundles, source IP and request headers from the network settings (see utils/network)
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
-const fs = require('fs');
 const path = require('path');
 
 const logger = require('../utils/logger').child('scraper');
 const { config } = require('../utils/config');
+const replay = require('./replay');
+const captures = require('./captures');
+const circuitBreaker = require('./circuitBreaker');
+const selectors = require('./selectors');
+const siteMonitor = require('./siteMonitor');
+const { takeFingerprint } = require('../utils/fingerprint');
+const { createHttpClient } = require('../utils/network');
+const { zonedTimeToDate } = require('../utils/timeWindows');
 
-// Selector strategies for extracting appointment data
-const SELECTOR_STRATEGIES = {
-  regular: [
-    {
-      name: 'Primary Strategy',
-      titleSelector: 'span.text-black.text-uppercase.cardButtonTitle',
-      titleText: 'REAL ID',
-      countSelector: 'span.text-black.cardButtonCount'
-    },
-    {
-      name: 'Fallback Strategy',
-      titleSelector: '.card-body h3',
-      titleText: 'REAL ID',
-      countSelector: '.appointment-count, .card-count'
-    },
-    {
-      name: 'Last Resort Strategy',
-      titleSelector: '[data-service="real-id"]',
-      countSelector: '.count, .number, .appointments'
-    }
-  ],
-  mobile: [
-    {
-      name: 'Primary Strategy',
-      titleSelector: 'span.text-black.text-uppercase.cardButtonTitle',
-      titleText: 'REAL ID - MOBILE',
-      countSelector: 'span.text-black.cardButtonCount'
-    },
-    {
-      name: 'Fallback Strategy',
-      titleSelector: '.card-body h3',
-      titleText: 'REAL ID - MOBILE',
-      countSelector: '.appointment-count, .card-count'
-    },
-    {
-      name: 'Last Resort Strategy',
-      titleSelector: '[data-service="real-id-mobile"]',
-      countSelector: '.count, .number, .appointments'
-    }
-  ]
-};
+// Name reported when the count was found by searching for the card title
+const TEXT_SEARCH_STRATEGY = 'Text Search';
+
+// Strategies for extracting per-location availability from the agency list pages
+// (e.g. AppointmentWizard/12), tried in order
+const LOCATION_STRATEGIES = [
+  {
+    name: 'Embedded Data Strategy',
+    locationDataPattern: /var\s+locationData\s*=\s*(\[[\s\S]*?\]);/,
+    timeDataPattern: /var\s+timeData\s*=\s*(\[[\s\S]*?\]);/
+  },
+  {
+    name: 'Markup Strategy',
+    containerSelector: '.availableLocations .row, .locationCard, [id^="locationDiv"]',
+    nameSelector: '.text-capitalize, .locationName, h4, h5',
+    addressSelector: '.locationAddress, address'
+  }
+];
 
 class Scraper {
   constructor() {
-    this.axiosInstance = axios.create({
+    // Proxy, extra CAs, source IP and extra headers from the network settings
+    this.axiosInstance = createHttpClient({
       timeout: config.get('TRACKER_REQUEST_TIMEOUT'),
       headers: {
         'User-Agent': config.get('TRACKER_USER_AGENT'),
@@ -72,13 +64,10 @@ class Scraper {
       },
       maxRedirects: 5,
       validateStatus: status => status >= 200 && status < 300
-    });
+    }, config.export().network);
     
-    // Create debug directory if it doesn't exist
-    this.debugDir = path.join(process.cwd(), 'debug');
-    if (!fs.existsSync(this.debugDir)) {
-      fs.mkdirSync(this.debugDir, { recursive: true });
-    }
+    // Status and URL of the last page fetched, recorded with captures of it
+    this.lastResponse = { url: null, status: null };
   }
   
   /**
@@ -94,53 +83,73 @@ class Scraper {
   }
   
   /**
-   * Save HTML content for debugging
+   * Save HTML content for debugging (see services/captures)
+   *
+   * Pages are parsed right after they are fetched, so the HTTP status and
+   * URL default to those of the last response.
+   *
    * @param {string} html - HTML content
    * @param {string} type - Site type (regular, mobile)
    * @param {string} reason - Reason for saving
+   * @param {Object} [details={}] - { status, strategy, url, report } recorded with the capture
+   * @returns {Object|null} - Capture from the index, or null if it could not be saved
    */
-  _saveDebugHtml(html, type, reason) {
+  _saveDebugHtml(html, type, reason, details = {}) {
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `${type}-${reason}-${timestamp}.html`;
-      const filepath = path.join(this.debugDir, filename);
-      
-      fs.writeFileSync(filepath, html);
-      logger.debug(`Saved debug HTML to ${filepath}`, { type, reason });
+      const capture = captures.save(html, {
+        type,
+        reason,
+        status: details.status || this.lastResponse.status,
+        strategy: details.strategy,
+        url: details.url || this.lastResponse.url,
+        report: details.report
+      });
+      logger.debug(`Saved debug HTML to ${capture.file}`, { type, reason, duplicate: capture.duplicate });
+      return capture;
     } catch (error) {
       logger.error(`Failed to save debug HTML: ${error.message}`, { error, type, reason });
+      return null;
     }
   }
   
   /**
-   * Extract appointment count using multiple parsing strategies
+   * Get the name of the strategy that reads the REAL ID count from a page
    * @param {string} html - HTML content
    * @param {string} type - Site type (regular, mobile)
-   * @returns {number} - Appointment count or -1 if parsing failed
+   * @returns {string|null} - Strategy name, or null if none reads it
    */
-  _extractAppointmentCount(html, type) {
+  _strategyFor(html, type) {
     const $ = cheerio.load(html);
-    const strategies = SELECTOR_STRATEGIES[type];
-    
-    // First try our defined strategies
-    for (const strategy of strategies) {
+    const match = this._matchStrategies($, type) || this._searchCount($, type);
+    return match ? match.strategy : null;
+  }
+  
+  /**
+   * Find the REAL ID card with the selector strategies, in order
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {Object|null} - { strategy, count, countText } from the first strategy that finds the card, or null
+   */
+  _matchStrategies($, type) {
+    for (const strategy of selectors.getStrategies(type)) {
       logger.debug(`Trying ${strategy.name} for ${type} site`);
       
       let found = false;
       let count = 0;
+      let countText = null;
       
       // Find the correct section based on title text
       $(strategy.titleSelector).each((i, el) => {
         const title = $(el).text().trim();
-        if (title === strategy.titleText) {
+        if (strategy.titleText === undefined || title === strategy.titleText) {
           found = true;
           
           // Get the count element based on the current strategy
           let countElement;
           if (strategy.countSelector.includes(',')) {
             // Try multiple selectors
-            const selectors = strategy.countSelector.split(',').map(s => s.trim());
-            for (const selector of selectors) {
+            const countSelectors = strategy.countSelector.split(',').map(s => s.trim());
+            for (const selector of countSelectors) {
               countElement = $(el).parent().find(selector);
               if (countElement.length) break;
             }
@@ -149,7 +158,7 @@ class Scraper {
           }
           
           if (countElement && countElement.length) {
-            const countText = countElement.text().trim();
+            countText = countElement.text().trim();
             logger.debug(`Found count text: "${countText}" using ${strategy.name}`, { type });
             
             const match = countText.match(/(\d+)/);
@@ -166,12 +175,21 @@ class Scraper {
       
       if (found) {
         logger.debug(`Successfully parsed ${type} site using ${strategy.name}`, { count });
-        return count;
+        return { strategy: strategy.name, count, countText };
       }
     }
     
-    // If standard strategies failed, try generic approach by looking for the service type
-    // and checking for any appointment count nearby
+    return null;
+  }
+  
+  /**
+   * Find the REAL ID count by searching the page for the card title and a
+   * nearby "N Appointments Available" text, for when no strategy matches
+   * @param {CheerioAPI} $ - Loaded page
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {Object|null} - { strategy, count, countText }, or null if nothing was found
+   */
+  _searchCount($, type) {
     logger.info(`Trying alternative extraction method for ${type} site`);
     
     // Search for any element containing the REAL ID text
@@ -201,19 +219,265 @@ class Scraper {
             if (match) {
               const count = parseInt(match[0], 10);
               logger.info(`Successfully extracted count using alternative method: ${count}`);
-              return count;
+              return { strategy: TEXT_SEARCH_STRATEGY, count, countText };
             }
           }
         }
       }
     }
     
+    return null;
+  }
+  
+  /**
+   * Extract appointment count using multiple parsing strategies
+   * @param {string} html - HTML content
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {number} - Appointment count or -1 if parsing failed
+   */
+  _extractAppointmentCount(html, type) {
+    const $ = cheerio.load(html);
+    
+    // First try the defined strategies, then a generic search for the
+    // service title with an appointment count nearby
+    const match = this._matchStrategies($, type) || this._searchCount($, type);
+    if (match) {
+      return match.count;
+    }
+    
     // If all strategies failed, save HTML for debugging
     logger.warn(`Failed to parse ${type} site with all strategies`, { type });
     this._saveDebugHtml(html, type, 'parse-failed');
     return -1;
   }
   
+  /**
+   * Find the link behind the appointment card for a site type
+   * @param {string} html - HTML content
+   * @param {string} type - Site type (regular, mobile)
+   * @param {string} baseUrl - URL the HTML was fetched from
+   * @returns {string|null} - Absolute URL of the location list, or null if not found
+   */
+  _extractCardLink(html, type, baseUrl) {
+    const $ = cheerio.load(html);
+    
+    for (const strategy of selectors.getStrategies(type)) {
+      if (!strategy.titleText) continue;
+      
+      let href = null;
+      $(strategy.titleSelector).each((i, el) => {
+        if (href || $(el).text().trim() !== strategy.titleText) return;
+        href = $(el).closest('a').attr('href') || null;
+      });
+      
+      if (href) {
+        try {
+          return new URL(href, baseUrl).toString();
+        } catch (error) {
+          logger.warn(`Invalid card link "${href}" on ${type} site`, { type });
+          return null;
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Extract every service card on a page into a catalog
+   * @param {string} html - HTML content
+   * @param {string} site - Site the page belongs to (regular, mobile)
+   * @param {string} baseUrl - URL the HTML was fetched from
+   * @returns {Array<Object>} - Services ({ id, title, count, site, category, url }), one per wizard ID
+   */
+  _extractServiceCatalog(html, site, baseUrl) {
+    const $ = cheerio.load(html);
+    const catalogSelectors = selectors.getCatalog();
+    const services = new Map();
+    
+    $(catalogSelectors.cardSelector).each((i, el) => {
+      const card = $(el);
+      const href = card.attr('href') || '';
+      const idMatch = href.match(/AppointmentWizard\/(\d+)/);
+      const title = card.find(catalogSelectors.titleSelector).first().text().replace(/\s+/g, ' ').trim();
+      if (!idMatch || !title) return;
+      
+      // The same service can be listed under several categories
+      const id = idMatch[1];
+      if (services.has(id)) return;
+      
+      const countText = card.find(catalogSelectors.countSelector).first().text().trim();
+      const countMatch = countText.match(/(\d+)/);
+      const category = card.closest(catalogSelectors.containerSelector)
+        .attr(catalogSelectors.categoryAttribute) || '';
+      
+      services.set(id, {
+        id,
+        title,
+        count: countMatch ? parseInt(countMatch[0], 10) : -1,
+        site,
+        category: category.replace(/\s+/g, ' ').trim(),
+        url: new URL(href, baseUrl).toString()
+      });
+    });
+    
+    return Array.from(services.values());
+  }
+  
+  /**
+   * Parse a "FirstOpenSlot" style availability text
+   *
+   * The site shows local NJ times; they are read in TRACKER_TIMEZONE, not
+   * the server's zone, before being stored as an instant.
+   *
+   * @param {string} text - Text such as "12 Appointments Available <br/> Next Available: 05/06/2025 09:20 AM"
+   * @returns {Object} - Parsed count and next available date
+   */
+  _parseSlotText(text) {
+    const plain = cheerio.load(`<div>${text || ''}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+    const countMatch = plain.match(/(\d+)\s*Appointments?\s*Available/i);
+    const dateMatch = plain.match(/Next Available:\s*((\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([AP]M))?)/i);
+    
+    let nextAvailable = null;
+    if (dateMatch) {
+      const [, , month, day, year, hour, minute, meridiem] = dateMatch;
+      const hours = hour ? Number(hour) % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0) : 0;
+      const valid = Number(month) >= 1 && Number(month) <= 12 && Number(day) >= 1 && Number(day) <= 31 && hours < 24;
+      const parsed = valid ? zonedTimeToDate({
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: hours,
+        minute: minute ? Number(minute) : 0
+      }, config.get('TRACKER_TIMEZONE')) : null;
+      nextAvailable = parsed && !isNaN(parsed.getTime()) ? parsed.toISOString() : null;
+    }
+    
+    return {
+      count: countMatch ? parseInt(countMatch[1], 10) : 0,
+      nextAvailable,
+      nextAvailableText: dateMatch ? dateMatch[1] : null
+    };
+  }
+  
+  /**
+   * Read per-location availability from an agency list page with the location strategies, in order
+   * @param {string} html - HTML content of the location list page
+   * @param {string} type - Type for logging
+   * @param {string} pageUrl - URL of the location list page
+   * @returns {Object|null} - { strategy, locations } from the first strategy that finds locations, or null
+   */
+  _matchLocationStrategies(html, type, pageUrl) {
+    for (const strategy of LOCATION_STRATEGIES) {
+      logger.debug(`Trying ${strategy.name} for ${type} locations`);
+      
+      try {
+        const locations = strategy.locationDataPattern
+          ? this._extractLocationsFromData(html, strategy, pageUrl)
+          : this._extractLocationsFromMarkup(html, strategy, pageUrl);
+        
+        if (locations && locations.length > 0) {
+          logger.debug(`Parsed ${locations.length} ${type} locations using ${strategy.name}`);
+          return { strategy: strategy.name, locations };
+        }
+      } catch (error) {
+        logger.warn(`${strategy.name} failed for ${type} locations: ${error.message}`, { type });
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Extract per-location availability from an agency list page
+   * @param {string} html - HTML content of the location list page
+   * @param {string} type - Site type (regular, mobile)
+   * @param {string} pageUrl - URL of the location list page
+   * @returns {Array<Object>|null} - Locations ({ id, name, address, count, nextAvailable, url }) or null if parsing failed
+   */
+  _extractLocations(html, type, pageUrl) {
+    const match = this._matchLocationStrategies(html, type, pageUrl);
+    if (match) {
+      return match.locations;
+    }
+    
+    logger.warn(`Failed to parse ${type} locations with all strategies`, { type });
+    this._saveDebugHtml(html, type, 'locations-parse-failed', { url: pageUrl });
+    return null;
+  }
+  
+  /**
+   * Extract locations from the JSON data embedded in the page scripts
+   * @param {string} html - HTML content
+   * @param {Object} strategy - Location strategy
+   * @param {string} pageUrl - URL of the location list page
+   * @returns {Array<Object>|null} - Locations or null if the data is missing
+   */
+  _extractLocationsFromData(html, strategy, pageUrl) {
+    const locationMatch = html.match(strategy.locationDataPattern);
+    const timeMatch = html.match(strategy.timeDataPattern);
+    if (!locationMatch || !timeMatch) {
+      return null;
+    }
+    
+    const locationData = JSON.parse(locationMatch[1]);
+    const timeData = JSON.parse(timeMatch[1]);
+    const slotsById = new Map(timeData.map(entry => [String(entry.LocationId), entry.FirstOpenSlot]));
+    
+    return locationData.map(location => {
+      const slot = this._parseSlotText(slotsById.get(String(location.Id)));
+      const address = [
+        location.Street1,
+        location.Street2,
+        location.City,
+        [location.State, location.Zip].filter(Boolean).join(' ')
+      ].filter(Boolean).join(', ');
+      
+      return {
+        id: String(location.Id),
+        name: String(location.Name || '').trim(),
+        address,
+        count: slot.count,
+        nextAvailable: slot.nextAvailable,
+        nextAvailableText: slot.nextAvailableText,
+        url: `${pageUrl.replace(/\/$/, '')}/${location.Id}`
+      };
+    });
+  }
+  
+  /**
+   * Extract locations from the rendered location cards
+   * @param {string} html - HTML content
+   * @param {Object} strategy - Location strategy
+   * @param {string} pageUrl - URL of the location list page
+   * @returns {Array<Object>} - Locations
+   */
+  _extractLocationsFromMarkup(html, strategy, pageUrl) {
+    const $ = cheerio.load(html);
+    const locations = [];
+    
+    $(strategy.containerSelector).each((i, el) => {
+      const container = $(el);
+      const name = container.find(strategy.nameSelector).first().text().trim();
+      if (!name) return;
+      
+      const slot = this._parseSlotText(container.html());
+      const link = container.find('a[href]').first().attr('href');
+      
+      locations.push({
+        id: link ? link.split('/').pop() : String(i),
+        name,
+        address: container.find(strategy.addressSelector).first().text().replace(/\s+/g, ' ').trim(),
+        count: slot.count,
+        nextAvailable: slot.nextAvailable,
+        nextAvailableText: slot.nextAvailableText,
+        url: link ? new URL(link, pageUrl).toString() : pageUrl
+      });
+    });
+    
+    return locations;
+  }
+  
   /**
    * Check for website structure changes by looking for expected elements
    * @param {string} html - HTML content
@@ -248,15 +512,115 @@ class Scraper {
     return false;
   }
   
+  /**
+   * Compare a card page with the known-good fingerprint of its site
+   *
+   * A change is saved as a structure-change capture with the diff next to
+   * it. Without a known-good page yet, the basic structure check decides
+   * whether the page is captured.
+   *
+   * @param {string} html - HTML content
+   * @param {string} type - Site type (regular, mobile)
+   * @param {string} url - URL the page was fetched from
+   * @param {boolean} readable - Whether the REAL ID count could be read from the page
+   * @returns {Object|null} - Change from SiteMonitor.compare() with its capture path, or null
+   */
+  _inspectStructure(html, type, url, readable) {
+    const fingerprint = takeFingerprint(html, {
+      catalog: selectors.getCatalog(),
+      strategies: selectors.getStrategies(type)
+    });
+    const known = Boolean(siteMonitor.getBaseline(type));
+    const change = siteMonitor.compare(type, url, fingerprint, readable);
+    
+    if (change) {
+      logger.warn(`Website structure changed on ${type} site: ${change.summary}`, { url });
+      const capture = this._saveDebugHtml(html, type, 'structure-change', {
+        url,
+        strategy: readable ? this._strategyFor(html, type) : null,
+        report: change.text
+      });
+      change.capture = capture ? path.join(captures.dir, capture.file) : null;
+      return change;
+    }
+    
+    // Until there is a known-good page, fall back to checking for the expected elements
+    if (!known && this._detectStructureChange(html, type)) {
+      logger.warn(`Possible website structure change detected for ${type} site`, { url });
+      this._saveDebugHtml(html, type, 'structure-change', {
+        url,
+        strategy: readable ? this._strategyFor(html, type) : null
+      });
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Show how the current selector definitions read a page, for fixing them
+   * against saved pages
+   * @param {string} html - HTML content
+   * @param {string} site - Site the page belongs to (regular, mobile)
+   * @param {string} baseUrl - URL the page was fetched from
+   * @returns {Object} - { selectors, structureChanged, types, cards }: per REAL ID type the
+   *   strategy that matched ({ type, strategy, count, countText, link }), and every service card
+   */
+  explainPage(html, site, baseUrl) {
+    const $ = cheerio.load(html);
+    
+    const types = ['regular', 'mobile'].map(type => {
+      const match = this._matchStrategies($, type) || this._searchCount($, type);
+      return {
+        type,
+        strategy: match ? match.strategy : null,
+        count: match ? match.count : -1,
+        countText: match ? match.countText : null,
+        link: this._extractCardLink(html, type, baseUrl)
+      };
+    });
+    
+    return {
+      selectors: selectors.getStatus(),
+      structureChanged: this._detectStructureChange(html, site),
+      types,
+      cards: this._extractServiceCatalog(html, site, baseUrl)
+    };
+  }
+  
+  /**
+   * Show how the location strategies read a location list page, for
+   * checking saved pages
+   * @param {string} html - HTML content of the location list page
+   * @param {string} baseUrl - URL the page was fetched from
+   * @returns {Object} - { strategy, locations }, with a null strategy and no locations if none matched
+   */
+  explainLocations(html, baseUrl) {
+    return this._matchLocationStrategies(html, 'capture', baseUrl) || { strategy: null, locations: [] };
+  }
+  
   /**
    * Fetch HTML content from a URL with retries
+   *
+   * While the URL's circuit is open the fetch fails at once, and the probe of
+   * a half-open circuit is not retried. Recorded pages are always read.
+   *
    * @param {string} url - URL to fetch
    * @param {string} type - Site type for logging (regular, mobile)
    * @returns {Promise<string>} - HTML content
-   * @throws {Error} If fetching fails after retries
+   * @throws {Error} If fetching fails after retries, or the circuit is open (error.circuitOpen)
    */
   async _fetchHtml(url, type) {
-    const maxRetries = config.get('TRACKER_MAX_RETRIES');
+    const guarded = !replay.isEnabled();
+    const gate = guarded ? circuitBreaker.allow(url, type) : { allowed: true, probe: false };
+    
+    if (!gate.allowed) {
+      const error = new Error(`Skipped ${type} site: circuit open after ${gate.circuit.failures} failed checks in a row (next try ${new Date(gate.circuit.nextProbeAt).toLocaleString()})`);
+      error.circuitOpen = true;
+      throw error;
+    }
+    
+    // A probe gets one try; a replayed failure would only be read again
+    const maxRetries = gate.probe || !guarded ? 0 : config.get('TRACKER_MAX_RETRIES');
     let retries = 0;
     let lastError = null;
     
@@ -268,16 +632,14 @@ class Scraper {
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
-        logger.info(`Checking ${type} site: ${url}`);
-        
-        const response = await this.axiosInstance.get(url);
+        logger.info(`Checking ${type} site: ${url}${replay.isEnabled() ? ' (replay)' : ''}`);
         
-        // Check for structure changes
-        if (this._detectStructureChange(response.data, type)) {
-          logger.warn(`Possible website structure change detected for ${type} site`, { url });
-          this._saveDebugHtml(response.data, type, 'structure-change');
-        }
+        const response = replay.isEnabled()
+          ? await replay.fetch(url, type, retries)
+          : await this.axiosInstance.get(url);
         
+        this.lastResponse = { url, status: response.status };
+        if (guarded) circuitBreaker.recordSuccess(url, type);
         return response.data;
         
       } catch (error) {
@@ -299,7 +661,10 @@ class Scraper {
           // If we got an error response with HTML, save it for debugging
           if (error.response.data && typeof error.response.data === 'string' && 
               error.response.data.includes('<html>')) {
-            this._saveDebugHtml(error.response.data, type, `error-${error.response.status}`);
+            this._saveDebugHtml(error.response.data, type, `error-${error.response.status}`, {
+              status: error.response.status,
+              url
+            });
           }
         } else if (error.request) {
           // The request was made but no response was received
@@ -322,6 +687,7 @@ class Scraper {
         
         if (retries > maxRetries) {
           logger.error(`Maximum retries (${maxRetries}) exceeded for ${type} site`);
+          if (guarded) circuitBreaker.recordFailure(url, type, lastError);
           throw new Error(`Failed to fetch ${type} site after ${maxRetries} retries: ${lastError.message}`);
         }
       }
@@ -343,6 +709,7 @@ class Scraper {
     try {
       const html = await this._fetchHtml(url, type);
       const count = this._extractAppointmentCount(html, type);
+      this._inspectStructure(html, type, url, count >= 0);
       
       if (count >= 0) {
         logger.info(`${type} site has ${count} REAL ID appointments available`);
@@ -352,10 +719,123 @@ class Scraper {
         return -1;
       }
     } catch (error) {
-      logger.error(`Failed to check ${type} site: ${error.message}`, { error });
+      logger[error.circuitOpen ? 'warn' : 'error'](`Failed to check ${type} site: ${error.message}`, { error });
       return -1;
     }
   }
+  
+  /**
+   * Fetch and parse a per-agency location list page
+   * @param {string} locationsUrl - URL of the location list page
+   * @param {string} type - Type for logging and debug captures
+   * @returns {Promise<Array<Object>>} - Locations (empty if parsing failed)
+   */
+  async _fetchLocations(locationsUrl, type) {
+    const locationsHtml = await this._fetchHtml(locationsUrl, type);
+    const locations = this._extractLocations(locationsHtml, type, locationsUrl) || [];
+    
+    const available = locations.filter(location => location.count > 0);
+    logger.info(`${type} has appointments at ${available.length} location(s)`, {
+      locations: available.map(location => `${location.name} (${location.count})`)
+    });
+    
+    return locations;
+  }
+  
+  /**
+   * Check a website for REAL ID appointments, following the card through to
+   * the per-agency location list when appointments are available
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {Promise<Object>} - Result with total count (-1 if check failed), per-location data,
+   *   any change to the page structure (see SiteMonitor.compare()) and any error
+   */
+  async checkAppointmentDetails(type) {
+    if (type !== 'regular' && type !== 'mobile') {
+      throw new Error(`Invalid site type: ${type}`);
+    }
+    
+    const url = config.get(`TRACKER_${type.toUpperCase()}_URL`);
+    const result = {
+      type,
+      count: -1,
+      locations: [],
+      locationsUrl: null,
+      services: [],
+      siteChange: null,
+      error: null
+    };
+    
+    try {
+      const html = await this._fetchHtml(url, type);
+      result.services = this._extractServiceCatalog(html, type, url);
+      result.count = this._extractAppointmentCount(html, type);
+      result.siteChange = this._inspectStructure(html, type, url, result.count >= 0);
+      
+      if (result.count < 0) {
+        logger.warn(`Failed to extract appointment count from ${type} site`);
+        result.error = 'Failed to extract appointment count';
+        return result;
+      }
+      
+      logger.info(`${type} site has ${result.count} REAL ID appointments available`);
+      
+      // Only drill down when there is something to find
+      if (result.count > 0 && config.get('TRACKER_FETCH_LOCATIONS')) {
+        result.locationsUrl = this._extractCardLink(html, type, url);
+        
+        if (result.locationsUrl) {
+          result.locations = await this._fetchLocations(result.locationsUrl, type);
+        } else {
+          logger.warn(`Could not find location list link on ${type} site`);
+        }
+      }
+    } catch (error) {
+      // A failed drilldown still leaves a valid total count
+      logger[error.circuitOpen ? 'warn' : 'error'](`Failed to check ${type} site: ${error.message}`, { error });
+      result.error = error.message;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Fetch the full service catalog from both sites
+   * @returns {Promise<Array<Object>>} - Every service card found on the regular and mobile sites
+   */
+  async getServiceCatalog() {
+    const catalog = [];
+    
+    for (const site of ['regular', 'mobile']) {
+      const url = config.get(`TRACKER_${site.toUpperCase()}_URL`);
+      
+      try {
+        const html = await this._fetchHtml(url, site);
+        catalog.push(...this._extractServiceCatalog(html, site, url));
+      } catch (error) {
+        logger[error.circuitOpen ? 'warn' : 'error'](`Failed to load service catalog from ${site} site: ${error.message}`, { error });
+      }
+    }
+    
+    return catalog;
+  }
+  
+  /**
+   * Check per-location availability for a catalog service
+   * @param {Object} service - Service from the catalog
+   * @returns {Promise<Array<Object>>} - Locations (empty when nothing is available or the drilldown failed)
+   */
+  async checkServiceLocations(service) {
+    if (service.count <= 0 || !config.get('TRACKER_FETCH_LOCATIONS')) {
+      return [];
+    }
+    
+    try {
+      return await this._fetchLocations(service.url, `service-${service.id}`);
+    } catch (error) {
+      logger[error.circuitOpen ? 'warn' : 'error'](`Failed to check locations for ${service.title}: ${error.message}`, { error });
+      return [];
+    }
+  }
 }
 
 module.exports = new Scraper();
@@ -0,0 +1,135 @@
+/**
+ * Selector strategies for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Card and catalog selectors come from a definition file instead of code:
+ *   TRACKER_SELECTORS_FILE (JSON or YAML), or the bundled
+ *   src/data/selectors.json
+ * - The file is reloaded when it changes, without restarting the tracker
+ * - A broken edit is logged and the last good definitions stay in use
+ *
+ * See utils/selectorSchema for the file format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger').child('selectors');
+const { config } = require('../utils/config');
+const { BUNDLED_FILE, loadSelectorFile } = require('../utils/selectorSchema');
+
+class Selectors {
+  constructor() {
+    this.file = null; // Definition file last looked at, and its modification time
+    this.mtimeMs = null;
+    this.definitions = null;
+    this.source = null; // File the definitions in use came from
+    this.loadedAt = null;
+    this.error = null; // Why the latest version of the file was rejected
+  }
+  
+  /**
+   * Get the definition file in use
+   * @returns {string} - Absolute path of TRACKER_SELECTORS_FILE, or the bundled file
+   */
+  getFile() {
+    const file = config.get('TRACKER_SELECTORS_FILE');
+    return file ? path.resolve(file) : BUNDLED_FILE;
+  }
+  
+  /**
+   * Get the current definitions, reloading the file if it changed
+   * @returns {Object} - Definitions ({ schema, version, strategies, catalog })
+   */
+  get() {
+    const file = this.getFile();
+    
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (error) {
+      this._reject(file, mtimeMs, `Cannot read ${file}: ${error.message}`);
+      return this.definitions;
+    }
+    
+    if (file === this.file && mtimeMs === this.mtimeMs) {
+      return this.definitions;
+    }
+    
+    try {
+      const definitions = loadSelectorFile(file);
+      const reloaded = this.source === file;
+      
+      this.file = file;
+      this.mtimeMs = mtimeMs;
+      this.definitions = definitions;
+      this.source = file;
+      this.loadedAt = new Date();
+      this.error = null;
+      logger.info(`${reloaded ? 'Reloaded' : 'Loaded'} selector definitions ${definitions.version} from ${file}`);
+    } catch (error) {
+      this._reject(file, mtimeMs, error.message);
+    }
+    
+    return this.definitions;
+  }
+  
+  /**
+   * Keep the last good definitions after a file was rejected, falling back to
+   * the bundled ones if there are none yet
+   * @param {string} file - Rejected file
+   * @param {number|null} mtimeMs - Modification time of the rejected version
+   * @param {string} message - Reason
+   */
+  _reject(file, mtimeMs, message) {
+    if (this.error !== message) {
+      logger.error(`${message}. ${this.definitions ? `Keeping selector definitions ${this.definitions.version}` : 'Using the bundled selector definitions'}`);
+    }
+    this.error = message;
+    
+    // Only log a broken version once
+    this.file = file;
+    this.mtimeMs = mtimeMs;
+    
+    if (!this.definitions) {
+      this.definitions = loadSelectorFile(BUNDLED_FILE);
+      this.source = BUNDLED_FILE;
+      this.loadedAt = new Date();
+    }
+  }
+  
+  /**
+   * Get the strategies for a site type, in the order they are tried
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {Array<Object>} - Strategies ({ name, titleSelector, titleText, countSelector })
+   */
+  getStrategies(type) {
+    return this.get().strategies[type] || [];
+  }
+  
+  /**
+   * Get the selectors used to read every service card on a page
+   * @returns {Object} - { cardSelector, titleSelector, countSelector, containerSelector, categoryAttribute }
+   */
+  getCatalog() {
+    return this.get().catalog;
+  }
+  
+  /**
+   * Describe the definitions in use for status output
+   * @returns {Object} - { file, bundled, version, loadedAt, error }
+   */
+  getStatus() {
+    const definitions = this.get();
+    
+    return {
+      file: this.source,
+      bundled: this.source === BUNDLED_FILE,
+      version: definitions.version,
+      loadedAt: this.loadedAt,
+      error: this.error
+    };
+  }
+}
+
+module.exports = new Selectors(); // Singleton instance
@@ -0,0 +1,176 @@
+/**
+ * Site change monitor for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Keeps the structural fingerprint of the last known-good card page of
+ *   each site (one the REAL ID count could be read from) in
+ *   data/fingerprints.json, so it survives restarts
+ * - Compares every fetched page with it and reports what changed as a
+ *   readable diff (see utils/fingerprint)
+ * - A page that changed but still reads becomes the new known-good page; one
+ *   that no longer reads is reported once and the old fingerprint is kept
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger').child('siteMonitor');
+const { diffFingerprints, summarizeDiff, formatDiff } = require('../utils/fingerprint');
+
+class SiteMonitor {
+  constructor() {
+    this.file = path.join(process.cwd(), 'data', 'fingerprints.json');
+    this.baselines = this._load(); // By site type ({ url, fingerprint, recordedAt, reported })
+  }
+  
+  /**
+   * Read the stored fingerprints
+   * @returns {Object} - Baselines by site type (empty if there are none yet)
+   */
+  _load() {
+    try {
+      return fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : {};
+    } catch (error) {
+      logger.error(`Cannot read ${this.file}, starting without known-good fingerprints: ${error.message}`, { error });
+      return {};
+    }
+  }
+  
+  /**
+   * Write the fingerprints: temp file, then rename
+   */
+  _save() {
+    const temp = `${this.file}.${process.pid}.tmp`;
+    
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(temp, JSON.stringify(this.baselines, null, 2));
+      fs.renameSync(temp, this.file);
+    } catch (error) {
+      logger.error(`Error saving page fingerprints: ${error.message}`, { error });
+      fs.rmSync(temp, { force: true });
+    }
+  }
+  
+  /**
+   * Get the known-good fingerprint of a site
+   * @param {string} type - Site type (regular, mobile)
+   * @returns {Object|null} - Baseline ({ url, fingerprint, recordedAt, reported }), or null if none is recorded
+   */
+  getBaseline(type) {
+    return this.baselines[type] || null;
+  }
+  
+  /**
+   * Record a page as the known-good version of its site
+   * @param {string} type - Site type
+   * @param {string} url - Page URL
+   * @param {Object} fingerprint - Page fingerprint
+   * @param {Date} now - Time of the check
+   */
+  _accept(type, url, fingerprint, now) {
+    this.baselines[type] = { url, fingerprint, recordedAt: now.toISOString(), reported: null };
+    this._save();
+  }
+  
+  /**
+   * Compare a fetched page with the known-good fingerprint of its site
+   *
+   * The first readable page, and the first one after the site URL changes,
+   * becomes the baseline without a report.
+   *
+   * @param {string} type - Site type (regular, mobile)
+   * @param {string} url - Page URL
+   * @param {Object} fingerprint - Page fingerprint from takeFingerprint()
+   * @param {boolean} readable - Whether the REAL ID count could be read from the page
+   * @param {Date} [now=new Date()] - Time of the check
+   * @returns {Object|null} - Change ({ type, url, detectedAt, readable, before, after, diff, summary, text }),
+   *   or null if nothing changed or the change was already reported
+   */
+  compare(type, url, fingerprint, readable, now = new Date()) {
+    const baseline = this.getBaseline(type);
+    
+    if (!baseline || baseline.url !== url) {
+      if (readable) {
+        logger.info(`Recorded known-good page fingerprint ${fingerprint.hash} for ${type} site`);
+        this._accept(type, url, fingerprint, now);
+      }
+      return null;
+    }
+    
+    const diff = diffFingerprints(baseline.fingerprint, fingerprint);
+    if (!diff.changed) {
+      if (baseline.reported) {
+        baseline.reported = null;
+        this._save();
+      }
+      return null;
+    }
+    
+    // An unreadable page stays different from the baseline until it is fixed
+    if (!readable && baseline.reported === fingerprint.hash) {
+      return null;
+    }
+    
+    const change = {
+      type,
+      url,
+      detectedAt: now.toISOString(),
+      readable,
+      before: { hash: baseline.fingerprint.hash, recordedAt: baseline.recordedAt },
+      after: { hash: fingerprint.hash },
+      diff,
+      summary: summarizeDiff(diff)
+    };
+    change.text = this.formatChange(change);
+    
+    if (readable) {
+      this._accept(type, url, fingerprint, now);
+    } else {
+      baseline.reported = fingerprint.hash;
+      this._save();
+    }
+    
+    return change;
+  }
+  
+  /**
+   * Format a change as a readable report, as stored with the page capture
+   * @param {Object} change - Result of compare()
+   * @returns {string} - Report text
+   */
+  formatChange(change) {
+    return [
+      `Site: ${change.type}`,
+      `URL: ${change.url}`,
+      `Detected: ${change.detectedAt}`,
+      `Known-good fingerprint: ${change.before.hash} (recorded ${change.before.recordedAt})`,
+      `Current fingerprint: ${change.after.hash}`,
+      `REAL ID count still read: ${change.readable ? 'yes (now the known-good page)' : 'no'}`,
+      '',
+      formatDiff(change.diff),
+      ''
+    ].join('\n');
+  }
+  
+  /**
+   * Describe the known-good fingerprints for status output
+   * @returns {Object} - By site type ({ hash, recordedAt, changed }), where changed
+   *   is true while an unreadable change is outstanding
+   */
+  getStatus() {
+    const status = {};
+    
+    Object.entries(this.baselines).forEach(([type, baseline]) => {
+      status[type] = {
+        hash: baseline.fingerprint.hash,
+        recordedAt: baseline.recordedAt,
+        changed: Boolean(baseline.reported)
+      };
+    });
+    
+    return status;
+  }
+}
+
+module.exports = new SiteMonitor(); // Singleton instance
@@ -0,0 +1,96 @@
+/**
+ * Signed subscription links for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - Unsubscribe, snooze and "I booked" links for every email recipient
+ * - Each link carries the recipient ID and the action, signed with
+ *   TRACKER_LINK_SECRET (HMAC-SHA256) so it cannot be altered or forged
+ * - Links open the web interface at TRACKER_PUBLIC_URL
+ * - No links are added unless both settings are configured
+ */
+
+const crypto = require('crypto');
+
+const { config } = require('../utils/config');
+const { ACTIONS } = require('../models/subscriber');
+
+class SubscriptionLinks {
+  /**
+   * Whether links can be built and verified
+   * @returns {boolean} - True if TRACKER_PUBLIC_URL and TRACKER_LINK_SECRET are set
+   */
+  isEnabled() {
+    return Boolean(config.get('TRACKER_PUBLIC_URL') && config.get('TRACKER_LINK_SECRET'));
+  }
+  
+  /**
+   * Sign a token payload
+   * @param {string} payload - Encoded payload
+   * @returns {string} - Base64url HMAC-SHA256 signature
+   */
+  _signature(payload) {
+    return crypto.createHmac('sha256', config.get('TRACKER_LINK_SECRET')).update(payload).digest('base64url');
+  }
+  
+  /**
+   * Build a signed token for a recipient and action
+   * @param {string} recipientId - Recipient ID
+   * @param {string} action - unsubscribe, snooze, booked or resume
+   * @returns {string} - Token (<payload>.<signature>)
+   */
+  sign(recipientId, action) {
+    const payload = Buffer.from(JSON.stringify({ r: recipientId, a: action })).toString('base64url');
+    return `${payload}.${this._signature(payload)}`;
+  }
+  
+  /**
+   * Check a token and read the recipient and action from it
+   * @param {string} token - Token from a link
+   * @returns {Object|null} - { recipientId, action }, or null if the token is invalid or was tampered with
+   */
+  verify(token) {
+    if (!config.get('TRACKER_LINK_SECRET') || typeof token !== 'string') return null;
+    
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+    
+    const expected = Buffer.from(this._signature(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    
+    try {
+      const { r, a } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return typeof r === 'string' && ACTIONS.includes(a) ? { recipientId: r, action: a } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Build the link for a recipient and action
+   * @param {string} recipientId - Recipient ID
+   * @param {string} action - unsubscribe, snooze, booked or resume
+   * @returns {string} - Absolute URL on TRACKER_PUBLIC_URL
+   */
+  url(recipientId, action) {
+    const base = config.get('TRACKER_PUBLIC_URL').replace(/\/+$/, '');
+    return `${base}/subscription/${this.sign(recipientId, action)}`;
+  }
+  
+  /**
+   * Build the links shown in a recipient's emails
+   * @param {Recipient} recipient - Email recipient
+   * @returns {Object|null} - { unsubscribe, snooze, booked } URLs, or null if links are not configured
+   */
+  linksFor(recipient) {
+    if (!this.isEnabled()) return null;
+    
+    return {
+      unsubscribe: this.url(recipient.id, 'unsubscribe'),
+      snooze: this.url(recipient.id, 'snooze'),
+      booked: this.url(recipient.id, 'booked')
+    };
+  }
+}
+
+module.exports = new SubscriptionLinks(); // Singleton instance
@@ -0,0 +1,170 @@
+/**
+ * Notification templates for the REAL ID Appointment Tracker
+ *
+ * Features:
+ * - One template file per event and variant: <name>.<variant file>, e.g.
+ *   available.sms.txt, increase.subject.txt, summary.email.html
+ * - Bundled defaults in src/templates; files in templates/ override them
+ * - Per-rule overrides: a rule named "big-release" of kind "increase" uses
+ *   big-release.*, then increase.*, then the generic rule.* files
+ * - Templates are reloaded when their file changes
+ * - A broken custom template is logged and the next candidate is used
+ * - SMS text is kept within the gateway limit (160 characters, more for MMS)
+ *
+ * See utils/templateEngine for the template syntax.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger').child('templates');
+const { config } = require('../utils/config');
+const { compile } = require('../utils/templateEngine');
+const { SMS_LIMIT } = require('../utils/carriers');
+
+// Variants and the file name suffix of each
+const VARIANTS = {
+  subject: 'subject.txt', // Email subject, and chat title for rule alerts
+  line: 'line.txt', // One line per location, used inside the other variants
+  sms: 'sms.txt', // Text for SMS gateway recipients
+  text: 'email.txt', // Plain-text email body
+  html: 'email.html', // HTML email body
+  chat: 'chat.md' // Markdown text for chat channels
+};
+
+// Files from before per-variant templates that still override a bundled one
+const LEGACY_FILES = {
+  'available.email.html': 'email-template.html'
+};
+
+class Templates {
+  constructor() {
+    this.customDir = path.join(process.cwd(), 'templates');
+    this.bundledDir = path.join(__dirname, '..', 'templates');
+    this.cache = new Map(); // Compiled templates by file ({ mtimeMs, render })
+  }
+  
+  /**
+   * Get the files that could provide a variant, in the order they are tried
+   * @param {Array<string>} names - Template names, most specific first
+   * @param {string} variant - Variant (see VARIANTS)
+   * @returns {Array<Object>} - Existing files ({ name, file, custom })
+   */
+  _candidates(names, variant) {
+    if (!VARIANTS[variant]) {
+      throw new Error(`Unknown template variant "${variant}" (expected ${Object.keys(VARIANTS).join(', ')})`);
+    }
+    
+    const candidates = [];
+    names.forEach(name => {
+      const fileName = `${name}.${VARIANTS[variant]}`;
+      [fileName, LEGACY_FILES[fileName]].filter(Boolean).forEach(customName => {
+        candidates.push({ name, file: path.join(this.customDir, customName), custom: true });
+      });
+      candidates.push({ name, file: path.join(this.bundledDir, fileName), custom: false });
+    });
+    
+    return candidates.filter(candidate => fs.existsSync(candidate.file));
+  }
+  
+  /**
+   * Load and compile a template file, reusing the compiled version until the file changes
+   * @param {string} file - Template file
+   * @returns {Function} - Compiled template
+   */
+  _load(file) {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.render;
+    }
+    
+    const render = compile(fs.readFileSync(file, 'utf8'), path.basename(file));
+    this.cache.set(file, { mtimeMs, render });
+    return render;
+  }
+  
+  /**
+   * Render a variant
+   * @param {Array<string>} names - Template names, most specific first
+   * @param {string} variant - Variant (see VARIANTS)
+   * @param {Object} context - Template values
+   * @param {string} [inline] - Template text that takes precedence over files (from an alert rule)
+   * @returns {string} - Rendered text, trimmed
+   */
+  render(names, variant, context, inline) {
+    const options = { escape: variant === 'html', timezone: config.get('TRACKER_TIMEZONE') };
+    
+    if (inline) {
+      try {
+        return compile(inline, `${names[0]} ${variant}`)(context, options).trim();
+      } catch (error) {
+        logger.error(`Error in the ${variant} template of rule ${names[0]}: ${error.message}`, { error });
+      }
+    }
+    
+    for (const candidate of this._candidates(names, variant)) {
+      try {
+        return this._load(candidate.file)(context, options).trim();
+      } catch (error) {
+        // Fall back to the next candidate so a typo does not stop alerts
+        logger.error(`Error in template ${candidate.file}: ${error.message}`, { error });
+      }
+    }
+    
+    throw new Error(`No usable ${VARIANTS[variant]} template for ${names.join(', ')}`);
+  }
+  
+  /**
+   * Keep SMS text within the gateway limit, shortening the text before a trailing link
+   * @param {string} text - SMS text
+   * @param {number} [limit=SMS_LIMIT] - Maximum length
+   * @returns {string} - Text of at most limit characters
+   */
+  fitSms(text, limit = SMS_LIMIT) {
+    if (text.length <= limit) return text;
+    
+    const link = text.match(/\s*(https?:\/\/\S+)$/);
+    if (link && link[1].length < limit - 10) {
+      const head = text.slice(0, link.index);
+      return `${head.slice(0, limit - link[1].length - 4)}... ${link[1]}`;
+    }
+    return `${text.slice(0, limit - 3)}...`;
+  }
+  
+  /**
+   * Load the sample data used by template previews
+   * @returns {Object} - Sample check result ({ type, count, locations, matches, summary, digest })
+   */
+  getSample() {
+    return JSON.parse(fs.readFileSync(path.join(this.bundledDir, 'sample.json'), 'utf8'));
+  }
+  
+  /**
+   * List every template file, custom ones first
+   * @returns {Array<Object>} - Templates ({ name, variant, file, custom })
+   */
+  list() {
+    const suffixes = Object.entries(VARIANTS);
+    const legacyNames = new Map(Object.entries(LEGACY_FILES).map(([fileName, legacy]) => [legacy, fileName]));
+    const templates = [];
+    
+    [[this.customDir, true], [this.bundledDir, false]].forEach(([dir, custom]) => {
+      if (!fs.existsSync(dir)) return;
+      
+      fs.readdirSync(dir).sort().forEach(fileName => {
+        const resolved = (custom && legacyNames.get(fileName)) || fileName;
+        const [variant, suffix] = suffixes.find(([, candidate]) => resolved.endsWith(`.${candidate}`)) || [];
+        if (variant) {
+          templates.push({ name: resolved.slice(0, -suffix.length - 1), variant, file: path.join(dir, fileName), custom });
+        }
+      });
+    });
+    
+    return templates;
+  }
+}
+
+module.exports = new Templates(); // Singleton instance
+module.exports.VARIANTS = VARIANTS;
+module.exports.SMS_LIMIT = SMS_LIMIT;
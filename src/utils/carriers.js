@@ -0,0 +1,117 @@
+/**
+ * Carrier SMS/MMS gateway directory for the REAL ID Appointment Tracker
+ *
+ * Uses the bundled src/data/carriers.json table of major US carriers, each
+ * with the email domain of its SMS gateway and of its MMS gateway. A phone
+ * number plus a carrier ID resolves to a gateway address such as
+ * 5551234567@vtext.com.
+ *
+ * SMS gateways cut messages at 160 characters; MMS gateways take longer text.
+ */
+
+const carriers = require('../data/carriers.json');
+
+// Longest text an SMS gateway reliably delivers as one message
+const SMS_LIMIT = 160;
+
+// Longest text sent through an MMS gateway
+const MMS_LIMIT = 1000;
+
+/**
+ * Find a carrier by ID or name
+ * @param {string} id - Carrier ID ("verizon") or name ("Verizon")
+ * @returns {Object|null} - Carrier ({ id, name, sms, mms }) or null if unknown
+ */
+function findCarrier(id) {
+  const wanted = String(id || '').trim().toLowerCase();
+  if (!wanted) return null;
+  
+  return carriers.find(carrier => carrier.id === wanted || carrier.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Reduce a phone number to its ten digits
+ * @param {string} phone - US phone number in any common format ("(555) 123-4567", "+1 555 123 4567")
+ * @returns {string|null} - Ten-digit number, or null if it is not a US number
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const number = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return /^\d{10}$/.test(number) ? number : null;
+}
+
+/**
+ * Build the gateway address for a phone number
+ * @param {string} phone - US phone number
+ * @param {string} carrierId - Carrier ID or name
+ * @param {string} [gateway='sms'] - 'sms' or 'mms'
+ * @returns {string} - Gateway address
+ */
+function gatewayAddress(phone, carrierId, gateway = 'sms') {
+  const number = normalizePhone(phone);
+  if (!number) {
+    throw new Error(`"${phone}" is not a ten-digit US phone number`);
+  }
+  
+  const carrier = findCarrier(carrierId);
+  if (!carrier) {
+    throw new Error(`Unknown carrier "${carrierId}" (expected one of: ${carriers.map(item => item.id).join(', ')})`);
+  }
+  
+  return `${number}@${carrier[gateway] || carrier.sms}`;
+}
+
+/**
+ * Split a "<phone>:<carrier>" list entry
+ * @param {string} entry - List entry, e.g. "555-123-4567:verizon"
+ * @returns {Object|null} - { phone, carrier }, or null if the entry is an address
+ */
+function parsePhoneEntry(entry) {
+  const match = String(entry || '').trim().match(/^(\+?[\d\s().-]+):\s*([a-z][\w &-]*)$/i);
+  return match ? { phone: match[1].trim(), carrier: match[2].trim() } : null;
+}
+
+/**
+ * Whether an address is on a known SMS or MMS gateway
+ * @param {string} address - Email address
+ * @returns {boolean} - True for gateway domains in the directory
+ */
+function isGatewayAddress(address) {
+  const domain = String(address || '').split('@').pop().toLowerCase();
+  return carriers.some(carrier => carrier.sms === domain || carrier.mms === domain);
+}
+
+/**
+ * Get the longest text a gateway address can take
+ *
+ * Domains that only serve as an MMS gateway get the MMS limit. Everything
+ * else, including carriers that use one domain for both, gets the SMS limit.
+ *
+ * @param {string} address - Gateway address
+ * @returns {number} - Maximum text length
+ */
+function getLimit(address) {
+  const domain = String(address || '').split('@').pop().toLowerCase();
+  const isMms = carriers.some(carrier => carrier.mms === domain) && !carriers.some(carrier => carrier.sms === domain);
+  return isMms ? MMS_LIMIT : SMS_LIMIT;
+}
+
+/**
+ * List the carriers in the directory
+ * @returns {Array<Object>} - Carriers ({ id, name, sms, mms }), sorted by name
+ */
+function listCarriers() {
+  return [...carriers].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  SMS_LIMIT,
+  MMS_LIMIT,
+  findCarrier,
+  normalizePhone,
+  gatewayAddress,
+  parsePhoneEntry,
+  isGatewayAddress,
+  getLimit,
+  listCarriers
+};
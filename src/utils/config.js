@@ -13,6 +13,12 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 
+const { parseTime, parseDays, parseWindows, isValidTimeZone } = require('./timeWindows');
+const { lookupZip } = require('./geo');
+const { gatewayAddress, parsePhoneEntry } = require('./carriers');
+const { loadSelectorFile } = require('./selectorSchema');
+const { parseList, validateProxyUrl, validateSourceIp, validateHeaders, readCaFiles } = require('./network');
+
 // Attempt to load environment variables from .env file
 const envPath = path.join(process.cwd(), '.env');
 if (fs.existsSync(envPath)) {
@@ -100,6 +106,35 @@ function obfuscate(value) {
   return `${value.substring(0, 2)}${'*'.repeat(value.length - 4)}${value.substring(value.length - 2)}`;
 }
 
+/**
+ * Validate a weekly time window list (see utils/timeWindows)
+ * @param {string} spec - Window list
+ * @returns {boolean|string} - True if valid, otherwise an error message
+ */
+function validateWindows(spec) {
+  try {
+    parseWindows(spec);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate a phone number and carrier (see utils/carriers)
+ * @param {string} phone - Phone number
+ * @param {string} carrier - Carrier ID or name
+ * @returns {boolean|string} - True if valid, otherwise an error message
+ */
+function validatePhone(phone, carrier) {
+  try {
+    gatewayAddress(phone, carrier);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+}
+
 /**
  * Configuration Validation
  * Each entry contains:
@@ -174,6 +209,94 @@ const CONFIG_SCHEMA = [
     type: 'number',
     validate: (interval) => interval > 0 || 'Interval must be greater than 0'
   },
+  {
+    key: 'TRACKER_DYNAMIC_INTERVALS',
+    default: false,
+    required: false,
+    type: 'boolean'
+  },
+  {
+    key: 'TRACKER_MIN_INTERVAL',
+    default: 2,
+    required: false,
+    type: 'number',
+    validate: (interval) => interval > 0 || 'Minimum interval must be greater than 0'
+  },
+  {
+    key: 'TRACKER_MAX_INTERVAL',
+    default: 30,
+    required: false,
+    type: 'number',
+    validate: (interval) => interval > 0 || 'Maximum interval must be greater than 0'
+  },
+  {
+    key: 'TRACKER_HOT_WINDOWS',
+    default: 'Mon-Fri 07:00-10:00',
+    required: false,
+    type: 'string',
+    validate: validateWindows
+  },
+  {
+    key: 'TRACKER_HOT_INTERVAL',
+    default: 3,
+    required: false,
+    type: 'number',
+    validate: (interval) => interval > 0 || 'Hot window interval must be greater than 0'
+  },
+  {
+    key: 'TRACKER_BURST_INTERVAL',
+    default: 2,
+    required: false,
+    type: 'number',
+    validate: (interval) => interval > 0 || 'Burst interval must be greater than 0'
+  },
+  {
+    key: 'TRACKER_BURST_DURATION',
+    default: 15,
+    required: false,
+    type: 'number',
+    validate: (minutes) => minutes >= 0 || 'Burst duration must be 0 or more minutes'
+  },
+  {
+    key: 'TRACKER_NIGHT_WINDOWS',
+    default: '22:00-06:00',
+    required: false,
+    type: 'string',
+    validate: validateWindows
+  },
+  {
+    key: 'TRACKER_NIGHT_INTERVAL',
+    default: 20,
+    required: false,
+    type: 'number',
+    validate: (interval) => interval > 0 || 'Night interval must be greater than 0'
+  },
+  {
+    key: 'TRACKER_TIMEZONE',
+    default: 'America/New_York',
+    required: false,
+    type: 'string',
+    validate: (timeZone) => isValidTimeZone(timeZone) || `Unknown time zone: ${timeZone}`
+  },
+  {
+    key: 'TRACKER_ACTIVE_HOURS',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: validateWindows
+  },
+  {
+    key: 'TRACKER_SERVICES',
+    default: '',
+    required: false,
+    type: 'string'
+  },
+  {
+    key: 'TRACKER_FETCH_LOCATIONS',
+    default: true,
+    required: false,
+    type: 'boolean'
+  },
   {
     key: 'TRACKER_EMAIL_SENDER',
     default: '',
@@ -200,6 +323,204 @@ const CONFIG_SCHEMA = [
     required: false,
     type: 'string'
   },
+  {
+    key: 'TRACKER_SMS_RECIPIENT',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (value) => {
+      const invalid = value.split(',')
+        .map(parsePhoneEntry)
+        .filter(Boolean)
+        .map(({ phone, carrier }) => validatePhone(phone, carrier))
+        .find(result => result !== true);
+      return invalid || true;
+    }
+  },
+  {
+    key: 'TRACKER_ADMIN_RECIPIENTS',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (value) => {
+      const invalid = value.split(',')
+        .map(parsePhoneEntry)
+        .filter(Boolean)
+        .map(({ phone, carrier }) => validatePhone(phone, carrier))
+        .find(result => result !== true);
+      return invalid || true;
+    }
+  },
+  {
+    key: 'TRACKER_RECIPIENTS',
+    default: [],
+    required: false,
+    type: 'json',
+    validate: (recipients) => {
+      if (!Array.isArray(recipients)) {
+        return 'Must be a JSON array of recipients';
+      }
+      const invalid = recipients.find(recipient => !recipient ||
+        (typeof recipient.address !== 'string' && !(recipient.phone && recipient.carrier)));
+      if (invalid) {
+        return 'Each recipient needs an address, or a phone and carrier';
+      }
+      const badPhone = recipients.find(recipient => !recipient.address && validatePhone(recipient.phone, recipient.carrier) !== true);
+      if (badPhone) {
+        return validatePhone(badPhone.phone, badPhone.carrier);
+      }
+      const unknownZip = recipients.find(recipient => recipient.zip && !lookupZip(recipient.zip));
+      if (unknownZip) {
+        return `ZIP code ${unknownZip.zip} of ${unknownZip.address || unknownZip.phone} is not a New Jersey ZIP code`;
+      }
+      const noZip = recipients.find(recipient => recipient.maxDistance !== undefined && !recipient.zip);
+      if (noZip) {
+        return `${noZip.address || noZip.phone} has a maxDistance but no zip`;
+      }
+      const badDigest = recipients.find(recipient => recipient.digest && !['daily', 'weekly'].includes(recipient.digest));
+      return !badDigest || `Digest of ${badDigest.address || badDigest.phone} must be "daily" or "weekly"`;
+    }
+  },
+  {
+    key: 'TRACKER_QUIET_HOURS',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: validateWindows
+  },
+  {
+    key: 'TRACKER_ALERT_COOLDOWN',
+    default: 60,
+    required: false,
+    type: 'number',
+    validate: (minutes) => minutes >= 0 || 'Alert cooldown must be 0 or more minutes'
+  },
+  {
+    key: 'TRACKER_ALERT_MIN_COUNT',
+    default: 1,
+    required: false,
+    type: 'number',
+    validate: (count) => count >= 1 || 'Alert minimum count must be at least 1'
+  },
+  {
+    key: 'TRACKER_FLAP_REARM',
+    default: 15,
+    required: false,
+    type: 'number',
+    validate: (minutes) => minutes >= 0 || 'Flap re-arm time must be 0 or more minutes'
+  },
+  {
+    key: 'TRACKER_ALERT_RULES',
+    default: [],
+    required: false,
+    type: 'json',
+    validate: (rules) => {
+      if (!Array.isArray(rules)) {
+        return 'Must be a JSON array of alert rules';
+      }
+      const invalid = rules.find(rule => !rule || typeof rule.kind !== 'string' ||
+        (rule.threshold !== undefined && typeof rule.threshold !== 'number'));
+      return !invalid || 'Every alert rule needs a "kind" and a numeric "threshold" if one is given';
+    }
+  },
+  {
+    key: 'TRACKER_CHANNELS',
+    default: [],
+    required: false,
+    type: 'json',
+    sensitive: true,
+    validate: (channels) => {
+      if (!Array.isArray(channels)) {
+        return 'Must be a JSON array of channels';
+      }
+      const invalid = channels.find(channel => !channel || typeof channel.type !== 'string');
+      return !invalid || 'Each channel needs a type';
+    }
+  },
+  {
+    key: 'TRACKER_OUTBOX_POLL_INTERVAL',
+    default: 5,
+    required: false,
+    type: 'number',
+    validate: (seconds) => seconds >= 1 || 'Outbox poll interval must be at least 1 second'
+  },
+  {
+    key: 'TRACKER_OUTBOX_MAX_ATTEMPTS',
+    default: 6,
+    required: false,
+    type: 'number',
+    validate: (attempts) => attempts >= 1 || 'Outbox maximum attempts must be at least 1'
+  },
+  {
+    key: 'TRACKER_OUTBOX_MAX_AGE',
+    default: 120,
+    required: false,
+    type: 'number',
+    validate: (minutes) => minutes >= 1 || 'Outbox maximum age must be at least 1 minute'
+  },
+  {
+    key: 'TRACKER_OUTBOX_RETENTION_DAYS',
+    default: 14,
+    required: false,
+    type: 'number',
+    validate: (days) => days >= 1 || 'Outbox retention must be at least 1 day'
+  },
+  {
+    key: 'TRACKER_DIGEST_TIME',
+    default: '07:00',
+    required: false,
+    type: 'string',
+    validate: (time) => {
+      try {
+        return parseTime(time) < 24 * 60 || 'Digest time must be before 24:00';
+      } catch (error) {
+        return error.message;
+      }
+    }
+  },
+  {
+    key: 'TRACKER_DIGEST_DAY',
+    default: 'Mon',
+    required: false,
+    type: 'string',
+    validate: (day) => {
+      try {
+        return parseDays(day).length === 1 || 'Digest day must be a single day (e.g. Mon)';
+      } catch (error) {
+        return error.message;
+      }
+    }
+  },
+  {
+    key: 'TRACKER_PUBLIC_URL',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (url) => {
+      if (!url) return true;
+      try {
+        new URL(url);
+        return true;
+      } catch (e) {
+        return 'Invalid URL format';
+      }
+    }
+  },
+  {
+    key: 'TRACKER_PUBLIC_PORT',
+    default: 0,
+    required: false,
+    type: 'number',
+    validate: (port) => (Number.isInteger(port) && port >= 0 && port <= 65535) || 'Port must be between 0 and 65535'
+  },
+  {
+    key: 'TRACKER_LINK_SECRET',
+    default: '',
+    required: false,
+    type: 'string',
+    sensitive: true,
+    validate: (secret) => !secret || secret.length >= 16 || 'Link secret must be at least 16 characters'
+  },
   {
     key: 'TRACKER_EMAIL_PASSWORD',
     default: '',
@@ -207,12 +528,100 @@ const CONFIG_SCHEMA = [
     type: 'string',
     sensitive: true
   },
+  {
+    key: 'TRACKER_SMTP_PRESET',
+    default: 'gmail',
+    required: false,
+    type: 'string',
+    validate: (preset) => ['gmail', 'mailgun', 'custom'].includes(preset.toLowerCase()) ||
+      'SMTP preset must be one of: gmail, mailgun, custom'
+  },
+  {
+    key: 'TRACKER_SMTP_HOST',
+    default: '',
+    required: false,
+    type: 'string'
+  },
+  {
+    key: 'TRACKER_SMTP_PORT',
+    default: 0,
+    required: false,
+    type: 'number',
+    validate: (port) => (port >= 0 && port <= 65535) || 'Port must be between 0 and 65535'
+  },
+  {
+    key: 'TRACKER_SMTP_SECURE',
+    default: undefined,
+    required: false,
+    type: 'boolean'
+  },
+  {
+    key: 'TRACKER_SMTP_STARTTLS',
+    default: 'opportunistic',
+    required: false,
+    type: 'string',
+    validate: (mode) => ['opportunistic', 'required', 'disabled'].includes(mode.toLowerCase()) ||
+      'STARTTLS mode must be one of: opportunistic, required, disabled'
+  },
+  {
+    key: 'TRACKER_SMTP_AUTH_METHOD',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (method) => ['', 'PLAIN', 'LOGIN', 'CRAM-MD5'].includes(method.toUpperCase()) ||
+      'SMTP auth method must be one of: PLAIN, LOGIN, CRAM-MD5'
+  },
+  {
+    key: 'TRACKER_SMTP_USER',
+    default: '',
+    required: false,
+    type: 'string'
+  },
+  {
+    key: 'TRACKER_SMTP_NO_AUTH',
+    default: false,
+    required: false,
+    type: 'boolean'
+  },
+  {
+    key: 'TRACKER_SMTP_TLS_REJECT_UNAUTHORIZED',
+    default: true,
+    required: false,
+    type: 'boolean'
+  },
   {
     key: 'TRACKER_EMAIL_SUBJECT',
     default: 'REAL ID Appointment Available!',
     required: false,
     type: 'string'
   },
+  {
+    key: 'TRACKER_OBSERVATION_RETENTION_DAYS',
+    default: 30,
+    required: false,
+    type: 'number',
+    validate: (days) => days >= 0 || 'Retention days must be 0 (keep forever) or more'
+  },
+  {
+    key: 'TRACKER_OBSERVATION_MAX',
+    default: 50000,
+    required: false,
+    type: 'number',
+    validate: (max) => max >= 0 || 'Maximum observations must be 0 (unlimited) or more'
+  },
+  {
+    key: 'TRACKER_STORAGE',
+    default: 'json',
+    required: false,
+    type: 'string',
+    validate: (backend) => ['json', 'sqlite'].includes(backend) || 'Storage backend must be json or sqlite'
+  },
+  {
+    key: 'TRACKER_STORAGE_PATH',
+    default: '',
+    required: false,
+    type: 'string'
+  },
   {
     key: 'TRACKER_LOG_FILE',
     default: 'tracker.log',
@@ -241,11 +650,105 @@ const CONFIG_SCHEMA = [
     type: 'number',
     validate: (retries) => retries >= 0 || 'Retries must be greater than or equal to 0'
   },
+  {
+    key: 'TRACKER_CIRCUIT_THRESHOLD',
+    default: 3,
+    required: false,
+    type: 'number',
+    validate: (failures) => (Number.isInteger(failures) && failures >= 0) || 'Circuit threshold must be a whole number of failed checks (0 disables the circuit breaker)'
+  },
+  {
+    key: 'TRACKER_CIRCUIT_COOLDOWN',
+    default: 10,
+    required: false,
+    type: 'number',
+    validate: (minutes) => minutes > 0 || 'Circuit cooldown must be greater than 0 minutes'
+  },
   {
     key: 'TRACKER_USER_AGENT',
     default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
     required: false,
     type: 'string'
+  },
+  {
+    key: 'TRACKER_PROXY',
+    default: '',
+    required: false,
+    type: 'string',
+    sensitive: true,
+    validate: (proxy) => !proxy || validateProxyUrl(proxy)
+  },
+  {
+    key: 'TRACKER_NO_PROXY',
+    default: '',
+    required: false,
+    type: 'string'
+  },
+  {
+    key: 'TRACKER_CA_FILE',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (files) => {
+      try {
+        readCaFiles(parseList(files));
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  },
+  {
+    key: 'TRACKER_SOURCE_IP',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (ip) => !ip || validateSourceIp(ip)
+  },
+  {
+    key: 'TRACKER_HTTP_HEADERS',
+    default: {},
+    required: false,
+    type: 'json',
+    sensitive: true,
+    validate: (headers) => validateHeaders(headers)
+  },
+  {
+    key: 'TRACKER_SELECTORS_FILE',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (file) => {
+      if (!file) return true;
+      if (!fs.existsSync(file)) return `Selector file ${file} does not exist`;
+      try {
+        loadSelectorFile(file);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    }
+  },
+  {
+    key: 'TRACKER_REPLAY_DIR',
+    default: '',
+    required: false,
+    type: 'string',
+    validate: (dir) => !dir || (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) || `Replay directory ${dir} does not exist`
+  },
+  {
+    key: 'TRACKER_DEBUG_MAX_SIZE',
+    default: 100,
+    required: false,
+    type: 'number',
+    validate: (size) => size >= 0 || 'Debug capture size limit must be 0 (unlimited) or more megabytes'
+  },
+  {
+    key: 'TRACKER_DEBUG_RETENTION_DAYS',
+    default: 14,
+    required: false,
+    type: 'number',
+    validate: (days) => days >= 0 || 'Debug capture retention days must be 0 (keep forever) or more'
   }
 ];
 
@@ -306,14 +809,99 @@ class Config {
       // Check interval in minutes
       checkIntervalMinutes: this.get('TRACKER_CHECK_INTERVAL'),
       
+      // Adaptive check frequency (intervals in minutes)
+      adaptive: {
+        enabled: this.get('TRACKER_DYNAMIC_INTERVALS'),
+        minInterval: this.get('TRACKER_MIN_INTERVAL'),
+        maxInterval: this.get('TRACKER_MAX_INTERVAL'),
+        hotWindows: this.get('TRACKER_HOT_WINDOWS'),
+        hotInterval: this.get('TRACKER_HOT_INTERVAL'),
+        burstInterval: this.get('TRACKER_BURST_INTERVAL'),
+        burstDuration: this.get('TRACKER_BURST_DURATION'),
+        nightWindows: this.get('TRACKER_NIGHT_WINDOWS'),
+        nightInterval: this.get('TRACKER_NIGHT_INTERVAL')
+      },
+      
+      // Time zone for schedules and analytics
+      timezone: this.get('TRACKER_TIMEZONE'),
+      
+      // When checks run (empty = always)
+      activeHours: this.get('TRACKER_ACTIVE_HOURS'),
+      
+      // Additional services to track, by name or wizard ID
+      services: (this.get('TRACKER_SERVICES') || '').split(',').map(s => s.trim()).filter(Boolean),
+      
+      // Follow service cards through to the per-location list
+      fetchLocations: this.get('TRACKER_FETCH_LOCATIONS'),
+      
       // Email configuration
       email: {
         sender: this.get('TRACKER_EMAIL_SENDER'),
         recipient: this.get('TRACKER_EMAIL_RECIPIENT'),
+        smsRecipient: this.get('TRACKER_SMS_RECIPIENT'),
+        recipients: this.get('TRACKER_RECIPIENTS'),
+        admins: this.get('TRACKER_ADMIN_RECIPIENTS'),
+        quietHours: this.get('TRACKER_QUIET_HOURS'),
         password: this.get('TRACKER_EMAIL_PASSWORD'),
         subject: this.get('TRACKER_EMAIL_SUBJECT'),
       },
       
+      // SMTP transport
+      smtp: {
+        preset: this.get('TRACKER_SMTP_PRESET'),
+        host: this.get('TRACKER_SMTP_HOST'),
+        port: this.get('TRACKER_SMTP_PORT'),
+        secure: this.get('TRACKER_SMTP_SECURE'),
+        starttls: this.get('TRACKER_SMTP_STARTTLS'),
+        authMethod: this.get('TRACKER_SMTP_AUTH_METHOD'),
+        user: this.get('TRACKER_SMTP_USER'),
+        noAuth: this.get('TRACKER_SMTP_NO_AUTH'),
+        rejectUnauthorized: this.get('TRACKER_SMTP_TLS_REJECT_UNAUTHORIZED')
+      },
+      
+      // Alert deduplication
+      alerts: {
+        cooldown: this.get('TRACKER_ALERT_COOLDOWN'),
+        minCount: this.get('TRACKER_ALERT_MIN_COUNT'),
+        flapRearm: this.get('TRACKER_FLAP_REARM'),
+        rules: this.get('TRACKER_ALERT_RULES')
+      },
+      
+      // Additional notification channels (webhook, slack, discord, telegram, ntfy, pushover)
+      channels: this.get('TRACKER_CHANNELS'),
+      
+      // Notification outbox (poll interval in seconds, maximum age in minutes)
+      outbox: {
+        pollInterval: this.get('TRACKER_OUTBOX_POLL_INTERVAL'),
+        maxAttempts: this.get('TRACKER_OUTBOX_MAX_ATTEMPTS'),
+        maxAge: this.get('TRACKER_OUTBOX_MAX_AGE'),
+        retentionDays: this.get('TRACKER_OUTBOX_RETENTION_DAYS')
+      },
+      
+      // Daily and weekly digests (time and day in TRACKER_TIMEZONE)
+      digest: {
+        time: this.get('TRACKER_DIGEST_TIME'),
+        day: this.get('TRACKER_DIGEST_DAY')
+      },
+      
+      // Unsubscribe, snooze and booked links in emails
+      links: {
+        publicUrl: this.get('TRACKER_PUBLIC_URL'),
+        publicPort: this.get('TRACKER_PUBLIC_PORT')
+      },
+      
+      // Observation time series retention
+      observations: {
+        retentionDays: this.get('TRACKER_OBSERVATION_RETENTION_DAYS'),
+        max: this.get('TRACKER_OBSERVATION_MAX')
+      },
+      
+      // Persistent storage
+      storage: {
+        backend: this.get('TRACKER_STORAGE'),
+        path: this.get('TRACKER_STORAGE_PATH')
+      },
+      
       // Logging
       logging: {
         file: this.get('TRACKER_LOG_FILE'),
@@ -324,7 +912,26 @@ class Config {
       http: {
         timeout: this.get('TRACKER_REQUEST_TIMEOUT'),
         maxRetries: this.get('TRACKER_MAX_RETRIES'),
-        userAgent: this.get('TRACKER_USER_AGENT')
+        circuitThreshold: this.get('TRACKER_CIRCUIT_THRESHOLD'),
+        circuitCooldown: this.get('TRACKER_CIRCUIT_COOLDOWN'),
+        userAgent: this.get('TRACKER_USER_AGENT'),
+        selectorsFile: this.get('TRACKER_SELECTORS_FILE'),
+        replayDir: this.get('TRACKER_REPLAY_DIR')
+      },
+      
+      // Outbound connections of the scraper and the notification channels (see utils/network)
+      network: {
+        proxy: this.get('TRACKER_PROXY'),
+        noProxy: parseList(this.get('TRACKER_NO_PROXY')),
+        caFiles: parseList(this.get('TRACKER_CA_FILE')),
+        sourceIp: this.get('TRACKER_SOURCE_IP'),
+        headers: this.get('TRACKER_HTTP_HEADERS')
+      },
+      
+      // Debug captures of unreadable and changed pages (size in MB)
+      debug: {
+        maxSize: this.get('TRACKER_DEBUG_MAX_SIZE'),
+        retentionDays: this.get('TRACKER_DEBUG_RETENTION_DAYS')
       }
     };
   }
@@ -354,8 +961,20 @@ class Config {
   hasValidEmailSettings() {
     return Boolean(
       this.get('TRACKER_EMAIL_SENDER') &&
-      this.get('TRACKER_EMAIL_RECIPIENT') &&
-      this.get('TRACKER_EMAIL_PASSWORD')
+      this.hasRecipients() &&
+      (this.get('TRACKER_EMAIL_PASSWORD') || this.get('TRACKER_SMTP_NO_AUTH'))
+    );
+  }
+  
+  /**
+   * Check whether any notification recipient is configured
+   * @returns {boolean} True if at least one recipient source is set
+   */
+  hasRecipients() {
+    return Boolean(
+      this.get('TRACKER_EMAIL_RECIPIENT') ||
+      this.get('TRACKER_SMS_RECIPIENT') ||
+      (this.get('TRACKER_RECIPIENTS') || []).length > 0
     );
   }
 }
@@ -0,0 +1,233 @@
+/**
+ * Structural fingerprints of NJMVC card pages
+ *
+ * A fingerprint records the parts of a page the scraper depends on, without
+ * the appointment counts that change from check to check:
+ * - title: the page title
+ * - cards: service card titles found by the catalog and strategy selectors
+ * - paths: DOM paths of the elements with an ID and of the card containers,
+ *   cards, titles and counts, e.g. "body > div#mainContent > div.card > h3"
+ * - fields: form fields, e.g. "form#search input[type=text][name=q]"
+ *
+ * Two fingerprints are compared with diffFingerprints() and the result is
+ * shown with formatDiff() or summarizeDiff().
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+// Elements whose contents say nothing about the page structure
+const IGNORED_TAGS = ['script', 'style', 'noscript', 'template', 'svg'];
+
+// Fingerprint parts that hold lists, with their labels in diffs
+const LIST_PARTS = {
+  cards: { singular: 'card title', plural: 'card titles' },
+  paths: { singular: 'DOM path', plural: 'DOM paths' },
+  fields: { singular: 'form field', plural: 'form fields' }
+};
+
+// Most entries listed per section of a formatted diff
+const MAX_DIFF_LINES = 25;
+
+/**
+ * Normalize whitespace in element text
+ * @param {string} text - Text
+ * @returns {string} - Trimmed text with single spaces
+ */
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe one element as tag, ID and classes
+ *
+ * Digits in IDs are replaced with "*" so per-record IDs such as
+ * locationDiv101 do not count as structure.
+ *
+ * @param {Element} el - Element
+ * @returns {string} - e.g. "div#mainContent" or "a.cardButton.overlay-card"
+ */
+function describeElement(el) {
+  const id = el.attribs && el.attribs.id ? `#${el.attribs.id.replace(/\d+/g, '*')}` : '';
+  const classes = el.attribs && el.attribs.class
+    ? el.attribs.class.split(/\s+/).filter(Boolean).sort().map(name => `.${name}`).join('')
+    : '';
+  return `${el.name}${id}${classes}`;
+}
+
+/**
+ * Get the DOM path of an element from <body> down
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Element} el - Element
+ * @returns {string} - Path such as "body > div#mainContent > h3"
+ */
+function elementPath($, el) {
+  const ancestors = $(el).parents().toArray().reverse().filter(parent => parent.name !== 'html');
+  return [...ancestors, el].map(describeElement).join(' > ');
+}
+
+/**
+ * Select elements, ignoring selectors the page cannot be searched with
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {string} selector - CSS selector
+ * @returns {Array<Element>} - Matching elements outside scripts and styles
+ */
+function selectAll($, selector) {
+  try {
+    return $(selector).toArray().filter(el => $(el).closest(IGNORED_TAGS.join(',')).length === 0);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Sort and deduplicate a list
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} - Unique non-empty values in order
+ */
+function uniqueSorted(values) {
+  return Array.from(new Set(values.filter(Boolean))).sort();
+}
+
+/**
+ * Take the structural fingerprint of a page
+ * @param {string} html - HTML content
+ * @param {Object} definitions - Selectors the scraper reads the page with
+ * @param {Object} definitions.catalog - Catalog selectors (see utils/selectorSchema)
+ * @param {Array<Object>} [definitions.strategies=[]] - Card strategies for the page's site type
+ * @returns {Object} - Fingerprint ({ hash, title, cards, paths, fields })
+ */
+function takeFingerprint(html, { catalog, strategies = [] }) {
+  const $ = cheerio.load(html);
+  
+  const titleSelectors = [catalog.titleSelector, ...strategies.map(strategy => strategy.titleSelector)];
+  const keySelectors = [
+    '[id]',
+    catalog.containerSelector,
+    catalog.cardSelector,
+    ...titleSelectors,
+    catalog.countSelector,
+    ...strategies.map(strategy => strategy.countSelector)
+  ];
+  
+  const cards = titleSelectors.flatMap(selector => selectAll($, selector).map(el => cleanText($(el).text())));
+  const paths = keySelectors.flatMap(selector => selectAll($, selector).map(el => elementPath($, el)));
+  const fields = selectAll($, 'input, select, textarea').map(el => {
+    const form = $(el).closest('form');
+    const owner = form.length
+      ? `form${form.attr('id') ? `#${form.attr('id')}` : ''}${form.attr('action') ? `[action=${form.attr('action')}]` : ''}`
+      : '(no form)';
+    const type = el.name === 'input' ? `[type=${$(el).attr('type') || 'text'}]` : '';
+    const name = $(el).attr('name') ? `[name=${$(el).attr('name')}]` : '';
+    return `${owner} ${el.name}${type}${name}`;
+  });
+  
+  const fingerprint = {
+    title: cleanText($('title').first().text()),
+    cards: uniqueSorted(cards),
+    paths: uniqueSorted(paths),
+    fields: uniqueSorted(fields)
+  };
+  
+  return {
+    hash: crypto.createHash('sha1').update(JSON.stringify(fingerprint)).digest('hex').slice(0, 12),
+    ...fingerprint
+  };
+}
+
+/**
+ * Compare two fingerprints
+ * @param {Object} before - Known-good fingerprint
+ * @param {Object} after - Current fingerprint
+ * @returns {Object} - Diff ({ changed, title: { before, after } or null, cards, paths, fields }),
+ *   each list part as { added, removed }
+ */
+function diffFingerprints(before, after) {
+  const diff = {
+    changed: false,
+    title: before.title === after.title ? null : { before: before.title, after: after.title }
+  };
+  
+  Object.keys(LIST_PARTS).forEach(part => {
+    const previous = new Set(before[part] || []);
+    const current = new Set(after[part] || []);
+    diff[part] = {
+      added: [...current].filter(item => !previous.has(item)),
+      removed: [...previous].filter(item => !current.has(item))
+    };
+  });
+  
+  diff.changed = Boolean(diff.title) ||
+    Object.keys(LIST_PARTS).some(part => diff[part].added.length > 0 || diff[part].removed.length > 0);
+  return diff;
+}
+
+/**
+ * Summarize a diff in one line
+ * @param {Object} diff - Result of diffFingerprints()
+ * @returns {string} - e.g. "page title changed, 3 DOM paths added, 2 DOM paths removed"
+ */
+function summarizeDiff(diff) {
+  const parts = diff.title ? ['page title changed'] : [];
+  
+  Object.entries(LIST_PARTS).forEach(([part, { singular, plural }]) => {
+    ['added', 'removed'].forEach(change => {
+      const count = diff[part][change].length;
+      if (count > 0) parts.push(`${count} ${count === 1 ? singular : plural} ${change}`);
+    });
+  });
+  
+  return parts.length > 0 ? parts.join(', ') : 'no structural changes';
+}
+
+/**
+ * Split a diff into labelled sections for reports and templates
+ * @param {Object} diff - Result of diffFingerprints()
+ * @returns {Array<Object>} - Sections with changes ({ label, sign, items })
+ */
+function diffSections(diff) {
+  const sections = [];
+  
+  Object.entries(LIST_PARTS).forEach(([part, { plural }]) => {
+    [['removed', '-'], ['added', '+']].forEach(([change, sign]) => {
+      const items = diff[part][change];
+      if (items.length > 0) {
+        sections.push({ label: `${plural.charAt(0).toUpperCase()}${plural.slice(1)} ${change}`, sign, items });
+      }
+    });
+  });
+  
+  return sections;
+}
+
+/**
+ * Format a diff as readable text
+ * @param {Object} diff - Result of diffFingerprints()
+ * @returns {string} - One section per change, at most MAX_DIFF_LINES entries each
+ */
+function formatDiff(diff) {
+  const lines = [];
+  
+  if (diff.title) {
+    lines.push(`Page title changed: "${diff.title.before}" -> "${diff.title.after}"`);
+  }
+  
+  diffSections(diff).forEach(({ label, sign, items }) => {
+    lines.push(`${label} (${items.length}):`);
+    items.slice(0, MAX_DIFF_LINES).forEach(item => lines.push(`  ${sign} ${item}`));
+    if (items.length > MAX_DIFF_LINES) {
+      lines.push(`  ... and ${items.length - MAX_DIFF_LINES} more`);
+    }
+  });
+  
+  return lines.length > 0 ? lines.join('\n') : 'No structural changes';
+}
+
+module.exports = {
+  MAX_DIFF_LINES,
+  takeFingerprint,
+  diffFingerprints,
+  summarizeDiff,
+  diffSections,
+  formatDiff
+};
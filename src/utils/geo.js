@@ -0,0 +1,114 @@
+/**
+ * Offline location helpers for the REAL ID Appointment Tracker
+ *
+ * Uses two bundled tables instead of a geocoding service:
+ * - src/data/agencies.json: NJMVC agencies with their ZIP code and coordinates
+ * - src/data/zip3.json: approximate centers of New Jersey three-digit ZIP areas
+ *
+ * A ZIP code resolves to an agency in that ZIP when there is one, otherwise
+ * to the center of its three-digit area, so distances are approximate.
+ */
+
+const agencies = require('../data/agencies.json');
+const zip3 = require('../data/zip3.json');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Normalize a name for matching ("EDISON - REAL ID" -> "edison real id")
+ * @param {string} value - Name
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+function normalize(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @returns {number} - Distance in miles
+ */
+function distanceMiles(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLon = radians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Look up the coordinates of a ZIP code
+ * @param {string} zip - Five-digit ZIP code (ZIP+4 is accepted)
+ * @returns {Object|null} - { lat, lon, precise } or null for ZIPs outside the tables
+ */
+function lookupZip(zip) {
+  const code = String(zip || '').trim().slice(0, 5);
+  if (!/^\d{5}$/.test(code)) return null;
+  
+  const agency = agencies.find(item => item.zip === code);
+  if (agency) {
+    return { lat: agency.lat, lon: agency.lon, precise: true };
+  }
+  
+  const area = zip3[code.slice(0, 3)];
+  return area ? { lat: area.lat, lon: area.lon, precise: false } : null;
+}
+
+/**
+ * Find the bundled agency a scraped location refers to
+ * @param {string} name - Location name from the appointment page
+ * @returns {Object|null} - Agency ({ name, city, zip, lat, lon }) or null
+ */
+function findAgency(name) {
+  const wanted = ` ${normalize(name)} `;
+  
+  // Longest names first so "North Bergen" wins over a shorter name it contains
+  return [...agencies]
+    .sort((a, b) => b.name.length - a.name.length)
+    .find(agency => wanted.includes(` ${normalize(agency.name)} `)) || null;
+}
+
+/**
+ * Get the coordinates of a scraped location
+ * @param {Object} location - Location ({ name, address })
+ * @returns {Object|null} - { lat, lon } from the agency table, or from the ZIP in its address; null if unknown
+ */
+function locateLocation(location) {
+  const agency = findAgency(location.name);
+  if (agency) {
+    return { lat: agency.lat, lon: agency.lon };
+  }
+  
+  const zip = String(location.address || '').match(/\b(\d{5})(?:-\d{4})?\s*$/);
+  return zip ? lookupZip(zip[1]) : null;
+}
+
+/**
+ * Get every bundled agency, optionally with its distance from a ZIP code
+ * @param {string} [zip] - Home ZIP code
+ * @returns {Array<Object>} - Agencies ({ name, city, zip, distance }), nearest first when a ZIP is given
+ */
+function listAgencies(zip) {
+  const home = zip ? lookupZip(zip) : null;
+  
+  const list = agencies.map(agency => ({
+    name: agency.name,
+    city: agency.city,
+    zip: agency.zip,
+    distance: home ? Math.round(distanceMiles(home, agency) * 10) / 10 : null
+  }));
+  
+  return home ? list.sort((a, b) => a.distance - b.distance) : list;
+}
+
+module.exports = {
+  normalize,
+  distanceMiles,
+  lookupZip,
+  findAgency,
+  locateLocation,
+  listAgencies
+};
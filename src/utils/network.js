@@ -0,0 +1,244 @@
+/**
+ * Outbound network settings for the scraper and the notification channels
+ *
+ * - proxy: HTTP, HTTPS or SOCKS proxy URL (http://, https://, socks4://,
+ *   socks5://, socks5h://), with optional user:password
+ * - noProxy: hosts reached directly, e.g. "localhost, .internal.example.com"
+ * - caFiles: PEM bundles trusted in addition to Node's built-in roots, e.g.
+ *   the root of a TLS-inspecting egress proxy
+ * - sourceIp: local address outgoing connections are made from
+ * - headers: extra request headers sent with every request
+ *
+ * The settings come from config.export().network; nothing here reads the
+ * configuration itself, so config.js can use the parsers for validation.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const axios = require('axios');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+// Proxy URL schemes and the agent that speaks them
+const PROXY_PROTOCOLS = {
+  'http:': 'http',
+  'https:': 'http',
+  'socks:': 'socks',
+  'socks4:': 'socks',
+  'socks4a:': 'socks',
+  'socks5:': 'socks',
+  'socks5h:': 'socks'
+};
+
+// One certificate in a PEM bundle
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+/**
+ * Split a comma-separated setting
+ * @param {string} value - Setting value
+ * @returns {Array<string>} - Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check a proxy URL
+ * @param {string} value - Proxy URL
+ * @returns {true|string} - True if valid, otherwise the problem
+ */
+function validateProxyUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return `Proxy ${value} is not a URL`;
+  }
+  
+  if (!PROXY_PROTOCOLS[url.protocol]) {
+    return `Proxy ${url.protocol}// is not supported (expected one of: ${Object.keys(PROXY_PROTOCOLS).map(protocol => `${protocol}//`).join(', ')})`;
+  }
+  return Boolean(url.hostname) || `Proxy ${value} has no host`;
+}
+
+/**
+ * Check a source IP address
+ * @param {string} value - IPv4 or IPv6 address
+ * @returns {true|string} - True if valid, otherwise the problem
+ */
+function validateSourceIp(value) {
+  return net.isIP(value) !== 0 || `Source IP ${value} is not an IPv4 or IPv6 address`;
+}
+
+/**
+ * Check the extra request headers
+ * @param {Object} headers - Header names and values
+ * @returns {true|string} - True if valid, otherwise the problem
+ */
+function validateHeaders(headers) {
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    return 'Must be a JSON object of header names and values';
+  }
+  const invalid = Object.entries(headers).find(([name, value]) =>
+    !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) || typeof value !== 'string');
+  return !invalid || `Header "${invalid[0]}" needs a valid name and a string value`;
+}
+
+/**
+ * Read CA bundles
+ * @param {Array<string>} files - PEM files
+ * @returns {Array<Object>} - Bundles ({ file, certificates }), certificates as PEM strings
+ * @throws {Error} If a file cannot be read or holds no certificate
+ */
+function readCaFiles(files) {
+  return files.map(file => {
+    const certificates = fs.readFileSync(file, 'utf8').match(PEM_CERTIFICATE) || [];
+    if (certificates.length === 0) {
+      throw new Error(`CA file ${file} has no PEM certificates`);
+    }
+    return { file, certificates };
+  });
+}
+
+/**
+ * Hide the password of a proxy URL
+ * @param {string} value - Proxy URL
+ * @returns {string} - URL with the password replaced by ***
+ */
+function redactUrl(value) {
+  const url = new URL(value);
+  if (url.password) url.password = '***';
+  return url.toString().replace(/\/$/, '');
+}
+
+/**
+ * Check whether a host is reached without the proxy
+ *
+ * Entries match the host itself and, with or without a leading dot, every
+ * subdomain; "*" matches every host.
+ *
+ * @param {string} hostname - Target host
+ * @param {Array<string>} noProxy - Entries from the noProxy setting
+ * @returns {boolean} - True if the host is reached directly
+ */
+function isBypassed(hostname, noProxy) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  
+  return noProxy.some(entry => {
+    const pattern = entry.toLowerCase().replace(/:\d+$/, '');
+    if (pattern === '*') return true;
+    const domain = pattern.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Build the agents that apply the settings
+ * @param {Object} settings - Network settings ({ proxy, noProxy, caFiles, sourceIp })
+ * @returns {Object|null} - { direct: { httpAgent, httpsAgent }, proxied: { httpAgent, httpsAgent } | null },
+ *   or null if the defaults will do
+ */
+function createAgents(settings) {
+  if (!settings.proxy && settings.caFiles.length === 0 && !settings.sourceIp) {
+    return null;
+  }
+  
+  // Extra CAs are added to the built-in roots, not used instead of them
+  const ca = settings.caFiles.length > 0
+    ? [...tls.rootCertificates, ...readCaFiles(settings.caFiles).flatMap(bundle => bundle.certificates)]
+    : undefined;
+  const localAddress = settings.sourceIp || undefined;
+  
+  const direct = {
+    httpAgent: new http.Agent({ localAddress }),
+    httpsAgent: new https.Agent({ ca, localAddress })
+  };
+  
+  let proxied = null;
+  if (settings.proxy) {
+    const agent = PROXY_PROTOCOLS[new URL(settings.proxy).protocol] === 'socks'
+      ? new SocksProxyAgent(settings.proxy, { ca, socketOptions: { localAddress } })
+      : new HttpsProxyAgent(settings.proxy, { ca, localAddress });
+    proxied = { httpAgent: agent, httpsAgent: agent };
+  }
+  
+  return { direct, proxied };
+}
+
+/**
+ * Decide how a URL is reached
+ * @param {string} url - Target URL
+ * @param {Object} settings - Network settings ({ proxy, noProxy })
+ * @returns {string} - 'proxy' or 'direct'
+ */
+function routeFor(url, settings) {
+  if (!settings.proxy) return 'direct';
+  return isBypassed(new URL(url).hostname, settings.noProxy) ? 'direct' : 'proxy';
+}
+
+/**
+ * Create an axios instance that uses the network settings
+ *
+ * Without a proxy setting, axios still honours the HTTP_PROXY and
+ * HTTPS_PROXY environment variables as before.
+ *
+ * @param {Object} options - axios options
+ * @param {Object} settings - Network settings (see config.export().network)
+ * @returns {AxiosInstance} - HTTP client
+ */
+function createHttpClient(options, settings) {
+  const instance = axios.create({
+    ...options,
+    headers: { ...(options.headers || {}), ...settings.headers }
+  });
+  
+  const agents = createAgents(settings);
+  if (agents) {
+    instance.interceptors.request.use(request => {
+      const route = routeFor(instance.getUri(request), settings);
+      Object.assign(request, route === 'proxy' ? agents.proxied : agents.direct);
+      // The agents do the proxying; keep axios from applying HTTP_PROXY on top
+      if (settings.proxy) request.proxy = false;
+      return request;
+    });
+  }
+  
+  return instance;
+}
+
+/**
+ * Describe the network settings for the test command
+ * @param {Object} settings - Network settings (see config.export().network)
+ * @param {Array<Object>} [targets=[]] - Servers to show the route to ({ name, url })
+ * @returns {Object} - { proxy, proxyType, noProxy, caFiles, sourceIp, headers, routes }: the proxy without
+ *   its password, CA files with their certificate counts, header names only, and the route to each
+ *   server ({ name, url, via })
+ */
+function describeNetwork(settings, targets = []) {
+  return {
+    proxy: settings.proxy ? redactUrl(settings.proxy) : null,
+    proxyType: settings.proxy ? new URL(settings.proxy).protocol.replace(/:$/, '') : null,
+    noProxy: settings.noProxy,
+    caFiles: readCaFiles(settings.caFiles).map(({ file, certificates }) => ({ file, certificates: certificates.length })),
+    sourceIp: settings.sourceIp || null,
+    headers: Object.keys(settings.headers),
+    routes: targets.map(({ name, url }) => ({ name, url, via: routeFor(url, settings) }))
+  };
+}
+
+module.exports = {
+  PROXY_PROTOCOLS,
+  parseList,
+  validateProxyUrl,
+  validateSourceIp,
+  validateHeaders,
+  readCaFiles,
+  redactUrl,
+  isBypassed,
+  routeFor,
+  createHttpClient,
+  describeNetwork
+};
@@ -0,0 +1,173 @@
+/**
+ * Selector definition files for the REAL ID Appointment Tracker
+ *
+ * The scraper's selector strategies live in a JSON or YAML file (the
+ * bundled src/data/selectors.json, or TRACKER_SELECTORS_FILE) so they can
+ * be fixed without a code change when NJMVC changes its markup. This module
+ * parses those files and checks them against SELECTOR_SCHEMA.
+ *
+ * File format:
+ *   schema: 1                    # Format version, must be SCHEMA_VERSION
+ *   version: "2025.05.1"         # Revision of the definitions, shown in logs and status
+ *   strategies:                  # Tried in order for each site type
+ *     regular:
+ *       - name: Primary Strategy
+ *         titleSelector: span.cardButtonTitle
+ *         titleText: REAL ID     # Exact title; without it any titleSelector match counts
+ *         countSelector: span.cardButtonCount
+ *     mobile: [...]
+ *   catalog:                     # Every service card on a page
+ *     cardSelector: a.cardButton
+ *     titleSelector: .cardButtonTitle
+ *     countSelector: .cardButtonCount
+ *     containerSelector: .cardContainer
+ *     categoryAttribute: data-type
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const yaml = require('js-yaml');
+
+// Format version this tracker reads
+const SCHEMA_VERSION = 1;
+
+// Definitions shipped with the tracker
+const BUNDLED_FILE = path.join(__dirname, '..', 'data', 'selectors.json');
+
+// Site types that need strategies
+const SITE_TYPES = ['regular', 'mobile'];
+
+// Fields of each part of the file: type 'selector' is a CSS selector string
+const SELECTOR_SCHEMA = {
+  strategy: {
+    name: { type: 'string', required: true },
+    titleSelector: { type: 'selector', required: true },
+    titleText: { type: 'string', required: false },
+    countSelector: { type: 'selector', required: true }
+  },
+  catalog: {
+    cardSelector: { type: 'selector', required: true },
+    titleSelector: { type: 'selector', required: true },
+    countSelector: { type: 'selector', required: true },
+    containerSelector: { type: 'selector', required: true },
+    categoryAttribute: { type: 'string', required: true }
+  }
+};
+
+/**
+ * Check one object against a part of the schema
+ * @param {*} value - Object from the file
+ * @param {Object} fields - Schema part (field name -> { type, required })
+ * @param {string} where - Location for error messages, e.g. "strategies.regular[0]"
+ * @returns {Array<string>} - Error messages
+ */
+function checkFields(value, fields, where) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${where} must be an object`];
+  }
+  
+  const errors = Object.keys(value)
+    .filter(key => !fields[key])
+    .map(key => `${where}.${key} is not a known field (expected ${Object.keys(fields).join(', ')})`);
+  
+  Object.entries(fields).forEach(([key, { type, required }]) => {
+    const field = value[key];
+    if (field === undefined) {
+      if (required) errors.push(`${where}.${key} is required`);
+      return;
+    }
+    
+    if (typeof field !== 'string' || !field.trim()) {
+      errors.push(`${where}.${key} must be a non-empty string`);
+    } else if (type === 'selector') {
+      try {
+        cheerio.load('')(field);
+      } catch (error) {
+        errors.push(`${where}.${key} "${field}" is not a valid CSS selector: ${error.message}`);
+      }
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Check selector definitions against the schema
+ * @param {Object} data - Parsed definitions
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+function validateSelectors(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Selector definitions must be an object'];
+  }
+  
+  const errors = [];
+  
+  if (data.schema !== SCHEMA_VERSION) {
+    errors.push(`schema must be ${SCHEMA_VERSION} (found ${JSON.stringify(data.schema)})`);
+  }
+  if (typeof data.version !== 'string' && typeof data.version !== 'number') {
+    errors.push('version is required (a string or number naming this revision)');
+  }
+  
+  if (!data.strategies || typeof data.strategies !== 'object') {
+    errors.push(`strategies must be an object with ${SITE_TYPES.join(' and ')} lists`);
+  } else {
+    SITE_TYPES.forEach(type => {
+      const list = data.strategies[type];
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`strategies.${type} must be a non-empty list`);
+        return;
+      }
+      list.forEach((strategy, index) => {
+        errors.push(...checkFields(strategy, SELECTOR_SCHEMA.strategy, `strategies.${type}[${index}]`));
+      });
+    });
+  }
+  
+  errors.push(...checkFields(data.catalog, SELECTOR_SCHEMA.catalog, 'catalog'));
+  
+  return errors;
+}
+
+/**
+ * Parse a selector definition file
+ * @param {string} file - JSON (.json) or YAML (.yaml, .yml) file
+ * @returns {Object} - Parsed definitions
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function parseSelectorFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  
+  try {
+    return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read and validate a selector definition file
+ * @param {string} file - JSON or YAML file
+ * @returns {Object} - Valid definitions
+ * @throws {Error} Listing every schema error if the file is invalid
+ */
+function loadSelectorFile(file) {
+  const data = parseSelectorFile(file);
+  const errors = validateSelectors(data);
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid selector definitions in ${file}: ${errors.join('; ')}`);
+  }
+  return data;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  BUNDLED_FILE,
+  SELECTOR_SCHEMA,
+  validateSelectors,
+  parseSelectorFile,
+  loadSelectorFile
+};
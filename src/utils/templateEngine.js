@@ -0,0 +1,409 @@
+/**
+ * Template engine for notification templates
+ *
+ * Syntax:
+ * - {{name}}, {{location.name}}: a value, HTML-escaped when rendering HTML
+ * - {{{name}}}: a value without escaping
+ * - {{helper arg "text" 3}}: a helper call (see HELPERS)
+ * - {{#if value}}...{{else}}...{{/if}} and {{#unless value}}...{{/unless}};
+ *   the value may be a helper call ({{#if gt count 10}})
+ * - {{#each list}}...{{else}}...{{/each}}, with {{this}}, {{@index}},
+ *   {{@number}} (1-based), {{@first}} and {{@last}} inside
+ * - {{! comment }}
+ *
+ * Names are looked up in the current loop item first, then in the enclosing
+ * scopes, so {{serviceName}} works inside {{#each locations}}. Missing values
+ * render as nothing. Block tags and comments on a line of their own leave no
+ * blank line behind, which keeps plain-text templates readable.
+ */
+
+// Wraps text that must not be escaped (see raw())
+class SafeString {
+  constructor(value) {
+    this.value = String(value);
+  }
+  
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark text as safe to insert into HTML without escaping
+ * @param {string} value - Text (usually HTML)
+ * @returns {SafeString} - Wrapped text
+ */
+function raw(value) {
+  return new SafeString(value);
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a date for display
+ * @param {Date|string|number} value - Date, ISO string or timestamp
+ * @param {string} [style='datetime'] - 'datetime', 'date', 'time' or 'iso'
+ * @param {string} [timezone] - IANA time zone (defaults to the system zone)
+ * @returns {string} - Formatted date, or the value unchanged if it is not a date
+ */
+function formatDate(value, style = 'datetime', timezone) {
+  if (value === null || value === undefined || value === '') return '';
+  
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  if (style === 'iso') return date.toISOString();
+  
+  const formats = {
+    date: { weekday: 'short', month: 'short', day: 'numeric' },
+    time: { hour: 'numeric', minute: '2-digit' },
+    datetime: { dateStyle: 'medium', timeStyle: 'short' }
+  };
+  return date.toLocaleString('en-US', { ...(formats[style] || formats.datetime), timeZone: timezone || undefined });
+}
+
+/**
+ * Pick the singular or plural form of a word
+ * @param {number} count - Count
+ * @param {string} singular - Singular form
+ * @param {string} [plural] - Plural form (defaults to singular + "s")
+ * @returns {string} - Word for the count
+ */
+function pluralize(count, singular, plural) {
+  return Number(count) === 1 ? singular : (plural || `${singular}s`);
+}
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} - Duration such as "45s", "12 min" or "3h 20m", or nothing for no value
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined || ms === '') return '';
+  
+  const minutes = Math.round(Number(ms) / 60000);
+  if (minutes < 1) return `${Math.round(Number(ms) / 1000)}s`;
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Helpers receive the evaluated arguments and the render options ({ timezone })
+const HELPERS = {
+  formatDate: ([value, style], options) => formatDate(value, style, options.timezone),
+  formatDuration: ([ms]) => formatDuration(ms),
+  formatNumber: ([value]) => Number(value || 0).toLocaleString('en-US'),
+  formatCount: ([count, singular, plural]) =>
+    `${Number(count || 0).toLocaleString('en-US')} ${pluralize(count, singular, plural)}`,
+  plural: ([count, singular, plural]) => pluralize(count, singular, plural),
+  sign: ([value]) => (Number(value) > 0 ? `+${value}` : String(value)),
+  truncate: ([text, length]) => {
+    const value = text === null || text === undefined ? '' : String(text);
+    return value.length > length ? `${value.slice(0, Math.max(length - 3, 0))}...` : value;
+  },
+  upper: ([text]) => String(text === null || text === undefined ? '' : text).toUpperCase(),
+  lower: ([text]) => String(text === null || text === undefined ? '' : text).toLowerCase(),
+  default: ([value, fallback]) => (value === null || value === undefined || value === '' ? fallback : value),
+  join: ([list, separator = ', ', key]) =>
+    (Array.isArray(list) ? list.map(item => (key ? item[key] : item)).join(separator) : ''),
+  length: ([list]) => (Array.isArray(list) ? list.length : 0),
+  eq: ([a, b]) => a === b,
+  ne: ([a, b]) => a !== b,
+  gt: ([a, b]) => a > b,
+  gte: ([a, b]) => a >= b,
+  lt: ([a, b]) => a < b,
+  lte: ([a, b]) => a <= b
+};
+
+// Tags that open or continue a block, plus comments, may stand alone on a line
+const STANDALONE = /^[#/!]|^else$/;
+
+/**
+ * Split a template into text and tags
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Tokens ({ type: 'text', value } or { type: 'tag', body, raw, line })
+ */
+function tokenize(source) {
+  const pattern = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+  const tokens = [];
+  let cursor = 0;
+  let match;
+  
+  while ((match = pattern.exec(source)) !== null) {
+    const body = (match[1] !== undefined ? match[1] : match[2]).trim();
+    let from = match.index;
+    let to = pattern.lastIndex;
+    
+    // A block tag alone on its line takes the whole line with it
+    if (match[1] === undefined && STANDALONE.test(body)) {
+      const lineStart = source.lastIndexOf('\n', from - 1) + 1;
+      const newline = source.indexOf('\n', to);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (lineStart >= cursor &&
+          /^[ \t]*$/.test(source.slice(lineStart, from)) &&
+          /^[ \t]*\r?\n?$/.test(source.slice(to, lineEnd))) {
+        from = lineStart;
+        to = lineEnd;
+      }
+    }
+    
+    if (from > cursor) {
+      tokens.push({ type: 'text', value: source.slice(cursor, from) });
+    }
+    tokens.push({
+      type: 'tag',
+      body,
+      raw: match[1] !== undefined,
+      line: source.slice(0, match.index).split('\n').length
+    });
+    cursor = to;
+  }
+  
+  if (cursor < source.length) {
+    tokens.push({ type: 'text', value: source.slice(cursor) });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a tag expression into a path lookup or a helper call
+ * @param {string} body - Expression ("location.name", "formatCount count \"slot\"")
+ * @param {Function} fail - Throws a compile error
+ * @returns {Object} - Expression node
+ */
+function parseExpression(body, fail) {
+  const parts = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  
+  while ((match = pattern.exec(body)) !== null) {
+    if (match[1] !== undefined || match[2] !== undefined) {
+      parts.push({ type: 'literal', value: match[1] !== undefined ? match[1] : match[2] });
+    } else if (/^-?\d+(\.\d+)?$/.test(match[3])) {
+      parts.push({ type: 'literal', value: Number(match[3]) });
+    } else if (['true', 'false', 'null'].includes(match[3])) {
+      parts.push({ type: 'literal', value: JSON.parse(match[3]) });
+    } else {
+      parts.push({ type: 'path', path: match[3] });
+    }
+  }
+  
+  if (parts.length === 0) {
+    fail('Empty tag');
+  }
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  if (parts[0].type !== 'path' || !HELPERS[parts[0].path]) {
+    fail(`Unknown helper "${parts[0].path || parts[0].value}"`);
+  }
+  return { type: 'helper', name: parts[0].path, args: parts.slice(1) };
+}
+
+/**
+ * Build the syntax tree of a template
+ * @param {string} source - Template source
+ * @param {string} name - Template name for error messages
+ * @returns {Array<Object>} - Top-level nodes
+ */
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  
+  tokenize(source).forEach(token => {
+    const current = stack[stack.length - 1];
+    const fail = message => {
+      throw new Error(`${name} line ${token.line}: ${message}`);
+    };
+    
+    if (token.type === 'text') {
+      current.children.push(token);
+      return;
+    }
+    
+    const { body } = token;
+    if (body.startsWith('!')) return;
+    
+    if (body.startsWith('#')) {
+      const [, block, rest = ''] = body.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      if (!['if', 'unless', 'each'].includes(block)) {
+        fail(`Unknown block "${body}"`);
+      }
+      const node = { type: block, expr: parseExpression(rest, fail), children: [], inverse: null, line: token.line };
+      current.children.push(node);
+      stack.push(node);
+      return;
+    }
+    
+    if (body === 'else') {
+      if (stack.length === 1) {
+        fail('{{else}} outside a block');
+      }
+      if (current.inverse) {
+        fail(`Second {{else}} in {{#${current.type}}}`);
+      }
+      // Split off later, once the block is complete
+      current.elseAt = current.children.length;
+      current.inverse = [];
+      return;
+    }
+    
+    if (body.startsWith('/')) {
+      const block = body.slice(1).trim();
+      if (stack.length === 1 || current.type !== block) {
+        fail(`Unexpected {{/${block}}}`);
+      }
+      stack.pop();
+      return;
+    }
+    
+    current.children.push({ type: 'value', expr: parseExpression(body, fail), raw: token.raw });
+  });
+  
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`${name} line ${open.line}: {{#${open.type}}} is never closed`);
+  }
+  
+  // Move everything after {{else}} into the block's inverse
+  const split = nodes => nodes.forEach(node => {
+    if (node.inverse) {
+      node.inverse = node.children.slice(node.elseAt);
+      node.children = node.children.slice(0, node.elseAt);
+    }
+    if (node.children) split(node.children);
+    if (node.inverse) split(node.inverse);
+  });
+  split(root.children);
+  return root.children;
+}
+
+/**
+ * Look up a dotted path in the scope chain
+ * @param {Array<Object>} scopes - Scopes, innermost last ({ value, data })
+ * @param {string} path - Path ("this", "@index", "location.name")
+ * @returns {*} - Value, or undefined
+ */
+function lookup(scopes, path) {
+  const inner = scopes[scopes.length - 1];
+  if (path === 'this') return inner.value;
+  if (path.startsWith('@')) return inner.data ? inner.data[path.slice(1)] : undefined;
+  
+  const [first, ...rest] = path.replace(/^this\./, '').split('.');
+  let value;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i].value;
+    if (scope !== null && typeof scope === 'object' && scope[first] !== undefined) {
+      value = scope[first];
+      break;
+    }
+  }
+  
+  return rest.reduce((current, key) =>
+    (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * Evaluate an expression node
+ * @param {Object} expr - Expression node
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Object} options - Render options
+ * @returns {*} - Value
+ */
+function evaluate(expr, scopes, options) {
+  if (expr.type === 'literal') return expr.value;
+  if (expr.type === 'path') return lookup(scopes, expr.path);
+  return HELPERS[expr.name](expr.args.map(arg => evaluate(arg, scopes, options)), options);
+}
+
+/**
+ * Template truthiness: empty lists count as false
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value counts as true
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render nodes to text
+ * @param {Array<Object>} nodes - Nodes
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {Object} options - Render options
+ * @returns {string} - Output
+ */
+function renderNodes(nodes, scopes, options) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'value': {
+        const value = evaluate(node.expr, scopes, options);
+        if (value === null || value === undefined) return '';
+        if (value instanceof SafeString || node.raw || !options.escape) return String(value);
+        return escapeHtml(value);
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(evaluate(node.expr, scopes, options));
+        const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+        return branch ? renderNodes(branch, scopes, options) : '';
+      }
+      case 'each': {
+        const list = evaluate(node.expr, scopes, options);
+        if (!isTruthy(list)) {
+          return node.inverse ? renderNodes(node.inverse, scopes, options) : '';
+        }
+        const items = Array.isArray(list) ? list : Object.values(list);
+        return items.map((item, index) => renderNodes(node.children, [...scopes, {
+          value: item,
+          data: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+        }], options)).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Compile a template
+ * @param {string} source - Template source
+ * @param {string} [name='template'] - Template name for error messages
+ * @returns {Function} - (context, options) => string; options are { escape, timezone }
+ */
+function compile(source, name = 'template') {
+  const nodes = parse(String(source), name);
+  return (context = {}, options = {}) => renderNodes(nodes, [{ value: context }], options);
+}
+
+/**
+ * Compile and render a template in one step
+ * @param {string} source - Template source
+ * @param {Object} context - Values
+ * @param {Object} [options={}] - Render options ({ escape, timezone, name })
+ * @returns {string} - Output
+ */
+function render(source, context, options = {}) {
+  return compile(source, options.name)(context, options);
+}
+
+module.exports = {
+  compile,
+  render,
+  raw,
+  escapeHtml,
+  formatDate,
+  formatDuration,
+  HELPERS
+};
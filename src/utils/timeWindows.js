@@ -0,0 +1,239 @@
+/**
+ * Time window helpers for the REAL ID Appointment Tracker
+ *
+ * Parses weekly time windows such as "Mon-Fri 07:00-10:00; Sat 08:00-09:30"
+ * and checks dates against them in a given IANA time zone.
+ * Windows whose end is before their start run past midnight ("22:00-06:00").
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Date formatters are expensive to build, so keep one per time zone
+const formatters = new Map();
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} value - Time of day
+ * @returns {number} - Minutes since midnight
+ */
+function parseTime(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse a day list such as "Mon-Fri" or "Sat,Sun"
+ * @param {string} value - Day names or ranges
+ * @returns {Array<number>} - Day indexes (0 = Sunday)
+ */
+function parseDays(value) {
+  const days = new Set();
+  
+  value.split(',').forEach(part => {
+    const [from, to] = part.trim().toLowerCase().split('-').map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+    if (from < 0 || to < 0) {
+      throw new Error(`Invalid day range "${part.trim()}"`);
+    }
+    
+    // Ranges may wrap around the week ("Fri-Mon")
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === (to === undefined ? from : to)) break;
+    }
+  });
+  
+  return Array.from(days);
+}
+
+/**
+ * Parse a list of weekly windows
+ * @param {string} spec - Windows separated by ";" (e.g. "Mon-Fri 07:00-10:00; Sat 08:00-09:30")
+ * @returns {Array<Object>} - Windows ({ days, start, end }) with minutes since midnight
+ */
+function parseWindows(spec) {
+  return String(spec || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(?:([A-Za-z,\- ]+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+      if (!match) {
+        throw new Error(`Invalid time window "${entry}" (expected e.g. "Mon-Fri 07:00-10:00")`);
+      }
+      
+      return {
+        days: match[1] ? parseDays(match[1]) : [0, 1, 2, 3, 4, 5, 6],
+        start: parseTime(match[2]),
+        end: parseTime(match[3])
+      };
+    });
+}
+
+/**
+ * Get the weekday and time of day of a date in a time zone
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA time zone (e.g. America/New_York)
+ * @returns {Object} - { day (0 = Sunday), hour, minutes (since midnight) }
+ */
+function getZonedTime(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  
+  const parts = formatters.get(timeZone).formatToParts(date);
+  
+  const value = type => parts.find(part => part.type === type).value;
+  const hour = Number(value('hour'));
+  
+  return {
+    day: DAY_NAMES.indexOf(value('weekday').toLowerCase()),
+    hour,
+    minutes: hour * 60 + Number(value('minute'))
+  };
+}
+
+/**
+ * Check whether a date falls inside any of the windows
+ * @param {Date} date - Date to check
+ * @param {Array<Object>} windows - Parsed windows
+ * @param {string} timeZone - IANA time zone the windows are written in
+ * @returns {boolean} - True if the date is inside a window
+ */
+function isWithinWindows(date, windows, timeZone) {
+  const { day, minutes } = getZonedTime(date, timeZone);
+  const yesterday = (day + 6) % 7;
+  
+  return windows.some(window => {
+    if (window.start <= window.end) {
+      return window.days.includes(day) && minutes >= window.start && minutes < window.end;
+    }
+    
+    // Overnight window: the late part belongs to the start day, the early part to the day after
+    return (window.days.includes(day) && minutes >= window.start) ||
+      (window.days.includes(yesterday) && minutes < window.end);
+  });
+}
+
+/**
+ * Walk forward a minute at a time until the inside/outside state matches
+ * @param {Date} date - Start searching from here
+ * @param {Array<Object>} windows - Parsed windows
+ * @param {string} timeZone - IANA time zone the windows are written in
+ * @param {boolean} inside - Whether to look for a time inside (true) or outside (false) the windows
+ * @returns {Date|null} - First matching minute, or null if none within 8 days
+ */
+function findNext(date, windows, timeZone, inside) {
+  // Every weekly window recurs within 8 days
+  const start = new Date(Math.ceil(date.getTime() / 60000) * 60000);
+  for (let minute = 0; minute <= 8 * 24 * 60; minute++) {
+    const candidate = new Date(start.getTime() + minute * 60000);
+    if (isWithinWindows(candidate, windows, timeZone) === inside) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find the next time a date is inside one of the windows
+ * @param {Date} date - Start searching from here
+ * @param {Array<Object>} windows - Parsed windows
+ * @param {string} timeZone - IANA time zone the windows are written in
+ * @returns {Date|null} - The date itself if already inside, the start of the next window, or null if there are no windows
+ */
+function nextWindowStart(date, windows, timeZone) {
+  if (windows.length === 0) return null;
+  if (isWithinWindows(date, windows, timeZone)) return date;
+  return findNext(date, windows, timeZone, true);
+}
+
+/**
+ * Find when the window a date is in ends
+ * @param {Date} date - Reference time
+ * @param {Array<Object>} windows - Parsed windows
+ * @param {string} timeZone - IANA time zone the windows are written in
+ * @returns {Date|null} - First time outside every window, or null if the date is not inside one
+ */
+function nextWindowEnd(date, windows, timeZone) {
+  if (!isWithinWindows(date, windows, timeZone)) return null;
+  return findNext(date, windows, timeZone, false);
+}
+
+/**
+ * Get how far a time zone's clocks are ahead of UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in milliseconds (negative west of UTC)
+ */
+function getZoneOffset(date, timeZone) {
+  const key = `${timeZone} offset`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  
+  const parts = formatters.get(key).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Find the instant a wall-clock time in a time zone stands for
+ * @param {Object} time - Wall-clock time ({ year, month (1-12), day, hour, minute })
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // The offset at the wall time read as UTC can be on the other side of a
+  // DST change; a second pass with the offset at the first guess settles it
+  const guess = wall - getZoneOffset(new Date(wall), timeZone);
+  return new Date(wall - getZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Check whether a string is a time zone the runtime knows
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - True if valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseTime,
+  parseDays,
+  parseWindows,
+  getZonedTime,
+  zonedTimeToDate,
+  isWithinWindows,
+  nextWindowStart,
+  nextWindowEnd,
+  isValidTimeZone
+};
@@ -13,6 +13,8 @@ const phoneEmailsContainer = document.getElementById('phone-emails-container');
 const addRecipientEmailBtn = document.getElementById('add-recipient-email');
 const addPhoneEmailBtn = document.getElementById('add-phone-email');
 const checkIntervalInput = document.getElementById('check-interval');
+const servicesInput = document.getElementById('services');
+const serviceOptions = document.getElementById('service-options');
 const startButton = document.getElementById('start-button');
 const stopButton = document.getElementById('stop-button');
 const statusText = document.getElementById('status-text');
@@ -23,23 +25,33 @@ const checkCountElem = document.getElementById('check-count');
 const regularAppointmentsElem = document.getElementById('regular-appointments');
 const mobileAppointmentsElem = document.getElementById('mobile-appointments');
 const logDisplay = document.getElementById('log-display');
+const observationsBody = document.getElementById('observations-body');
 const toast = document.getElementById('toast');
 
+// Phone entries stored as "<number>:<carrier>" (see utils/carriers)
+const PHONE_ENTRY_PATTERN = /^(\+?[\d\s().-]+):\s*([a-z][\w &-]*)$/i;
+const PHONE_PLACEHOLDER = '555-123-4567';
+
 // State
 let isRunning = false;
 let statusInterval = null;
 let logInterval = null;
+let observationsInterval = null;
+let carriers = [];
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
-    loadConfig();
+    loadCarriers().then(loadConfig);
+    loadServices();
     setupEventListeners();
     updateStatus();
     fetchLogs();
+    fetchObservations();
     
     // Set up intervals for updates
     statusInterval = setInterval(updateStatus, 5000);
     logInterval = setInterval(fetchLogs, 3000);
+    observationsInterval = setInterval(fetchObservations, 30000);
 });
 
 // Setup event listeners
@@ -49,7 +61,7 @@ function setupEventListeners() {
     
     // Add email buttons
     addRecipientEmailBtn.addEventListener('click', () => addEmailField(recipientEmailsContainer, 'recipient-email[]', 'you@example.com'));
-    addPhoneEmailBtn.addEventListener('click', () => addEmailField(phoneEmailsContainer, 'phone-email[]', 'phonenumber@carrier.com'));
+    addPhoneEmailBtn.addEventListener('click', () => addEmailField(phoneEmailsContainer, 'phone-email[]', PHONE_PLACEHOLDER));
     
     // Start/Stop buttons
     startButton.addEventListener('click', startTracker);
@@ -80,42 +92,48 @@ function loadConfig() {
                 }
                 
                 // Set up recipient emails
-                if (config.email.recipient) {
-                    // Clear default field
+                const recipients = (config.email.recipient || '').split(',')
+                    .map(recipient => recipient.trim())
+                    .filter(Boolean);
+                const phones = (config.email.phones || '').split(',')
+                    .map(phone => phone.trim())
+                    .filter(Boolean);
+                
+                if (recipients.length > 0 || phones.length > 0) {
+                    // Clear default fields
                     recipientEmailsContainer.innerHTML = '';
-                    
-                    // Split recipients (could be comma-separated)
-                    const recipients = config.email.recipient.split(',');
+                    phoneEmailsContainer.innerHTML = '';
                     
                     recipients.forEach(recipient => {
-                        recipient = recipient.trim();
-                        if (recipient) {
-                            // Determine if it's a phone email or regular email
-                            const isPhoneEmail = recipient.includes('@vtext.com') || 
-                                                recipient.includes('@txt.att.net') || 
-                                                recipient.includes('@tmomail.net') ||
-                                                recipient.includes('@messaging.sprintpcs.com') ||
-                                                recipient.includes('@msg.fi.google.com');
-                            
-                            if (isPhoneEmail) {
-                                addEmailField(phoneEmailsContainer, 'phone-email[]', recipient, true);
-                            } else {
-                                addEmailField(recipientEmailsContainer, 'recipient-email[]', recipient, true);
-                            }
+                        // Older configurations kept phone emails in the recipient list
+                        const isPhoneEmail = recipient.includes('@vtext.com') || 
+                                            recipient.includes('@txt.att.net') || 
+                                            recipient.includes('@tmomail.net') ||
+                                            recipient.includes('@messaging.sprintpcs.com') ||
+                                            recipient.includes('@msg.fi.google.com');
+                        
+                        if (isPhoneEmail) {
+                            addEmailField(phoneEmailsContainer, 'phone-email[]', recipient, true);
+                        } else {
+                            addEmailField(recipientEmailsContainer, 'recipient-email[]', recipient, true);
                         }
                     });
                     
-                    // If no recipients were added, add a blank one
+                    phones.forEach(phone => {
+                        const entry = phone.match(PHONE_ENTRY_PATTERN);
+                        if (entry) {
+                            addEmailField(phoneEmailsContainer, 'phone-email[]', entry[1].trim(), true, entry[2].trim().toLowerCase());
+                        } else {
+                            addEmailField(phoneEmailsContainer, 'phone-email[]', phone, true);
+                        }
+                    });
+                    
+                    // Ensure there's at least one field of each kind
                     if (recipientEmailsContainer.children.length === 0) {
-                        addEmailField(recipientEmailsContainer, 'recipient-email[]', '', false);
+                        addEmailField(recipientEmailsContainer, 'recipient-email[]', 'you@example.com');
                     }
-                    
-                    // If no phone emails were detected, ensure there's at least one blank field
                     if (phoneEmailsContainer.children.length === 0) {
-                        const firstPhoneInput = phoneEmailsContainer.querySelector('.phone-email');
-                        if (!firstPhoneInput) {
-                            addEmailField(phoneEmailsContainer, 'phone-email[]', '', false);
-                        }
+                        addEmailField(phoneEmailsContainer, 'phone-email[]', PHONE_PLACEHOLDER);
                     }
                 }
             }
@@ -124,6 +142,9 @@ function loadConfig() {
             if (config.checkIntervalMinutes) {
                 checkIntervalInput.value = config.checkIntervalMinutes;
             }
+            
+            // Set service subscriptions
+            servicesInput.value = config.services || '';
         })
         .catch(error => {
             console.error('Error loading configuration:', error);
@@ -131,6 +152,61 @@ function loadConfig() {
         });
 }
 
+// Load the carrier directory for the phone carrier dropdowns
+function loadCarriers() {
+    return fetch('/api/carriers')
+        .then(response => response.json())
+        .then(list => {
+            if (!Array.isArray(list)) return;
+            
+            carriers = list;
+            document.querySelectorAll('.phone-carrier').forEach(select => fillCarrierSelect(select, select.value));
+        })
+        .catch(error => {
+            console.error('Error loading carrier directory:', error);
+        });
+}
+
+// Fill a carrier dropdown, keeping a selected carrier
+function fillCarrierSelect(select, selected = '') {
+    select.innerHTML = '';
+    
+    const gateway = document.createElement('option');
+    gateway.value = '';
+    gateway.textContent = 'Gateway address';
+    select.appendChild(gateway);
+    
+    carriers.forEach(carrier => {
+        const option = document.createElement('option');
+        option.value = carrier.id;
+        option.textContent = carrier.name;
+        select.appendChild(option);
+    });
+    
+    select.value = selected;
+}
+
+// Load the service catalog to suggest service names
+function loadServices() {
+    fetch('/api/services')
+        .then(response => response.json())
+        .then(catalog => {
+            const services = catalog.services;
+            if (!Array.isArray(services)) return;
+            
+            serviceOptions.innerHTML = '';
+            services.forEach(service => {
+                const option = document.createElement('option');
+                option.value = service.title;
+                option.label = `${service.id} (${service.count >= 0 ? service.count : '?'} available)`;
+                serviceOptions.appendChild(option);
+            });
+        })
+        .catch(error => {
+            console.error('Error loading service catalog:', error);
+        });
+}
+
 // Save configuration
 function saveConfig(event) {
     event.preventDefault();
@@ -149,10 +225,20 @@ function saveConfig(event) {
         }
     });
     
-    // Get all phone emails
+    // Get all phone numbers, as "<number>:<carrier>" or a gateway address
+    const phoneEmails = [];
+    let missingCarrier = null;
     document.querySelectorAll('.phone-email').forEach(input => {
-        if (input.value.trim()) {
-            recipientEmails.push(input.value.trim());
+        const value = input.value.trim();
+        const carrier = input.parentNode.querySelector('.phone-carrier').value;
+        if (!value) return;
+        
+        if (carrier) {
+            phoneEmails.push(`${value}:${carrier}`);
+        } else if (value.includes('@')) {
+            phoneEmails.push(value);
+        } else {
+            missingCarrier = value;
         }
     });
     
@@ -162,8 +248,13 @@ function saveConfig(event) {
         return;
     }
     
-    if (recipientEmails.length === 0) {
-        showToast('At least one recipient email is required', 'error');
+    if (recipientEmails.length === 0 && phoneEmails.length === 0) {
+        showToast('At least one recipient email or phone email is required', 'error');
+        return;
+    }
+    
+    if (missingCarrier) {
+        showToast(`Pick the carrier for ${missingCarrier}`, 'error');
         return;
     }
     
@@ -182,9 +273,11 @@ function saveConfig(event) {
     const configData = {
         email: {
             sender: formattedSender,
-            recipient: recipientEmails.join(',')
+            recipient: recipientEmails.join(','),
+            phones: phoneEmails.join(',')
         },
-        checkIntervalMinutes: checkInterval
+        checkIntervalMinutes: checkInterval,
+        services: servicesInput.value.trim()
     };
     
     // Only include password if it was changed
@@ -218,16 +311,17 @@ function saveConfig(event) {
     });
 }
 
-// Add a new email input field
-function addEmailField(container, name, placeholder, withValue = false) {
+// Add a new email input field (phone fields also get a carrier dropdown)
+function addEmailField(container, name, placeholder, withValue = false, carrier = '') {
+    const isPhone = !name.includes('recipient');
     const group = document.createElement('div');
     group.className = 'email-input-group';
     
     const input = document.createElement('input');
-    input.type = 'email';
-    input.className = name.includes('recipient') ? 'recipient-email' : 'phone-email';
+    input.type = isPhone ? 'text' : 'email';
+    input.className = isPhone ? 'phone-email' : 'recipient-email';
     input.name = name;
-    input.placeholder = placeholder;
+    input.placeholder = withValue && isPhone ? PHONE_PLACEHOLDER : placeholder;
     
     if (withValue) {
         input.value = placeholder;
@@ -242,7 +336,7 @@ function addEmailField(container, name, placeholder, withValue = false) {
         
         // Ensure there's always at least one input field
         if (container.children.length === 0) {
-            addEmailField(container, name, placeholder);
+            addEmailField(container, name, withValue && isPhone ? PHONE_PLACEHOLDER : placeholder);
         }
         
         // Update button states
@@ -250,6 +344,13 @@ function addEmailField(container, name, placeholder, withValue = false) {
     });
     
     group.appendChild(input);
+    if (isPhone) {
+        const select = document.createElement('select');
+        select.className = 'phone-carrier';
+        select.name = 'phone-carrier[]';
+        fillCarrierSelect(select, carrier);
+        group.appendChild(select);
+    }
     group.appendChild(removeBtn);
     container.appendChild(group);
     
@@ -327,6 +428,9 @@ function updateStatus() {
             // Update status details
             lastCheckElem.textContent = status.lastCheck ? new Date(status.lastCheck).toLocaleString() : 'Never';
             nextCheckElem.textContent = status.nextCheck ? new Date(status.nextCheck).toLocaleString() : 'N/A';
+            if (status.nextCheck && status.checkInterval) {
+                nextCheckElem.textContent += ` (${status.intervalReason})`;
+            }
             checkCountElem.textContent = status.checkCount || '0';
             
             // Update appointment counts
@@ -378,6 +482,41 @@ function fetchLogs() {
         });
 }
 
+// Fetch and display recent check results (type totals only)
+function fetchObservations() {
+    fetch('/api/observations?location=total&limit=25')
+        .then(response => response.json())
+        .then(observations => {
+            if (!Array.isArray(observations)) return;
+            
+            observationsBody.innerHTML = '';
+            
+            // Newest first
+            observations.slice().reverse().forEach(item => {
+                const row = document.createElement('tr');
+                if (!item.success) {
+                    row.classList.add('failed');
+                }
+                
+                [
+                    new Date(item.timestamp).toLocaleString(),
+                    item.type,
+                    item.success ? `${item.count} available` : `Failed: ${item.error}`,
+                    item.duration !== null ? `${(item.duration / 1000).toFixed(1)}s` : ''
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                
+                observationsBody.appendChild(row);
+            });
+        })
+        .catch(error => {
+            console.error('Error fetching observations:', error);
+        });
+}
+
 // Show toast notification
 function showToast(message, type = 'info') {
     // Set message and type
@@ -398,4 +537,5 @@ function showToast(message, type = 'info') {
 window.addEventListener('beforeunload', () => {
     clearInterval(statusInterval);
     clearInterval(logInterval);
+    clearInterval(observationsInterval);
 });
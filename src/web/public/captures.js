@@ -0,0 +1,179 @@
+/**
+ * REAL ID Appointment Tracker Web Interface
+ * Debug capture browser: saved pages next to what the current selectors read from them
+ */
+
+// DOM Elements
+const filterForm = document.getElementById('capture-filter');
+const filterTypeInput = document.getElementById('filter-type');
+const filterReasonInput = document.getElementById('filter-reason');
+const pruneButton = document.getElementById('prune-button');
+const statsElem = document.getElementById('capture-stats');
+const capturesBody = document.getElementById('captures-body');
+const detailPanel = document.getElementById('capture-detail');
+const titleElem = document.getElementById('capture-title');
+const metaElem = document.getElementById('capture-meta');
+const frame = document.getElementById('capture-frame');
+const parseElem = document.getElementById('capture-parse');
+const reportElem = document.getElementById('capture-report');
+const toast = document.getElementById('toast');
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', () => {
+    filterForm.addEventListener('submit', event => {
+        event.preventDefault();
+        fetchCaptures();
+    });
+    pruneButton.addEventListener('click', pruneCaptures);
+    
+    fetchCaptures().then(() => {
+        // Open the capture named in the URL, e.g. captures.html#regular-parse-failed-...
+        if (location.hash.length > 1) {
+            showCapture(decodeURIComponent(location.hash.slice(1)));
+        }
+    });
+});
+
+// Format a size in bytes
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Fetch and display the capture list
+function fetchCaptures() {
+    const params = new URLSearchParams();
+    if (filterTypeInput.value.trim()) params.set('type', filterTypeInput.value.trim());
+    if (filterReasonInput.value.trim()) params.set('reason', filterReasonInput.value.trim());
+    
+    return fetch(`/api/captures?${params}`)
+        .then(response => response.json())
+        .then(({ captures, stats }) => {
+            if (!Array.isArray(captures)) return;
+            
+            const limits = [
+                stats.maxBytes > 0 ? `limit ${formatBytes(stats.maxBytes)}` : 'no size limit',
+                stats.retentionDays > 0 ? `kept ${stats.retentionDays} days` : 'kept forever'
+            ];
+            statsElem.textContent = `${stats.count} captures, ${formatBytes(stats.bytes)} (${limits.join(', ')}); ` +
+                `${stats.duplicates} identical pages not saved again`;
+            
+            capturesBody.innerHTML = '';
+            captures.forEach(capture => {
+                const row = document.createElement('tr');
+                row.classList.add('clickable');
+                if (!capture.strategy) {
+                    row.classList.add('failed');
+                }
+                
+                [
+                    new Date(capture.capturedAt).toLocaleString(),
+                    capture.type || '',
+                    capture.reasons.join(', '),
+                    capture.status || '',
+                    capture.strategy || 'none',
+                    capture.seen,
+                    formatBytes(capture.size)
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                
+                row.addEventListener('click', () => showCapture(capture.id));
+                capturesBody.appendChild(row);
+            });
+        })
+        .catch(error => {
+            console.error('Error fetching captures:', error);
+            showToast('Failed to load captures', 'error');
+        });
+}
+
+// Describe what the current selectors read from a capture
+function formatParse(parse) {
+    if (parse.kind === 'locations') {
+        const lines = [`Location strategy: ${parse.strategy || 'none matched'}`];
+        parse.locations.forEach(item => {
+            lines.push(`  ${item.name}: ${item.count}${item.nextAvailableText ? ` (next ${item.nextAvailableText})` : ''}`);
+        });
+        return lines.join('\n');
+    }
+    
+    const lines = [
+        `Read as: ${parse.site}`,
+        `Structure check: ${parse.structureChanged ? 'CHANGED' : 'ok'}`,
+        ''
+    ];
+    parse.types.forEach(item => {
+        lines.push(`${item.type}: ${item.strategy ? `${item.count} via ${item.strategy}` : 'not found'}` +
+            (item.countText ? ` ("${item.countText}")` : ''));
+    });
+    lines.push('', `Service cards (${parse.cards.length}):`);
+    parse.cards.forEach(card => {
+        lines.push(`  ${card.title}: ${card.count}`);
+    });
+    return lines.join('\n');
+}
+
+// Show one capture next to its parse result
+function showCapture(id) {
+    fetch(`/api/captures/${encodeURIComponent(id)}`)
+        .then(response => response.json())
+        .then(capture => {
+            if (capture.success === false) {
+                showToast(capture.message, 'error');
+                return;
+            }
+            
+            location.hash = encodeURIComponent(capture.id);
+            titleElem.textContent = capture.id;
+            metaElem.textContent = [
+                capture.url,
+                capture.status ? `HTTP ${capture.status}` : null,
+                `first seen ${new Date(capture.capturedAt).toLocaleString()}`,
+                `last seen ${new Date(capture.lastSeenAt).toLocaleString()}`,
+                `${capture.seen} time(s)`
+            ].filter(Boolean).join(' · ');
+            frame.src = `/api/captures/${encodeURIComponent(capture.id)}/html`;
+            parseElem.textContent = formatParse(capture.parse);
+            reportElem.textContent = capture.report || 'No report saved with this capture';
+            detailPanel.classList.remove('hidden');
+            detailPanel.scrollIntoView({ behavior: 'smooth' });
+        })
+        .catch(error => {
+            console.error('Error fetching capture:', error);
+            showToast('Failed to load capture', 'error');
+        });
+}
+
+// Apply the retention limits now
+function pruneCaptures() {
+    fetch('/api/captures/prune', { method: 'POST' })
+        .then(response => response.json())
+        .then(result => {
+            if (!result.success) {
+                showToast(result.message, 'error');
+                return;
+            }
+            showToast(`Removed ${result.removed} capture(s), ${formatBytes(result.bytes)}`, 'success');
+            fetchCaptures();
+        })
+        .catch(error => {
+            console.error('Error pruning captures:', error);
+            showToast('Failed to prune captures', 'error');
+        });
+}
+
+// Show toast notification
+function showToast(message, type = 'info') {
+    toast.textContent = message;
+    toast.className = 'toast';
+    toast.classList.add(type);
+    toast.classList.remove('hidden');
+    
+    setTimeout(() => {
+        toast.classList.add('hidden');
+    }, 3000);
+}
@@ -12,6 +12,8 @@ const bodyParser = require('body-parser');
 const { config } = require('../utils/config');
 const App = require('../app');
 const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/templateEngine');
+const { listCarriers } = require('../utils/carriers');
 
 // Create Express app
 const app = express();
@@ -90,9 +92,11 @@ app.get('/api/config', (req, res) => {
     email: {
       sender: config.get('TRACKER_EMAIL_SENDER') || '',
       recipient: config.get('TRACKER_EMAIL_RECIPIENT') || '',
+      phones: config.get('TRACKER_SMS_RECIPIENT') || '',
       password: config.get('TRACKER_EMAIL_PASSWORD') ? '********' : '', // Don't send actual password
     },
-    checkIntervalMinutes: config.get('TRACKER_CHECK_INTERVAL')
+    checkIntervalMinutes: config.get('TRACKER_CHECK_INTERVAL'),
+    services: config.get('TRACKER_SERVICES') || ''
   };
   
   res.json(safeConfig);
@@ -129,7 +133,8 @@ app.post('/api/config', (req, res) => {
           process.env.TRACKER_EMAIL_SENDER = req.body.email.sender;
         }
         
-        if (req.body.email.recipient) process.env.TRACKER_EMAIL_RECIPIENT = req.body.email.recipient;
+        if (typeof req.body.email.recipient === 'string') process.env.TRACKER_EMAIL_RECIPIENT = req.body.email.recipient;
+        if (typeof req.body.email.phones === 'string') process.env.TRACKER_SMS_RECIPIENT = req.body.email.phones;
         if (req.body.email.password) process.env.TRACKER_EMAIL_PASSWORD = req.body.email.password;
       }
       
@@ -137,6 +142,10 @@ app.post('/api/config', (req, res) => {
         process.env.TRACKER_CHECK_INTERVAL = req.body.checkIntervalMinutes;
       }
       
+      if (typeof req.body.services === 'string') {
+        process.env.TRACKER_SERVICES = req.body.services;
+      }
+      
       // Reload configuration
       config.loadConfig();
     } catch (configError) {
@@ -215,6 +224,230 @@ app.get('/api/status', (req, res) => {
   }
 });
 
+// Get the service catalog as of the last check; ?refresh=true scrapes the sites for it
+app.get('/api/services', async (req, res) => {
+  try {
+    res.json(await trackerApp.getServiceCatalog({ refresh: req.query.refresh === 'true' }));
+  } catch (error) {
+    console.error('Error loading service catalog:', error);
+    res.status(500).json({ success: false, message: 'Failed to load service catalog: ' + error.message });
+  }
+});
+
+// List the carriers in the SMS gateway directory
+app.get('/api/carriers', (req, res) => {
+  res.json(listCarriers());
+});
+
+// Query the observation time series
+app.get('/api/observations', (req, res) => {
+  try {
+    const { type, location, from, to, success, limit } = req.query;
+    const observations = trackerApp.getObservations({
+      type,
+      location,
+      from,
+      to,
+      success: success === undefined ? undefined : success === 'true',
+      limit: limit ? parseInt(limit, 10) : 500
+    });
+    
+    res.json(observations);
+  } catch (error) {
+    console.error('Error getting observations:', error);
+    res.status(500).json({ success: false, message: 'Failed to get observations: ' + error.message });
+  }
+});
+
+// Availability analytics
+app.get('/api/stats', (req, res) => {
+  try {
+    const { type, location, from, to } = req.query;
+    res.json(trackerApp.getStats({ type, location, from, to }));
+  } catch (error) {
+    console.error('Error computing stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute stats: ' + error.message });
+  }
+});
+
+// Notification outbox and delivery log
+app.get('/api/notifications', (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    res.json(trackerApp.getNotifications({ status, limit: limit ? parseInt(limit, 10) : 50 }));
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({ success: false, message: 'Failed to get notifications: ' + error.message });
+  }
+});
+
+// One notification with its delivery attempts
+app.get('/api/notifications/:id', (req, res) => {
+  try {
+    const notification = trackerApp.getNotification(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ success: false, message: `Notification ${req.params.id} not found` });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Error getting notification:', error);
+    res.status(500).json({ success: false, message: 'Failed to get notification: ' + error.message });
+  }
+});
+
+// Debug captures of unreadable and changed pages
+app.get('/api/captures', (req, res) => {
+  try {
+    const { type, reason, limit } = req.query;
+    res.json(trackerApp.getCaptures({ type, reason, limit: limit ? parseInt(limit, 10) : 100 }));
+  } catch (error) {
+    console.error('Error getting captures:', error);
+    res.status(500).json({ success: false, message: 'Failed to get captures: ' + error.message });
+  }
+});
+
+// Remove captures past the retention limits
+app.post('/api/captures/prune', (req, res) => {
+  try {
+    res.json({ success: true, ...trackerApp.pruneCaptures() });
+  } catch (error) {
+    console.error('Error pruning captures:', error);
+    res.status(500).json({ success: false, message: 'Failed to prune captures: ' + error.message });
+  }
+});
+
+// One capture with its report and what the current selectors read from it
+app.get('/api/captures/:id', (req, res) => {
+  try {
+    const capture = trackerApp.getCapture(req.params.id);
+    if (!capture) {
+      return res.status(404).json({ success: false, message: `Capture ${req.params.id} not found` });
+    }
+    res.json(capture);
+  } catch (error) {
+    console.error('Error getting capture:', error);
+    res.status(500).json({ success: false, message: 'Failed to get capture: ' + error.message });
+  }
+});
+
+// The saved page itself, sandboxed so its scripts and forms cannot run
+app.get('/api/captures/:id/html', (req, res) => {
+  try {
+    const html = trackerApp.getCaptureHtml(req.params.id);
+    if (html === null) {
+      return res.status(404).type('text/plain').send(`Capture ${req.params.id} not found`);
+    }
+    res.set('Content-Security-Policy', 'sandbox');
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Error getting capture page:', error);
+    res.status(500).type('text/plain').send('Failed to get capture page: ' + error.message);
+  }
+});
+
+// Recipients and the preferences they set from email links
+app.get('/api/subscribers', (req, res) => {
+  try {
+    res.json(trackerApp.getSubscribers());
+  } catch (error) {
+    console.error('Error getting subscribers:', error);
+    res.status(500).json({ success: false, message: 'Failed to get subscribers: ' + error.message });
+  }
+});
+
+// Wording of the subscription link pages, per action
+const SUBSCRIPTION_PAGES = {
+  unsubscribe: {
+    question: address => `Stop all appointment alerts and digests to ${address}?`,
+    button: 'Unsubscribe',
+    done: address => `${address} is unsubscribed and will not get any more alerts.`
+  },
+  snooze: {
+    question: address => `Pause appointment alerts to ${address} for 24 hours?`,
+    button: 'Snooze for 24 hours',
+    done: (address, subscriber) => `Alerts to ${address} are paused until ${new Date(subscriber.snoozedUntil).toLocaleString()}.`
+  },
+  booked: {
+    question: address => `Glad you found an appointment! Stop appointment alerts to ${address}?`,
+    button: 'Stop alerts',
+    done: address => `Good luck at your appointment. ${address} will not get any more alerts.`
+  },
+  resume: {
+    question: address => `Start sending appointment alerts to ${address} again?`,
+    button: 'Resume alerts',
+    done: address => `Alerts to ${address} are back on.`
+  }
+};
+
+/**
+ * Render a minimal page for subscription links
+ * @param {string} message - Text to show (escaped here)
+ * @param {Object} [form] - Button to show ({ action, label })
+ * @returns {string} - HTML page
+ */
+function renderSubscriptionPage(message, form) {
+  const button = form
+    ? `<form method="post" action="${escapeHtml(form.action)}"><button type="submit">${escapeHtml(form.label)}</button></form>`
+    : '';
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>REAL ID Appointment Tracker</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #333; }
+    button { background-color: #1a73e8; color: white; border: none; padding: 10px 20px; border-radius: 4px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h2>REAL ID Appointment Tracker</h2>
+  <p>${escapeHtml(message)}</p>
+  ${button}
+</body>
+</html>`;
+}
+
+// Subscription links from notification emails. Opening a link only asks for
+// confirmation, so mail scanners that follow links change nothing; the
+// button (or a one-click List-Unsubscribe POST) applies the action. These
+// are the only pages recipients need, so they get their own router that
+// TRACKER_PUBLIC_PORT can serve without the rest of the interface.
+const subscriptionRoutes = express.Router();
+
+subscriptionRoutes.get('/:token', (req, res) => {
+  const link = trackerApp.getSubscriptionLink(req.params.token);
+  if (!link) {
+    return res.status(404).send(renderSubscriptionPage('This link is invalid or no longer works.'));
+  }
+  
+  const page = SUBSCRIPTION_PAGES[link.action];
+  res.send(renderSubscriptionPage(page.question(link.recipient), {
+    action: `/subscription/${req.params.token}`,
+    label: page.button
+  }));
+});
+
+subscriptionRoutes.post('/:token', (req, res) => {
+  try {
+    const result = trackerApp.applySubscriptionLink(req.params.token);
+    if (!result) {
+      return res.status(404).send(renderSubscriptionPage('This link is invalid or no longer works.'));
+    }
+    
+    const page = SUBSCRIPTION_PAGES[result.action];
+    res.send(renderSubscriptionPage(page.done(result.recipient, result.subscriber), result.resumeToken && {
+      action: `/subscription/${result.resumeToken}`,
+      label: 'Undo: resume alerts'
+    }));
+  } catch (error) {
+    console.error('Error applying subscription link:', error);
+    res.status(500).send(renderSubscriptionPage('Something went wrong. Please try again later.'));
+  }
+});
+
+app.use('/subscription', subscriptionRoutes);
+
 // Get logs
 app.get('/api/logs', (req, res) => {
   res.json(logBuffer);
@@ -230,12 +463,31 @@ server.listen(PORT, () => {
   console.log(`REAL ID Appointment Tracker Web Interface running on http://localhost:${PORT}`);
 });
 
+// Subscription pages on their own port, safe to expose at TRACKER_PUBLIC_URL
+// while the interface and its unauthenticated API stay private
+const { publicUrl, publicPort } = config.export().links;
+let publicServer = null;
+if (publicPort) {
+  const publicApp = express();
+  publicApp.use(bodyParser.urlencoded({ extended: true }));
+  publicApp.use('/subscription', subscriptionRoutes);
+  publicApp.use((req, res) => res.status(404).send(renderSubscriptionPage('Page not found.')));
+  
+  publicServer = http.createServer(publicApp);
+  publicServer.listen(publicPort, () => {
+    console.log(`Subscription pages for email links running on http://localhost:${publicPort}`);
+  });
+} else if (publicUrl) {
+  logger.warn(`Email links point at ${publicUrl}; expose only /subscription/ there, or set TRACKER_PUBLIC_PORT, since the rest of this interface has no authentication`);
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
   if (trackerRunning && trackerApp.stop) {
     trackerApp.stop();
   }
+  if (publicServer) publicServer.close();
   server.close(() => {
     console.log('Server stopped');
     process.exit(0);
@@ -214,7 +214,7 @@ if ($RUNNING_INSTANCES.Count -gt 0) {
 }
 
 # Check for any test email processes
-$TEST_PROCESSES = @(Get-Process -Name "node" -ErrorAction SilentlyContinue | Where-Object { $_.CommandLine -like "*node src/test.js*" })
+$TEST_PROCESSES = @(Get-Process -Name "node" -ErrorAction SilentlyContinue | Where-Object { $_.CommandLine -like "*node src/index.js test*" })
 
 if ($TEST_PROCESSES.Count -gt 0) {
     Log-Message "Found running test processes:"
@@ -223,7 +223,7 @@ if [ -n "$RUNNING_INSTANCES" ]; then
 fi
 
 # Check for any test email processes
-TEST_PROCESSES=$(ps aux | grep "node src/test.js" | grep -v grep)
+TEST_PROCESSES=$(ps aux | grep "node src/index.js test" | grep -v grep)
 if [ -n "$TEST_PROCESSES" ]; then
     log_message "${YELLOW}Found running test processes:${NC}"
     log_message "$TEST_PROCESSES"
@@ -0,0 +1,226 @@
+/**
+ * Alert rule tests: when each rule kind fires, configured thresholds and
+ * templates, and recipients that opt into some rules only
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, fastBackoff } = require('./helpers/setup');
+
+const RULES = [
+  { name: 'available', kind: 'available' },
+  { name: 'bigRelease', kind: 'increase', threshold: 5 },
+  { name: 'doubled', kind: 'percent' },
+  { name: 'newLocation', kind: 'newLocation' },
+  { name: 'lastSlots', kind: 'lastSlots', threshold: 2 }
+];
+
+/**
+ * Build a store update for one type
+ * @param {Array<Object>} previous - Previous locations ({ id, name, count })
+ * @param {Array<Object>} current - Current locations ({ id, name, count })
+ * @returns {Object} - Update like AppointmentStore.update() returns
+ */
+function update(previous, current) {
+  const total = locations => locations.reduce((sum, location) => sum + location.count, 0);
+  return {
+    hasChanged: true,
+    count: total(current),
+    previousCount: total(previous),
+    locations: current,
+    previousLocations: previous
+  };
+}
+
+describe('alert rules', () => {
+  let env;
+  let config;
+  let alertRules;
+  
+  /**
+   * Change settings for the rest of the test
+   * @param {Object} settings - TRACKER_* settings
+   */
+  const configure = (settings) => {
+    Object.assign(process.env, settings);
+    config.loadConfig();
+  };
+  
+  /**
+   * Evaluate an update and list what fired
+   * @param {Object} change - Store update
+   * @returns {Object} - Matching location names by rule name
+   */
+  const fired = (change) => Object.fromEntries(alertRules.evaluate(change)
+    .map(({ rule, matches }) => [rule.name, matches.map(match => match.name)]));
+  
+  before(async () => {
+    env = await setup({
+      TRACKER_SMS_RECIPIENT: '',
+      TRACKER_ALERT_RULES: JSON.stringify(RULES),
+      TRACKER_RECIPIENTS: JSON.stringify([
+        { address: 'last@example.com', rules: ['lastSlots'] }
+      ])
+    });
+    ({ config } = require('../src/utils/config'));
+    alertRules = require('../src/services/alertRules');
+  });
+  
+  after(() => env.close());
+  
+  describe('evaluate', () => {
+    it('fills in default thresholds and names', () => {
+      configure({ TRACKER_ALERT_RULES: JSON.stringify([{ kind: 'increase' }, { kind: 'lastSlots', threshold: 5 }]) });
+      try {
+        assert.deepEqual(alertRules.getRules().map(rule => [rule.name, rule.threshold]), [
+          ['increase', 10],
+          ['lastSlots', 5]
+        ]);
+      } finally {
+        configure({ TRACKER_ALERT_RULES: JSON.stringify(RULES) });
+      }
+    });
+    
+    it('only alerts on first availability without configured rules', () => {
+      configure({ TRACKER_ALERT_RULES: '[]' });
+      try {
+        assert.deepEqual(alertRules.getRules().map(rule => rule.kind), ['available']);
+        assert.deepEqual(fired(update([{ id: 1, name: 'Edison', count: 1 }], [{ id: 1, name: 'Edison', count: 50 }])), {});
+      } finally {
+        configure({ TRACKER_ALERT_RULES: JSON.stringify(RULES) });
+      }
+    });
+    
+    it('skips rules of unknown kinds', () => {
+      configure({ TRACKER_ALERT_RULES: JSON.stringify([{ name: 'odd', kind: 'fibonacci' }, { kind: 'newLocation' }]) });
+      try {
+        assert.deepEqual(alertRules.getRules().map(rule => rule.name), ['newLocation']);
+      } finally {
+        configure({ TRACKER_ALERT_RULES: JSON.stringify(RULES) });
+      }
+    });
+    
+    it('fires increase rules at the threshold, only for locations that had slots', () => {
+      assert.deepEqual(fired(update(
+        [{ id: 1, name: 'Edison', count: 10 }, { id: 2, name: 'Rahway', count: 10 }, { id: 3, name: 'Newark', count: 0 }],
+        [{ id: 1, name: 'Edison', count: 15 }, { id: 2, name: 'Rahway', count: 14 }, { id: 3, name: 'Newark', count: 20 }]
+      )).bigRelease, ['Edison']);
+    });
+    
+    it('fires percent rules on the relative change', () => {
+      const result = alertRules.evaluate(update(
+        [{ id: 1, name: 'Edison', count: 2 }, { id: 2, name: 'Rahway', count: 10 }],
+        [{ id: 1, name: 'Edison', count: 4 }, { id: 2, name: 'Rahway', count: 19 }]
+      ));
+      const doubled = result.find(({ rule }) => rule.name === 'doubled');
+      
+      assert.deepEqual(doubled.matches.map(match => [match.name, match.change, match.percent]), [['Edison', 2, 100]]);
+    });
+    
+    it('fires newLocation rules for locations missing from the last list', () => {
+      const previous = [{ id: 1, name: 'Edison', count: 3 }];
+      
+      assert.deepEqual(fired(update(previous, [...previous, { id: 2, name: 'Rahway', count: 2 }])).newLocation, ['Rahway']);
+      assert.equal(fired(update(previous, [...previous, { id: 2, name: 'Rahway', count: 0 }])).newLocation, undefined);
+      // Nothing is new when there was no list to compare with
+      assert.equal(fired(update([], [{ id: 2, name: 'Rahway', count: 2 }])).newLocation, undefined);
+    });
+    
+    it('fires lastSlots rules when a location drops to the threshold', () => {
+      assert.deepEqual(fired(update(
+        [{ id: 1, name: 'Edison', count: 8 }, { id: 2, name: 'Rahway', count: 2 }, { id: 3, name: 'Newark', count: 5 }],
+        [{ id: 1, name: 'Edison', count: 2 }, { id: 2, name: 'Rahway', count: 1 }, { id: 3, name: 'Newark', count: 0 }]
+      )).lastSlots, ['Edison']);
+    });
+    
+    it('compares totals when there is no location list', () => {
+      const result = alertRules.evaluate({ hasChanged: true, count: 20, previousCount: 10, locations: [] });
+      
+      assert.deepEqual(result.map(({ rule, matches }) => [rule.name, matches[0].id]), [
+        ['bigRelease', 'total'],
+        ['doubled', 'total']
+      ]);
+    });
+    
+    it('fires nothing for an unchanged update', () => {
+      assert.deepEqual(alertRules.evaluate({ ...update([{ id: 1, count: 1 }], [{ id: 1, count: 30 }]), hasChanged: false }), []);
+    });
+    
+    it('sends every rule to targets without a rules list', () => {
+      assert.equal(alertRules.wants(undefined, 'lastSlots'), true);
+      assert.equal(alertRules.wants(null, 'lastSlots'), true);
+      assert.equal(alertRules.wants(['lastSlots'], 'lastSlots'), true);
+      assert.equal(alertRules.wants(['lastSlots'], 'available'), false);
+      assert.equal(alertRules.wants([], 'available'), false);
+    });
+  });
+  
+  describe('alerts', () => {
+    let app;
+    let alertGate;
+    let deliveryWorker;
+    
+    /**
+     * Run one check with these locations and deliver what it queued
+     * @param {Array<Object>} locations - Regular locations ({ id, name, count })
+     * @returns {Promise<Array<Array<string>>>} - [recipient, subject] pairs sent by this check
+     */
+    const check = async (locations) => {
+      env.smtp.clear();
+      const regular = locations.reduce((sum, location) => sum + location.count, 0);
+      env.portal.set({ regular, mobile: 0, locations: { regular: locations } });
+      await app.runCheck();
+      await deliveryWorker.processDue();
+      return env.smtp.messages
+        .map(message => [message.to[0], message.subject])
+        .sort((a, b) => a.join().localeCompare(b.join()));
+    };
+    
+    before(() => {
+      const App = require('../src/app');
+      alertGate = require('../src/services/alertGate');
+      deliveryWorker = require('../src/services/deliveryWorker');
+      fastBackoff(require('../src/services/scraper'));
+      fastBackoff(require('../src/services/notifier'));
+      app = new App();
+    });
+    
+    beforeEach(async () => {
+      alertGate.locations.clear();
+      alertGate.cooldowns.clear();
+      env.portal.reset();
+      await check([]);
+    });
+    
+    it('alerts each rule to the recipients that want it', async () => {
+      assert.deepEqual(await check([{ id: 101, name: 'Edison', count: 2 }]), [
+        ['you@example.com', 'REAL ID Appointment Available!']
+      ]);
+      
+      assert.deepEqual(await check([{ id: 101, name: 'Edison', count: 8 }]), [
+        ['you@example.com', 'REAL ID: appointments jumped'],
+        ['you@example.com', 'REAL ID: more appointments released']
+      ]);
+      
+      // Slots at a new location are also the first availability there
+      assert.deepEqual(await check([{ id: 101, name: 'Edison', count: 8 }, { id: 102, name: 'Rahway', count: 1 }]), [
+        ['you@example.com', 'REAL ID Appointment Available!'],
+        ['you@example.com', 'REAL ID: new location open']
+      ]);
+      
+      assert.deepEqual(await check([{ id: 101, name: 'Edison', count: 2 }, { id: 102, name: 'Rahway', count: 1 }]), [
+        ['last@example.com', 'REAL ID: last appointments'],
+        ['you@example.com', 'REAL ID: last appointments']
+      ]);
+    });
+    
+    it('renders the matching locations with the rule templates', async () => {
+      await check([{ id: 101, name: 'Edison', count: 2 }]);
+      await check([{ id: 101, name: 'Edison', count: 9 }]);
+      
+      const release = env.smtp.messages.find(message => message.subject === 'REAL ID: more appointments released');
+      assert.match(release.body, /Edison: 2 -> 9 \(\+7\)/);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Analytics tests: availability windows, drop distribution, alert-to-close
+ * times, uptime and the daily and weekly digests
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup } = require('./helpers/setup');
+
+const MINUTE = 60 * 1000;
+
+// Monday, March 2, 2026, 9:00 AM in New York
+const START = Date.parse('2026-03-02T14:00:00Z');
+
+/**
+ * Get a time relative to START
+ * @param {number} minutes - Minutes after START
+ * @returns {Date} - Time
+ */
+const at = (minutes) => new Date(START + minutes * MINUTE);
+
+describe('analytics', () => {
+  let env;
+  let app;
+  let analytics;
+  let store;
+  let deliveryWorker;
+  
+  before(async () => {
+    env = await setup({
+      TRACKER_CHECK_INTERVAL: '5',
+      TRACKER_EMAIL_RECIPIENT: '',
+      TRACKER_SMS_RECIPIENT: '',
+      TRACKER_RECIPIENTS: JSON.stringify([
+        { address: 'daily@example.com', digest: 'daily' },
+        { address: 'weekly@example.com', digest: 'weekly', services: ['mobile'] },
+        { address: 'alerts@example.com' }
+      ])
+    });
+    
+    const App = require('../src/app');
+    analytics = require('../src/services/analytics');
+    ({ store } = require('../src/models/appointment'));
+    deliveryWorker = require('../src/services/deliveryWorker');
+    app = new App();
+    
+    const edison = count => ({ id: 101, name: 'Edison', count });
+    const rahway = count => ({ id: 102, name: 'Rahway', count });
+    
+    // Two openings of the regular type: 9:05-9:20 peaking at 8, and 9:30-9:40
+    const checks = [
+      [0, 0, []],
+      [5, 5, [edison(3), rahway(2)]],
+      [10, 8, [edison(6), rahway(2)]],
+      [15, 2, [rahway(2)]],
+      [20, 0, []],
+      [25, -1, []],
+      [30, 4, [edison(4)]],
+      [40, 0, []]
+    ];
+    
+    mock.timers.enable({ apis: ['Date'], now: START });
+    try {
+      for (const [minutes, count, locations] of checks) {
+        mock.timers.setTime(at(minutes).getTime());
+        store.recordCheck({ type: 'regular', count, locations, error: count < 0 ? 'Timed out' : undefined });
+        if (count >= 0) store.update('regular', count, locations);
+        if (minutes === 5 || minutes === 30) {
+          mock.timers.setTime(at(minutes + 2).getTime());
+          store.recordAlert({ type: 'regular', count, delivered: true });
+        }
+      }
+    } finally {
+      mock.timers.reset();
+    }
+  });
+  
+  after(() => env.close());
+  
+  describe('windows', () => {
+    it('opens a window on slots and closes it when they are gone', () => {
+      const windows = analytics.getWindows({ type: 'regular' });
+      
+      assert.deepEqual(windows.map(window => [window.openedAt, window.closedAt, window.duration, window.peakCount]), [
+        [at(5), at(20), 15 * MINUTE, 8],
+        [at(30), at(40), 10 * MINUTE, 4]
+      ]);
+    });
+    
+    it('builds windows per location, closed when a check no longer lists it', () => {
+      const edison = analytics.getWindows({ type: 'regular', location: 'Edison' });
+      const rahway = analytics.getWindows({ type: 'regular', location: 'Rahway' });
+      
+      assert.deepEqual(edison.map(window => [window.openedAt, window.closedAt]), [[at(5), at(15)], [at(30), at(40)]]);
+      assert.deepEqual(rahway.map(window => [window.openedAt, window.closedAt]), [[at(5), at(20)]]);
+    });
+    
+    it('ignores failed checks and keeps the last window open until a check shows 0', () => {
+      const observations = [
+        { timestamp: at(0), count: 2, success: true },
+        { timestamp: at(5), count: null, success: false },
+        { timestamp: at(10), count: 3, success: true }
+      ];
+      const windows = analytics.buildWindows(observations);
+      
+      assert.deepEqual(windows, [{ openedAt: at(0), closedAt: null, duration: null, peakCount: 3 }]);
+      assert.deepEqual(analytics.summarizeWindows(windows), {
+        windows: 1,
+        closed: 0,
+        open: 1,
+        medianDuration: null,
+        averageDuration: null,
+        longestDuration: null
+      });
+    });
+    
+    it('summarizes window lengths', () => {
+      assert.deepEqual(analytics.summarizeWindows(analytics.getWindows({ type: 'regular' })), {
+        windows: 2,
+        closed: 2,
+        open: 0,
+        medianDuration: 12.5 * MINUTE,
+        averageDuration: 12.5 * MINUTE,
+        longestDuration: 15 * MINUTE
+      });
+    });
+    
+    it('counts drops by hour and day in TRACKER_TIMEZONE', () => {
+      const { byHour, byDayOfWeek } = analytics.getDropDistribution(analytics.getWindows({ type: 'regular' }));
+      
+      assert.equal(byHour[9], 2);
+      assert.equal(byHour.reduce((total, count) => total + count, 0), 2);
+      assert.equal(byDayOfWeek.Monday, 2);
+      assert.equal(byDayOfWeek.Sunday, 0);
+    });
+    
+    it('measures how long slots stayed open after each alert', () => {
+      const report = analytics.getAlertToClose('regular', analytics.getWindows({ type: 'regular' }));
+      
+      assert.deepEqual(report, {
+        alerts: 2,
+        measured: 2,
+        stillOpen: 0,
+        medianTimeToClose: 10.5 * MINUTE,
+        fastestTimeToClose: 8 * MINUTE,
+        slowestTimeToClose: 13 * MINUTE
+      });
+    });
+    
+    it('limits statistics to a period', () => {
+      const { series } = analytics.getStats({ type: 'regular', from: at(25), to: at(60) });
+      
+      assert.equal(series.length, 1);
+      assert.equal(series[0].summary.windows, 1);
+      assert.equal(series[0].alertToClose.alerts, 1);
+      assert.equal(series[0].alertToClose.medianTimeToClose, 8 * MINUTE);
+    });
+  });
+  
+  describe('digests', () => {
+    it('counts the time the tracker was checking', () => {
+      const checks = store.getObservations({ type: 'regular', location: 'total' });
+      
+      // Checks every 5 minutes until 9:40, then nothing for 20 minutes
+      assert.equal(analytics.getUptime(checks, at(0), at(60)), 66.7);
+      assert.equal(analytics.getUptime(checks, at(0), at(40)), 100);
+      assert.equal(analytics.getUptime([], at(0), at(60)), 0);
+    });
+    
+    it('summarizes openings, peaks and locations over a period', () => {
+      const digest = analytics.getDigest({ from: at(0), to: at(60) });
+      
+      assert.deepEqual(digest, {
+        from: at(0).toISOString(),
+        to: at(60).toISOString(),
+        checks: { total: 8, failed: 1 },
+        uptime: 66.7,
+        types: [{
+          type: 'regular',
+          title: null,
+          openings: 2,
+          peakCount: 8,
+          peakAt: at(10).toISOString(),
+          longestWindow: {
+            openedAt: at(5).toISOString(),
+            closedAt: at(20).toISOString(),
+            duration: 15 * MINUTE,
+            peakCount: 8
+          },
+          locations: [
+            { id: 101, name: 'Edison', openings: 2, peakCount: 6 },
+            { id: 102, name: 'Rahway', openings: 1, peakCount: 2 }
+          ]
+        }]
+      });
+    });
+    
+    it('measures a window still open at the end of the period up to its end', () => {
+      const { types: [regular] } = analytics.getDigest({ from: at(0), to: at(35) });
+      
+      assert.equal(regular.openings, 2);
+      assert.deepEqual(regular.longestWindow, {
+        openedAt: at(5).toISOString(),
+        closedAt: at(20).toISOString(),
+        duration: 15 * MINUTE,
+        peakCount: 8
+      });
+      
+      const { types: [late] } = analytics.getDigest({ from: at(28), to: at(60 * 24) });
+      assert.equal(late.longestWindow.closedAt, at(40).toISOString());
+    });
+    
+    it('queues each digest to the recipients who opted into it', async () => {
+      env.smtp.clear();
+      
+      assert.equal(await app.sendDigests('daily', at(60)), 1);
+      await deliveryWorker.processDue();
+      
+      assert.deepEqual(env.smtp.messages.map(message => [message.to[0], message.subject]), [
+        ['daily@example.com', 'Daily appointment digest: 2 openings']
+      ]);
+      const { body } = env.smtp.messages[0];
+      assert.match(body, /Slots opened 2 times, peaking at 8 appointments/);
+      assert.match(body, /Edison: opened 2 times, peak 6/);
+      assert.match(body, /Checks: 8 \(1 failed\)/);
+    });
+    
+    it('leaves services a recipient does not follow out of their digest', async () => {
+      env.smtp.clear();
+      
+      assert.equal(await app.sendDigests('weekly', at(60)), 1);
+      await deliveryWorker.processDue();
+      
+      const [message] = env.smtp.messages;
+      assert.equal(message.to[0], 'weekly@example.com');
+      assert.equal(message.subject, 'Weekly appointment digest: 0 openings');
+      assert.doesNotMatch(message.body, /Edison/);
+    });
+    
+    it('skips recipients who unsubscribed', async () => {
+      const { subscribers } = require('../src/models/subscriber');
+      subscribers.apply('email:daily@example.com', 'unsubscribe');
+      
+      assert.equal(await app.sendDigests('daily', at(60)), 0);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Debug capture tests: the index, deduplication of identical pages, age and
+ * size retention, pages saved before the index and parse results of captures
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { setup } = require('./helpers/setup');
+
+describe('debug captures', () => {
+  let env;
+  let app;
+  let captures;
+  let scraper;
+  let config;
+  
+  const DAY = 24 * 60 * 60 * 1000;
+  
+  /**
+   * List the page files in debug/
+   * @returns {Array<string>} - File names
+   */
+  const pages = () => fs.readdirSync(path.join(env.dir, 'debug')).filter(file => file.endsWith('.html')).sort();
+  
+  /**
+   * Fetch a portal page as it is served now
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - HTML content
+   */
+  const fetchPage = async (url) => (await fetch(url)).text();
+  
+  /**
+   * Change retention settings for one test
+   * @param {Object} settings - TRACKER_DEBUG_* values
+   * @param {Function} fn - Test body
+   * @returns {Promise<void>}
+   */
+  const withSettings = async (settings, fn) => {
+    Object.assign(process.env, settings);
+    config.loadConfig();
+    try {
+      await fn();
+    } finally {
+      Object.keys(settings).forEach(key => delete process.env[key]);
+      config.loadConfig();
+    }
+  };
+  
+  before(async () => {
+    env = await setup();
+    
+    const App = require('../src/app');
+    captures = require('../src/services/captures');
+    scraper = require('../src/services/scraper');
+    ({ config } = require('../src/utils/config'));
+    
+    app = new App();
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    env.portal.reset();
+    fs.rmSync(path.join(env.dir, 'debug'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(env.dir, 'debug'));
+  });
+  
+  describe('index', () => {
+    it('records status, URL and strategy of a page that did not read', async () => {
+      env.portal.set({ layout: 'broken' });
+      
+      assert.equal(await scraper.checkAppointments('regular'), -1);
+      
+      const [capture] = captures.list();
+      assert.equal(capture.type, 'regular');
+      assert.equal(capture.reason, 'parse-failed');
+      assert.equal(capture.status, 200);
+      assert.equal(capture.url, env.portal.urls.regular);
+      assert.equal(capture.strategy, null);
+      assert.equal(capture.file, `${capture.id}.html`);
+      assert.ok(capture.size > 0);
+      
+      const index = JSON.parse(fs.readFileSync(path.join(env.dir, 'debug', captures.INDEX_FILE), 'utf8'));
+      assert.deepEqual(index.map(entry => entry.id), [capture.id]);
+    });
+    
+    it('records the strategy that read a changed page', async () => {
+      env.portal.set({ regular: 4, layout: 'changed' });
+      
+      assert.equal(await scraper.checkAppointments('regular'), 4);
+      
+      const [capture] = captures.list({ reason: 'structure-change' });
+      assert.ok(capture.strategy);
+      assert.notEqual(capture.strategy, 'primary');
+    });
+    
+    it('saves an identical page once and counts it', async () => {
+      const html = '<html><body><p>Service unavailable</p></body></html>';
+      const first = captures.save(html, { type: 'regular', reason: 'error-503', status: 503 }, new Date('2026-01-01T10:00:00Z'));
+      const second = captures.save(html, { type: 'regular', reason: 'parse-failed' }, new Date('2026-01-01T11:00:00Z'));
+      
+      assert.equal(first.duplicate, false);
+      assert.equal(second.duplicate, true);
+      assert.equal(second.id, first.id);
+      assert.deepEqual(pages(), [first.file]);
+      
+      const [capture] = captures.list();
+      assert.equal(capture.seen, 2);
+      assert.deepEqual(capture.reasons, ['error-503', 'parse-failed']);
+      assert.equal(capture.lastSeenAt, '2026-01-01T11:00:00.000Z');
+      assert.equal(captures.list({ reason: 'parse-failed' }).length, 1);
+      assert.equal(captures.getStats().duplicates, 1);
+    });
+    
+    it('indexes pages saved before the index and merges identical ones', () => {
+      const debugDir = path.join(env.dir, 'debug');
+      fs.writeFileSync(path.join(debugDir, 'mobile-parse-failed-2026-01-01T10-00-00-000Z.html'), '<p>old</p>');
+      fs.writeFileSync(path.join(debugDir, 'mobile-parse-failed-2026-01-02T10-00-00-000Z.html'), '<p>old</p>');
+      fs.writeFileSync(path.join(debugDir, 'regular-structure-change-2026-01-03T10-00-00-000Z.html'), '<p>new</p>');
+      fs.writeFileSync(path.join(debugDir, 'regular-structure-change-2026-01-03T10-00-00-000Z.diff.txt'), 'Site: regular');
+      
+      const list = captures.list();
+      
+      assert.deepEqual(list.map(item => [item.type, item.reason, item.seen]).sort(), [
+        ['mobile', 'parse-failed', 2],
+        ['regular', 'structure-change', 1]
+      ]);
+      assert.deepEqual(pages(), [
+        'mobile-parse-failed-2026-01-01T10-00-00-000Z.html',
+        'regular-structure-change-2026-01-03T10-00-00-000Z.html'
+      ]);
+      assert.equal(captures.get('regular-structure-change-2026-01-03T10-00-00-000Z').report, 'Site: regular');
+    });
+    
+    it('forgets pages removed by hand', () => {
+      const capture = captures.save('<p>gone</p>', { type: 'regular', reason: 'parse-failed' });
+      fs.rmSync(path.join(env.dir, 'debug', capture.file));
+      
+      assert.deepEqual(captures.list(), []);
+      assert.equal(captures.get(capture.id), null);
+    });
+  });
+  
+  describe('retention', () => {
+    it('removes captures not seen within the retention days', async () => {
+      await withSettings({ TRACKER_DEBUG_RETENTION_DAYS: '7' }, () => {
+        const now = Date.parse('2026-03-01T00:00:00Z');
+        const old = captures.save('<p>old</p>', { type: 'regular', reason: 'parse-failed' }, new Date(now - 10 * DAY));
+        const seenAgain = captures.save('<p>again</p>', { type: 'mobile', reason: 'parse-failed' }, new Date(now - 9 * DAY));
+        captures.save('<p>again</p>', { type: 'mobile', reason: 'parse-failed' }, new Date(now - 6 * DAY));
+        
+        assert.deepEqual(captures.prune(new Date(now)), { removed: 1, bytes: old.size });
+        assert.deepEqual(captures.list().map(item => item.id), [seenAgain.id]);
+      });
+    });
+    
+    it('removes the least recently seen captures past the size limit', async () => {
+      // 2 KB: room for three 600-byte pages
+      await withSettings({ TRACKER_DEBUG_MAX_SIZE: String(2 / 1024), TRACKER_DEBUG_RETENTION_DAYS: '0' }, () => {
+        const page = (n) => `<p>${String(n).repeat(596)}</p>`.slice(0, 600);
+        const start = Date.parse('2026-03-01T00:00:00Z');
+        const saved = [1, 2, 3, 4].map(n => captures.save(page(n), { type: 'regular', reason: 'parse-failed' }, new Date(start + n * 1000)));
+        
+        assert.deepEqual(captures.list().map(item => item.id), saved.slice(1).reverse().map(item => item.id));
+        assert.equal(pages().length, 3);
+        
+        // Seeing the oldest page again keeps it
+        captures.save(page(2), { type: 'regular', reason: 'parse-failed' }, new Date(start + 5000));
+        captures.save(page(5), { type: 'regular', reason: 'parse-failed' }, new Date(start + 6000));
+        assert.ok(captures.get(saved[1].id));
+        assert.equal(captures.get(saved[2].id), null);
+      });
+    });
+    
+    it('keeps the newest capture even when it alone is over the limit', async () => {
+      await withSettings({ TRACKER_DEBUG_MAX_SIZE: String(1 / 1024 / 1024) }, () => {
+        const capture = captures.save('<p>too big</p>', { type: 'regular', reason: 'parse-failed' });
+        assert.deepEqual(captures.list().map(item => item.id), [capture.id]);
+      });
+    });
+  });
+  
+  describe('parse results', () => {
+    it('show what the current selectors read from a card page', async () => {
+      env.portal.set({ regular: 7, layout: 'changed' });
+      const capture = captures.save(await fetchPage(env.portal.urls.regular), {
+        type: 'regular',
+        reason: 'structure-change',
+        url: env.portal.urls.regular,
+        report: 'Site: regular'
+      });
+      
+      const result = app.getCapture(capture.id);
+      
+      assert.equal(result.report, 'Site: regular');
+      assert.equal(result.parse.kind, 'cards');
+      assert.equal(result.parse.site, 'regular');
+      const regular = result.parse.types.find(item => item.type === 'regular');
+      assert.equal(regular.count, 7);
+      assert.ok(regular.strategy);
+      assert.match(app.getCaptureHtml(capture.id), /<html/i);
+    });
+    
+    it('read location pages with the location strategies', async () => {
+      env.portal.set({ regular: 2, locations: { regular: [{ id: 101, name: 'Edison', count: 2 }] } });
+      const capture = captures.save(await fetchPage(env.portal.urls.regularLocations), {
+        type: 'regular',
+        reason: 'locations-parse-failed',
+        url: env.portal.urls.regularLocations
+      });
+      
+      const { parse } = app.getCapture(capture.id);
+      
+      assert.equal(parse.kind, 'locations');
+      assert.ok(parse.strategy);
+      assert.deepEqual(parse.locations.map(item => [item.name, item.count]), [['Edison', 2]]);
+    });
+    
+    it('return null for unknown captures', () => {
+      assert.equal(app.getCapture('regular-parse-failed-missing'), null);
+      assert.equal(app.getCaptureHtml('regular-parse-failed-missing'), null);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Carrier directory tests: phone numbers, gateway addresses, text limits and
+ * phone recipients in TRACKER_SMS_RECIPIENT and TRACKER_RECIPIENTS
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup } = require('./helpers/setup');
+const carriers = require('../src/utils/carriers');
+
+describe('carriers', () => {
+  describe('directory', () => {
+    it('finds carriers by ID or name', () => {
+      assert.equal(carriers.findCarrier('verizon').name, 'Verizon');
+      assert.equal(carriers.findCarrier(' AT&T ').id, 'att');
+      assert.equal(carriers.findCarrier('T-Mobile').id, 'tmobile');
+      assert.equal(carriers.findCarrier('carrier pigeon'), null);
+      assert.equal(carriers.findCarrier(''), null);
+      assert.equal(carriers.findCarrier(undefined), null);
+    });
+    
+    it('reduces US phone numbers to ten digits', () => {
+      assert.equal(carriers.normalizePhone('(555) 123-4567'), '5551234567');
+      assert.equal(carriers.normalizePhone('+1 555 123 4567'), '5551234567');
+      assert.equal(carriers.normalizePhone('555.123.4567'), '5551234567');
+      assert.equal(carriers.normalizePhone('123-4567'), null);
+      assert.equal(carriers.normalizePhone('+44 20 7946 0958'), null);
+      assert.equal(carriers.normalizePhone(null), null);
+    });
+    
+    it('builds SMS and MMS gateway addresses', () => {
+      assert.equal(carriers.gatewayAddress('555-123-4567', 'verizon'), '5551234567@vtext.com');
+      assert.equal(carriers.gatewayAddress('555-123-4567', 'verizon', 'mms'), '5551234567@vzwpix.com');
+      assert.equal(carriers.gatewayAddress('(555) 123-4567', 'AT&T'), '5551234567@txt.att.net');
+      assert.equal(carriers.gatewayAddress('5551234567', 'tmobile', 'mms'), '5551234567@tmomail.net');
+    });
+    
+    it('refuses numbers and carriers it cannot resolve', () => {
+      assert.throws(() => carriers.gatewayAddress('123', 'verizon'), /not a ten-digit US phone number/);
+      assert.throws(() => carriers.gatewayAddress('555-123-4567', 'carrier pigeon'), /Unknown carrier "carrier pigeon" \(expected one of: .*verizon/);
+    });
+    
+    it('tells phone entries from addresses', () => {
+      assert.deepEqual(carriers.parsePhoneEntry('555-123-4567:verizon'), { phone: '555-123-4567', carrier: 'verizon' });
+      assert.deepEqual(carriers.parsePhoneEntry('+1 (555) 123-4567: AT&T'), { phone: '+1 (555) 123-4567', carrier: 'AT&T' });
+      assert.equal(carriers.parsePhoneEntry('5551234567@vtext.com'), null);
+      assert.equal(carriers.parsePhoneEntry('you@example.com'), null);
+    });
+    
+    it('knows gateway domains and their text limits', () => {
+      assert.equal(carriers.isGatewayAddress('5551234567@VTEXT.com'), true);
+      assert.equal(carriers.isGatewayAddress('5551234567@vzwpix.com'), true);
+      assert.equal(carriers.isGatewayAddress('you@example.com'), false);
+      
+      assert.equal(carriers.getLimit('5551234567@vtext.com'), carriers.SMS_LIMIT);
+      assert.equal(carriers.getLimit('5551234567@vzwpix.com'), carriers.MMS_LIMIT);
+      // One domain for both gateways gets the SMS limit
+      assert.equal(carriers.getLimit('5551234567@tmomail.net'), carriers.SMS_LIMIT);
+    });
+    
+    it('lists carriers by name', () => {
+      const names = carriers.listCarriers().map(carrier => carrier.name);
+      
+      assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+      assert.ok(names.includes('Verizon'));
+    });
+  });
+  
+  describe('phone recipients', () => {
+    let env;
+    let config;
+    let recipients;
+    
+    before(async () => {
+      env = await setup({
+        TRACKER_SMS_RECIPIENT: '555-123-4567:verizon, 5559876543@txt.att.net',
+        TRACKER_RECIPIENTS: JSON.stringify([
+          { name: 'Pat', phone: '(555) 222-3333', carrier: 'T-Mobile' }
+        ])
+      });
+      ({ config } = require('../src/utils/config'));
+      ({ recipients } = require('../src/models/recipient'));
+    });
+    
+    after(() => env.close());
+    
+    it('resolves phone numbers to gateway addresses', () => {
+      const sms = recipients.getByFormat('sms').map(recipient => [recipient.address, recipient.carrier]);
+      
+      assert.deepEqual(sms, [
+        ['5552223333@tmomail.net', 'tmobile'],
+        ['5551234567@vtext.com', 'verizon'],
+        ['5559876543@txt.att.net', null]
+      ]);
+    });
+    
+    it('sends long texts to the MMS gateway of recipients with a carrier', () => {
+      const verizon = recipients.getAll().find(recipient => recipient.carrier === 'verizon');
+      const raw = recipients.getAll().find(recipient => recipient.address === '5559876543@txt.att.net');
+      const long = 'x'.repeat(carriers.SMS_LIMIT + 1);
+      
+      assert.equal(verizon.getSmsLimit(), carriers.MMS_LIMIT);
+      assert.equal(verizon.getSmsAddress('short'), '5551234567@vtext.com');
+      assert.equal(verizon.getSmsAddress(long), '5551234567@vzwpix.com');
+      
+      // Without a carrier there is no MMS gateway to switch to
+      assert.equal(raw.getSmsLimit(), carriers.SMS_LIMIT);
+      assert.equal(raw.getSmsAddress(long), '5559876543@txt.att.net');
+    });
+    
+    it('rejects unknown carriers in the configuration', () => {
+      Object.assign(process.env, { TRACKER_SMS_RECIPIENT: '555-123-4567:carrier pigeon' });
+      try {
+        assert.throws(() => config.loadConfig(), /Invalid configuration/);
+      } finally {
+        Object.assign(process.env, { TRACKER_SMS_RECIPIENT: '555-123-4567:verizon' });
+        config.loadConfig();
+      }
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Notification channel tests: each adapter against a local HTTP stub, the
+ * requests they make and which responses they retry
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { setup } = require('./helpers/setup');
+
+/**
+ * Start a stub that records requests and answers with queued statuses
+ * @returns {Promise<Object>} - Stub ({ url, requests, respond, reset, close }), requests as { path, headers, body }
+ */
+async function startStub() {
+  const stub = { requests: [], statuses: [] };
+  
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ path: req.url, headers: req.headers, body });
+      const status = stub.statuses.shift() || 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(status < 300 ? '{"ok":true}' : '{"ok":false}');
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  
+  /**
+   * Answer the next requests with these statuses, then with 200
+   * @param {...number} statuses - HTTP statuses
+   */
+  stub.respond = (...statuses) => { stub.statuses = statuses; };
+  stub.reset = () => {
+    stub.requests = [];
+    stub.statuses = [];
+  };
+  stub.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  
+  return stub;
+}
+
+describe('notification channels', () => {
+  let env;
+  let stub;
+  let createChannels;
+  
+  const MESSAGE = {
+    event: 'appointments.available',
+    title: 'REAL ID Appointment Available!',
+    text: '5 REAL ID appointments (Edison)',
+    url: 'https://telegov.njportal.com/njmvc/AppointmentWizard/12',
+    data: { type: 'regular', count: 5 }
+  };
+  
+  /**
+   * Create one channel with two retries and no backoff
+   * @param {Object} definition - Channel configuration from TRACKER_CHANNELS
+   * @returns {Channel} - Channel
+   */
+  const channel = (definition) => {
+    const [created] = createChannels([{ maxRetries: 2, ...definition }], { calculateBackoff: () => 0 });
+    assert.ok(created, `${definition.type} channel is valid`);
+    return created;
+  };
+  
+  before(async () => {
+    env = await setup();
+    stub = await startStub();
+    ({ createChannels } = require('../src/services/channels'));
+  });
+  
+  after(async () => {
+    await stub.close();
+    await env.close();
+  });
+  
+  beforeEach(() => stub.reset());
+  
+  describe('requests', () => {
+    it('webhook posts the whole notification as JSON with its headers', async () => {
+      const result = await channel({ type: 'webhook', url: `${stub.url}/hook`, headers: { Authorization: 'Bearer abc' } }).send(MESSAGE);
+      
+      assert.equal(result.success, true);
+      const [request] = stub.requests;
+      assert.equal(request.path, '/hook');
+      assert.equal(request.headers.authorization, 'Bearer abc');
+      assert.match(request.headers['content-type'], /^application\/json/);
+      const body = JSON.parse(request.body);
+      assert.equal(body.event, 'appointments.available');
+      assert.equal(body.text, MESSAGE.text);
+      assert.deepEqual(body.data, MESSAGE.data);
+      assert.ok(body.timestamp);
+    });
+    
+    it('slack posts text with a booking link', async () => {
+      await channel({ type: 'slack', webhookUrl: `${stub.url}/services/T0/B0/x`, username: 'Tracker' }).send(MESSAGE);
+      
+      const [request] = stub.requests;
+      assert.equal(request.path, '/services/T0/B0/x');
+      assert.deepEqual(JSON.parse(request.body), {
+        text: `*${MESSAGE.title}*\n${MESSAGE.text}\n<${MESSAGE.url}|Book now>`,
+        username: 'Tracker'
+      });
+    });
+    
+    it('discord posts content', async () => {
+      await channel({ type: 'discord', webhookUrl: `${stub.url}/api/webhooks/1/abc` }).send(MESSAGE);
+      
+      const [request] = stub.requests;
+      assert.equal(request.path, '/api/webhooks/1/abc');
+      assert.deepEqual(JSON.parse(request.body), {
+        content: `**${MESSAGE.title}**\n${MESSAGE.text}\n${MESSAGE.url}`
+      });
+    });
+    
+    it('telegram posts chat_id and text to the bot', async () => {
+      await channel({ type: 'telegram', botToken: '123:abc', chatId: '-1001', apiUrl: `${stub.url}/` }).send(MESSAGE);
+      
+      const [request] = stub.requests;
+      assert.equal(request.path, '/bot123:abc/sendMessage');
+      const body = JSON.parse(request.body);
+      assert.equal(body.chat_id, '-1001');
+      assert.equal(body.text, `${MESSAGE.title}\n${MESSAGE.text}\n${MESSAGE.url}`);
+    });
+    
+    it('ntfy publishes the text with title, priority and token headers', async () => {
+      await channel({ type: 'ntfy', topic: 'my real id', server: stub.url, priority: 4, token: 'tk_1' }).send(MESSAGE);
+      
+      const [request] = stub.requests;
+      assert.equal(request.path, '/my%20real%20id');
+      assert.equal(request.body, MESSAGE.text);
+      assert.equal(request.headers.title, MESSAGE.title);
+      assert.equal(request.headers.priority, '4');
+      assert.equal(request.headers.click, MESSAGE.url);
+      assert.equal(request.headers.authorization, 'Bearer tk_1');
+    });
+    
+    it('pushover posts token, user and message as form fields', async () => {
+      await channel({ type: 'pushover', token: 'app-token', user: 'user-key', apiUrl: stub.url, priority: 1 }).send(MESSAGE);
+      
+      const [request] = stub.requests;
+      assert.equal(request.path, '/1/messages.json');
+      assert.match(request.headers['content-type'], /^application\/x-www-form-urlencoded/);
+      const form = new URLSearchParams(request.body);
+      assert.equal(form.get('token'), 'app-token');
+      assert.equal(form.get('user'), 'user-key');
+      assert.equal(form.get('title'), MESSAGE.title);
+      assert.equal(form.get('message'), MESSAGE.text);
+      assert.equal(form.get('url'), MESSAGE.url);
+      assert.equal(form.get('priority'), '1');
+    });
+    
+    it('skips channels with missing options', () => {
+      assert.deepEqual(createChannels([
+        { type: 'telegram', botToken: '123:abc' },
+        { type: 'pushover', token: 'app-token' },
+        { type: 'carrier-pigeon' }
+      ]), []);
+    });
+  });
+  
+  describe('retries', () => {
+    const DEFINITIONS = () => [
+      { type: 'webhook', url: `${stub.url}/hook` },
+      { type: 'slack', webhookUrl: `${stub.url}/slack` },
+      { type: 'discord', webhookUrl: `${stub.url}/discord` },
+      { type: 'telegram', botToken: '123:abc', chatId: '1', apiUrl: stub.url },
+      { type: 'ntfy', topic: 'alerts', server: stub.url },
+      { type: 'pushover', token: 'app-token', user: 'user-key', apiUrl: stub.url }
+    ];
+    
+    it('retries server errors and rate limits', async () => {
+      for (const definition of DEFINITIONS()) {
+        stub.reset();
+        stub.respond(503, 429);
+        
+        const result = await channel(definition).send(MESSAGE);
+        
+        assert.equal(result.success, true, definition.type);
+        assert.equal(result.attempts, 3, definition.type);
+        assert.equal(stub.requests.length, 3, definition.type);
+      }
+    });
+    
+    it('gives up after the last retry', async () => {
+      stub.respond(500, 502, 503, 504);
+      
+      const result = await channel({ type: 'ntfy', topic: 'alerts', server: stub.url }).send(MESSAGE);
+      
+      assert.equal(result.success, false);
+      assert.equal(result.attempts, 3);
+      assert.equal(result.statusCode, 503);
+    });
+    
+    it('does not retry other client errors', async () => {
+      for (const definition of DEFINITIONS()) {
+        stub.reset();
+        stub.respond(400);
+        
+        const result = await channel(definition).send(MESSAGE);
+        
+        assert.equal(result.success, false, definition.type);
+        assert.equal(result.attempts, 1, definition.type);
+        assert.equal(result.statusCode, 400, definition.type);
+      }
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Circuit breaker tests: opening after failed checks, skipping a site that
+ * is down, half-open probes and the admin alerts on outage and recovery
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, fastBackoff } = require('./helpers/setup');
+const { SITES } = require('./helpers/mockPortal');
+
+describe('circuit breaker', () => {
+  let env;
+  let app;
+  let scraper;
+  let circuitBreaker;
+  let deliveryWorker;
+  
+  const ADMIN = 'ops@example.com';
+  const COOLDOWN = 50; // ms, from TRACKER_CIRCUIT_COOLDOWN below
+  
+  /**
+   * Wait for the circuit cooldown to pass
+   * @returns {Promise<void>}
+   */
+  const waitForCooldown = () => new Promise(resolve => setTimeout(resolve, COOLDOWN + 20));
+  
+  /**
+   * Deliver what was queued and list the subjects the admin got
+   * @returns {Promise<Array<string>>} - Subjects
+   */
+  const adminAlerts = async () => {
+    await deliveryWorker.processDue();
+    return env.smtp.messages.filter(message => message.to.includes(ADMIN)).map(message => message.subject);
+  };
+  
+  /**
+   * Fail every request for the regular card page, retries included
+   * @param {number} checks - Number of checks to fail
+   */
+  const failRegular = (checks) => {
+    env.portal.fail(checks * 3, { status: 503, path: SITES.regular.path });
+  };
+  
+  before(async () => {
+    env = await setup({
+      TRACKER_ADMIN_RECIPIENTS: ADMIN,
+      TRACKER_CIRCUIT_THRESHOLD: '2',
+      TRACKER_CIRCUIT_COOLDOWN: String(COOLDOWN / 60000)
+    });
+    
+    const App = require('../src/app');
+    scraper = require('../src/services/scraper');
+    circuitBreaker = require('../src/services/circuitBreaker');
+    deliveryWorker = require('../src/services/deliveryWorker');
+    fastBackoff(scraper);
+    
+    app = new App();
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    env.portal.reset();
+    env.smtp.clear();
+    circuitBreaker.reset();
+  });
+  
+  it('opens after the threshold and skips the site without requests', async () => {
+    env.portal.set({ mobile: 2 });
+    failRegular(2);
+    
+    assert.equal(await scraper.checkAppointments('regular'), -1);
+    assert.equal(app.getStatus().circuits[env.portal.urls.regular].state, 'closed');
+    assert.equal(await scraper.checkAppointments('regular'), -1);
+    assert.equal(env.portal.requests.length, 6);
+    
+    const circuit = app.getStatus().circuits[env.portal.urls.regular];
+    assert.equal(circuit.state, 'open');
+    assert.equal(circuit.failures, 2);
+    assert.match(circuit.lastError, /503/);
+    
+    const result = await scraper.checkAppointmentDetails('regular');
+    assert.equal(result.count, -1);
+    assert.match(result.error, /circuit open after 2 failed checks/);
+    assert.equal(env.portal.requests.length, 6);
+    
+    // Other URLs have their own circuit
+    assert.equal(await scraper.checkAppointments('mobile'), 2);
+    
+    assert.deepEqual(await adminAlerts(), ['NJMVC site down: Regular DMV']);
+  });
+  
+  it('closes after a successful probe and alerts the recovery once', async () => {
+    env.portal.set({ regular: 4 });
+    failRegular(2);
+    await scraper.checkAppointments('regular');
+    await scraper.checkAppointments('regular');
+    await waitForCooldown();
+    const requestsBefore = env.portal.requests.length;
+    
+    assert.equal(await scraper.checkAppointments('regular'), 4);
+    assert.equal(env.portal.requests.length, requestsBefore + 1);
+    assert.equal(app.getStatus().circuits[env.portal.urls.regular].state, 'closed');
+    
+    await scraper.checkAppointments('regular');
+    const alerts = await adminAlerts();
+    assert.deepEqual(alerts, ['NJMVC site down: Regular DMV', 'NJMVC site back up: Regular DMV']);
+    const recovery = env.smtp.messages.find(message => message.subject.includes('back up'));
+    assert.match(recovery.body, /reachable again/);
+  });
+  
+  it('probes once without retries and stays open when the probe fails', async () => {
+    failRegular(3);
+    await scraper.checkAppointments('regular');
+    await scraper.checkAppointments('regular');
+    await waitForCooldown();
+    const requestsBefore = env.portal.requests.length;
+    
+    assert.equal(await scraper.checkAppointments('regular'), -1);
+    assert.equal(env.portal.requests.length, requestsBefore + 1);
+    
+    const circuit = app.getStatus().circuits[env.portal.urls.regular];
+    assert.equal(circuit.state, 'open');
+    assert.equal(circuit.failures, 3);
+    assert.ok(new Date(circuit.nextProbeAt) > new Date());
+    
+    // Still one alert for the whole outage
+    assert.deepEqual(await adminAlerts(), ['NJMVC site down: Regular DMV']);
+  });
+  
+  it('half-opens once the cooldown has passed', () => {
+    const url = 'https://example.com/njmvc';
+    const start = new Date('2026-03-01T10:00:00Z');
+    const error = new Error('Request failed with status code 502');
+    
+    circuitBreaker.recordFailure(url, 'regular', error, start);
+    circuitBreaker.recordFailure(url, 'regular', error, start);
+    
+    assert.equal(circuitBreaker.allow(url, 'regular', start).allowed, false);
+    const probe = circuitBreaker.allow(url, 'regular', new Date(start.getTime() + COOLDOWN));
+    assert.deepEqual([probe.allowed, probe.probe], [true, true]);
+    // The probe is still out
+    assert.equal(circuitBreaker.allow(url, 'regular', new Date(start.getTime() + COOLDOWN)).allowed, false);
+  });
+  
+  it('previews the outage alert', () => {
+    const [preview] = app.previewTemplates('siteOutage');
+    
+    assert.equal(preview.message.email.subject, 'NJMVC site down: Regular DMV');
+    assert.match(preview.message.email.text, /could not be fetched in 3 checks in a row/);
+    assert.ok(preview.message.sms.text.length <= 160);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Local stand-in for the NJMVC appointment portal
+ *
+ * Serves the regular and mobile card pages and the REAL ID location lists
+ * with counts set by the test, in one of three layouts:
+ * - standard: the markup the primary selector strategy expects
+ * - changed: a redesign only the fallback strategy can read
+ * - broken: a page with no appointment cards at all
+ *
+ * Requests can be made to fail with an HTTP status or to hang past the
+ * scraper's timeout, for a given number of requests.
+ */
+
+const http = require('http');
+
+// Card pages and the wizard ID of their REAL ID card
+const SITES = {
+  regular: { path: '/njmvc/AppointmentWizard', title: 'REAL ID', wizardId: 12 },
+  mobile: { path: '/njmvcmobileunit/AppointmentWizard', title: 'REAL ID - MOBILE', wizardId: 265 }
+};
+
+// Another service card on the regular page, for catalog tests
+const RENEWAL = { title: 'RENEWAL: LICENSE OR NON-DRIVER ID', wizardId: 11, count: 7 };
+
+/**
+ * Render one card in the layout the live site uses
+ * @param {string} basePath - Card page path
+ * @param {Object} card - { title, wizardId, count }
+ * @returns {string} - Card HTML
+ */
+function standardCard(basePath, card) {
+  return `
+    <a class="overlay-card text-center text-underline cardButton" href="${basePath}/${card.wizardId}">
+      <div>
+        <span class="text-black text-uppercase cardButtonTitle">${card.title}</span>
+        <br />
+        <span class="text-black cardButtonCount">${card.count} Appointments Available</span>
+      </div>
+    </a>`;
+}
+
+/**
+ * Render one card in the redesigned layout
+ * @param {string} basePath - Card page path
+ * @param {Object} card - { title, wizardId, count }
+ * @returns {string} - Card HTML
+ */
+function changedCard(basePath, card) {
+  return `
+    <div class="card">
+      <div class="card-body">
+        <h3>${card.title}</h3>
+        <span class="appointment-count">${card.count}</span>
+        <a href="${basePath}/${card.wizardId}">Book</a>
+      </div>
+    </div>`;
+}
+
+/**
+ * Render a card page
+ * @param {string} type - Site type (regular, mobile)
+ * @param {Object} state - Portal state
+ * @returns {string} - Page HTML
+ */
+function cardPage(type, state) {
+  const site = SITES[type];
+  const cards = [{ ...site, count: state[type] }];
+  if (type === 'regular') cards.push(RENEWAL);
+  
+  let body;
+  if (state.layout === 'broken') {
+    body = '<div id="mainContent"><p>We are updating our scheduling system.</p></div>';
+  } else if (state.layout === 'changed') {
+    body = `<div id="mainContent">${cards.map(card => changedCard(site.path, card)).join('')}</div>`;
+  } else {
+    body = `<div id="mainContent">
+      <div class="cards cardContainer" data-type="Driver License Services">
+        ${cards.map(card => standardCard(site.path, card)).join('')}
+      </div>
+    </div>`;
+  }
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><title>What service is needed? - TeleGov</title></head>
+<body>${body}</body>
+</html>`;
+}
+
+/**
+ * Render a location list with the embedded data the live site uses
+ * @param {Array<Object>} locations - { id, name, count }
+ * @returns {string} - Page HTML
+ */
+function locationPage(locations) {
+  const locationData = locations.map(location => ({
+    Id: location.id,
+    Name: location.name,
+    Street1: '1 Main St',
+    City: location.name,
+    State: 'NJ',
+    Zip: '08817'
+  }));
+  const timeData = locations.map(location => ({
+    LocationId: location.id,
+    FirstOpenSlot: location.count > 0
+      ? `${location.count} Appointments Available <br/> Next Available: 11/03/2026 09:00 AM`
+      : 'No Appointments Available'
+  }));
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><title>Select a location - TeleGov</title></head>
+<body>
+  <div id="mainContent"></div>
+  <script>
+    var locationData = ${JSON.stringify(locationData)};
+    var timeData = ${JSON.stringify(timeData)};
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Start the mock portal on a free local port
+ * @returns {Promise<Object>} - Portal ({ url, urls, state, requests, set, fail, reset, close })
+ */
+async function startMockPortal() {
+  const portal = {
+    requests: [], // Paths in the order they were requested
+    failures: [] // Pending failures ({ status, delay, path }), one per request
+  };
+  
+  /**
+   * Restore the default state: nothing available, standard layout, no failures
+   */
+  portal.reset = () => {
+    portal.state = { regular: 0, mobile: 0, layout: 'standard', locations: {} };
+    portal.failures = [];
+    portal.requests = [];
+  };
+  
+  /**
+   * Change the counts, layout or locations
+   * @param {Object} changes - { regular, mobile, layout, locations: { regular: [{ id, name, count }] } }
+   */
+  portal.set = (changes) => {
+    Object.assign(portal.state, changes);
+  };
+  
+  /**
+   * Make the next requests fail
+   * @param {number} times - Number of requests to fail
+   * @param {Object} failure - { status } to answer with an HTTP error, or { delay } to answer late,
+   *   plus an optional { path } to fail only requests for that path
+   */
+  portal.fail = (times, failure) => {
+    for (let i = 0; i < times; i++) {
+      portal.failures.push(failure);
+    }
+  };
+  
+  /**
+   * Get the locations shown on a type's location list
+   * @param {string} type - Site type
+   * @returns {Array<Object>} - Locations ({ id, name, count })
+   */
+  const locationsFor = (type) => portal.state.locations[type] ||
+    [{ id: 101, name: 'Edison', count: portal.state[type] }];
+  
+  const server = http.createServer((req, res) => {
+    portal.requests.push(req.url);
+    const index = portal.failures.findIndex(item => !item.path || item.path === req.url);
+    const failure = index >= 0 ? portal.failures.splice(index, 1)[0] : null;
+    
+    const respond = () => {
+      if (failure && failure.status) {
+        res.writeHead(failure.status, { 'Content-Type': 'text/html' });
+        res.end(`<html><body>Error ${failure.status}</body></html>`);
+        return;
+      }
+      
+      const type = Object.keys(SITES).find(key => req.url === SITES[key].path);
+      const listType = Object.keys(SITES).find(key => req.url === `${SITES[key].path}/${SITES[key].wizardId}`);
+      
+      if (type) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(cardPage(type, portal.state));
+      } else if (listType) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(locationPage(locationsFor(listType)));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<html><body>Not found</body></html>');
+      }
+    };
+    
+    if (failure && failure.delay) {
+      const timer = setTimeout(respond, failure.delay);
+      res.on('close', () => clearTimeout(timer));
+    } else {
+      respond();
+    }
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  portal.url = `http://127.0.0.1:${server.address().port}`;
+  portal.urls = {
+    regular: `${portal.url}${SITES.regular.path}`,
+    mobile: `${portal.url}${SITES.mobile.path}`,
+    regularLocations: `${portal.url}${SITES.regular.path}/${SITES.regular.wizardId}`
+  };
+  
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  portal.close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+  };
+  
+  portal.reset();
+  return portal;
+}
+
+module.exports = {
+  startMockPortal,
+  SITES,
+  RENEWAL
+};
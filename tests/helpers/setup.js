@@ -0,0 +1,95 @@
+/**
+ * Test environment for the REAL ID Appointment Tracker
+ *
+ * The tracker's modules read their configuration and pick their data, debug
+ * and log paths when they are first required, so each test file calls
+ * setup() before requiring anything from src/. The test runner starts every
+ * file in its own process, which keeps those singletons apart.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startMockPortal } = require('./mockPortal');
+const { startSmtpSink } = require('./smtpSink');
+
+// Fast settings that keep the tracker on the mock portal and the sink
+const TEST_ENV = {
+  TRACKER_EMAIL_SENDER: 'Tracker <tracker@example.com>',
+  TRACKER_EMAIL_RECIPIENT: 'you@example.com',
+  TRACKER_SMS_RECIPIENT: '555-123-4567:verizon',
+  TRACKER_SMTP_PRESET: 'custom',
+  TRACKER_SMTP_HOST: '127.0.0.1',
+  TRACKER_SMTP_SECURE: 'false',
+  TRACKER_SMTP_NO_AUTH: 'true',
+  TRACKER_DYNAMIC_INTERVALS: 'false',
+  TRACKER_FETCH_LOCATIONS: 'true',
+  TRACKER_STORAGE: 'json',
+  TRACKER_REQUEST_TIMEOUT: '500',
+  TRACKER_MAX_RETRIES: '2',
+  TRACKER_LOG_LEVEL: 'FATAL'
+};
+
+/**
+ * Start the mock portal and SMTP sink and point the tracker at them from a
+ * fresh working directory
+ * @param {Object} [env={}] - Extra TRACKER_* settings
+ * @returns {Promise<Object>} - { dir, portal, smtp, close }
+ */
+async function setup(env = {}) {
+  const previousDir = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-test-'));
+  
+  // No .env in the working directory, and nothing from the shell
+  process.chdir(dir);
+  Object.keys(process.env)
+    .filter(key => key.startsWith('TRACKER_'))
+    .forEach(key => delete process.env[key]);
+  
+  const portal = await startMockPortal();
+  const smtp = await startSmtpSink();
+  
+  Object.assign(process.env, TEST_ENV, {
+    TRACKER_REGULAR_URL: portal.urls.regular,
+    TRACKER_MOBILE_URL: portal.urls.mobile,
+    TRACKER_REGULAR_NOTIFICATION_URL: portal.urls.regularLocations,
+    TRACKER_MOBILE_NOTIFICATION_URL: portal.urls.mobile,
+    TRACKER_SMTP_PORT: String(smtp.port)
+  }, env);
+  
+  // Child loggers copy the level when they are created
+  require('../../src/utils/logger').setLevel('FATAL');
+  require('../../src/utils/config').config.loadConfig();
+  
+  return {
+    dir,
+    portal,
+    smtp,
+    
+    /**
+     * Stop the servers and remove the working directory
+     * @returns {Promise<void>}
+     */
+    close: async () => {
+      await portal.close();
+      await smtp.close();
+      process.chdir(previousDir);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Replace the backoff between retries with a short fixed delay
+ * @param {Object} service - Service with a _calculateBackoff method (scraper, notifier)
+ * @param {number} [delay=10] - Delay in milliseconds
+ */
+function fastBackoff(service, delay = 10) {
+  service._calculateBackoff = () => delay;
+}
+
+module.exports = {
+  setup,
+  fastBackoff
+};
@@ -0,0 +1,177 @@
+/**
+ * In-process SMTP server that keeps every message it receives
+ *
+ * Speaks just enough SMTP for nodemailer without TLS or authentication
+ * (TRACKER_SMTP_SECURE=false, TRACKER_SMTP_NO_AUTH=true). Messages are kept
+ * with their envelope, main headers and a decoded body for assertions.
+ * Recipients can be refused with a temporary or permanent error reply.
+ */
+
+const net = require('net');
+
+/**
+ * Decode RFC 2047 encoded words in a header ("=?UTF-8?Q?...?=")
+ * @param {string} value - Header value
+ * @returns {string} - Decoded text
+ */
+function decodeHeader(value) {
+  return value.replace(/=\?([^?]+)\?([QB])\?([^?]*)\?=\s*/gi, (match, charset, encoding, text) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (hex, code) => String.fromCharCode(parseInt(code, 16))), 'binary');
+    return bytes.toString('utf8');
+  });
+}
+
+/**
+ * Decode quoted-printable text
+ * @param {string} text - Quoted-printable text
+ * @returns {string} - Decoded text
+ */
+function decodeQuotedPrintable(text) {
+  const binary = text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+  return Buffer.from(binary, 'binary').toString('utf8');
+}
+
+/**
+ * Split a raw message into headers and a decoded body
+ * @param {string} raw - Message as received after DATA
+ * @returns {Object} - { headers, body }
+ */
+function parseMessage(raw) {
+  const split = raw.indexOf('\r\n\r\n');
+  const headerText = split >= 0 ? raw.slice(0, split) : raw;
+  const body = split >= 0 ? raw.slice(split + 4) : '';
+  
+  const headers = {};
+  headerText.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = decodeHeader(line.slice(colon + 1).trim());
+    }
+  });
+  
+  return { headers, body: decodeQuotedPrintable(body) };
+}
+
+/**
+ * Start the sink on a free local port
+ * @returns {Promise<Object>} - Sink ({ port, messages, reject, clear, close })
+ */
+async function startSmtpSink() {
+  const sink = {
+    messages: [],
+    rejections: [] // Replies for the next RCPT commands, one per recipient
+  };
+  const sockets = new Set();
+  
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null; // Lines of the message while in DATA
+    
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 sink.test ESMTP');
+    
+    socket.on('data', chunk => {
+      buffer += chunk.toString('binary');
+      
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        
+        if (data) {
+          if (line === '.') {
+            const raw = Buffer.from(data.join('\r\n'), 'binary').toString('utf8');
+            const { headers, body } = parseMessage(raw);
+            sink.messages.push({
+              from: envelope.from,
+              to: envelope.to,
+              subject: headers.subject || '',
+              headers,
+              body,
+              raw
+            });
+            data = null;
+            envelope = { from: null, to: [] };
+            reply('250 2.0.0 Queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250-sink.test');
+          reply('250 8BITMIME');
+        } else if (command === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+          reply('250 2.1.0 OK');
+        } else if (command === 'RCPT') {
+          if (sink.rejections.length > 0) {
+            reply(sink.rejections.shift());
+          } else {
+            envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+            reply('250 2.1.5 OK');
+          }
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 2.0.0 OK');
+        } else if (command === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          reply('250 2.0.0 OK');
+        }
+      }
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  sink.port = server.address().port;
+  
+  /**
+   * Refuse the next recipients
+   * @param {number} times - Number of recipients to refuse
+   * @param {string} [response='451 4.3.0 Try again later'] - SMTP reply (4xx temporary, 5xx permanent)
+   */
+  sink.reject = (times, response = '451 4.3.0 Try again later') => {
+    for (let i = 0; i < times; i++) {
+      sink.rejections.push(response);
+    }
+  };
+  
+  /**
+   * Forget the messages received so far and any pending rejections
+   */
+  sink.clear = () => {
+    sink.messages.length = 0;
+    sink.rejections.length = 0;
+  };
+  
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  sink.close = () => {
+    sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => server.close(() => resolve()));
+  };
+  
+  return sink;
+}
+
+module.exports = {
+  startSmtpSink
+};
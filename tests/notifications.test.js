@@ -0,0 +1,258 @@
+/**
+ * End-to-end notification tests: full checks against the mock portal, with
+ * the outbox delivered to the SMTP sink
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, fastBackoff } = require('./helpers/setup');
+
+describe('notifications', () => {
+  let env;
+  let App;
+  let app;
+  let alertGate;
+  let deliveryWorker;
+  let config;
+  
+  const EMAIL = 'you@example.com';
+  const SMS = '5551234567@vtext.com';
+  
+  /**
+   * Run one check with the given counts and deliver what it queued
+   * @param {Object} counts - Portal counts ({ regular, mobile })
+   * @returns {Promise<Object>} - { result, delivery }
+   */
+  const check = async (counts) => {
+    env.portal.set({ regular: 0, mobile: 0, ...counts });
+    const result = await app.runCheck();
+    const delivery = await deliveryWorker.processDue();
+    return { result, delivery };
+  };
+  
+  /**
+   * Get the messages the sink received as [recipient, subject] pairs
+   * @returns {Array<Array<string>>} - Pairs sorted by recipient
+   */
+  const sent = () => env.smtp.messages
+    .map(message => [message.to.join(','), message.subject])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  
+  /**
+   * Change settings for the rest of the file
+   * @param {Object} settings - TRACKER_* settings
+   */
+  const configure = (settings) => {
+    Object.assign(process.env, settings);
+    config.loadConfig();
+  };
+  
+  before(async () => {
+    env = await setup();
+    
+    App = require('../src/app');
+    alertGate = require('../src/services/alertGate');
+    deliveryWorker = require('../src/services/deliveryWorker');
+    ({ config } = require('../src/utils/config'));
+    fastBackoff(require('../src/services/scraper'));
+    fastBackoff(require('../src/services/notifier'));
+    
+    app = new App();
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(async () => {
+    // Start every test from a settled check with nothing available
+    alertGate.locations.clear();
+    alertGate.cooldowns.clear();
+    env.portal.reset();
+    await check({});
+    env.smtp.clear();
+  });
+  
+  it('sends nothing while nothing is available', async () => {
+    const { result, delivery } = await check({});
+    
+    assert.equal(result.regular, 0);
+    assert.equal(result.mobile, 0);
+    assert.equal(result.becameAvailable, false);
+    assert.equal(delivery.sent, 0);
+    assert.deepEqual(sent(), []);
+  });
+  
+  it('sends one email and one text when appointments appear', async () => {
+    const { result, delivery } = await check({ regular: 5 });
+    
+    assert.equal(result.regular, 5);
+    assert.equal(result.becameAvailable, true);
+    assert.deepEqual(delivery, { sent: 2, retried: 0, failed: 0, expired: 0 });
+    assert.deepEqual(sent(), [
+      [SMS, 'REAL ID Appt'],
+      [EMAIL, 'REAL ID Appointment Available!']
+    ]);
+    
+    const email = env.smtp.messages.find(message => message.to[0] === EMAIL);
+    const text = env.smtp.messages.find(message => message.to[0] === SMS);
+    assert.equal(email.from, 'tracker@example.com');
+    assert.match(email.body, /5 REAL ID appointments/);
+    assert.match(email.body, /Edison/);
+    assert.equal(text.body.trim(), `5 REAL ID appt (Edison): ${env.portal.urls.regularLocations}`);
+  });
+  
+  it('alerts for each site on its own', async () => {
+    await check({ regular: 5 });
+    env.smtp.clear();
+    
+    const { delivery } = await check({ regular: 5, mobile: 2 });
+    
+    assert.equal(delivery.sent, 2);
+    const text = env.smtp.messages.find(message => message.to[0] === SMS);
+    assert.equal(text.body.trim(), `2 REAL ID appt (Edison): ${env.portal.urls.mobile}`);
+  });
+  
+  it('does not alert again while appointments stay available', async () => {
+    await check({ regular: 5 });
+    env.smtp.clear();
+    
+    await check({ regular: 3 });
+    await check({ regular: 8 });
+    
+    assert.deepEqual(sent(), []);
+  });
+  
+  it('does not alert when availability flaps back within TRACKER_FLAP_REARM', async () => {
+    await check({ regular: 5 });
+    env.smtp.clear();
+    
+    await check({ regular: 0 });
+    const { result } = await check({ regular: 5 });
+    
+    assert.equal(result.becameAvailable, false);
+    assert.deepEqual(sent(), []);
+  });
+  
+  it('does not alert again when the location list comes back empty', async () => {
+    await check({ regular: 5 });
+    env.smtp.clear();
+    
+    const { result } = await check({ regular: 5, locations: { regular: [] } });
+    await check({ regular: 5, locations: {} });
+    
+    assert.equal(result.becameAvailable, false);
+    assert.deepEqual(sent(), []);
+  });
+  
+  it('does not repeat alerts after a restart', async () => {
+    await check({ regular: 5 });
+    env.smtp.clear();
+    
+    // A new process starts with an empty gate and seeds it from the store
+    alertGate.locations.clear();
+    alertGate.cooldowns.clear();
+    app = new App();
+    const { result } = await check({ regular: 5 });
+    
+    assert.equal(result.becameAvailable, false);
+    assert.deepEqual(sent(), []);
+  });
+  
+  it('leaves the state alone when a check fails', async () => {
+    await check({ regular: 5 });
+    env.smtp.clear();
+    
+    env.portal.fail(3, { status: 503 });
+    const failed = await check({ regular: 0 });
+    assert.equal(failed.result.regular, -1);
+    
+    // Still 5 as far as the tracker knows, so this is no new availability
+    const { result } = await check({ regular: 5 });
+    assert.equal(result.becameAvailable, false);
+    assert.deepEqual(sent(), []);
+  });
+  
+  it('retries a delivery the mail server turns away for now', async () => {
+    env.smtp.reject(1);
+    
+    const { delivery } = await check({ regular: 5 });
+    
+    assert.deepEqual(delivery, { sent: 1, retried: 1, failed: 0, expired: 0 });
+    assert.equal(env.smtp.messages.length, 1);
+    
+    const retry = await deliveryWorker.processDue(new Date(Date.now() + 60 * 1000));
+    
+    assert.equal(retry.sent, 1);
+    assert.deepEqual(sent().map(([to]) => to), [SMS, EMAIL]);
+  });
+  
+  it('gives up on a delivery the mail server refuses', async () => {
+    env.smtp.reject(1, '550 5.1.1 No such user');
+    
+    const { delivery } = await check({ regular: 5 });
+    
+    assert.deepEqual(delivery, { sent: 1, retried: 0, failed: 1, expired: 0 });
+    assert.equal(env.smtp.messages.length, 1);
+  });
+  
+  it('keeps alerts held for quiet hours across a restart', async () => {
+    const notifier = require('../src/services/notifier');
+    const { store } = require('../src/models/appointment');
+    const JsonStorage = require('../src/models/storage/json');
+    
+    configure({ TRACKER_QUIET_HOURS: '00:00-24:00' });
+    try {
+      const { delivery } = await check({ regular: 5 });
+      assert.equal(delivery.sent, 0);
+    } finally {
+      configure({ TRACKER_QUIET_HOURS: '' });
+    }
+    
+    // A new process reads the held alerts back from the data file
+    const reopened = new JsonStorage({ path: store.storage.path });
+    reopened.open();
+    assert.deepEqual(reopened.queryHeldAlerts().map(alert => [alert.type, alert.count]), [
+      ['regular', 5],
+      ['regular', 5]
+    ]);
+    
+    assert.equal(await notifier.flushQueued(type => store.getCurrentState(type)), 2);
+    const { sent: delivered } = await deliveryWorker.processDue();
+    
+    assert.equal(delivered, 2);
+    assert.deepEqual(sent().map(([to]) => to), [SMS, EMAIL]);
+    assert.equal(notifier.getQueuedCount(), 0);
+  });
+  
+  it('escapes scraped location fields in the legacy location list', () => {
+    const notifier = require('../src/services/notifier');
+    
+    const html = notifier._getLocationListHtml([{
+      id: 101,
+      name: 'Edison <img src=x onerror=alert(1)>',
+      count: 2,
+      url: 'https://example.com/?a=1&b="x"',
+      address: '1 Main St <script>'
+    }]);
+    
+    assert.doesNotMatch(html, /<img|<script/);
+    assert.match(html, /href="https:\/\/example\.com\/\?a=1&amp;b=&quot;x&quot;"/);
+    assert.match(html, /Edison &lt;img src=x onerror=alert\(1\)&gt;<\/a>: 2/);
+  });
+  
+  it('alerts again after flapping once re-arm and cooldown are off', async () => {
+    configure({ TRACKER_FLAP_REARM: '0', TRACKER_ALERT_COOLDOWN: '0' });
+    
+    await check({ regular: 5 });
+    await check({ regular: 0 });
+    const { result } = await check({ regular: 5 });
+    
+    assert.equal(result.becameAvailable, true);
+    assert.deepEqual(sent(), [
+      [SMS, 'REAL ID Appt'],
+      [SMS, 'REAL ID Appt'],
+      [EMAIL, 'REAL ID Appointment Available!'],
+      [EMAIL, 'REAL ID Appointment Available!']
+    ]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Recipient tests: service, agency and distance filters, per-recipient quiet
+ * hours, and which subscribers a check alerts
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup, fastBackoff } = require('./helpers/setup');
+
+const EDISON = { id: 101, name: 'EDISON - REAL ID', count: 3 };
+const RAHWAY = { id: 102, name: 'Rahway', count: 2 };
+const NEWARK = { id: 103, name: 'Newark', count: 4 };
+const VINELAND = { id: 104, name: 'Vineland', count: 1 };
+
+describe('recipients', () => {
+  let env;
+  let Recipient;
+  
+  before(async () => {
+    env = await setup({
+      TRACKER_EMAIL_RECIPIENT: '',
+      TRACKER_SMS_RECIPIENT: '',
+      TRACKER_RECIPIENTS: JSON.stringify([
+        { name: 'North', address: 'north@example.com', locations: ['Newark', 102] },
+        { name: 'Near', address: 'near@example.com', zip: '08820', maxDistance: 10 },
+        { name: 'Mobile', address: 'mobile@example.com', services: ['mobile'] },
+        { name: 'Everyone', address: 'all@example.com' }
+      ])
+    });
+    ({ Recipient } = require('../src/models/recipient'));
+  });
+  
+  after(() => env.close());
+  
+  describe('filters', () => {
+    it('matches agencies by name or location ID', () => {
+      const recipient = new Recipient({ address: 'you@example.com', locations: ['edison', 102] });
+      
+      assert.equal(recipient.matchesLocation(EDISON), true);
+      assert.equal(recipient.matchesLocation(RAHWAY), true);
+      assert.equal(recipient.matchesLocation(NEWARK), false);
+      // Whole words only
+      assert.equal(new Recipient({ address: 'you@example.com', locations: ['Edi'] }).matchesLocation(EDISON), false);
+    });
+    
+    it('matches locations within maxDistance of the home ZIP', () => {
+      const recipient = new Recipient({ address: 'you@example.com', zip: '08820', maxDistance: 20 });
+      
+      assert.deepEqual(recipient.filterLocations([EDISON, RAHWAY, NEWARK, VINELAND]), [EDISON, RAHWAY]);
+    });
+    
+    it('places unknown agencies by the ZIP in their address and keeps the ones it cannot place', () => {
+      const recipient = new Recipient({ address: 'you@example.com', zip: '08820', maxDistance: 10 });
+      
+      assert.equal(recipient.matchesLocation({ id: 201, name: 'New Agency', address: '1 Main St, Toms River, NJ 08753' }), false);
+      assert.equal(recipient.matchesLocation({ id: 202, name: 'New Agency', address: '1 Main St, Edison, NJ 08817' }), true);
+      assert.equal(recipient.matchesLocation({ id: 203, name: 'Mystery Agency' }), true);
+    });
+    
+    it('combines the agency list and the distance limit', () => {
+      const recipient = new Recipient({ address: 'you@example.com', locations: ['Vineland'], zip: '08820', maxDistance: 10 });
+      
+      assert.deepEqual(recipient.filterLocations([EDISON, RAHWAY, NEWARK, VINELAND]), [EDISON, VINELAND]);
+    });
+    
+    it('ignores a distance limit without a usable ZIP', () => {
+      assert.equal(new Recipient({ address: 'you@example.com', maxDistance: 10 }).hasLocationFilter(), false);
+      assert.equal(new Recipient({ address: 'you@example.com', zip: '90210', maxDistance: 10 }).hasLocationFilter(), false);
+      assert.equal(new Recipient({ address: 'you@example.com' }).filterLocations([EDISON, VINELAND]).length, 2);
+    });
+    
+    it('matches services by type or title', () => {
+      const recipient = new Recipient({ address: 'you@example.com', services: ['mobile', 'License Renewal'] });
+      
+      assert.equal(recipient.wantsService('mobile'), true);
+      assert.equal(recipient.wantsService('regular'), false);
+      assert.equal(recipient.wantsService('service-11', { title: 'LICENSE RENEWAL' }), true);
+      assert.equal(recipient.wantsService('service-12', { title: 'Knowledge Test' }), false);
+      assert.equal(new Recipient({ address: 'you@example.com' }).wantsService('service-12'), true);
+    });
+  });
+  
+  describe('quiet hours', () => {
+    it('reads quiet hours in the recipient time zone', () => {
+      const recipient = new Recipient({ address: 'you@example.com', quietHours: '22:00-07:00', timezone: 'America/Los_Angeles' });
+      
+      // 11 PM and 6 AM in Los Angeles, then noon
+      assert.equal(recipient.isQuiet(new Date('2026-03-03T07:00:00Z')), true);
+      assert.equal(recipient.isQuiet(new Date('2026-03-03T14:00:00Z')), true);
+      assert.equal(recipient.isQuiet(new Date('2026-03-03T20:00:00Z')), false);
+      assert.deepEqual(recipient.getQuietUntil(new Date('2026-03-03T07:00:00Z')), new Date('2026-03-03T15:00:00Z'));
+      assert.equal(recipient.getQuietUntil(new Date('2026-03-03T20:00:00Z')), null);
+    });
+    
+    it('falls back to TRACKER_QUIET_HOURS unless the recipient sets its own', () => {
+      const { config } = require('../src/utils/config');
+      const midnight = new Date('2026-03-03T05:00:00Z'); // Midnight in New York
+      
+      Object.assign(process.env, { TRACKER_QUIET_HOURS: '23:00-06:00' });
+      config.loadConfig();
+      try {
+        assert.equal(new Recipient({ address: 'you@example.com' }).isQuiet(midnight), true);
+        assert.equal(new Recipient({ address: 'you@example.com', quietHours: '' }).isQuiet(midnight), false);
+      } finally {
+        Object.assign(process.env, { TRACKER_QUIET_HOURS: '' });
+        config.loadConfig();
+      }
+    });
+    
+    it('ignores quiet hours it cannot read', () => {
+      const recipient = new Recipient({ address: 'you@example.com', quietHours: 'after dinner' });
+      
+      assert.deepEqual(recipient.getQuietWindows(), []);
+      assert.equal(recipient.isQuiet(), false);
+    });
+  });
+  
+  describe('alerts', () => {
+    let app;
+    let alertGate;
+    let deliveryWorker;
+    
+    /**
+     * Run one check and deliver what it queued
+     * @param {Object} state - Portal state ({ regular, mobile, locations })
+     * @returns {Promise<void>}
+     */
+    const check = async (state) => {
+      env.portal.set({ regular: 0, mobile: 0, locations: {}, ...state });
+      await app.runCheck();
+      await deliveryWorker.processDue();
+    };
+    
+    /**
+     * Get the emails one recipient received
+     * @param {string} address - Recipient address
+     * @returns {Array<Object>} - Messages ({ to, subject, body })
+     */
+    const inbox = (address) => env.smtp.messages.filter(message => message.to.includes(address));
+    
+    before(() => {
+      const App = require('../src/app');
+      alertGate = require('../src/services/alertGate');
+      deliveryWorker = require('../src/services/deliveryWorker');
+      fastBackoff(require('../src/services/scraper'));
+      fastBackoff(require('../src/services/notifier'));
+      app = new App();
+    });
+    
+    beforeEach(async () => {
+      alertGate.locations.clear();
+      alertGate.cooldowns.clear();
+      env.portal.reset();
+      await check({});
+      env.smtp.clear();
+    });
+    
+    it('alerts only the subscribers whose filters match, with their own locations', async () => {
+      await check({ regular: 7, locations: { regular: [EDISON, NEWARK] } });
+      
+      assert.equal(inbox('mobile@example.com').length, 0);
+      
+      const [north] = inbox('north@example.com');
+      assert.match(north.body, /Newark/);
+      assert.doesNotMatch(north.body, /EDISON/);
+      
+      const [near] = inbox('near@example.com');
+      assert.match(near.body, /EDISON/);
+      assert.doesNotMatch(near.body, /Newark/);
+      
+      const [all] = inbox('all@example.com');
+      assert.match(all.body, /EDISON/);
+      assert.match(all.body, /Newark/);
+    });
+    
+    it('skips subscribers when no location they follow has slots', async () => {
+      await check({ regular: 1, locations: { regular: [VINELAND] } });
+      
+      assert.deepEqual(env.smtp.messages.map(message => message.to[0]), ['all@example.com']);
+    });
+    
+    it('alerts service subscribers for the services they chose', async () => {
+      await check({ mobile: 2, locations: { mobile: [RAHWAY] } });
+      
+      assert.deepEqual(env.smtp.messages.map(message => message.to[0]).sort(), [
+        'all@example.com',
+        'mobile@example.com',
+        'north@example.com'
+      ]);
+    });
+  });
+});
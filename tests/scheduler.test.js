@@ -0,0 +1,305 @@
+/**
+ * Scheduler tests: adaptive runs on fake timers, runs started outside the
+ * schedule, outcomes reported while a run is in progress, adaptive
+ * intervals, active hours and the time windows behind them
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup } = require('./helpers/setup');
+
+const MINUTE = 60 * 1000;
+
+describe('scheduler', () => {
+  let env;
+  let scheduler;
+  let config;
+  let timeWindows;
+  
+  /**
+   * Let pending promise callbacks run
+   * @returns {Promise<void>}
+   */
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  
+  /**
+   * Build a task whose runs finish only when told to
+   * @returns {Object} - { task, runs, finish } where finish() ends the oldest open run
+   */
+  const controlledTask = () => {
+    const open = [];
+    const control = {
+      runs: 0,
+      task: () => new Promise(resolve => {
+        control.runs++;
+        open.push(resolve);
+      }),
+      finish: (outcome = {}) => open.shift()(outcome)
+    };
+    return control;
+  };
+  
+  /**
+   * Schedule an adaptive job with a fixed 5 minute interval
+   * @param {Function} task - Task to run
+   */
+  const scheduleEveryFiveMinutes = (task) => {
+    scheduler.scheduleAdaptive('check', {
+      baseInterval: 5,
+      minInterval: 1,
+      maxInterval: 60,
+      burstInterval: 1,
+      burstDuration: 0,
+      timezone: 'America/New_York'
+    }, task);
+  };
+  
+  before(async () => {
+    env = await setup();
+    scheduler = require('../src/services/scheduler');
+    ({ config } = require('../src/utils/config'));
+    timeWindows = require('../src/utils/timeWindows');
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-03-02T15:00:00Z') });
+  });
+  
+  afterEach(() => {
+    scheduler.cancel('check');
+    mock.timers.reset();
+  });
+  
+  it('runs an adaptive job once per interval', async () => {
+    const control = controlledTask();
+    scheduleEveryFiveMinutes(control.task);
+    
+    mock.timers.tick(5 * MINUTE);
+    assert.equal(control.runs, 1);
+    control.finish();
+    await settle();
+    
+    mock.timers.tick(5 * MINUTE);
+    assert.equal(control.runs, 2);
+    assert.equal(scheduler.getStatus().currentInterval, 5);
+  });
+  
+  it('does not start a second run while a run started outside the schedule is in progress', async () => {
+    const control = controlledTask();
+    scheduleEveryFiveMinutes(control.task);
+    
+    const initial = scheduler.executeNow('check');
+    mock.timers.tick(5 * MINUTE);
+    assert.equal(control.runs, 1);
+    
+    control.finish();
+    assert.equal(await initial, true);
+    
+    // One timer chain from here on: one run per interval
+    for (let run = 2; run <= 4; run++) {
+      mock.timers.tick(5 * MINUTE);
+      assert.equal(control.runs, run);
+      control.finish();
+      await settle();
+    }
+  });
+  
+  it('applies a reported outcome without arming a second timer during a run', async () => {
+    const control = controlledTask();
+    scheduleEveryFiveMinutes(control.task);
+    
+    mock.timers.tick(5 * MINUTE);
+    assert.equal(control.runs, 1);
+    
+    scheduler.reportOutcome('check', { failed: true });
+    control.finish({ failed: true });
+    await settle();
+    
+    // Two failures in a row double the interval
+    assert.equal(scheduler.getStatus().currentInterval, 10);
+    mock.timers.tick(10 * MINUTE);
+    assert.equal(control.runs, 2);
+    control.finish();
+    await settle();
+    
+    mock.timers.tick(5 * MINUTE);
+    assert.equal(control.runs, 3);
+  });
+  
+  describe('adaptive intervals', () => {
+    const OPTIONS = {
+      baseInterval: 5,
+      minInterval: 1,
+      maxInterval: 60,
+      hotWindows: 'Mon-Fri 07:00-10:00',
+      hotInterval: 2,
+      burstInterval: 1,
+      burstDuration: 10,
+      nightWindows: '22:00-06:00',
+      nightInterval: 30,
+      timezone: 'America/New_York'
+    };
+    
+    /**
+     * Schedule the adaptive job with OPTIONS and get it
+     * @param {Object} [overrides={}] - Options to change
+     * @returns {Object} - Adaptive job
+     */
+    const scheduleJob = (overrides = {}) => {
+      scheduler.scheduleAdaptive('check', { ...OPTIONS, ...overrides }, async () => ({}));
+      return scheduler.jobs.get('check');
+    };
+    
+    /**
+     * Get the interval for a time in New York
+     * @param {Object} job - Adaptive job
+     * @param {string} iso - UTC time
+     * @returns {Array} - [minutes, reason]
+     */
+    const intervalAt = (job, iso) => {
+      const { minutes, reason } = scheduler.getAdaptiveInterval(job, new Date(iso));
+      return [minutes, reason];
+    };
+    
+    it('checks faster in hot windows and slower at night', () => {
+      const job = scheduleJob();
+      
+      assert.deepEqual(intervalAt(job, '2026-03-02T13:00:00Z'), [2, 'hot window']); // Monday 8 AM
+      assert.deepEqual(intervalAt(job, '2026-03-07T13:00:00Z'), [5, 'base interval']); // Saturday 8 AM
+      assert.deepEqual(intervalAt(job, '2026-03-03T04:00:00Z'), [30, 'night']); // Monday 11 PM
+      assert.deepEqual(intervalAt(job, '2026-03-02T18:00:00Z'), [5, 'base interval']); // Monday 1 PM
+    });
+    
+    it('bursts when availability appears, until the burst runs out', () => {
+      const job = scheduleJob();
+      
+      scheduler.reportOutcome('check', { availabilityAppeared: true });
+      assert.equal(scheduler.getStatus().currentInterval, 1);
+      assert.equal(scheduler.getStatus().intervalReason, 'availability burst');
+      
+      mock.timers.tick(11 * MINUTE);
+      assert.deepEqual(scheduler.getAdaptiveInterval(job), { minutes: 5, reason: 'base interval' });
+    });
+    
+    it('backs off after repeated failures, within the bounds', () => {
+      const job = scheduleJob();
+      const failures = count => {
+        job.consecutiveFailures = count;
+        return scheduler.getAdaptiveInterval(job, new Date('2026-03-02T18:00:00Z')).minutes;
+      };
+      
+      assert.deepEqual([1, 2, 3, 4, 10].map(failures), [5, 10, 20, 40, 60]);
+      
+      const fast = scheduleJob({ hotInterval: 0.5 });
+      assert.equal(scheduler.getAdaptiveInterval(fast, new Date('2026-03-02T13:00:00Z')).minutes, 1);
+    });
+  });
+  
+  describe('active hours', () => {
+    /**
+     * Change TRACKER_ACTIVE_HOURS for one test
+     * @param {string} hours - Active hours
+     */
+    const setActiveHours = (hours) => {
+      process.env.TRACKER_ACTIVE_HOURS = hours;
+      config.loadConfig();
+    };
+    
+    afterEach(() => setActiveHours(''));
+    
+    it('always runs without active hours', () => {
+      assert.equal(scheduler.isActiveTime(new Date('2026-03-08T07:00:00Z')), true);
+    });
+    
+    it('runs only inside active hours in TRACKER_TIMEZONE', () => {
+      setActiveHours('Mon-Fri 08:00-18:00');
+      
+      assert.equal(scheduler.isActiveTime(new Date('2026-03-02T13:00:00Z')), true); // Monday 8 AM
+      assert.equal(scheduler.isActiveTime(new Date('2026-03-02T12:59:00Z')), false); // Monday 7:59 AM
+      assert.equal(scheduler.isActiveTime(new Date('2026-03-02T23:00:00Z')), false); // Monday 6 PM
+      assert.equal(scheduler.isActiveTime(new Date('2026-03-07T15:00:00Z')), false); // Saturday 10 AM
+    });
+    
+    it('holds an adaptive run until active hours start again', () => {
+      setActiveHours('Mon-Fri 08:00-18:00');
+      mock.timers.setTime(Date.parse('2026-03-06T22:58:00Z')); // Friday 5:58 PM
+      
+      const control = controlledTask();
+      scheduleEveryFiveMinutes(control.task);
+      
+      // Monday 8 AM, after the clocks went forward on Sunday
+      const monday = Date.parse('2026-03-09T12:00:00Z');
+      assert.equal(scheduler.getStatus().nextCheckTime.getTime(), monday);
+      assert.equal(scheduler.getStatus().intervalReason, 'waiting for active hours');
+      
+      mock.timers.tick(monday - Date.now() - 1);
+      assert.equal(control.runs, 0);
+      mock.timers.tick(1);
+      assert.equal(control.runs, 1);
+    });
+    
+    it('moves the next cron run into active hours', () => {
+      setActiveHours('Mon-Fri 08:00-18:00');
+      mock.timers.setTime(Date.parse('2026-03-06T22:55:00Z')); // Friday 5:55 PM
+      
+      assert.equal(scheduler._calculateNextCheckTime('*/10 * * * *').toISOString(), '2026-03-09T12:00:00.000Z');
+    });
+  });
+  
+  describe('time windows', () => {
+    const TIME_ZONE = 'America/New_York';
+    
+    it('parses days, ranges and overnight windows', () => {
+      assert.deepEqual(timeWindows.parseWindows('Mon-Fri 07:00-10:00; Sat,Sun 08:00-09:30; 22:00-06:00'), [
+        { days: [1, 2, 3, 4, 5], start: 420, end: 600 },
+        { days: [6, 0], start: 480, end: 570 },
+        { days: [0, 1, 2, 3, 4, 5, 6], start: 1320, end: 360 }
+      ]);
+      assert.deepEqual(timeWindows.parseDays('Fri-Mon'), [5, 6, 0, 1]);
+      assert.deepEqual(timeWindows.parseWindows(''), []);
+    });
+    
+    it('rejects windows it cannot read', () => {
+      assert.throws(() => timeWindows.parseWindows('weekdays'), /Invalid time window "weekdays"/);
+      assert.throws(() => timeWindows.parseWindows('Mon 25:00-26:00'), /Invalid time "25:00"/);
+      assert.throws(() => timeWindows.parseWindows('Funday 07:00-08:00'), /Invalid day range "Funday"/);
+    });
+    
+    it('gives the early part of an overnight window to the day it started', () => {
+      const windows = timeWindows.parseWindows('Fri 22:00-06:00');
+      
+      assert.equal(timeWindows.isWithinWindows(new Date('2026-03-07T04:00:00Z'), windows, TIME_ZONE), true); // Friday 11 PM
+      assert.equal(timeWindows.isWithinWindows(new Date('2026-03-07T10:00:00Z'), windows, TIME_ZONE), true); // Saturday 5 AM
+      assert.equal(timeWindows.isWithinWindows(new Date('2026-03-07T11:00:00Z'), windows, TIME_ZONE), false); // Saturday 6 AM
+      assert.equal(timeWindows.isWithinWindows(new Date('2026-03-06T10:00:00Z'), windows, TIME_ZONE), false); // Friday 5 AM
+    });
+    
+    it('finds where windows start and end', () => {
+      const windows = timeWindows.parseWindows('Mon-Fri 08:00-18:00');
+      const saturday = new Date('2026-03-07T15:00:00Z');
+      const monday = new Date('2026-03-02T15:00:00Z');
+      
+      assert.equal(timeWindows.nextWindowStart(saturday, windows, TIME_ZONE).toISOString(), '2026-03-09T12:00:00.000Z');
+      assert.equal(timeWindows.nextWindowStart(monday, windows, TIME_ZONE), monday);
+      assert.equal(timeWindows.nextWindowEnd(monday, windows, TIME_ZONE).toISOString(), '2026-03-02T23:00:00.000Z');
+      assert.equal(timeWindows.nextWindowEnd(saturday, windows, TIME_ZONE), null);
+      assert.equal(timeWindows.nextWindowStart(saturday, [], TIME_ZONE), null);
+    });
+    
+    it('reads local times across daylight saving changes', () => {
+      assert.deepEqual(timeWindows.getZonedTime(new Date('2026-03-08T06:59:00Z'), TIME_ZONE), { day: 0, hour: 1, minutes: 119 });
+      assert.deepEqual(timeWindows.getZonedTime(new Date('2026-03-08T07:00:00Z'), TIME_ZONE), { day: 0, hour: 3, minutes: 180 });
+      assert.equal(
+        timeWindows.zonedTimeToDate({ year: 2026, month: 11, day: 3, hour: 9, minute: 0 }, TIME_ZONE).toISOString(),
+        '2026-11-03T14:00:00.000Z'
+      );
+      assert.equal(
+        timeWindows.zonedTimeToDate({ year: 2026, month: 7, day: 1, hour: 9, minute: 0 }, TIME_ZONE).toISOString(),
+        '2026-07-01T13:00:00.000Z'
+      );
+    });
+  });
+});
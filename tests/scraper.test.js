@@ -0,0 +1,228 @@
+/**
+ * Scraper tests against the mock portal: parsing of the card and location
+ * pages, layout changes, retries on server errors and timeouts
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { setup, fastBackoff } = require('./helpers/setup');
+const { SITES, RENEWAL } = require('./helpers/mockPortal');
+
+describe('scraper', () => {
+  let env;
+  let scraper;
+  
+  /**
+   * List the debug captures saved so far
+   * @returns {Array<string>} - File names in debug/
+   */
+  const captures = () => fs.readdirSync(path.join(env.dir, 'debug'));
+  
+  before(async () => {
+    env = await setup();
+    scraper = require('../src/services/scraper');
+    fastBackoff(scraper);
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    env.portal.reset();
+    fs.rmSync(path.join(env.dir, 'debug'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(env.dir, 'debug'));
+  });
+  
+  describe('card pages', () => {
+    it('reads the REAL ID counts from both sites', async () => {
+      env.portal.set({ regular: 5, mobile: 2 });
+      
+      assert.equal(await scraper.checkAppointments('regular'), 5);
+      assert.equal(await scraper.checkAppointments('mobile'), 2);
+      assert.deepEqual(captures(), []);
+    });
+    
+    it('reads a count of zero', async () => {
+      assert.equal(await scraper.checkAppointments('regular'), 0);
+    });
+    
+    it('falls back to the secondary selectors when the layout changes', async () => {
+      env.portal.set({ regular: 4, mobile: 1, layout: 'changed' });
+      
+      assert.equal(await scraper.checkAppointments('regular'), 4);
+      assert.equal(await scraper.checkAppointments('mobile'), 1);
+      assert.ok(captures().some(file => file.startsWith('regular-structure-change-')));
+    });
+    
+    it('returns -1 and keeps the page when no card can be found', async () => {
+      env.portal.set({ regular: 3, layout: 'broken' });
+      
+      assert.equal(await scraper.checkAppointments('regular'), -1);
+      assert.ok(captures().some(file => file.startsWith('regular-parse-failed-')));
+    });
+    
+    it('rejects unknown site types', async () => {
+      await assert.rejects(() => scraper.checkAppointments('express'), /Invalid site type/);
+    });
+  });
+  
+  describe('location drilldown', () => {
+    it('follows the card to the location list when appointments are available', async () => {
+      env.portal.set({
+        regular: 5,
+        locations: {
+          regular: [
+            { id: 101, name: 'Edison', count: 3 },
+            { id: 102, name: 'Rahway', count: 2 },
+            { id: 103, name: 'Newark', count: 0 }
+          ]
+        }
+      });
+      
+      const result = await scraper.checkAppointmentDetails('regular');
+      
+      assert.equal(result.count, 5);
+      assert.equal(result.error, null);
+      assert.equal(result.locationsUrl, env.portal.urls.regularLocations);
+      assert.deepEqual(
+        result.locations.map(location => [location.name, location.count]),
+        [['Edison', 3], ['Rahway', 2], ['Newark', 0]]
+      );
+      assert.ok(result.locations[0].nextAvailable);
+    });
+    
+    it('reads next available times in TRACKER_TIMEZONE, not the server zone', () => {
+      const winter = scraper._parseSlotText('3 Appointments Available <br/> Next Available: 11/03/2026 09:00 AM');
+      const summer = scraper._parseSlotText('1 Appointment Available <br/> Next Available: 05/06/2025 12:20 PM');
+      
+      assert.equal(winter.count, 3);
+      assert.equal(winter.nextAvailable, '2026-11-03T14:00:00.000Z');
+      assert.equal(winter.nextAvailableText, '11/03/2026 09:00 AM');
+      assert.equal(summer.nextAvailable, '2025-05-06T16:20:00.000Z');
+      assert.equal(scraper._parseSlotText('Next Available: 13/45/2026').nextAvailable, null);
+    });
+    
+    it('skips the location list when nothing is available', async () => {
+      const result = await scraper.checkAppointmentDetails('regular');
+      
+      assert.equal(result.count, 0);
+      assert.deepEqual(result.locations, []);
+      assert.deepEqual(env.portal.requests, [SITES.regular.path]);
+    });
+    
+    it('keeps the total when the location list fails', async () => {
+      env.portal.set({ regular: 5 });
+      env.portal.fail(3, { status: 500, path: `${SITES.regular.path}/${SITES.regular.wizardId}` });
+      
+      const result = await scraper.checkAppointmentDetails('regular');
+      
+      assert.equal(result.count, 5);
+      assert.deepEqual(result.locations, []);
+      assert.match(result.error, /after 2 retries/);
+    });
+  });
+  
+  describe('service catalog', () => {
+    it('lists every card on both sites', async () => {
+      env.portal.set({ regular: 5, mobile: 1 });
+      
+      const services = await scraper.getServiceCatalog();
+      
+      assert.deepEqual(
+        services.map(service => [service.site, service.id, service.title, service.count]),
+        [
+          ['regular', '12', 'REAL ID', 5],
+          ['regular', String(RENEWAL.wizardId), RENEWAL.title, RENEWAL.count],
+          ['mobile', '265', 'REAL ID - MOBILE', 1]
+        ]
+      );
+      assert.equal(services[0].category, 'Driver License Services');
+      assert.equal(services[0].url, env.portal.urls.regularLocations);
+    });
+    
+    it('serves the known catalog without scraping again until a refresh', async () => {
+      const App = require('../src/app');
+      const app = new App();
+      env.portal.set({ regular: 5, mobile: 1 });
+      
+      const first = await app.getServiceCatalog();
+      env.portal.requests = [];
+      const cached = await app.getServiceCatalog();
+      
+      assert.deepEqual(env.portal.requests, []);
+      assert.deepEqual(cached, first);
+      assert.deepEqual(cached.services.map(service => service.id), ['265', String(RENEWAL.wizardId), '12']);
+      assert.ok(cached.updatedAt);
+      
+      await app.getServiceCatalog({ refresh: true });
+      assert.ok(env.portal.requests.length > 0);
+    });
+  });
+  
+  describe('retries', () => {
+    it('retries server errors and succeeds', async () => {
+      env.portal.set({ regular: 6 });
+      env.portal.fail(2, { status: 503 });
+      
+      assert.equal(await scraper.checkAppointments('regular'), 6);
+      assert.equal(env.portal.requests.length, 3);
+      // Both error pages are identical, so they share one capture
+      assert.equal(captures().filter(file => file.startsWith('regular-error-503-')).length, 1);
+    });
+    
+    it('gives up after TRACKER_MAX_RETRIES', async () => {
+      env.portal.set({ regular: 6 });
+      env.portal.fail(3, { status: 502 });
+      
+      assert.equal(await scraper.checkAppointments('regular'), -1);
+      assert.equal(env.portal.requests.length, 3);
+    });
+    
+    it('retries requests that time out', async () => {
+      env.portal.set({ mobile: 2 });
+      env.portal.fail(1, { delay: 2000 });
+      
+      assert.equal(await scraper.checkAppointments('mobile'), 2);
+      assert.equal(env.portal.requests.length, 2);
+    });
+    
+    it('reports the timeout when every attempt times out', async () => {
+      env.portal.fail(3, { delay: 2000 });
+      
+      const result = await scraper.checkAppointmentDetails('mobile');
+      
+      assert.equal(result.count, -1);
+      assert.match(result.error, /Failed to fetch mobile site after 2 retries: timeout/);
+    });
+    
+    it('does not retry replayed errors', async () => {
+      const replay = require('../src/services/replay');
+      const { config } = require('../src/utils/config');
+      const dir = path.join(env.dir, 'replay');
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'replay.json'), JSON.stringify({ steps: [{ regular: { status: 503 } }] }));
+      
+      process.env.TRACKER_REPLAY_DIR = dir;
+      config.loadConfig();
+      try {
+        const started = Date.now();
+        assert.equal(await scraper.checkAppointments('regular'), -1);
+        assert.equal(replay.served, 1);
+        assert.ok(Date.now() - started < 1000);
+        assert.equal(env.portal.requests.length, 0);
+      } finally {
+        delete process.env.TRACKER_REPLAY_DIR;
+        config.loadConfig();
+      }
+    });
+    
+    it('does not retry when the page parses but has no card', async () => {
+      env.portal.set({ layout: 'broken' });
+      
+      assert.equal(await scraper.checkAppointments('mobile'), -1);
+      assert.equal(env.portal.requests.length, 1);
+    });
+  });
+});
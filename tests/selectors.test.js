@@ -0,0 +1,194 @@
+/**
+ * Selector definition tests: schema validation, YAML files, hot reloading
+ * and the selector test used by the CLI
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { setup } = require('./helpers/setup');
+
+describe('selector definitions', () => {
+  let env;
+  let config;
+  let schema;
+  let selectors;
+  let scraper;
+  let bundled;
+  let writes = 0;
+  
+  /**
+   * Write a definition file with a new modification time, so a reload is
+   * noticed even within the file system's timestamp resolution
+   * @param {string} name - File name in the test directory
+   * @param {string|Object} content - File text, or definitions to write as JSON
+   * @returns {string} - File path
+   */
+  const writeDefinitions = (name, content) => {
+    const file = path.join(env.dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    
+    writes++;
+    const stamp = new Date(Date.now() + writes * 10000);
+    fs.utimesSync(file, stamp, stamp);
+    return file;
+  };
+  
+  /**
+   * Point TRACKER_SELECTORS_FILE at a file
+   * @param {string} file - Definition file ('' for the bundled one)
+   */
+  const useFile = (file) => {
+    process.env.TRACKER_SELECTORS_FILE = file;
+    config.loadConfig();
+  };
+  
+  before(async () => {
+    env = await setup();
+    ({ config } = require('../src/utils/config'));
+    schema = require('../src/utils/selectorSchema');
+    selectors = require('../src/services/selectors');
+    scraper = require('../src/services/scraper');
+    bundled = JSON.parse(fs.readFileSync(schema.BUNDLED_FILE, 'utf8'));
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    env.portal.reset();
+    useFile('');
+  });
+  
+  describe('schema', () => {
+    it('accepts the bundled definitions', () => {
+      assert.deepEqual(schema.validateSelectors(bundled), []);
+    });
+    
+    it('reports every problem with its location', () => {
+      const broken = JSON.parse(JSON.stringify(bundled));
+      broken.schema = 2;
+      delete broken.strategies.regular[0].countSelector;
+      broken.strategies.regular[1].titleSelctor = '.card h3';
+      broken.strategies.mobile[0].titleSelector = 'span[';
+      broken.catalog = null;
+      
+      const errors = schema.validateSelectors(broken);
+      
+      assert.deepEqual(errors.map(error => error.split(' ')[0]), [
+        'schema',
+        'strategies.regular[0].countSelector',
+        'strategies.regular[1].titleSelctor',
+        'strategies.mobile[0].titleSelector',
+        'catalog'
+      ]);
+      assert.match(errors[3], /not a valid CSS selector/);
+    });
+    
+    it('requires strategies for both site types', () => {
+      const errors = schema.validateSelectors({ ...bundled, strategies: { regular: bundled.strategies.regular } });
+      
+      assert.deepEqual(errors, ['strategies.mobile must be a non-empty list']);
+    });
+    
+    it('refuses an invalid TRACKER_SELECTORS_FILE at startup', () => {
+      const file = writeDefinitions('invalid.json', { ...bundled, version: null });
+      
+      assert.throws(() => useFile(file), /Invalid configuration/);
+      useFile('');
+    });
+  });
+  
+  describe('loading', () => {
+    it('reads YAML files', async () => {
+      const file = writeDefinitions('selectors.yaml', `
+schema: 1
+version: yaml-1
+strategies:
+  regular:
+    - name: Redesign
+      titleSelector: .card-body h3
+      titleText: REAL ID
+      countSelector: .appointment-count
+  mobile:
+    - name: Redesign
+      titleSelector: .card-body h3
+      titleText: REAL ID - MOBILE
+      countSelector: .appointment-count
+catalog:
+  cardSelector: .card
+  titleSelector: h3
+  countSelector: .appointment-count
+  containerSelector: '#mainContent'
+  categoryAttribute: data-type
+`);
+      useFile(file);
+      env.portal.set({ regular: 4, layout: 'changed' });
+      
+      assert.equal(selectors.getStatus().version, 'yaml-1');
+      assert.equal(await scraper.checkAppointments('regular'), 4);
+    });
+    
+    it('picks up changes to the file without a restart', async () => {
+      const file = writeDefinitions('live.json', { ...bundled, version: 'live-1' });
+      useFile(file);
+      env.portal.set({ regular: 3, layout: 'changed' });
+      
+      const before = scraper.explainPage(await (await fetch(env.portal.urls.regular)).text(), 'regular', env.portal.urls.regular);
+      assert.equal(before.types[0].strategy, 'Fallback Strategy');
+      
+      // Only the new layout's selectors are left after the edit
+      writeDefinitions('live.json', {
+        ...bundled,
+        version: 'live-2',
+        strategies: {
+          regular: [{ name: 'Card Heading', titleSelector: '.card h3', titleText: 'REAL ID', countSelector: '.appointment-count' }],
+          mobile: bundled.strategies.mobile
+        }
+      });
+      
+      const after = scraper.explainPage(await (await fetch(env.portal.urls.regular)).text(), 'regular', env.portal.urls.regular);
+      assert.equal(after.selectors.version, 'live-2');
+      assert.equal(after.types[0].strategy, 'Card Heading');
+      assert.equal(after.types[0].count, 3);
+    });
+    
+    it('keeps the last good definitions when an edit is broken', async () => {
+      const file = writeDefinitions('edited.json', { ...bundled, version: 'good' });
+      useFile(file);
+      assert.equal(selectors.getStatus().version, 'good');
+      
+      writeDefinitions('edited.json', '{ "schema": 1, ');
+      env.portal.set({ regular: 2 });
+      
+      assert.equal(await scraper.checkAppointments('regular'), 2);
+      const status = selectors.getStatus();
+      assert.equal(status.version, 'good');
+      assert.match(status.error, /Cannot parse/);
+      
+      writeDefinitions('edited.json', { ...bundled, version: 'fixed' });
+      assert.deepEqual([selectors.getStatus().version, selectors.getStatus().error], ['fixed', null]);
+    });
+  });
+  
+  describe('selector test', () => {
+    it('shows which strategy read each REAL ID card and every service card', async () => {
+      const App = require('../src/app');
+      env.portal.set({ mobile: 9, layout: 'changed' });
+      const file = path.join(env.dir, 'mobile-structure-change.html');
+      fs.writeFileSync(file, await (await fetch(env.portal.urls.mobile)).text());
+      
+      const result = new App().testSelectors(file);
+      
+      assert.equal(result.site, 'mobile');
+      assert.equal(result.structureChanged, true);
+      assert.deepEqual(result.types.map(item => [item.type, item.strategy, item.count]), [
+        ['regular', null, -1],
+        ['mobile', 'Fallback Strategy', 9]
+      ]);
+      // The bundled catalog selectors only know the old layout
+      assert.deepEqual(result.cards, []);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Site change tests: page fingerprints and diffs, known-good pages, captures
+ * and the admin alert
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { setup } = require('./helpers/setup');
+
+describe('site changes', () => {
+  let env;
+  let app;
+  let fingerprint;
+  let selectors;
+  let siteMonitor;
+  let deliveryWorker;
+  
+  const ADMIN = 'ops@example.com';
+  
+  /**
+   * Fingerprint the regular card page as the portal serves it now
+   * @returns {Promise<Object>} - Fingerprint
+   */
+  const fingerprintRegular = async () => fingerprint.takeFingerprint(
+    await (await fetch(env.portal.urls.regular)).text(),
+    { catalog: selectors.getCatalog(), strategies: selectors.getStrategies('regular') }
+  );
+  
+  /**
+   * Run one check with the given portal state and deliver what it queued
+   * @param {Object} state - Portal state ({ regular, mobile, layout })
+   * @returns {Promise<Object>} - Check result
+   */
+  const check = async (state) => {
+    env.portal.set({ regular: 0, mobile: 0, layout: 'standard', ...state });
+    const result = await app.runCheck();
+    await deliveryWorker.processDue();
+    return result;
+  };
+  
+  /**
+   * List the structure-change captures in debug/
+   * @returns {Array<string>} - File names
+   */
+  const captures = () => fs.readdirSync(path.join(env.dir, 'debug'))
+    .filter(file => file.includes('structure-change'))
+    .sort();
+  
+  before(async () => {
+    env = await setup({ TRACKER_ADMIN_RECIPIENTS: ADMIN });
+    
+    const App = require('../src/app');
+    fingerprint = require('../src/utils/fingerprint');
+    selectors = require('../src/services/selectors');
+    siteMonitor = require('../src/services/siteMonitor');
+    deliveryWorker = require('../src/services/deliveryWorker');
+    
+    app = new App();
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    env.portal.reset();
+    env.smtp.clear();
+  });
+  
+  describe('fingerprints', () => {
+    it('ignore appointment counts', async () => {
+      env.portal.set({ regular: 0 });
+      const empty = await fingerprintRegular();
+      env.portal.set({ regular: 12 });
+      const busy = await fingerprintRegular();
+      
+      assert.equal(empty.hash, busy.hash);
+      assert.deepEqual(empty.cards, ['REAL ID', 'RENEWAL: LICENSE OR NON-DRIVER ID']);
+      assert.ok(empty.paths.includes('body > div#mainContent'));
+    });
+    
+    it('diff the DOM paths of a redesigned page', async () => {
+      const standard = await fingerprintRegular();
+      env.portal.set({ layout: 'changed' });
+      const changed = await fingerprintRegular();
+      
+      const diff = fingerprint.diffFingerprints(standard, changed);
+      
+      assert.equal(diff.changed, true);
+      assert.equal(diff.title, null);
+      // The fallback strategy still finds the same card titles
+      assert.deepEqual(diff.cards, { added: [], removed: [] });
+      assert.deepEqual(diff.paths.added, [
+        'body > div#mainContent > div.card > div.card-body > h3',
+        'body > div#mainContent > div.card > div.card-body > span.appointment-count'
+      ]);
+      assert.ok(diff.paths.removed.includes('body > div#mainContent > div.cardContainer.cards'));
+      assert.match(fingerprint.summarizeDiff(diff), /^2 DOM paths added, \d+ DOM paths removed$/);
+    });
+    
+    it('record titles and form fields', () => {
+      const catalog = selectors.getCatalog();
+      const take = (html) => fingerprint.takeFingerprint(html, { catalog });
+      const before = take('<html><head><title>Old</title></head><body><form id="search"><input name="q"></form></body></html>');
+      const after = take(`<html><head><title>New</title></head><body>
+        <form id="search"><input name="q"><select name="county"></select><input type="hidden" name="token"></form>
+      </body></html>`);
+      
+      const text = fingerprint.formatDiff(fingerprint.diffFingerprints(before, after));
+      
+      assert.equal(text, [
+        'Page title changed: "Old" -> "New"',
+        'Form fields added (2):',
+        '  + form#search input[type=hidden][name=token]',
+        '  + form#search select[name=county]'
+      ].join('\n'));
+    });
+  });
+  
+  describe('monitoring', () => {
+    it('alerts the admins once when a redesign still reads', async () => {
+      await check({ regular: 3 });
+      assert.equal(siteMonitor.getBaseline('regular').url, env.portal.urls.regular);
+      assert.deepEqual(env.smtp.messages.filter(message => message.to.includes(ADMIN)), []);
+      
+      const capturesBefore = captures().length;
+      env.smtp.clear();
+      const result = await check({ regular: 3, layout: 'changed' });
+      
+      assert.equal(result.regular, 3);
+      const alerts = env.smtp.messages.filter(message => message.to.includes(ADMIN));
+      assert.deepEqual(alerts.map(message => message.subject).sort(), [
+        'NJMVC site changed: Mobile Unit',
+        'NJMVC site changed: Regular DMV'
+      ]);
+      const regular = alerts.find(message => message.subject.endsWith('Regular DMV'));
+      assert.match(regular.body, /still reads the REAL ID count/);
+      assert.match(regular.body, /\+ body > div#mainContent > div\.card > div\.card-body > h3/);
+      // Appointment recipients only hear about appointments
+      assert.ok(env.smtp.messages.every(message => message.to.includes(ADMIN) || !/site changed/i.test(message.subject)));
+      
+      // Each change is captured with its diff next to the page
+      const added = captures().slice(capturesBefore);
+      assert.deepEqual(added.map(file => file.replace(/-structure-change-[^.]*/, '')).sort(), [
+        'mobile.diff.txt', 'mobile.html', 'regular.diff.txt', 'regular.html'
+      ]);
+      const report = fs.readFileSync(path.join(env.dir, 'debug', added.find(file => file.startsWith('regular') && file.endsWith('.diff.txt'))), 'utf8');
+      assert.match(report, /^Site: regular\nURL: /);
+      assert.match(report, /DOM paths added \(2\):/);
+      
+      // The redesign is now the known-good page
+      env.smtp.clear();
+      await check({ regular: 5, layout: 'changed' });
+      assert.deepEqual(env.smtp.messages.filter(message => message.to.includes(ADMIN)), []);
+    });
+    
+    it('reports an unreadable page once and keeps the known-good fingerprint', async () => {
+      await check({ regular: 1 });
+      const known = siteMonitor.getBaseline('regular').fingerprint.hash;
+      env.smtp.clear();
+      
+      await check({ layout: 'broken' });
+      await check({ layout: 'broken' });
+      
+      const alerts = env.smtp.messages.filter(message => message.to.includes(ADMIN));
+      assert.deepEqual(alerts.map(message => message.subject).sort(), [
+        'NJMVC site changed: Mobile Unit (REAL ID count not read)',
+        'NJMVC site changed: Regular DMV (REAL ID count not read)'
+      ]);
+      assert.match(alerts[0].body, /cannot read the REAL ID count/);
+      assert.equal(siteMonitor.getBaseline('regular').fingerprint.hash, known);
+      assert.equal(app.getStatus().fingerprints.regular.changed, true);
+      
+      // Back to the known-good page
+      await check({ regular: 1 });
+      assert.equal(app.getStatus().fingerprints.regular.changed, false);
+    });
+    
+    it('goes on with the check when the alert cannot be sent', async (t) => {
+      await check({ regular: 1 });
+      const notifier = require('../src/services/notifier');
+      t.mock.method(notifier, 'sendSiteChanged', async () => {
+        throw new Error('Template failed to render');
+      });
+      
+      const result = await check({ regular: 2, mobile: 3, layout: 'changed' });
+      
+      assert.equal(notifier.sendSiteChanged.mock.callCount(), 2);
+      assert.equal(result.regular, 2);
+      assert.equal(result.mobile, 3);
+    });
+  });
+  
+  describe('templates', () => {
+    it('preview the site change alert', () => {
+      const [preview] = app.previewTemplates('siteChanged');
+      
+      assert.equal(preview.message.email.subject, 'NJMVC site changed: Regular DMV (REAL ID count not read)');
+      assert.match(preview.message.email.html, /<li>- body &gt; div#mainContent &gt; div\.cardContainer\.cards &gt; a\.cardButton\.overlay-card<\/li>/);
+      assert.ok(preview.message.sms.text.length <= 160);
+    });
+  });
+});
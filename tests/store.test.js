@@ -0,0 +1,229 @@
+/**
+ * Appointment store tests: state transitions, availability history and
+ * persistence
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { setup } = require('./helpers/setup');
+
+/**
+ * Check whether the optional SQLite driver is installed
+ * @returns {boolean} - True if better-sqlite3 loads
+ */
+function hasSqlite() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('appointment store', () => {
+  let env;
+  let AppointmentStore;
+  let store;
+  let dataDir;
+  
+  before(async () => {
+    env = await setup();
+    ({ AppointmentStore } = require('../src/models/appointment'));
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(env.dir, 'store-'));
+    store = new AppointmentStore({ dataDir });
+  });
+  
+  it('records the first check as a change without availability', () => {
+    const update = store.update('regular', 0);
+    
+    assert.equal(update.hasChanged, true);
+    assert.equal(update.becameAvailable, false);
+    assert.equal(update.previousCount, 0);
+    assert.deepEqual(store.getHistory('regular'), []);
+  });
+  
+  it('follows availability from 0 to N to M and back to 0', () => {
+    store.update('regular', 0);
+    
+    const opened = store.update('regular', 5);
+    assert.equal(opened.hasChanged, true);
+    assert.equal(opened.becameAvailable, true);
+    assert.equal(opened.previousCount, 0);
+    
+    const dropped = store.update('regular', 3);
+    assert.equal(dropped.hasChanged, true);
+    assert.equal(dropped.becameAvailable, false);
+    assert.equal(dropped.previousCount, 5);
+    
+    const same = store.update('regular', 3);
+    assert.equal(same.hasChanged, false);
+    
+    const closed = store.update('regular', 0);
+    assert.equal(closed.hasChanged, true);
+    assert.equal(closed.becameAvailable, false);
+    assert.equal(store.getLatest('regular').count, 0);
+    
+    // Only the 0 -> N transition is kept as history
+    assert.deepEqual(store.getHistory('regular').map(item => item.count), [5]);
+    
+    store.update('regular', 2);
+    assert.deepEqual(store.getHistory('regular').map(item => item.count), [2, 5]);
+  });
+  
+  it('treats a change of locations with the same total as a change', () => {
+    store.update('mobile', 4, [{ id: 101, name: 'Edison', count: 4 }]);
+    
+    const update = store.update('mobile', 4, [{ id: 102, name: 'Rahway', count: 4 }]);
+    
+    assert.equal(update.hasChanged, true);
+    assert.equal(update.becameAvailable, false);
+    assert.deepEqual(update.previousLocations.map(location => location.name), ['Edison']);
+    assert.deepEqual(update.locations.map(location => location.name), ['Rahway']);
+  });
+  
+  it('keeps types apart', () => {
+    store.update('regular', 5);
+    const update = store.update('mobile', 2);
+    
+    assert.equal(update.becameAvailable, true);
+    assert.equal(store.getLatest('regular').count, 5);
+    assert.equal(store.getLatest('mobile').count, 2);
+  });
+  
+  it('tracks catalog services under their own type', () => {
+    const update = store.update('service-11', 7, [], { label: 'RENEWAL' });
+    
+    assert.equal(update.becameAvailable, true);
+    assert.ok(store.getTypes().includes('service-11'));
+  });
+  
+  it('rejects unknown types', () => {
+    assert.throws(() => store.update('express', 1), /Invalid appointment type/);
+  });
+  
+  it('reloads state and history from storage', () => {
+    store.update('regular', 0);
+    store.update('regular', 6, [{ id: 101, name: 'Edison', count: 6 }]);
+    store.close();
+    
+    const reopened = new AppointmentStore({ dataDir });
+    
+    assert.equal(reopened.getLatest('regular').count, 6);
+    assert.deepEqual(reopened.getHistory('regular').map(item => item.count), [6]);
+    assert.equal(reopened.update('regular', 6, [{ id: 101, name: 'Edison', count: 6 }]).hasChanged, false);
+  });
+  
+  it('records successful and failed checks as observations', () => {
+    store.recordCheck({ type: 'regular', count: 5, locations: [{ id: 101, name: 'Edison', count: 5 }], duration: 12 });
+    store.recordCheck({ type: 'regular', count: -1, error: 'Status 503' });
+    
+    const totals = store.getObservations({ type: 'regular', location: 'total' });
+    
+    assert.deepEqual(totals.map(item => [item.count, item.success, item.error]), [
+      [5, true, null],
+      [null, false, 'Status 503']
+    ]);
+    assert.equal(store.getObservations({ type: 'regular', location: 'Edison' }).length, 1);
+  });
+  
+  it('closes a location window when the location drops out or the total goes to 0', () => {
+    const analytics = require('../src/services/analytics');
+    const edison = { id: 101, name: 'Edison', count: 3 };
+    const rahway = { id: 102, name: 'Rahway', count: 2 };
+    const check = (count, locations = []) => {
+      store.recordCheck({ type: 'regular', count, locations });
+      store.update('regular', count, locations);
+    };
+    
+    check(0);
+    check(5, [edison, rahway]);
+    check(2, [rahway]);
+    check(2, []); // List could not be read: nothing closes
+    check(0);
+    
+    const series = name => store.getObservations({ type: 'regular', location: name });
+    assert.deepEqual(series('Edison').map(item => item.count), [3, 0]);
+    assert.deepEqual(series('Rahway').map(item => item.count), [2, 2, 0]);
+    
+    const windows = analytics.buildWindows(series('Edison'));
+    assert.equal(windows.length, 1);
+    assert.equal(windows[0].peakCount, 3);
+    assert.ok(windows[0].closedAt);
+    assert.equal(analytics.summarizeWindows(analytics.buildWindows(series('Rahway'))).open, 0);
+  });
+  
+  it('appends observations to a log instead of rewriting the data file', () => {
+    store.update('regular', 5);
+    store.recordCheck({ type: 'regular', count: 5, locations: [{ id: 101, name: 'Edison', count: 5 }] });
+    const document = fs.readFileSync(path.join(dataDir, 'appointments.json'), 'utf8');
+    
+    store.recordCheck({ type: 'regular', count: 4 });
+    
+    assert.equal(fs.readFileSync(path.join(dataDir, 'appointments.json'), 'utf8'), document);
+    assert.equal(JSON.parse(document).observations, undefined);
+    const lines = fs.readFileSync(path.join(dataDir, 'appointments.observations.jsonl'), 'utf8').trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line).count), [5, 5, 4]);
+    
+    store.close();
+    const reopened = new AppointmentStore({ dataDir });
+    assert.deepEqual(reopened.getObservations({ location: 'total' }).map(item => item.count), [5, 4]);
+  });
+  
+  it('moves observations out of data files from older versions', () => {
+    const file = path.join(dataDir, 'appointments.json');
+    const observation = { timestamp: new Date().toISOString(), type: 'regular', location: null, locationId: null, count: 2, duration: 10, success: true, error: null };
+    fs.writeFileSync(file, JSON.stringify({ current: {}, history: {}, observations: [observation], deliveryAttempts: [] }));
+    
+    const reopened = new AppointmentStore({ dataDir });
+    
+    assert.deepEqual(reopened.getObservations().map(item => item.count), [2]);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).observations, undefined);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'appointments.observations.jsonl'), 'utf8'), `${JSON.stringify(observation)}\n`);
+  });
+  
+  it('imports a data file into SQLite once, even when forced again', { skip: !hasSqlite() && 'better-sqlite3 is not installed' }, () => {
+    const { JsonStorage, SqliteStorage } = require('../src/models/storage');
+    const now = new Date().toISOString();
+    
+    const json = new JsonStorage({ path: path.join(dataDir, 'appointments.json') });
+    json.open();
+    json.saveState({ current: {}, history: {} });
+    json.appendObservations([
+      { timestamp: now, type: 'regular', location: null, locationId: null, count: 5, duration: 10, success: true, error: null },
+      { timestamp: now, type: 'regular', location: 'Edison', locationId: 101, count: 5, duration: 10, success: true, error: null }
+    ]);
+    json.appendAlert({ timestamp: now, type: 'regular', count: 5, delivered: true });
+    json.appendNotification({
+      id: 'n1', createdAt: now, target: 'recipient', channel: 'email', recipient: 'you@example.com', event: 'appointments.available',
+      type: 'regular', rule: null, payload: { subject: 'Hi' }, status: 'pending', attempts: 1, nextAttemptAt: now, lastError: 'Timeout', sentAt: null
+    });
+    json.appendDeliveryAttempt({ notificationId: 'n1', timestamp: now, recipient: 'you@example.com', channel: 'email', status: 'retry', error: 'Timeout', latency: 5, statusCode: null });
+    json.saveHeldAlert({ recipientId: 'r1', type: 'regular', count: 5, locations: [], details: {}, raisedAt: now });
+    json.saveHeldAlert({ recipientId: 'r1', type: 'mobile', count: 2, locations: [], details: {}, raisedAt: now });
+    
+    const sqlite = new SqliteStorage({ path: path.join(dataDir, 'tracker.db') });
+    sqlite.open();
+    try {
+      const first = sqlite.importJson(json.path);
+      const again = sqlite.importJson(json.path, { force: true });
+      
+      assert.deepEqual([first.observations, first.notifications], [2, 1]);
+      assert.deepEqual([again.observations, again.notifications], [0, 0]);
+      assert.equal(sqlite.queryObservations().length, 2);
+      assert.equal(sqlite.queryAlerts().length, 1);
+      assert.deepEqual(sqlite.queryNotifications({ dueBefore: new Date() }).map(item => item.id), ['n1']);
+      assert.equal(sqlite.queryDeliveryAttempts({ notificationId: 'n1' }).length, 1);
+      assert.deepEqual(sqlite.queryHeldAlerts().map(alert => alert.type).sort(), ['mobile', 'regular']);
+    } finally {
+      sqlite.close();
+    }
+  });
+});
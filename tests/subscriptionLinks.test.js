@@ -0,0 +1,207 @@
+/**
+ * Subscription link tests: signing and verifying tokens, tokens that were
+ * altered or forged, and the /subscription/:token pages of the web interface
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setup } = require('./helpers/setup');
+
+const SECRET = 'test-link-secret';
+const RECIPIENT = 'email:you@example.com';
+
+describe('subscription links', () => {
+  let env;
+  let config;
+  let subscriptionLinks;
+  let subscribers;
+  
+  /**
+   * Change settings for the rest of the test
+   * @param {Object} settings - TRACKER_* settings
+   */
+  const configure = (settings) => {
+    Object.assign(process.env, settings);
+    config.loadConfig();
+  };
+  
+  /**
+   * Build a token from a raw payload, signed with the configured secret
+   * @param {Object|string} data - Payload object, or raw text
+   * @returns {string} - Token
+   */
+  const signRaw = (data) => {
+    const payload = Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)).toString('base64url');
+    return `${payload}.${subscriptionLinks._signature(payload)}`;
+  };
+  
+  before(async () => {
+    env = await setup({
+      TRACKER_PUBLIC_URL: 'https://tracker.example.com/',
+      TRACKER_LINK_SECRET: SECRET
+    });
+    ({ config } = require('../src/utils/config'));
+    subscriptionLinks = require('../src/services/subscriptionLinks');
+    ({ subscribers } = require('../src/models/subscriber'));
+  });
+  
+  after(() => env.close());
+  
+  beforeEach(() => configure({ TRACKER_LINK_SECRET: SECRET }));
+  
+  describe('tokens', () => {
+    it('verifies the recipient and action it was signed with', () => {
+      for (const action of ['unsubscribe', 'snooze', 'booked', 'resume']) {
+        assert.deepEqual(subscriptionLinks.verify(subscriptionLinks.sign(RECIPIENT, action)), {
+          recipientId: RECIPIENT,
+          action
+        });
+      }
+    });
+    
+    it('rejects a token whose payload was changed', () => {
+      const [, signature] = subscriptionLinks.sign(RECIPIENT, 'snooze').split('.');
+      const payload = Buffer.from(JSON.stringify({ r: 'email:someone@example.com', a: 'snooze' })).toString('base64url');
+      
+      assert.equal(subscriptionLinks.verify(`${payload}.${signature}`), null);
+    });
+    
+    it('rejects a token whose signature was changed', () => {
+      const token = subscriptionLinks.sign(RECIPIENT, 'unsubscribe');
+      const flipped = token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A');
+      
+      assert.equal(subscriptionLinks.verify(flipped), null);
+      assert.equal(subscriptionLinks.verify(token.slice(0, -2)), null);
+      assert.equal(subscriptionLinks.verify(`${token}xy`), null);
+    });
+    
+    it('rejects a token signed with another secret', () => {
+      configure({ TRACKER_LINK_SECRET: 'another-link-secret' });
+      const forged = subscriptionLinks.sign(RECIPIENT, 'unsubscribe');
+      configure({ TRACKER_LINK_SECRET: SECRET });
+      
+      assert.equal(subscriptionLinks.verify(forged), null);
+    });
+    
+    it('rejects malformed tokens', () => {
+      const token = subscriptionLinks.sign(RECIPIENT, 'booked');
+      
+      for (const invalid of [undefined, null, 42, '', '.', 'abc', `.${token.split('.')[1]}`, `${token.split('.')[0]}.`, `${token}.extra`]) {
+        assert.equal(subscriptionLinks.verify(invalid), null, String(invalid));
+      }
+    });
+    
+    it('rejects signed payloads it does not understand', () => {
+      assert.equal(subscriptionLinks.verify(signRaw('not json')), null);
+      assert.equal(subscriptionLinks.verify(signRaw({ r: RECIPIENT, a: 'delete' })), null);
+      assert.equal(subscriptionLinks.verify(signRaw({ r: 42, a: 'unsubscribe' })), null);
+      assert.equal(subscriptionLinks.verify(signRaw({ a: 'unsubscribe' })), null);
+    });
+    
+    it('verifies nothing and builds no links without a secret', () => {
+      const token = subscriptionLinks.sign(RECIPIENT, 'unsubscribe');
+      configure({ TRACKER_LINK_SECRET: '' });
+      
+      assert.equal(subscriptionLinks.isEnabled(), false);
+      assert.equal(subscriptionLinks.verify(token), null);
+      assert.equal(subscriptionLinks.linksFor({ id: RECIPIENT }), null);
+    });
+    
+    it('builds links on TRACKER_PUBLIC_URL', () => {
+      const links = subscriptionLinks.linksFor({ id: RECIPIENT });
+      
+      assert.deepEqual(Object.keys(links), ['unsubscribe', 'snooze', 'booked']);
+      for (const [action, url] of Object.entries(links)) {
+        const match = url.match(/^https:\/\/tracker\.example\.com\/subscription\/([^/]+)$/);
+        assert.ok(match, url);
+        assert.deepEqual(subscriptionLinks.verify(match[1]), { recipientId: RECIPIENT, action });
+      }
+    });
+  });
+  
+  describe('pages', () => {
+    let server;
+    let baseUrl;
+    
+    /**
+     * Open a subscription page
+     * @param {string} token - Token from a link
+     * @param {string} [method='GET'] - GET to open the link, POST to press its button
+     * @returns {Promise<Object>} - { status, html }
+     */
+    const open = async (token, method = 'GET') => {
+      const response = await fetch(`${baseUrl}/subscription/${token}`, { method });
+      return { status: response.status, html: await response.text() };
+    };
+    
+    before(async () => {
+      // The web interface logs its address when it starts listening
+      mock.method(console, 'log', () => {});
+      process.env.PORT = '0';
+      server = require('../src/web/server');
+      if (!server.listening) {
+        await new Promise(resolve => server.once('listening', resolve));
+      }
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      mock.restoreAll();
+    });
+    
+    beforeEach(() => subscribers.apply(RECIPIENT, 'resume'));
+    
+    it('asks for confirmation without changing anything', async () => {
+      const token = subscriptionLinks.sign(RECIPIENT, 'unsubscribe');
+      
+      const { status, html } = await open(token);
+      
+      assert.equal(status, 200);
+      assert.match(html, /Stop all appointment alerts and digests to you@example\.com\?/);
+      assert.match(html, new RegExp(`<form method="post" action="/subscription/${token}">`));
+      assert.equal(subscribers.get(RECIPIENT).status, 'active');
+    });
+    
+    it('applies the action when the button is pressed and offers to undo it', async () => {
+      const { status, html } = await open(subscriptionLinks.sign(RECIPIENT, 'unsubscribe'), 'POST');
+      
+      assert.equal(status, 200);
+      assert.match(html, /you@example\.com is unsubscribed/);
+      assert.equal(subscribers.get(RECIPIENT).status, 'unsubscribed');
+      
+      const [, resumeToken] = html.match(/action="\/subscription\/([^"]+)"/);
+      assert.deepEqual(subscriptionLinks.verify(resumeToken), { recipientId: RECIPIENT, action: 'resume' });
+      
+      const undo = await open(resumeToken, 'POST');
+      assert.match(undo.html, /Alerts to you@example\.com are back on/);
+      assert.doesNotMatch(undo.html, /<form/);
+      assert.equal(subscribers.get(RECIPIENT).status, 'active');
+    });
+    
+    it('snoozes for a day', async () => {
+      await open(subscriptionLinks.sign(RECIPIENT, 'snooze'), 'POST');
+      
+      const subscriber = subscribers.get(RECIPIENT);
+      assert.equal(subscriber.status, 'active');
+      assert.ok(subscriber.isSnoozed());
+      assert.ok(subscriber.snoozedUntil - Date.now() > 23 * 60 * 60 * 1000);
+    });
+    
+    it('turns away altered and invalid tokens', async () => {
+      const [, signature] = subscriptionLinks.sign(RECIPIENT, 'snooze').split('.');
+      const altered = `${Buffer.from(JSON.stringify({ r: RECIPIENT, a: 'unsubscribe' })).toString('base64url')}.${signature}`;
+      
+      for (const token of [altered, 'not-a-token', signRaw({ r: RECIPIENT, a: 'delete' })]) {
+        for (const method of ['GET', 'POST']) {
+          const { status, html } = await open(token, method);
+          assert.equal(status, 404, `${method} ${token}`);
+          assert.match(html, /This link is invalid or no longer works\./);
+        }
+      }
+      assert.equal(subscribers.get(RECIPIENT).isPaused(), false);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Template tests: the template engine, custom and per-rule template files,
+ * and SMS text kept within the gateway limits
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { setup } = require('./helpers/setup');
+
+describe('templates', () => {
+  let env;
+  let templates;
+  let notifier;
+  let Recipient;
+  let engine;
+  let customDir;
+  
+  /**
+   * Write a custom template file
+   * @param {string} fileName - File name, e.g. available.subject.txt
+   * @param {string} content - Template text
+   * @param {Date} [mtime] - Modification time to set
+   */
+  const writeTemplate = (fileName, content, mtime) => {
+    const file = path.join(customDir, fileName);
+    fs.writeFileSync(file, content);
+    if (mtime) fs.utimesSync(file, mtime, mtime);
+  };
+  
+  before(async () => {
+    env = await setup();
+    engine = require('../src/utils/templateEngine');
+    templates = require('../src/services/templates');
+    notifier = require('../src/services/notifier');
+    ({ Recipient } = require('../src/models/recipient'));
+    customDir = path.join(env.dir, 'templates');
+  });
+  
+  after(() => env.close());
+  
+  afterEach(() => fs.rmSync(customDir, { recursive: true, force: true }));
+  
+  describe('engine', () => {
+    it('renders values, helpers and missing values', () => {
+      const context = { count: 1, total: 2500, change: 4, location: { name: 'Edison' } };
+      
+      assert.equal(
+        engine.render('{{formatCount count "slot"}} at {{location.name}}, {{formatNumber total}} in all ({{sign change}}){{missing}}', context),
+        '1 slot at Edison, 2,500 in all (+4)'
+      );
+      assert.equal(engine.render('{{formatDuration ms}}', { ms: 3 * 60 * 60 * 1000 + 20 * 60 * 1000 }), '3h 20m');
+      assert.equal(engine.render('{{default name "none"}} {{truncate text 6}}', { text: 'Edison - REAL ID' }), 'none Edi...');
+    });
+    
+    it('escapes values in HTML unless they use triple braces', () => {
+      const context = { name: '<b>Edison</b> & "Co"' };
+      
+      assert.equal(engine.render('{{name}}', context, { escape: true }), '&lt;b&gt;Edison&lt;/b&gt; &amp; &quot;Co&quot;');
+      assert.equal(engine.render('{{{name}}}', context, { escape: true }), context.name);
+      assert.equal(engine.render('{{name}}', context), context.name);
+    });
+    
+    it('renders blocks without leaving blank lines behind', () => {
+      const source = 'Open:\n{{#each locations}}\n- {{name}}: {{count}}{{#if @last}}.{{/if}}\n{{else}}\nnone\n{{/each}}\n{{#unless urgent}}\nNo rush\n{{/unless}}\nDone';
+      
+      assert.equal(
+        engine.render(source, { locations: [{ name: 'Edison', count: 3 }, { name: 'Rahway', count: 1 }] }),
+        'Open:\n- Edison: 3\n- Rahway: 1.\nNo rush\nDone'
+      );
+      assert.equal(engine.render(source, { locations: [], urgent: true }), 'Open:\nnone\nDone');
+      assert.equal(engine.render('{{#if gt count 10}}many{{else}}few{{/if}}', { count: 12 }), 'many');
+    });
+    
+    it('reports mistakes with the template name and line', () => {
+      assert.throws(() => engine.render('ok\n{{#if count}}', {}, { name: 'custom.sms.txt' }), /custom\.sms\.txt line 2: \{\{#if\}\} is never closed/);
+      assert.throws(() => engine.render('{{shout name}}', {}, { name: 't' }), /Unknown helper "shout"/);
+      assert.throws(() => engine.render('{{/each}}', {}, { name: 't' }), /Unexpected \{\{\/each\}\}/);
+    });
+  });
+  
+  describe('files', () => {
+    it('prefers custom files in templates/ over the bundled ones', () => {
+      const context = { serviceName: 'REAL ID' };
+      const bundled = templates.render(['increase'], 'subject', context);
+      
+      fs.mkdirSync(customDir);
+      writeTemplate('increase.subject.txt', 'Custom: {{serviceName}}');
+      
+      assert.equal(bundled, 'REAL ID: more appointments released');
+      assert.equal(templates.render(['increase'], 'subject', context), 'Custom: REAL ID');
+    });
+    
+    it('looks for the rule name, then its kind, then the generic rule template', () => {
+      const context = { serviceName: 'REAL ID', location: 'Edison', previousCount: 2, count: 9, change: 7 };
+      fs.mkdirSync(customDir);
+      writeTemplate('big-release.line.txt', '{{location}} released {{change}}');
+      
+      assert.equal(templates.render(['big-release', 'increase', 'rule'], 'line', context), 'Edison released 7');
+      assert.equal(templates.render(['other', 'increase', 'rule'], 'line', context), 'Edison: 2 -> 9 (+7)');
+      assert.equal(
+        templates.render(['other', 'increase', 'rule'], 'sms', { ...context, matches: [{ line: 'a' }, { line: 'b' }], bookingUrl: 'https://x.test' }),
+        'a; b: https://x.test'
+      );
+    });
+    
+    it('uses an inline rule template first', () => {
+      assert.equal(templates.render(['increase'], 'subject', { count: 9 }, 'Now {{count}}'), 'Now 9');
+    });
+    
+    it('falls back to the next template when a custom one is broken', () => {
+      fs.mkdirSync(customDir);
+      writeTemplate('increase.subject.txt', '{{#if serviceName}}Broken');
+      
+      assert.equal(templates.render(['increase'], 'subject', { serviceName: 'REAL ID' }), 'REAL ID: more appointments released');
+      assert.equal(templates.render(['increase'], 'subject', { serviceName: 'REAL ID' }, '{{#if count}}Broken'), 'REAL ID: more appointments released');
+    });
+    
+    it('reloads a custom template when its file changes', () => {
+      fs.mkdirSync(customDir);
+      writeTemplate('lastSlots.subject.txt', 'First', new Date('2026-01-01T00:00:00Z'));
+      assert.equal(templates.render(['lastSlots'], 'subject', {}), 'First');
+      
+      writeTemplate('lastSlots.subject.txt', 'Second', new Date('2026-01-02T00:00:00Z'));
+      assert.equal(templates.render(['lastSlots'], 'subject', {}), 'Second');
+    });
+    
+    it('rejects unknown variants', () => {
+      assert.throws(() => templates.render(['available'], 'fax', {}), /Unknown template variant "fax"/);
+    });
+  });
+  
+  describe('SMS length', () => {
+    const URL = 'https://telegov.njportal.com/njmvc/AppointmentWizard/12/Locations';
+    
+    it('leaves short texts alone', () => {
+      assert.equal(templates.fitSms(`5 REAL ID appt (Edison): ${URL}`), `5 REAL ID appt (Edison): ${URL}`);
+    });
+    
+    it('shortens the text before a trailing link and keeps the link whole', () => {
+      const text = `${'Edison: 2 -> 9 (+7); '.repeat(20)}: ${URL}`;
+      const fitted = templates.fitSms(text);
+      
+      assert.equal(fitted.length, templates.SMS_LIMIT);
+      assert.ok(fitted.endsWith(`... ${URL}`));
+    });
+    
+    it('cuts texts without a link at the limit', () => {
+      const fitted = templates.fitSms('x'.repeat(500), 100);
+      
+      assert.equal(fitted.length, 100);
+      assert.ok(fitted.endsWith('...'));
+    });
+    
+    it('keeps every bundled preview within the SMS limit', () => {
+      for (const preview of notifier.previewTemplates()) {
+        assert.ok(preview.message.sms.text.length <= templates.SMS_LIMIT, `${preview.name}: ${preview.message.sms.text}`);
+        assert.ok(preview.message.email.subject, preview.name);
+        assert.ok(preview.message.email.html, preview.name);
+      }
+    });
+    
+    it('fits rule alerts to each recipient gateway', () => {
+      const matches = Array.from({ length: 12 }, (_, index) => ({
+        id: String(100 + index),
+        name: `Agency ${index + 1}`,
+        count: 9,
+        previousCount: 2,
+        change: 7
+      }));
+      const rule = { name: 'increase', kind: 'increase', threshold: 5 };
+      const textFor = recipient => notifier._buildRuleMessage('regular', rule, matches, {}, 108, recipient).sms.text;
+      
+      const sms = textFor(new Recipient({ address: '5551234567@vtext.com' }));
+      assert.ok(sms.length <= templates.SMS_LIMIT);
+      assert.match(sms, /\.\.\. https?:\/\//);
+      
+      // Recipients with a carrier get the whole text through its MMS gateway
+      const mms = textFor(new Recipient({ phone: '555-123-4567', carrier: 'verizon' }));
+      assert.ok(mms.length > templates.SMS_LIMIT);
+      assert.match(mms, /Agency 12: 2 -> 9 \(\+7\)/);
+    });
+  });
+});
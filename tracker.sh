@@ -315,7 +315,7 @@ stop_tracker() {
         fi
         
         # Check for any test processes
-        TEST_PROCESSES=$(ps aux | grep "node src/test.js" | grep -v grep)
+        TEST_PROCESSES=$(ps aux | grep "node src/index.js test" | grep -v grep)
         if [ -n "$TEST_PROCESSES" ]; then
             log_message "${YELLOW}Found running test processes:${NC}"
             log_message "$TEST_PROCESSES"
@@ -400,7 +400,7 @@ check_status() {
         fi
         
         # Check for any test processes
-        TEST_PROCESSES=$(ps aux | grep "node src/test.js" | grep -v grep)
+        TEST_PROCESSES=$(ps aux | grep "node src/index.js test" | grep -v grep)
         if [ -n "$TEST_PROCESSES" ]; then
             log_message "${BLUE}Found running test processes:${NC}"
             log_message "$TEST_PROCESSES"
@@ -436,14 +436,14 @@ run_test() {
         
         # Run test in Docker
         if [ -f "docker-compose.yml" ]; then
-            docker-compose run --rm real-id-tracker node src/test.js
+            docker-compose run --rm real-id-tracker node src/index.js test
         else
             log_message "${RED}Error: docker-compose.yml not found${NC}"
             return 1
         fi
     else
         # Run test directly
-        node src/test.js
+        node src/index.js test
     fi
     
     log_message "${GREEN}Test completed${NC}"